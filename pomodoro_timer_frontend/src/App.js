@@ -1,14 +1,53 @@
-import React, { useEffect, useMemo, useState } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
 import './App.css';
 import { usePomodoro } from './hooks/usePomodoro';
 import { useAudio } from './hooks/useAudio';
+import { useAlerts } from './hooks/useAlerts';
+import { useTheme } from './hooks/useTheme';
+import { useAccessibility } from './hooks/useAccessibility';
+import { useFocusScope } from './hooks/useFocusScope';
+import { useHistory } from './hooks/useHistory';
+import { useGoal } from './hooks/useGoal';
+import { useBreakActivity } from './hooks/useBreakActivity';
+import { useAchievements } from './hooks/useAchievements';
+import { useTasks } from './hooks/useTasks';
+import { useShortcuts } from './hooks/useShortcuts';
+import { usePresets } from './hooks/usePresets';
 import { randomQuote } from './utils/quotes';
+import { onNotificationAction } from './utils/notify';
+import { SHORTCUT_ACTIONS, formatKey } from './utils/shortcuts';
+import { EXTEND_MINUTES } from './utils/timerMachine';
+import { formatClock } from './utils/format';
+import { GOAL_UNITS } from './utils/goals';
 import ProgressCircle from './components/ProgressCircle';
 import Plant from './components/Plant';
 import Controls from './components/Controls';
 import Settings from './components/Settings';
 import AmbienceToggle from './components/AmbienceToggle';
 import Leaves from './components/Leaves';
+import Snowfall from './components/Snowfall';
+import Stats from './components/Stats';
+import Forest from './components/Forest';
+import TaskList from './components/TaskList';
+import TaskPicker from './components/TaskPicker';
+import CommandPalette from './components/CommandPalette';
+import ShortcutHelp from './components/ShortcutHelp';
+import Presets from './components/Presets';
+import SequenceStrip from './components/SequenceStrip';
+import Backup from './components/Backup';
+import AlertSettings from './components/AlertSettings';
+import SessionPrompt from './components/SessionPrompt';
+import AutoStart from './components/AutoStart';
+import Flowtime from './components/Flowtime';
+import InterruptionLog from './components/InterruptionLog';
+import ThemePicker from './components/ThemePicker';
+import TimerAnnouncer from './components/TimerAnnouncer';
+import AccessibilitySettings from './components/AccessibilitySettings';
+import DailyGoal from './components/DailyGoal';
+import BreakActivity from './components/BreakActivity';
+import Achievements from './components/Achievements';
+import AchievementToasts from './components/AchievementToasts';
+import SpeciesPicker from './components/SpeciesPicker';
 
 /**
  * PUBLIC_INTERFACE
@@ -18,21 +57,78 @@ import Leaves from './components/Leaves';
  */
 function App() {
   const {
+    tasks,
+    activeTask,
+    addTask,
+    reorderTask,
+    setTaskDone,
+    setTaskArchived,
+    selectTask,
+  } = useTasks();
+
+  const { alerts, setAlertVolume, setModeAlert } = useAlerts();
+  const { theme, prefs: themePrefs, setThemeChoice, setNightMode } = useTheme();
+  const { a11y, reducedMotion, setA11y } = useAccessibility();
+  const { breakPrefs, setBreakPrefs } = useBreakActivity();
+  const history = useHistory();
+  const { goal, today, streaks, days: goalDays, setGoal, toggleRestDay } = useGoal(history);
+  const {
+    achievements,
+    locked,
+    speciesPool,
+    nextSpecies,
+    setNextSpecies,
+    toasts,
+    dismissToast,
+  } = useAchievements(history, goal);
+
+  const {
+    status,
     mode,
     isRunning,
+    isLeader,
+    snoozeUntil,
+    finished,
+    interruptions,
     remainingMs,
+    elapsedMs,
     totalMs,
     sessionCount,
     progress,
     species,
+    plantSeed,
     start,
     pause,
     resume,
     reset,
+    skip,
+    snooze,
+    adjust,
+    finishEarly,
+    extend,
+    skipBreak,
+    interrupt,
+    noteInterruption,
+    setAutoStart,
+    autoStartBreaks,
+    autoStartFocus,
+    setFlowtime,
+    flowtime,
+    flowBreakRatio,
+    flowBreakMinMinutes,
+    flowBreakMaxMinutes,
+    isFlow,
+    earnedMs,
     setDurations,
+    applyPreset,
     focusMinutes,
     breakMinutes,
-  } = usePomodoro();
+    longBreakMinutes,
+    longBreakEvery,
+    sequence,
+    step,
+    presetId,
+  } = usePomodoro({ activeTaskId: activeTask?.id ?? null, cues: alerts.modes, speciesPool, nextSpecies });
 
   const {
     initialized,
@@ -43,10 +139,46 @@ function App() {
     volume,
     toggleAmbient,
     isAmbientOn,
+    levels,
+    setLayerLevel,
+    mixes,
+    mixId,
+    applyMix,
+    saveMix,
+    deleteMix,
+    modeMixes,
+    setModeMix,
     playChime,
-  } = useAudio();
+    playCue,
+    previewChime,
+    playBreathCue,
+    alarmRinging,
+    acknowledgeAlarm,
+  } = useAudio({ mode, alerts, lockedLayers: locked.layers });
+
+  const goalUnit = GOAL_UNITS.find(u => u.id === goal.unit).short;
+  const { presets, savePreset, deletePreset, importPreset } = usePresets();
+  const activePreset = presets.find(p => p.id === presetId) || null;
+  // In a sequence the interval's own label names the session
+  const sessionLabel = sequence ? sequence[step]?.label : MODE_LABELS[mode] || 'Focus';
+  // Drifting leaves and snow are decoration for breaks, and the first thing reduced motion drops
+  const showParticles = (mode === 'break' || mode === 'longBreak') && !reducedMotion;
+  const finishedLabel = finished ? (sequence ? sequence[finished.step]?.label : MODE_LABELS[finished.mode]) || 'Session' : null;
 
   const [quote, setQuote] = useState(randomQuote('focus'));
+  const [panel, setPanel] = useState(null); // null | 'tasks' | 'presets' | 'stats' | 'forest' | 'goal' | 'collection' | 'alerts' | 'theme' | 'backup' | 'accessibility'
+  const togglePanel = (name) => setPanel(p => (p === name ? null : name));
+  const panelRef = useRef(null);
+  useFocusScope(panelRef, panel);
+  const onPanelKeyDown = (e) => {
+    if (e.key === 'Escape' && panel) {
+      e.stopPropagation();
+      setPanel(null);
+    }
+  };
+  const [overlay, setOverlay] = useState(null); // null | 'palette' | 'help'
+  const [storageIssue, setStorageIssue] = useState(null); // null | 'corrupt' | 'quota'
+  const toggleOverlay = (name) => setOverlay(o => (o === name ? null : name));
 
   // Update quotes when session mode changes or starts
   useEffect(() => {
@@ -73,23 +205,86 @@ function App() {
   const onResume = () => resume();
   const onReset = () => reset();
 
-  const onSessionEnd = (type) => {
-    // play chime based on session type
-    playChime(type === 'focus' ? 'focus' : 'break');
+  const onSessionEnd = (type, next) => {
+    // play chime based on session type; a focus session that earns a long break gets its own chime.
+    // The style (and whether it repeats) follows the alert settings of the mode that ended.
+    if (next === 'longBreak') playChime('longBreak', type);
+    else playChime(type === 'focus' ? 'focus' : 'break', type);
   };
 
   // Subscribe to onSessionEnd events via custom browser event dispatched by usePomodoro
   useEffect(() => {
-    const handler = (e) => onSessionEnd(e.detail?.justCompleted || 'focus');
+    const handler = (e) => onSessionEnd(e.detail?.justCompleted || 'focus', e.detail?.next);
     window.addEventListener('pomodoro-session-complete', handler);
     return () => window.removeEventListener('pomodoro-session-complete', handler);
   }, []);
 
+  // A snoozed session started by itself: announce it like a session boundary
+  useEffect(() => {
+    const handler = (e) => playChime(CHIME_BEFORE[e.detail?.mode] || 'focus');
+    window.addEventListener('pomodoro-snooze-ended', handler);
+    return () => window.removeEventListener('pomodoro-snooze-ended', handler);
+  }, [playChime]);
+
+  // Warning and halfway cues while a session runs (see usePomodoro)
+  useEffect(() => {
+    const handler = (e) => playCue(e.detail?.cue, e.detail?.mode);
+    window.addEventListener('pomodoro-cue', handler);
+    return () => window.removeEventListener('pomodoro-cue', handler);
+  }, [playCue]);
+
+  // Let the user know when saved data was unreadable or storage is full (see utils/storage)
+  useEffect(() => {
+    const handler = (e) => setStorageIssue(e.detail?.kind || null);
+    window.addEventListener('pomodoro-storage-issue', handler);
+    return () => window.removeEventListener('pomodoro-storage-issue', handler);
+  }, []);
+
+  // Buttons on session notifications (relayed by the service worker)
+  useEffect(() => onNotificationAction((action) => {
+    acknowledgeAlarm();
+    if (action === 'start-break' || action === 'start-focus') start();
+    else if (action === 'snooze') snooze();
+  }), [start, snooze, acknowledgeAlarm]);
+
+  // Everything reachable from the keyboard and the command palette (see SHORTCUT_ACTIONS)
+  const actions = {
+    toggle: () => (isRunning ? pause() : onStart()),
+    reset: () => reset(),
+    skip: () => skip(),
+    snooze: () => snooze(),
+    finish: () => finishEarly(),
+    extend: () => extend(),
+    skipBreak: () => skipBreak(),
+    distracted: () => interrupt('internal'),
+    interrupted: () => interrupt('external'),
+    addMinute: () => adjust(1),
+    subtractMinute: () => adjust(-1),
+    mute: () => (isMuted ? unmute() : mute()),
+    ambient: () => toggleAmbient(!isAmbientOn),
+    applyDurations: () => window.dispatchEvent(new CustomEvent('pomodoro-apply-settings')),
+    tasks: () => togglePanel('tasks'),
+    forest: () => togglePanel('forest'),
+    stats: () => togglePanel('stats'),
+    presets: () => togglePanel('presets'),
+    alerts: () => togglePanel('alerts'),
+    theme: () => togglePanel('theme'),
+    accessibility: () => togglePanel('accessibility'),
+    goal: () => togglePanel('goal'),
+    collection: () => togglePanel('collection'),
+    backup: () => togglePanel('backup'),
+    palette: () => toggleOverlay('palette'),
+    help: () => toggleOverlay('help'),
+  };
+  const { bindings, rebind, resetBindings } = useShortcuts(actions, { enabled: overlay === null, always: OVERLAY_ACTIONS });
+
+  // A Flowtime session counts up: it shows the time spent rather than the time left
+  const clock = formatClock(isFlow ? elapsedMs : remainingMs);
+
   const title = useMemo(() => {
-    const mins = Math.floor(remainingMs / 60000);
-    const secs = Math.floor((remainingMs % 60000) / 1000);
-    return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')} • ${mode === 'focus' ? 'Focus' : 'Break'} • Forest Focus`;
-  }, [remainingMs, mode]);
+    const task = mode === 'focus' && activeTask ? ` • ${activeTask.title}` : '';
+    return `${clock} • ${sessionLabel}${task} • Forest Focus`;
+  }, [clock, mode, sessionLabel, activeTask]);
 
   useEffect(() => {
     document.title = title;
@@ -100,7 +295,9 @@ function App() {
       {/* Background animated layers */}
       <div className="bg-gradient" aria-hidden="true" />
       <div className="bg-texture" aria-hidden="true" />
-      {mode === 'break' ? <Leaves count={12} /> : null}
+      {showParticles && theme.particles === 'leaves' ? <Leaves count={mode === 'longBreak' ? 20 : 12} /> : null}
+      {showParticles && theme.particles === 'snow' ? <Snowfall count={mode === 'longBreak' ? 40 : 24} /> : null}
+      <a className="skip-link" href="#timer">Skip to the timer</a>
 
       {/* Top bar: Quotes and Sound */}
       <header className="top-bar">
@@ -110,6 +307,70 @@ function App() {
           <span className="quote-mark">”</span>
         </div>
         <div className="sound-controls">
+          <button
+            className="btn secondary"
+            onClick={() => togglePanel('tasks')}
+            aria-pressed={panel === 'tasks'}
+            aria-label={panel === 'tasks' ? 'Hide tasks' : 'Show tasks'}
+          >
+            Tasks ✅
+          </button>
+          <button
+            className="btn secondary"
+            onClick={() => togglePanel('presets')}
+            aria-pressed={panel === 'presets'}
+            aria-label={panel === 'presets' ? 'Hide presets' : 'Show presets'}
+          >
+            Presets ⏱
+          </button>
+          <button
+            className="btn secondary"
+            onClick={() => togglePanel('forest')}
+            aria-pressed={panel === 'forest'}
+            aria-label={panel === 'forest' ? 'Hide forest' : 'Show forest'}
+          >
+            Forest 🌳
+          </button>
+          <button
+            className="btn secondary"
+            onClick={() => togglePanel('stats')}
+            aria-pressed={panel === 'stats'}
+            aria-label={panel === 'stats' ? 'Hide statistics' : 'Show statistics'}
+          >
+            Stats 📊
+          </button>
+          <button
+            className="btn secondary"
+            onClick={() => togglePanel('goal')}
+            aria-pressed={panel === 'goal'}
+            aria-label={panel === 'goal' ? 'Hide daily goal' : 'Show daily goal'}
+          >
+            Goal 🎯
+          </button>
+          <button
+            className="btn secondary"
+            onClick={() => togglePanel('collection')}
+            aria-pressed={panel === 'collection'}
+            aria-label={panel === 'collection' ? 'Hide collection' : 'Show collection'}
+          >
+            Collection 🏅
+          </button>
+          <button
+            className="btn secondary"
+            onClick={() => togglePanel('alerts')}
+            aria-pressed={panel === 'alerts'}
+            aria-label={panel === 'alerts' ? 'Hide alert settings' : 'Show alert settings'}
+          >
+            Alerts 🔔
+          </button>
+          <button
+            className="btn secondary"
+            onClick={() => togglePanel('theme')}
+            aria-pressed={panel === 'theme'}
+            aria-label={panel === 'theme' ? 'Hide theme' : 'Show theme'}
+          >
+            Theme 🎨
+          </button>
           <AmbienceToggle
             isMuted={isMuted}
             isAmbientOn={isAmbientOn}
@@ -117,57 +378,289 @@ function App() {
             onToggleAmbient={() => toggleAmbient(!isAmbientOn)}
             volume={volume}
             onVolumeChange={setVolume}
+            levels={levels}
+            onLevelChange={setLayerLevel}
+            mixes={mixes}
+            mixId={mixId}
+            onApplyMix={applyMix}
+            onSaveMix={saveMix}
+            onDeleteMix={deleteMix}
+            modeMixes={modeMixes}
+            onModeMixChange={setModeMix}
+            lockedLayers={locked.layers}
           />
         </div>
       </header>
 
       {/* Center timer with plant overlay */}
-      <main className="center-stage">
-        <div className="timer-container" aria-label="Timer area">
+      <main className="center-stage" id="timer" tabIndex={-1}>
+        <div className="timer-container">
           <ProgressCircle
             progress={progress}
             mode={mode}
             size={260}
             strokeWidth={12}
+            goal={{ fraction: today.fraction, met: today.met, label: `${today.value} of ${today.target} ${goalUnit} today` }}
           >
-            <div className="time-readout" aria-live="assertive">
+            <div className="time-readout" role="timer" aria-label={`${sessionLabel} timer`} aria-atomic="true">
               <div className="mode-label" data-mode={mode}>
-                {mode === 'focus' ? 'Focus' : 'Break'}
+                {sessionLabel}
               </div>
+              {snoozeUntil !== null ? (
+                <div className="snooze-note">
+                  Snoozed • starts at {new Date(snoozeUntil).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                </div>
+              ) : null}
               <div className="time">
-                {new Date(remainingMs).toISOString().substr(14, 5)}
+                {clock}
               </div>
-              <div className="session-count" aria-label={`Completed sessions ${sessionCount}`}>
-                Sessions: {sessionCount}
+              {earnedMs !== null && (isFlow || status === 'completed') ? (
+                <div className="earned-break">
+                  {isFlow ? 'Break earned so far' : 'Break earned'}: {formatClock(earnedMs)}
+                </div>
+              ) : null}
+              {activeTask ? (
+                <div className="active-task" title={activeTask.title}>
+                  {activeTask.title} • {activeTask.completedPomodoros}/{activeTask.estimate}
+                </div>
+              ) : null}
+              <div className="session-count">
+                Today: {today.value}/{today.target} {goalUnit}{today.met ? ' 🌳' : ''}
               </div>
             </div>
-            <Plant progress={progress} species={species} mode={mode} />
+            <Plant progress={progress} species={species} seed={plantSeed} mode={mode} />
           </ProgressCircle>
         </div>
+        <TimerAnnouncer
+          remainingMs={remainingMs}
+          elapsedMs={elapsedMs}
+          countUp={isFlow}
+          status={status}
+          sessionLabel={sessionLabel}
+          settings={a11y}
+        />
+        <SequenceStrip sequence={sequence} step={step} />
+        {alarmRinging ? (
+          <p className="alarm-note" role="alert">
+            Time’s up!{' '}
+            <button className="btn" onClick={acknowledgeAlarm}>Stop the alarm 🔕</button>
+          </p>
+        ) : null}
 
         {/* Controls and settings */}
         <div className="bottom-controls">
+          <TaskPicker tasks={tasks} activeTaskId={activeTask?.id} onSelect={selectTask} />
+          {finished ? (
+            <SessionPrompt
+              finishedLabel={finishedLabel}
+              finishedAt={finished.at}
+              nextLabel={sessionLabel}
+              extendMinutes={EXTEND_MINUTES}
+              onStart={onStart}
+              onExtend={() => extend()}
+              onSkipBreak={mode === 'focus' ? null : skipBreak}
+            />
+          ) : null}
           <Controls
-            isRunning={isRunning}
+            status={status}
+            countUp={isFlow}
             onStart={onStart}
             onPause={onPause}
             onResume={onResume}
             onReset={onReset}
+            onSkip={() => skip()}
+            onAdjust={adjust}
+            onFinish={() => finishEarly()}
           />
-          <Settings
-            focusMinutes={focusMinutes}
-            breakMinutes={breakMinutes}
-            onChange={(f, b) => setDurations(f, b)}
-            disabled={isRunning}
-          />
+          {mode === 'focus' && status !== 'idle' && status !== 'completed' ? (
+            <InterruptionLog interruptions={interruptions} onLog={interrupt} onNote={noteInterruption} />
+          ) : null}
+          {mode !== 'focus' && status !== 'idle' && status !== 'completed' ? (
+            <BreakActivity
+              key={`${mode}-${sessionCount}-${step}`}
+              prefs={breakPrefs}
+              onPrefsChange={setBreakPrefs}
+              breakMs={totalMs}
+              elapsedMs={elapsedMs}
+              running={isRunning}
+              onCue={playBreathCue}
+            />
+          ) : null}
+          {sequence ? (
+            <p className="preset-note">
+              Following “{activePreset?.name || 'custom sequence'}” •{' '}
+              <button className="link-btn" onClick={() => setPanel('presets')}>Change preset</button>
+            </p>
+          ) : (
+            <Settings
+              focusMinutes={focusMinutes}
+              breakMinutes={breakMinutes}
+              longBreakMinutes={longBreakMinutes}
+              longBreakEvery={longBreakEvery}
+              onChange={(f, b, lb, n) => setDurations(f, b, lb, n)}
+            />
+          )}
+          <AutoStart autoStartBreaks={autoStartBreaks} autoStartFocus={autoStartFocus} onChange={setAutoStart} />
+          <SpeciesPicker value={nextSpecies} pool={speciesPool} onChange={setNextSpecies} />
+          {sequence ? null : (
+            <Flowtime
+              enabled={flowtime}
+              ratio={flowBreakRatio}
+              minMinutes={flowBreakMinMinutes}
+              maxMinutes={flowBreakMaxMinutes}
+              onChange={setFlowtime}
+            />
+          )}
+        </div>
+
+        {/* Panels take focus when opened and give it back when closed; Escape closes them */}
+        <div className="panel-slot" ref={panelRef} onKeyDown={onPanelKeyDown}>
+          {panel === 'tasks' ? (
+            <TaskList
+              tasks={tasks}
+              activeTaskId={activeTask?.id}
+              onAdd={addTask}
+              onSelect={selectTask}
+              onReorder={reorderTask}
+              onDone={setTaskDone}
+              onArchive={setTaskArchived}
+              onClose={() => setPanel(null)}
+            />
+          ) : null}
+          {panel === 'presets' ? (
+            <Presets
+              presets={presets}
+              activePresetId={presetId}
+              current={{ focusMinutes, breakMinutes, longBreakMinutes, longBreakEvery, sequence }}
+              disabled={isRunning}
+              onApply={applyPreset}
+              onSave={(name, fields, id) => {
+                const saved = savePreset(name, fields, id);
+                // Edits to the preset in use take effect right away
+                if (id && id === presetId) applyPreset(saved, { restart: false });
+              }}
+              onDelete={deletePreset}
+              onImport={importPreset}
+              onClose={() => setPanel(null)}
+            />
+          ) : null}
+          {panel === 'stats' ? <Stats history={history} onClose={() => setPanel(null)} /> : null}
+          {panel === 'forest' ? <Forest history={history} onClose={() => setPanel(null)} /> : null}
+          {panel === 'alerts' ? (
+            <AlertSettings
+              alerts={alerts}
+              onVolumeChange={setAlertVolume}
+              onModeChange={setModeAlert}
+              onPreview={(style, endedMode) => previewChime(style, endedMode === 'longBreak' ? 'break' : endedMode)}
+              onClose={() => setPanel(null)}
+            />
+          ) : null}
+          {panel === 'theme' ? (
+            <ThemePicker
+              theme={theme}
+              prefs={themePrefs}
+              locked={locked.themes}
+              onChoose={setThemeChoice}
+              onNightModeChange={setNightMode}
+              onClose={() => setPanel(null)}
+            />
+          ) : null}
+          {panel === 'goal' ? (
+            <DailyGoal
+              goal={goal}
+              today={today}
+              streaks={streaks}
+              days={goalDays}
+              onChange={setGoal}
+              onToggleRestDay={toggleRestDay}
+              onClose={() => setPanel(null)}
+            />
+          ) : null}
+          {panel === 'collection' ? (
+            <Achievements
+              achievements={achievements}
+              locked={locked}
+              nextSpecies={nextSpecies}
+              onPickSpecies={setNextSpecies}
+              onClose={() => setPanel(null)}
+            />
+          ) : null}
+          {panel === 'backup' ? <Backup history={history} tasks={tasks} onClose={() => setPanel(null)} /> : null}
+          {panel === 'accessibility' ? (
+            <AccessibilitySettings a11y={a11y} onChange={setA11y} onClose={() => setPanel(null)} />
+          ) : null}
         </div>
       </main>
 
       <footer className="footer">
         <span>Forest Focus • Be present like a tree, steady and growing.</span>
+        <span>
+          {' • '}
+          <button className="link-btn" onClick={() => setOverlay('help')}>
+            Keyboard shortcuts{bindings.help ? ` (${formatKey(bindings.help)})` : ''}
+          </button>
+          {' • '}
+          <button className="link-btn" onClick={() => togglePanel('backup')} aria-pressed={panel === 'backup'}>
+            Backup &amp; export
+          </button>
+          {' • '}
+          <button className="link-btn" onClick={() => togglePanel('accessibility')} aria-pressed={panel === 'accessibility'}>
+            Accessibility
+          </button>
+        </span>
+        {isLeader === false ? <span className="tab-note"> • Mirroring the timer from another open tab</span> : null}
+        {storageIssue ? (
+          <p className="storage-note" role="alert">
+            {STORAGE_MESSAGES[storageIssue]}{' '}
+            <button className="link-btn" onClick={() => setStorageIssue(null)}>Dismiss</button>
+          </p>
+        ) : null}
       </footer>
+
+      <AchievementToasts toasts={toasts} onDismiss={dismissToast} />
+
+      {overlay === 'palette' ? (
+        <CommandPalette
+          commands={[
+            ...SHORTCUT_ACTIONS.filter(a => a.id !== 'palette').map(a => ({ id: a.id, label: a.label, run: actions[a.id] })),
+            ...(isRunning ? [] : presets.map(p => ({ id: `preset-${p.id}`, label: `Use preset: ${p.name}`, run: () => applyPreset(p) }))),
+            ...mixes.map(m => ({ id: `mix-${m.id}`, label: `Play mix: ${m.name}`, run: () => applyMix(m.id) })),
+          ]}
+          bindings={bindings}
+          onClose={() => setOverlay(null)}
+        />
+      ) : null}
+      {overlay === 'help' ? (
+        <ShortcutHelp
+          bindings={bindings}
+          onRebind={rebind}
+          onReset={resetBindings}
+          onClose={() => setOverlay(null)}
+        />
+      ) : null}
     </div>
   );
 }
 
+const MODE_LABELS = {
+  focus: 'Focus',
+  break: 'Break',
+  longBreak: 'Long Break',
+};
+
+const STORAGE_MESSAGES = {
+  corrupt: 'Some saved data could not be read and was reset (a copy was kept).',
+  quota: 'Browser storage is full: older history was trimmed and some changes may not be saved.',
+};
+
+// Shortcuts that keep working while the palette or the help overlay is open (to toggle them)
+const OVERLAY_ACTIONS = ['palette', 'help'];
+
+// The chime (and notification) that leads into a session of each mode
+const CHIME_BEFORE = {
+  focus: 'break',
+  break: 'focus',
+  longBreak: 'longBreak',
+};
+
 export default App;
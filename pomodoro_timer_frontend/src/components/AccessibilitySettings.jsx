@@ -0,0 +1,45 @@
+import React from 'react';
+import { ANNOUNCE_EVERY, MOTION_MODES } from '../utils/accessibility';
+
+/**
+ * PUBLIC_INTERFACE
+ * AccessibilitySettings
+ * Accessibility panel: how often screen readers hear the remaining time, whether the final minute
+ * is announced, and whether motion is reduced (or follows the system setting).
+ */
+export default function AccessibilitySettings({ a11y, onChange, onClose }) {
+  return (
+    <section className="panel a11y-settings" aria-label="Accessibility">
+      <div className="panel-header">
+        <h2>Accessibility</h2>
+        <button className="btn secondary" onClick={onClose} aria-label="Close accessibility settings">Close</button>
+      </div>
+
+      <fieldset className="a11y-group">
+        <legend>Screen reader announcements</legend>
+        <label className="alert-row">
+          <span>Announce the time left</span>
+          <select value={a11y.announceEvery} onChange={e => onChange({ announceEvery: Number(e.target.value) })}>
+            {ANNOUNCE_EVERY.map(m => (
+              <option key={m} value={m}>{m ? `Every ${m} min` : 'Never'}</option>
+            ))}
+          </select>
+        </label>
+        <label className="alert-check">
+          <input type="checkbox" checked={a11y.finalMinute} onChange={e => onChange({ finalMinute: e.target.checked })} />
+          <span>Count down the final minute (1 minute, 30 and 10 seconds)</span>
+        </label>
+      </fieldset>
+
+      <fieldset className="a11y-group">
+        <legend>Motion</legend>
+        {MOTION_MODES.map(m => (
+          <label key={m.id} className="alert-check">
+            <input type="radio" name="motion" value={m.id} checked={a11y.motion === m.id} onChange={() => onChange({ motion: m.id })} />
+            <span>{m.label}</span>
+          </label>
+        ))}
+      </fieldset>
+    </section>
+  );
+}
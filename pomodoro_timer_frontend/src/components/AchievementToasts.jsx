@@ -0,0 +1,25 @@
+import React from 'react';
+import { rewardLabel } from '../utils/achievements';
+
+/**
+ * PUBLIC_INTERFACE
+ * AchievementToasts
+ * Unlock toasts for the achievements a session just reached (`toasts`, see useAchievements), with
+ * what each one unlocked. The region is always present so screen readers announce new toasts.
+ */
+export default function AchievementToasts({ toasts, onDismiss }) {
+  return (
+    <div className="toasts" role="status" aria-live="polite">
+      {toasts.map(t => (
+        <div key={t.id} className="toast">
+          <span className="toast-icon" aria-hidden="true">{t.icon}</span>
+          <div className="toast-body">
+            <strong>Achievement unlocked: {t.label}</strong>
+            <span>New: {t.unlocks.map(rewardLabel).join(', ')}</span>
+          </div>
+          <button className="icon-btn" onClick={() => onDismiss(t.id)} aria-label={`Dismiss ${t.label}`}>×</button>
+        </div>
+      ))}
+    </div>
+  );
+}
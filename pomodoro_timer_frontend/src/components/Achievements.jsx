@@ -0,0 +1,80 @@
+import React from 'react';
+import { PlantArt } from './Plant';
+import { SPECIES } from '../utils/plants';
+import { rewardLabel, unlockedBy } from '../utils/achievements';
+
+/**
+ * PUBLIC_INTERFACE
+ * Achievements
+ * The collection: every plant species, to pick the one the next focus session grows (locked ones
+ * say which achievement earns them), and every achievement with its progress, its unlock date and
+ * the species, themes and sounds it unlocks. `achievements`, `locked` and `nextSpecies` come from
+ * useAchievements.
+ */
+export default function Achievements({ achievements, locked, nextSpecies, onPickSpecies, onClose }) {
+  const unlockedCount = achievements.filter(a => a.unlockedAt).length;
+
+  return (
+    <section className="panel collection" aria-label="Collection">
+      <div className="panel-header">
+        <h2>Collection</h2>
+        <button className="btn secondary" onClick={onClose} aria-label="Close collection">Close</button>
+      </div>
+
+      <h3 className="collection-title">Plants</h3>
+      <p className="panel-empty">Pick the plant your next focus session grows.</p>
+      <ul className="species-grid">
+        <li>
+          <button className="species-tile" aria-pressed={nextSpecies === 'random'} onClick={() => onPickSpecies('random')}>
+            <span className="species-art species-random" aria-hidden="true">🎲</span>
+            <span>Surprise me</span>
+          </button>
+        </li>
+        {SPECIES.map(s => {
+          const by = locked.species.includes(s.id) ? unlockedBy('species', s.id) : null;
+          return (
+            <li key={s.id}>
+              <button
+                className="species-tile"
+                data-locked={Boolean(by)}
+                aria-pressed={nextSpecies === s.id}
+                disabled={Boolean(by)}
+                onClick={() => onPickSpecies(s.id)}
+                aria-label={by ? `${s.label}, locked. Unlock with ${by.label}` : s.label}
+                title={by ? `Unlock with “${by.label}”: ${by.description}` : s.label}
+              >
+                <span className="species-art" aria-hidden="true">
+                  <PlantArt species={s.id} seed={1} />
+                </span>
+                <span>{by ? '🔒 ' : ''}{s.label}</span>
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+
+      <h3 className="collection-title">Achievements</h3>
+      <p className="panel-empty">{unlockedCount} of {achievements.length} unlocked</p>
+      <ul className="achievement-list">
+        {achievements.map(a => (
+          <li key={a.id} className="achievement" data-unlocked={Boolean(a.unlockedAt)}>
+            <span className="achievement-icon" aria-hidden="true">{a.unlockedAt ? a.icon : '🔒'}</span>
+            <div className="achievement-body">
+              <span className="achievement-name">{a.label}</span>
+              <span className="achievement-desc">{a.description}</span>
+              <span className="achievement-rewards">Unlocks {a.unlocks.map(rewardLabel).join(', ')}</span>
+            </div>
+            {a.unlockedAt ? (
+              <span className="achievement-date">{new Date(a.unlockedAt).toLocaleDateString()}</span>
+            ) : (
+              <span className="achievement-progress">
+                <progress max={a.target} value={a.value} aria-label={`${a.label} progress`} />
+                <span>{a.value}/{a.target}</span>
+              </span>
+            )}
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
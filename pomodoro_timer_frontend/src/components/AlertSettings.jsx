@@ -0,0 +1,69 @@
+import React from 'react';
+import { ALERT_MODES, CHIME_STYLES, WARNING_MINUTES } from '../utils/alerts';
+
+/**
+ * PUBLIC_INTERFACE
+ * AlertSettings
+ * Alerts panel: the alert volume (separate from the ambience) and, for each session mode, the
+ * chime style with a preview, a warning before the end, a halfway cue and whether the end chime
+ * keeps ringing until acknowledged.
+ */
+export default function AlertSettings({ alerts, onVolumeChange, onModeChange, onPreview, onClose }) {
+  return (
+    <section className="panel alert-settings" aria-label="Alerts">
+      <div className="panel-header">
+        <h2>Alerts</h2>
+        <button className="btn secondary" onClick={onClose} aria-label="Close alerts">Close</button>
+      </div>
+
+      <label className="alert-volume">
+        <span>Alert volume</span>
+        <input
+          type="range"
+          min="0"
+          max="1"
+          step="0.01"
+          value={alerts.volume}
+          onChange={e => onVolumeChange(parseFloat(e.target.value))}
+        />
+      </label>
+
+      {ALERT_MODES.map(({ id, label }) => {
+        const alert = alerts.modes[id];
+        return (
+          <fieldset key={id} className="alert-mode">
+            <legend>{label}</legend>
+            <div className="alert-row">
+              <label htmlFor={`chime-${id}`}>Chime</label>
+              <select id={`chime-${id}`} value={alert.style} onChange={e => onModeChange(id, { style: e.target.value })}>
+                {CHIME_STYLES.map(style => <option key={style.id} value={style.id}>{style.label}</option>)}
+              </select>
+              <button className="btn secondary" onClick={() => onPreview(alert.style, id)} aria-label={`Preview the ${label.toLowerCase()} chime`}>
+                ▶ Preview
+              </button>
+            </div>
+            <label className="alert-row">
+              <span>Warn before the end</span>
+              <select
+                value={alert.warningMinutes}
+                onChange={e => onModeChange(id, { warningMinutes: Number(e.target.value) })}
+              >
+                {WARNING_MINUTES.map(minutes => (
+                  <option key={minutes} value={minutes}>{minutes ? `${minutes} min before` : 'Off'}</option>
+                ))}
+              </select>
+            </label>
+            <label className="alert-check">
+              <input type="checkbox" checked={alert.halfway} onChange={e => onModeChange(id, { halfway: e.target.checked })} />
+              Soft cue halfway through
+            </label>
+            <label className="alert-check">
+              <input type="checkbox" checked={alert.repeat} onChange={e => onModeChange(id, { repeat: e.target.checked })} />
+              Keep ringing until I respond
+            </label>
+          </fieldset>
+        );
+      })}
+    </section>
+  );
+}
@@ -1,11 +1,44 @@
-import React from 'react';
+import React, { useState } from 'react';
+import { AMBIENT_LAYERS } from '../utils/soundscape';
+import { unlockedBy } from '../utils/achievements';
 
 /**
  * PUBLIC_INTERFACE
  * AmbienceToggle
- * Displays mute/unmute and ambient noise toggle with a volume range control.
+ * Displays mute/unmute and ambient soundscape toggle with an ambience volume control. The mixer
+ * expands below it: a slider per soundscape layer, saved mixes, and the mixes to switch to
+ * automatically for focus and for breaks. Layers in `lockedLayers` stay silent until an
+ * achievement unlocks them.
  */
-export default function AmbienceToggle({ isMuted, isAmbientOn, onToggleMute, onToggleAmbient, volume, onVolumeChange }) {
+export default function AmbienceToggle({
+  isMuted,
+  isAmbientOn,
+  onToggleMute,
+  onToggleAmbient,
+  volume,
+  onVolumeChange,
+  levels,
+  onLevelChange,
+  mixes,
+  mixId,
+  onApplyMix,
+  onSaveMix,
+  onDeleteMix,
+  modeMixes,
+  onModeMixChange,
+  lockedLayers = [],
+}) {
+  const [open, setOpen] = useState(false);
+  const [mixName, setMixName] = useState('');
+  const activeMix = mixes.find(m => m.id === mixId) || null;
+
+  const saveMix = (e) => {
+    e.preventDefault();
+    if (!mixName.trim()) return;
+    onSaveMix(mixName);
+    setMixName('');
+  };
+
   return (
     <div className="ambience" role="group" aria-label="Sound controls">
       <button className="btn secondary" onClick={onToggleMute} aria-label={isMuted ? 'Unmute sounds' : 'Mute sounds'}>
@@ -14,16 +47,85 @@ export default function AmbienceToggle({ isMuted, isAmbientOn, onToggleMute, onT
       <button className="btn" onClick={onToggleAmbient} aria-label={isAmbientOn ? 'Disable ambient forest sounds' : 'Enable ambient forest sounds'}>
         {isAmbientOn ? 'Ambient On 🌲' : 'Ambient Off 🌲'}
       </button>
+      <button
+        className="btn secondary"
+        onClick={() => setOpen(o => !o)}
+        aria-expanded={open}
+        aria-controls="soundscape-mixer"
+        aria-label={open ? 'Hide soundscape mixer' : 'Show soundscape mixer'}
+      >
+        Mixer {open ? '▴' : '▾'}
+      </button>
       <input
         type="range"
         min="0"
         max="1"
         step="0.01"
-        aria-label="Volume"
+        aria-label="Ambience volume"
         value={volume}
         onChange={(e) => onVolumeChange(parseFloat(e.target.value))}
         style={{ verticalAlign: 'middle' }}
       />
+
+      {open ? (
+        <div className="mixer" id="soundscape-mixer" role="group" aria-label="Soundscape mixer">
+          <label className="mixer-row">
+            <span>Mix</span>
+            <select value={mixId || ''} onChange={e => onApplyMix(e.target.value)}>
+              {mixId ? null : <option value="">Custom</option>}
+              {mixes.map(mix => <option key={mix.id} value={mix.id}>{mix.name}</option>)}
+            </select>
+            {activeMix && !activeMix.builtIn ? (
+              <button className="icon-btn" onClick={() => onDeleteMix(activeMix.id)} aria-label={`Delete ${activeMix.name}`}>🗑</button>
+            ) : null}
+          </label>
+
+          <ul className="mixer-layers">
+            {AMBIENT_LAYERS.map(layer => {
+              const by = lockedLayers.includes(layer.id) ? unlockedBy('layer', layer.id) : null;
+              return (
+                <li key={layer.id} className="mixer-row" title={by ? `Unlock with “${by.label}”: ${by.description}` : undefined}>
+                  <label htmlFor={`layer-${layer.id}`}>{by ? `🔒 ${layer.label}` : layer.label}</label>
+                  <input
+                    id={`layer-${layer.id}`}
+                    type="range"
+                    min="0"
+                    max="1"
+                    step="0.01"
+                    value={levels[layer.id]}
+                    disabled={Boolean(by)}
+                    onChange={e => onLevelChange(layer.id, parseFloat(e.target.value))}
+                  />
+                </li>
+              );
+            })}
+          </ul>
+
+          <form className="task-form mixer-save" onSubmit={saveMix}>
+            <input
+              type="text"
+              placeholder="Save this mix as…"
+              aria-label="Mix name"
+              value={mixName}
+              onChange={e => setMixName(e.target.value)}
+            />
+            <button className="btn" type="submit">Save</button>
+          </form>
+
+          <fieldset className="mixer-modes">
+            <legend>Switch automatically</legend>
+            {[['focus', 'During focus'], ['break', 'During breaks']].map(([group, label]) => (
+              <label key={group} className="mixer-row">
+                <span>{label}</span>
+                <select value={modeMixes[group] || ''} onChange={e => onModeMixChange(group, e.target.value)}>
+                  <option value="">Keep the current mix</option>
+                  {mixes.map(mix => <option key={mix.id} value={mix.id}>{mix.name}</option>)}
+                </select>
+              </label>
+            ))}
+          </fieldset>
+        </div>
+      ) : null}
     </div>
   );
 }
@@ -0,0 +1,22 @@
+import React from 'react';
+
+/**
+ * PUBLIC_INTERFACE
+ * AutoStart
+ * Checkboxes choosing whether breaks and focus sessions start by themselves when the previous
+ * session finishes. They apply right away, even mid-session.
+ */
+export default function AutoStart({ autoStartBreaks, autoStartFocus, onChange }) {
+  return (
+    <div className="auto-start" role="group" aria-label="Auto-start">
+      <label>
+        <input type="checkbox" checked={autoStartBreaks} onChange={e => onChange({ autoStartBreaks: e.target.checked })} />
+        Auto-start breaks
+      </label>
+      <label>
+        <input type="checkbox" checked={autoStartFocus} onChange={e => onChange({ autoStartFocus: e.target.checked })} />
+        Auto-start focus
+      </label>
+    </div>
+  );
+}
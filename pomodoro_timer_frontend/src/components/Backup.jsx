@@ -0,0 +1,139 @@
+import React, { useMemo, useState } from 'react';
+import {
+  applyImport,
+  backupToJson,
+  createBackup,
+  historyToCsv,
+  historyToIcs,
+  parseBackup,
+  planImport,
+} from '../utils/backup';
+
+/**
+ * PUBLIC_INTERFACE
+ * Backup
+ * Data panel: download everything as a JSON backup, the session log as CSV (for timesheets) or as
+ * an .ics calendar, and restore a backup, previewing what an import would change before merging
+ * it into or replacing the current data.
+ */
+export default function Backup({ history, tasks, onClose }) {
+  const [backup, setBackup] = useState(null);
+  const [strategy, setStrategy] = useState('merge');
+  const [message, setMessage] = useState('');
+
+  const plan = useMemo(() => (backup ? planImport(backup, strategy) : null), [backup, strategy]);
+
+  const readFile = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const result = parseBackup(await file.text());
+    setBackup(result.backup || null);
+    setMessage(result.error || '');
+  };
+
+  const confirmImport = () => {
+    applyImport(plan);
+    setBackup(null);
+    setMessage(strategy === 'replace' ? 'Your data was replaced with the backup.' : 'The backup was merged into your data.');
+  };
+
+  return (
+    <section className="panel backup" aria-label="Backup and export">
+      <div className="panel-header">
+        <h2>Your data</h2>
+        <button className="btn secondary" onClick={onClose} aria-label="Close backup and export">Close</button>
+      </div>
+
+      <h3 className="panel-subtitle">Export</h3>
+      <div className="backup-actions">
+        <button className="btn" onClick={() => download('json', backupToJson(createBackup()), 'application/json')}>
+          Backup (JSON)
+        </button>
+        <button
+          className="btn secondary"
+          onClick={() => download('csv', historyToCsv(history, tasks), 'text/csv')}
+          disabled={!history.length}
+        >
+          Sessions (CSV)
+        </button>
+        <button
+          className="btn secondary"
+          onClick={() => download('ics', historyToIcs(history, tasks), 'text/calendar')}
+          disabled={!history.length}
+        >
+          Calendar (.ics)
+        </button>
+      </div>
+      <p className="panel-empty">
+        {history.length} {history.length === 1 ? 'session' : 'sessions'} recorded. The backup also holds your settings, tasks, presets and shortcuts.
+      </p>
+
+      <h3 className="panel-subtitle">Import</h3>
+      <label className="backup-file">
+        <span>Restore from a backup file</span>
+        <input type="file" accept=".json,application/json" onChange={readFile} />
+      </label>
+
+      {plan ? (
+        <div className="backup-preview" aria-label="Import preview">
+          <p>
+            Backup{backup.exportedAt ? ` from ${new Date(backup.exportedAt).toLocaleString()}` : ''}.
+          </p>
+          <fieldset className="backup-strategy">
+            <legend>How to import</legend>
+            <label>
+              <input type="radio" name="strategy" value="merge" checked={strategy === 'merge'} onChange={() => setStrategy('merge')} />
+              Merge: add what you do not have yet
+            </label>
+            <label>
+              <input type="radio" name="strategy" value="replace" checked={strategy === 'replace'} onChange={() => setStrategy('replace')} />
+              Replace: make your data match the backup
+            </label>
+          </fieldset>
+          <ul className="backup-changes">
+            {describeChanges(plan.changes).map(line => <li key={line}>{line}</li>)}
+          </ul>
+          <p className="panel-empty">Your session count, plant and any session in progress stay as they are.</p>
+          <div className="controls">
+            <button className="btn" onClick={confirmImport}>Import</button>
+            <button className="btn secondary" onClick={() => setBackup(null)}>Cancel</button>
+          </div>
+        </div>
+      ) : null}
+      {message ? <p className="panel-empty" role="status">{message}</p> : null}
+    </section>
+  );
+}
+
+function describeChanges(changes) {
+  const lines = [];
+  [['sessions', 'session', 'sessions'], ['tasks', 'task', 'tasks'], ['presets', 'preset', 'presets']].forEach(([key, one, many]) => {
+    const { added, removed } = changes[key];
+    if (added) lines.push(`Add ${added} ${added === 1 ? one : many}`);
+    if (removed) lines.push(`Remove ${removed} ${removed === 1 ? one : many}`);
+  });
+  if (changes.settings) lines.push('Change the timer settings');
+  if (changes.audio) lines.push('Change the sound settings');
+  if (changes.alerts) lines.push('Change the alert settings');
+  if (changes.shortcuts) lines.push('Change the keyboard shortcuts');
+  if (changes.theme) lines.push('Change the theme');
+  if (changes.a11y) lines.push('Change the accessibility settings');
+  if (changes.goal) lines.push('Change the daily goal');
+  if (changes.breaks) lines.push('Change the break activities');
+  if (changes.plants) lines.push('Change the next plant');
+  if (changes.achievements) lines.push('Update the unlocked achievements');
+  return lines.length ? lines : ['Nothing: your data already matches this backup'];
+}
+
+// Saves text as a file named after today, e.g. forest-focus-2024-05-01.csv
+function download(extension, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `forest-focus-${new Date().toISOString().slice(0, 10)}.${extension}`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,108 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { BREAK_ACTIVITIES, breathPhaseAt, fitRoutine, pickActivity, routineStepAt } from '../utils/breakActivities';
+import { formatClock } from '../utils/format';
+
+/**
+ * PUBLIC_INTERFACE
+ * BreakActivity
+ * Guided activity for the break in progress: a breathing pacer or a stretch / eye-rest routine
+ * (utils/breakActivities), picked from `prefs.activity` when the break starts and changeable for
+ * this break only (or made the default for every break). Both follow the break's clock
+ * (`elapsedMs` of `breakMs`), so they pause with the timer; a routine is fitted to the time left.
+ * While `running`, the pacer asks for a sound cue at each phase with `onCue(phase, seconds)`
+ * unless cues are turned off.
+ */
+export default function BreakActivity({ prefs, onPrefsChange, breakMs, elapsedMs, running, onCue }) {
+  const [choice, setChoice] = useState(prefs.activity);
+  const [activity, setActivity] = useState(() => pickActivity(prefs.activity));
+  const [startedAt, setStartedAt] = useState(elapsedMs);
+  const elapsedRef = useRef(elapsedMs);
+  elapsedRef.current = elapsedMs;
+
+  const choose = (next) => {
+    setChoice(next);
+    setActivity(pickActivity(next));
+    setStartedAt(elapsedRef.current);
+  };
+
+  const t = Math.max(0, elapsedMs - startedAt);
+
+  return (
+    <section className="break-activity" aria-label="Guided break">
+      <div className="break-activity-choice">
+        <label>
+          <span>Guided break</span>
+          <select value={choice} onChange={e => choose(e.target.value)}>
+            <option value="none">Nothing, just rest</option>
+            <option value="random">Surprise me</option>
+            {BREAK_ACTIVITIES.map(a => <option key={a.id} value={a.id}>{a.label}</option>)}
+          </select>
+        </label>
+        {choice !== prefs.activity ? (
+          <button className="link-btn" onClick={() => onPrefsChange({ activity: choice })}>Offer this every break</button>
+        ) : null}
+      </div>
+      {activity ? <p className="break-activity-hint">{activity.hint}</p> : null}
+      {activity?.type === 'breathing' ? (
+        <BreathingPacer
+          patternId={activity.id.replace(/^breathe-/, '')}
+          elapsedMs={t}
+          running={running}
+          cues={prefs.cues}
+          onCue={onCue}
+          onCuesChange={cues => onPrefsChange({ cues })}
+        />
+      ) : null}
+      {activity?.type === 'routine' ? (
+        <RoutineSteps routineId={activity.id} availableMs={breakMs - startedAt} elapsedMs={t} />
+      ) : null}
+    </section>
+  );
+}
+
+function BreathingPacer({ patternId, elapsedMs, running, cues, onCue, onCuesChange }) {
+  const phase = breathPhaseAt(patternId, elapsedMs);
+  const key = `${phase.breaths}-${phase.index}`;
+  const lastKey = useRef(null);
+
+  // One cue as each phase begins
+  useEffect(() => {
+    if (key === lastKey.current) return;
+    lastKey.current = key;
+    if (running && cues) onCue(phase.kind, phase.seconds);
+  }, [key, running, cues, onCue, phase.kind, phase.seconds]);
+
+  return (
+    <div className="breath-pacer">
+      <div className="breath-stage" aria-hidden="true">
+        <div className="breath-circle" data-phase={phase.kind} style={{ transform: `scale(${phase.scale})` }} />
+        <span className="breath-count">{Math.ceil(phase.remainingMs / 1000)}</span>
+      </div>
+      <p className="breath-label">{phase.label}</p>
+      <p className="breath-meta">
+        {phase.breaths} {phase.breaths === 1 ? 'breath' : 'breaths'}
+      </p>
+      <label className="breath-cues">
+        <input type="checkbox" checked={cues} onChange={e => onCuesChange(e.target.checked)} />
+        Sound cues
+      </label>
+    </div>
+  );
+}
+
+function RoutineSteps({ routineId, availableMs, elapsedMs }) {
+  const fitted = useMemo(() => fitRoutine(routineId, availableMs), [routineId, availableMs]);
+  const at = routineStepAt(fitted, elapsedMs);
+  return (
+    <div className="routine">
+      <p className="routine-progress">
+        Step {at.index + 1} of {fitted.steps.length}
+        {fitted.rounds > 1 ? ` • round ${at.round} of ${fitted.rounds}` : ''}
+      </p>
+      <p className="routine-step" role="status">
+        {at.done ? 'All done. Enjoy the rest of your break.' : at.step.text}
+      </p>
+      {at.done ? null : <span className="routine-time" aria-hidden="true">{formatClock(at.remainingMs)}</span>}
+    </div>
+  );
+}
@@ -0,0 +1,96 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { formatKey, rankCommands } from '../utils/shortcuts';
+import { useFocusScope } from '../hooks/useFocusScope';
+
+/**
+ * PUBLIC_INTERFACE
+ * CommandPalette
+ * Ctrl/Cmd+K palette: fuzzy-search every command ({ id, label, run }) and run one with Enter or a
+ * click. Arrow keys move the selection, Escape closes. Each command shows its current shortcut.
+ * Focus stays inside while it is open and returns where it was when it closes.
+ */
+export default function CommandPalette({ commands, bindings, onClose }) {
+  const [query, setQuery] = useState('');
+  const [selected, setSelected] = useState(0);
+  const inputRef = useRef(null);
+  const listRef = useRef(null);
+  const dialogRef = useRef(null);
+
+  const results = useMemo(() => rankCommands(commands, query), [commands, query]);
+
+  useFocusScope(dialogRef, true, { trap: true, initialRef: inputRef });
+  useEffect(() => { setSelected(0); }, [query]);
+
+  // Keep the highlighted command in view while arrowing through a long list
+  useEffect(() => {
+    const item = listRef.current?.children[selected];
+    if (item && item.scrollIntoView) item.scrollIntoView({ block: 'nearest' });
+  }, [selected]);
+
+  const run = (command) => {
+    onClose();
+    command.run();
+  };
+
+  const onKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setSelected(i => Math.min(results.length - 1, i + 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setSelected(i => Math.max(0, i - 1));
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (results[selected]) run(results[selected]);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      onClose();
+    }
+  };
+
+  return (
+    <div className="overlay" onMouseDown={onClose}>
+      <div
+        ref={dialogRef}
+        className="palette"
+        role="dialog"
+        aria-modal="true"
+        aria-label="Command palette"
+        onMouseDown={e => e.stopPropagation()}
+      >
+        <input
+          ref={inputRef}
+          type="text"
+          className="palette-input"
+          placeholder="Type a command…"
+          aria-label="Search commands"
+          aria-controls="palette-results"
+          aria-activedescendant={results[selected] ? `palette-${results[selected].id}` : undefined}
+          value={query}
+          onChange={e => setQuery(e.target.value)}
+          onKeyDown={onKeyDown}
+        />
+        {results.length ? (
+          <ul id="palette-results" className="palette-list" role="listbox" aria-label="Commands" ref={listRef}>
+            {results.map((command, i) => (
+              <li
+                key={command.id}
+                id={`palette-${command.id}`}
+                role="option"
+                aria-selected={i === selected}
+                className={`palette-item${i === selected ? ' selected' : ''}`}
+                onMouseEnter={() => setSelected(i)}
+                onClick={() => run(command)}
+              >
+                <span>{command.label}</span>
+                {bindings[command.id] ? <kbd>{formatKey(bindings[command.id])}</kbd> : null}
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="panel-empty">No matching commands.</p>
+        )}
+      </div>
+    </div>
+  );
+}
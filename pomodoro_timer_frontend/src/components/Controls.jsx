@@ -3,20 +3,40 @@ import React from 'react';
 /**
  * PUBLIC_INTERFACE
  * Controls
- * Provides start, pause, resume, and reset buttons for the timer.
+ * Timer buttons for the current `status` (see usePomodoro), showing only what applies: Start
+ * when idle, Pause or Resume during a session, and while one is under way Reset, minus/plus a
+ * minute, Finish early (counts the session with the time spent) and Skip to the next session.
+ * A finished session waiting for the next one only offers Skip here; its prompt offers the rest.
+ * A session counting up (`countUp`, Flowtime) has no length to adjust: finishing it is how it
+ * ends, so Finish early becomes "Stop & take a break".
  */
-export default function Controls({ isRunning, onStart, onPause, onResume, onReset }) {
+export default function Controls({ status, countUp = false, onStart, onPause, onResume, onReset, onSkip, onAdjust, onFinish }) {
+  const inSession = status === 'running' || status === 'paused';
   return (
     <div className="controls" role="group" aria-label="Timer controls">
-      {!isRunning ? (
+      {status === 'idle' ? (
         <button className="btn" onClick={onStart} aria-label="Start timer">Start</button>
-      ) : (
+      ) : null}
+      {status === 'running' ? (
         <button className="btn secondary" onClick={onPause} aria-label="Pause timer">Pause</button>
-      )}
-      {!isRunning ? (
-        <button className="btn secondary" onClick={onResume} aria-label="Resume timer">Resume</button>
       ) : null}
-      <button className="btn danger" onClick={onReset} aria-label="Reset timer">Reset</button>
+      {status === 'paused' ? (
+        <button className="btn" onClick={onResume} aria-label="Resume timer">Resume</button>
+      ) : null}
+      {inSession && countUp ? (
+        <button className="btn" onClick={onFinish} aria-label="Stop focusing and take the earned break">Stop &amp; take a break</button>
+      ) : null}
+      {inSession && !countUp ? (
+        <>
+          <button className="btn secondary" onClick={() => onAdjust(-1)} aria-label="Remove a minute">−1 min</button>
+          <button className="btn secondary" onClick={() => onAdjust(1)} aria-label="Add a minute">+1 min</button>
+          <button className="btn secondary" onClick={onFinish} aria-label="Finish early and count the session">Finish early</button>
+        </>
+      ) : null}
+      <button className="btn secondary" onClick={onSkip} aria-label="Skip to the next session">Skip</button>
+      {inSession ? (
+        <button className="btn danger" onClick={onReset} aria-label="Reset timer">Reset</button>
+      ) : null}
     </div>
   );
 }
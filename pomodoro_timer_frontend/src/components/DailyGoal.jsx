@@ -0,0 +1,114 @@
+import React, { useMemo } from 'react';
+import { GOAL_UNITS, timeZoneList } from '../utils/goals';
+
+const HOURS = Array.from({ length: 24 }, (_, h) => h);
+
+/**
+ * PUBLIC_INTERFACE
+ * DailyGoal
+ * Daily goal panel: today's progress and the current and best streaks, the goal itself (sessions
+ * or minutes, when the day starts and in which time zone), and the last two weeks, where any day
+ * can be marked as a rest day so it does not break the streak. `today`, `streaks` and `days` come
+ * from useGoal.
+ */
+export default function DailyGoal({ goal, today, streaks, days, onChange, onToggleRestDay, onClose }) {
+  const unit = GOAL_UNITS.find(u => u.id === goal.unit);
+  const zones = useMemo(() => timeZoneList(), []);
+
+  return (
+    <section className="panel daily-goal" aria-label="Daily goal">
+      <div className="panel-header">
+        <h2>Daily goal</h2>
+        <button className="btn secondary" onClick={onClose} aria-label="Close daily goal">Close</button>
+      </div>
+
+      <div className="stat-tiles">
+        <Tile label="Today" value={`${today.value}/${today.target}`} hint={today.met ? 'goal met' : unit.short} />
+        <Tile label="Streak" value={dayCount(streaks.current)} hint={today.rest ? 'today is a rest day' : null} />
+        <Tile label="Best streak" value={dayCount(streaks.best)} />
+      </div>
+
+      <div className="goal-fields">
+        <label>
+          <span>Count</span>
+          <select value={goal.unit} onChange={e => onChange({ unit: e.target.value })}>
+            {GOAL_UNITS.map(u => <option key={u.id} value={u.id}>{u.label}</option>)}
+          </select>
+        </label>
+        <label>
+          <span>Goal per day</span>
+          <input
+            type="number"
+            min={unit.min}
+            max={unit.max}
+            step={unit.step}
+            value={goal.target}
+            onChange={e => { if (e.target.value !== '') onChange({ target: Number(e.target.value) }); }}
+          />
+        </label>
+        <label>
+          <span>Day starts at</span>
+          <select value={goal.dayStartHour} onChange={e => onChange({ dayStartHour: Number(e.target.value) })}>
+            {HOURS.map(h => <option key={h} value={h}>{`${h}:00`}</option>)}
+          </select>
+        </label>
+        <label>
+          <span>Time zone</span>
+          {zones.length ? (
+            <select value={goal.timeZone ?? ''} onChange={e => onChange({ timeZone: e.target.value || null })}>
+              <option value="">This device’s</option>
+              {zones.map(z => <option key={z} value={z}>{z.replace(/_/g, ' ')}</option>)}
+            </select>
+          ) : (
+            <input
+              type="text"
+              placeholder="This device’s"
+              defaultValue={goal.timeZone ?? ''}
+              onBlur={e => onChange({ timeZone: e.target.value.trim() || null })}
+            />
+          )}
+        </label>
+      </div>
+
+      <h3 className="goal-days-title">Last two weeks</h3>
+      <p className="panel-empty">Mark a day off as a rest day and it will not break your streak.</p>
+      <ul className="goal-days">
+        {days.map(d => (
+          <li key={d.day}>
+            <button
+              className="goal-day"
+              data-met={d.met}
+              aria-pressed={d.rest}
+              onClick={() => onToggleRestDay(d.day)}
+              aria-label={`${formatDay(d.day)}: ${d.value} ${unit.short}${d.met ? ', goal met' : ''}${d.rest ? ', rest day' : ''}. Toggle rest day`}
+              title={`${d.value} ${unit.short}`}
+            >
+              <span className="goal-day-name">{formatDay(d.day)}</span>
+              <span aria-hidden="true">{d.met ? '🌳' : d.rest ? '💤' : '·'}</span>
+            </button>
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
+
+function Tile({ label, value, hint }) {
+  return (
+    <div className="stat-tile">
+      <span className="stat-label">{label}</span>
+      <span className="stat-value">{value}</span>
+      {hint ? <span className="stat-hint">{hint}</span> : null}
+    </div>
+  );
+}
+
+function dayCount(n) {
+  return `${n} ${n === 1 ? 'day' : 'days'}`;
+}
+
+// 'Mon 4' for a 'YYYY-MM-DD' day key, whatever the device's time zone
+function formatDay(key) {
+  const [y, m, d] = key.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d)).toLocaleDateString([], { weekday: 'short', day: 'numeric', timeZone: 'UTC' });
+}
@@ -0,0 +1,45 @@
+import React from 'react';
+import { LIMITS } from '../utils/presets';
+
+/**
+ * PUBLIC_INTERFACE
+ * Flowtime
+ * Turns Flowtime on or off: focus sessions count up until you stop them, and earn one minute of
+ * break per `ratio` minutes of focus, kept between `minMinutes` and `maxMinutes`. Changes apply
+ * right away, even mid-session.
+ */
+export default function Flowtime({ enabled, ratio, minMinutes, maxMinutes, onChange }) {
+  const number = (name, value) => (
+    <input
+      type="number"
+      min={LIMITS[name].min}
+      max={LIMITS[name].max}
+      value={value}
+      onChange={e => {
+        const n = Number(e.target.value);
+        if (Number.isFinite(n) && e.target.value !== '') onChange({ [name]: n });
+      }}
+    />
+  );
+  return (
+    <div className="flowtime" role="group" aria-label="Flowtime">
+      <label>
+        <input type="checkbox" checked={enabled} onChange={e => onChange({ flowtime: e.target.checked })} />
+        Flowtime: focus until you stop
+      </label>
+      {enabled ? (
+        <div className="flowtime-fields">
+          <label>
+            Break 1 min per {number('flowBreakRatio', ratio)} min of focus
+          </label>
+          <label>
+            at least {number('flowBreakMinMinutes', minMinutes)} min
+          </label>
+          <label>
+            at most {number('flowBreakMaxMinutes', maxMinutes)} min
+          </label>
+        </div>
+      ) : null}
+    </div>
+  );
+}
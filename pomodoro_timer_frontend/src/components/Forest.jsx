@@ -0,0 +1,79 @@
+import React, { useMemo, useState } from 'react';
+import { PlantArt } from './Plant';
+import { forestFromHistory, forestRange, treesBetween } from '../utils/forest';
+import { MAX_ENTRIES } from '../utils/history';
+import { plantSpecies } from '../utils/plants';
+
+/**
+ * PUBLIC_INTERFACE
+ * Forest
+ * The grove grown from past focus sessions, browsable one day or one week at a time.
+ * Completed sessions stand as healthy trees; reset or abandoned ones as withered trees.
+ * Trees come from the session log, so the oldest ones go once the log is full.
+ */
+export default function Forest({ history, onClose }) {
+  const [view, setView] = useState('day'); // 'day' | 'week'
+  const [offset, setOffset] = useState(0);
+
+  const trees = useMemo(() => forestFromHistory(history), [history]);
+  const range = useMemo(() => forestRange(view, Date.now(), offset), [view, offset]);
+  const visible = useMemo(() => treesBetween(trees, range.from, range.to), [trees, range]);
+  const withered = visible.filter(t => t.withered).length;
+
+  const changeView = (next) => {
+    setView(next);
+    setOffset(0);
+  };
+
+  return (
+    <section className="panel forest" aria-label="Your forest">
+      <div className="panel-header">
+        <h2>Your forest</h2>
+        <button className="btn secondary" onClick={onClose} aria-label="Close forest">Close</button>
+      </div>
+
+      <div className="forest-nav" role="group" aria-label="Forest period">
+        <div className="segmented">
+          <button className={`btn ${view === 'day' ? '' : 'secondary'}`} aria-pressed={view === 'day'} onClick={() => changeView('day')}>Day</button>
+          <button className={`btn ${view === 'week' ? '' : 'secondary'}`} aria-pressed={view === 'week'} onClick={() => changeView('week')}>Week</button>
+        </div>
+        <button className="btn secondary" onClick={() => setOffset(o => o - 1)} aria-label={`Previous ${view}`}>‹</button>
+        <span className="forest-range">{formatRange(view, range)}</span>
+        <button className="btn secondary" onClick={() => setOffset(o => o + 1)} disabled={offset >= 0} aria-label={`Next ${view}`}>›</button>
+      </div>
+
+      <p className="forest-summary">
+        {visible.length - withered} {visible.length - withered === 1 ? 'tree' : 'trees'} grown
+        {withered ? `, ${withered} withered` : ''}
+      </p>
+
+      {visible.length ? (
+        <ul className="forest-grid">
+          {visible.map(t => (
+            <li
+              key={t.id}
+              className={`forest-tree${t.withered ? ' withered' : ''}`}
+              title={`${plantSpecies(t.species).label} • ${t.minutes} min • ${new Date(t.plantedAt).toLocaleString()}`}
+              aria-label={`${t.withered ? 'Withered' : 'Healthy'} ${plantSpecies(t.species).label.toLowerCase()}, ${t.minutes} minutes`}
+            >
+              <PlantArt species={t.species} seed={t.seed} />
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="panel-empty">Nothing planted in this {view} yet.</p>
+      )}
+
+      <p className="forest-note">
+        Your forest grows from your last {MAX_ENTRIES.toLocaleString()} sessions (fewer if the browser runs
+        out of storage); older trees make way for new ones.
+      </p>
+    </section>
+  );
+}
+
+function formatRange(view, { from, to }) {
+  const opts = { weekday: 'short', month: 'short', day: 'numeric' };
+  if (view === 'day') return new Date(from).toLocaleDateString(undefined, opts);
+  return `${new Date(from).toLocaleDateString(undefined, opts)} – ${new Date(to - 1).toLocaleDateString(undefined, opts)}`;
+}
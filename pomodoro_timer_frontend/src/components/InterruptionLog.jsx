@@ -0,0 +1,71 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { INTERRUPTION_KINDS } from '../utils/interruptions';
+
+/**
+ * PUBLIC_INTERFACE
+ * InterruptionLog
+ * One-tap capture of what broke the focus session in progress: "Distracted" (internal) or
+ * "Interrupted" (external). Each log opens a short form for an optional note and to correct the
+ * category; logs made from the keyboard open it too. Shows this session's tally.
+ */
+export default function InterruptionLog({ interruptions, onLog, onNote }) {
+  const [editing, setEditing] = useState(false);
+  const [note, setNote] = useState('');
+  const [kind, setKind] = useState('internal');
+  const countRef = useRef(interruptions.length);
+
+  // A new interruption (from the buttons or a shortcut) asks what it was
+  useEffect(() => {
+    if (interruptions.length > countRef.current) {
+      setKind(interruptions[interruptions.length - 1].kind);
+      setNote('');
+      setEditing(true);
+    }
+    if (!interruptions.length) setEditing(false);
+    countRef.current = interruptions.length;
+  }, [interruptions]);
+
+  const save = (e) => {
+    e.preventDefault();
+    onNote(note, kind);
+    setEditing(false);
+  };
+
+  const internal = interruptions.filter(i => i.kind === 'internal').length;
+  const external = interruptions.length - internal;
+
+  return (
+    <div className="interruption-log" role="group" aria-label="Log an interruption">
+      <div className="interruption-actions">
+        {INTERRUPTION_KINDS.map(k => (
+          <button key={k.id} className="btn secondary" onClick={() => onLog(k.id)} title={k.hint}>
+            {k.label}
+          </button>
+        ))}
+        {interruptions.length ? (
+          <span className="interruption-count" aria-live="polite">
+            This session: {internal} distracted • {external} interrupted
+          </span>
+        ) : null}
+      </div>
+      {editing ? (
+        <form className="interruption-form" onSubmit={save}>
+          <input
+            type="text"
+            value={note}
+            onChange={e => setNote(e.target.value)}
+            placeholder="What was it? (optional)"
+            maxLength={140}
+            aria-label="Interruption note"
+            autoFocus
+          />
+          <select value={kind} onChange={e => setKind(e.target.value)} aria-label="Interruption category">
+            {INTERRUPTION_KINDS.map(k => <option key={k.id} value={k.id}>{k.label} ({k.hint.toLowerCase()})</option>)}
+          </select>
+          <button className="btn" type="submit">Save</button>
+          <button className="btn secondary" type="button" onClick={() => setEditing(false)}>Skip</button>
+        </form>
+      ) : null}
+    </div>
+  );
+}
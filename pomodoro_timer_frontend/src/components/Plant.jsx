@@ -1,81 +1,104 @@
-import React, { useMemo } from 'react';
+import React, { memo, useMemo } from 'react';
+import { growPlant, plantStage } from '../utils/plants';
+
+// Leaf outlines along +x from the point where they attach, one unit long
+const LEAF_SHAPES = {
+  oval: 'M0 0 Q 0.5 -0.35 1 0 Q 0.5 0.35 0 0 Z',
+  round: 'M0 0 C 0.1 -0.6 0.9 -0.6 1 0 C 0.9 0.6 0.1 0.6 0 0 Z',
+  blade: 'M0 0 Q 0.5 -0.14 1 0 Q 0.5 0.14 0 0 Z',
+  needle: 'M0 0 L 1 0',
+};
 
 /**
  * PUBLIC_INTERFACE
  * Plant
- * Displays an SVG plant that scales and subtly animates as the session progresses.
+ * Displays this session's plant (utils/plants) growing with `progress`: stem segments, then
+ * branches and leaves, then flowers or fruit. The same `species` and `seed` always grow the same
+ * plant. The artwork is built once per plant; each tick only updates the `--growth` custom
+ * property, and CSS reveals every part from its own birth time (see `.plant-art` in App.css).
  */
-export default function Plant({ progress, species = 'fern', mode = 'focus' }) {
-  const scale = useMemo(() => 0.6 + 0.6 * Math.min(1, Math.max(0, progress)), [progress]);
+export default function Plant({ progress, species = 'sapling', seed = 0, mode = 'focus' }) {
+  const growth = Math.min(1, Math.max(0, progress));
 
   return (
     <div className="plant-wrap" aria-hidden="true">
       <div
         className="plant"
         data-mode={mode}
-        style={{ transform: `scale(${scale}) translateY(${(1 - progress) * 4}px)` }}
+        data-stage={plantStage(species, growth)}
+        style={{ '--growth': growth }}
       >
-        {renderSpecies(species)}
+        <PlantArt species={species} seed={seed} />
       </div>
     </div>
   );
 }
 
-function renderSpecies(species) {
-  switch (species) {
-    case 'fern':
-      return (
-        <svg viewBox="0 0 200 200" width="100%" height="100%">
-          <g transform="translate(100,180)">
-            <path d="M0 0 C -4 -30 -6 -90 0 -140 C 6 -90 4 -30 0 0 Z" fill="#2E7D6B"/>
-            {Array.from({ length: 8 }).map((_, i) => {
-              const y = -20 - i * 14;
-              const w = 10 + i * 5;
-              return (
-                <g key={i}>
-                  <path d={`M0 ${y} q -${w} -6 -${w*1.4} -12`} stroke="#3F8F6B" strokeWidth="4" fill="none" strokeLinecap="round"/>
-                  <path d={`M0 ${y} q ${w} -6 ${w*1.4} -12`} stroke="#3F8F6B" strokeWidth="4" fill="none" strokeLinecap="round"/>
-                </g>
-              );
-            })}
-          </g>
-        </svg>
-      );
-    case 'sprout':
-      return (
-        <svg viewBox="0 0 200 200" width="100%" height="100%">
-          <g transform="translate(100,180)">
-            <rect x="-3" y="-80" width="6" height="80" fill="#2E7D6B" rx="3"/>
-            <ellipse cx="-12" cy="-78" rx="16" ry="10" fill="#8CC7A2"/>
-            <ellipse cx="12" cy="-78" rx="16" ry="10" fill="#8CC7A2"/>
+/**
+ * PUBLIC_INTERFACE
+ * PlantArt
+ * The SVG artwork of a `species` plant grown from `seed`, fully grown unless an ancestor sets
+ * `--growth` (0..1). Its colors come from the theme (see the `.plant-art` rules in App.css).
+ */
+export const PlantArt = memo(function PlantArt({ species, seed }) {
+  const plant = useMemo(() => growPlant(species, seed), [species, seed]);
+  const { leaf, bloom } = plant.species;
+  const grows = (part) => ({ '--born': part.born, '--span': part.span });
+
+  return (
+    <svg className="plant-art" viewBox="0 0 200 200" width="100%" height="100%" focusable="false">
+      <ellipse className="plant-seed" cx="100" cy="186" rx="5" ry="3.5" />
+      <g className={plant.species.stem}>
+        {plant.stems.map((s, i) => (
+          <path
+            key={i}
+            className="plant-part plant-stem"
+            d={`M${s.x1} ${s.y1} L${s.x2} ${s.y2}`}
+            pathLength="1"
+            strokeWidth={s.width}
+            style={grows(s)}
+          />
+        ))}
+      </g>
+      <g className={leaf.shape === 'needle' ? 'needle' : `leaf-${leaf.tone}`}>
+        {plant.leaves.map((l, i) => (
+          <g key={i} transform={`translate(${l.x} ${l.y}) rotate(${l.rotate}) scale(${l.size})`}>
+            <path className="plant-part plant-leaf" d={LEAF_SHAPES[leaf.shape]} style={grows(l)} />
           </g>
-        </svg>
-      );
-    case 'bamboo':
-      return (
-        <svg viewBox="0 0 200 200" width="100%" height="100%">
-          <g transform="translate(100,180)">
-            {Array.from({ length: 4 }).map((_, i) => (
-              <g key={i} transform={`translate(${(i - 1.5) * 16},0)`}>
-                <rect x="-3" y="-140" width="6" height="140" fill="#4E9E7B" rx="3"/>
-                {Array.from({ length: 5 }).map((__, j) => (
-                  <ellipse key={j} cx="0" cy={-110 + j * 28} rx="8" ry="4" fill="#3F8F6B" />
-                ))}
+        ))}
+      </g>
+      {bloom ? (
+        <g className={`bloom-${bloom.tone}`}>
+          {plant.blooms.map((b, i) => (
+            <g key={i} transform={`translate(${b.x} ${b.y}) rotate(${bloom.kind === 'fruit' ? 0 : b.rotate}) scale(${b.size})`}>
+              <g className="plant-part plant-bloom" style={grows(b)}>
+                {bloom.kind === 'fruit' ? <Fruit /> : <Flower petals={bloom.petals} />}
               </g>
-            ))}
-          </g>
-        </svg>
-      );
-    case 'sapling':
-    default:
-      return (
-        <svg viewBox="0 0 200 200" width="100%" height="100%">
-          <g transform="translate(100,180)">
-            <path d="M0 0 C -2 -40 -2 -80 0 -120 C 2 -80 2 -40 0 0 Z" fill="#2E7D6B"/>
-            <path d="M0 -110 C -26 -110 -26 -90 0 -90" fill="#8CC7A2"/>
-            <path d="M0 -90 C 26 -90 26 -70 0 -70" fill="#8CC7A2"/>
-          </g>
-        </svg>
-      );
-  }
+            </g>
+          ))}
+        </g>
+      ) : null}
+    </svg>
+  );
+});
+
+function Flower({ petals }) {
+  return (
+    <>
+      {Array.from({ length: petals }, (_, i) => (
+        <ellipse key={i} className="petal" cx="0.9" cy="0" rx="0.9" ry="0.45" transform={`rotate(${(360 / petals) * i})`} />
+      ))}
+      <circle className="bloom-heart" r="0.5" />
+    </>
+  );
+}
+
+// Fruit hangs below the twig whichever way the twig points
+function Fruit() {
+  return (
+    <>
+      <path className="fruit-stalk" d="M0 0 L 0 0.4" />
+      <circle className="fruit" cx="0" cy="1.2" r="1" />
+    </>
+  );
 }
@@ -0,0 +1,189 @@
+import React, { useState } from 'react';
+import { LIMITS, describePreset, presetToJson } from '../utils/presets';
+
+/**
+ * PUBLIC_INTERFACE
+ * Presets
+ * Preset panel: switch between named presets (built-in cycles such as "Classic 25/5" and the
+ * user's own), build sequences of labelled intervals, save the current durations as a preset,
+ * and share presets as JSON (copy out, paste in).
+ */
+export default function Presets({ presets, activePresetId, current, disabled, onApply, onSave, onDelete, onImport, onClose }) {
+  const [editor, setEditor] = useState(null); // null | { id, name, steps }
+  const [saveName, setSaveName] = useState('');
+  const [json, setJson] = useState('');
+  const [message, setMessage] = useState('');
+
+  const share = (preset) => {
+    const text = presetToJson(preset);
+    setJson(text);
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      navigator.clipboard.writeText(text).then(
+        () => setMessage(`Copied “${preset.name}” to the clipboard.`),
+        () => setMessage('Copy the JSON below to share it.')
+      );
+    } else {
+      setMessage('Copy the JSON below to share it.');
+    }
+  };
+
+  const importJson = () => {
+    const preset = onImport(json);
+    setMessage(preset ? `Added “${preset.name}”.` : 'That does not look like a Forest Focus preset.');
+    if (preset) setJson('');
+  };
+
+  const saveCurrent = (e) => {
+    e.preventDefault();
+    if (!saveName.trim()) return;
+    onSave(saveName, current);
+    setSaveName('');
+  };
+
+  const saveEditor = (e) => {
+    e.preventDefault();
+    if (!editor.name.trim() || !editor.steps.length) return;
+    onSave(editor.name, { sequence: editor.steps }, editor.id);
+    setEditor(null);
+  };
+
+  const updateStep = (index, patch) => {
+    setEditor(ed => ({ ...ed, steps: ed.steps.map((step, i) => (i === index ? { ...step, ...patch } : step)) }));
+  };
+
+  return (
+    <section className="panel presets" aria-label="Presets">
+      <div className="panel-header">
+        <h2>Presets</h2>
+        <button className="btn secondary" onClick={onClose} aria-label="Close presets">Close</button>
+      </div>
+
+      <ul className="preset-list">
+        {presets.map(preset => (
+          <li key={preset.id} className={`preset${preset.id === activePresetId ? ' active' : ''}`}>
+            <span className="preset-name">
+              {preset.name}
+              <span className="preset-summary">{describePreset(preset)}</span>
+            </span>
+            <span className="task-actions">
+              <button
+                className="link-btn"
+                onClick={() => onApply(preset)}
+                disabled={disabled || preset.id === activePresetId}
+                aria-label={`Use ${preset.name}`}
+              >
+                {preset.id === activePresetId ? 'In use' : 'Use'}
+              </button>
+              <button className="icon-btn" onClick={() => share(preset)} aria-label={`Share ${preset.name} as JSON`}>⇪</button>
+              {!preset.builtIn && preset.sequence ? (
+                <button
+                  className="icon-btn"
+                  onClick={() => setEditor({ id: preset.id, name: preset.name, steps: preset.sequence })}
+                  aria-label={`Edit ${preset.name}`}
+                >
+                  ✎
+                </button>
+              ) : null}
+              {!preset.builtIn ? (
+                <button className="icon-btn" onClick={() => onDelete(preset.id)} aria-label={`Delete ${preset.name}`}>🗑</button>
+              ) : null}
+            </span>
+          </li>
+        ))}
+      </ul>
+      {disabled ? <p className="panel-empty">Pause or reset the timer to switch presets.</p> : null}
+
+      <form className="task-form preset-save" onSubmit={saveCurrent}>
+        <input
+          type="text"
+          placeholder="Save current durations as…"
+          aria-label="Preset name"
+          value={saveName}
+          onChange={e => setSaveName(e.target.value)}
+        />
+        <button className="btn" type="submit" aria-label="Save current durations as a preset">Save</button>
+      </form>
+
+      {editor ? (
+        <form className="sequence-editor" onSubmit={saveEditor} aria-label="Sequence editor">
+          <input
+            type="text"
+            placeholder="Sequence name"
+            aria-label="Sequence name"
+            value={editor.name}
+            onChange={e => setEditor(ed => ({ ...ed, name: e.target.value }))}
+          />
+          <ol className="sequence-steps">
+            {editor.steps.map((step, i) => (
+              <li key={i} className="sequence-step">
+                <input
+                  type="text"
+                  aria-label={`Interval ${i + 1} label`}
+                  value={step.label}
+                  onChange={e => updateStep(i, { label: e.target.value })}
+                />
+                <input
+                  type="number"
+                  min={LIMITS.stepMinutes.min}
+                  max={LIMITS.stepMinutes.max}
+                  aria-label={`Interval ${i + 1} minutes`}
+                  value={step.minutes}
+                  onChange={e => updateStep(i, { minutes: Number(e.target.value) })}
+                />
+                <select
+                  aria-label={`Interval ${i + 1} kind`}
+                  value={step.mode}
+                  onChange={e => updateStep(i, { mode: e.target.value })}
+                >
+                  <option value="focus">Focus</option>
+                  <option value="break">Break</option>
+                  <option value="longBreak">Long break</option>
+                </select>
+                <button
+                  type="button"
+                  className="icon-btn"
+                  onClick={() => setEditor(ed => ({ ...ed, steps: ed.steps.filter((_, j) => j !== i) }))}
+                  disabled={editor.steps.length <= LIMITS.steps.min}
+                  aria-label={`Remove interval ${i + 1}`}
+                >
+                  ✕
+                </button>
+              </li>
+            ))}
+          </ol>
+          <div className="controls">
+            <button
+              type="button"
+              className="btn secondary"
+              onClick={() => setEditor(ed => ({ ...ed, steps: [...ed.steps, { label: 'Focus', minutes: 25, mode: 'focus' }] }))}
+              disabled={editor.steps.length >= LIMITS.steps.max}
+            >
+              Add interval
+            </button>
+            <button type="submit" className="btn">Save sequence</button>
+            <button type="button" className="btn secondary" onClick={() => setEditor(null)}>Cancel</button>
+          </div>
+        </form>
+      ) : (
+        <button
+          className="link-btn"
+          onClick={() => setEditor({ id: null, name: '', steps: [{ label: 'Focus', minutes: 25, mode: 'focus' }, { label: 'Break', minutes: 5, mode: 'break' }] })}
+        >
+          New interval sequence
+        </button>
+      )}
+
+      <div className="preset-share">
+        <textarea
+          rows={4}
+          placeholder="Paste a shared preset (JSON) here"
+          aria-label="Preset JSON"
+          value={json}
+          onChange={e => setJson(e.target.value)}
+        />
+        <button className="btn secondary" onClick={importJson} disabled={!json.trim()}>Import</button>
+      </div>
+      {message ? <p className="panel-empty" role="status">{message}</p> : null}
+    </section>
+  );
+}
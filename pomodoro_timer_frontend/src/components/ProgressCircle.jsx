@@ -1,39 +1,93 @@
 import React from 'react';
 
+// The daily goal ring: its thickness and the gap between it and the session ring
+const GOAL_STROKE = 5;
+const GOAL_GAP = 4;
+
 /**
  * PUBLIC_INTERFACE
  * ProgressCircle
- * Renders a circular progress indicator using SVG with an optional overlay (children).
+ * Renders a circular progress indicator using SVG with an optional overlay (children). The ring
+ * is exposed as a progressbar (`label` names it); the overlay stays readable on its own.
+ * With `goal` ({ fraction, label, met }) a thin second ring around it shows the daily goal, as a
+ * progressbar of its own.
  */
-export default function ProgressCircle({ progress, size = 260, strokeWidth = 12, children, mode = 'focus' }) {
-  const radius = (size - strokeWidth) / 2;
+export default function ProgressCircle({ progress, size = 260, strokeWidth = 12, children, mode = 'focus', label = 'Session progress', goal = null }) {
+  const outer = goal ? GOAL_STROKE + GOAL_GAP : 0;
+  const radius = (size - strokeWidth) / 2 - outer;
   const circumference = 2 * Math.PI * radius;
   const offset = circumference * (1 - Math.min(1, Math.max(0, progress)));
+  const percent = Math.round(Math.min(1, Math.max(0, progress)) * 100);
 
   return (
-    <div className="progress-ring" data-mode={mode} aria-label={`Progress ${Math.round(progress * 100)} percent`}>
-      <svg width={size} height={size} viewBox={`0 0 ${size} ${size}`} role="img" aria-hidden="true">
-        <circle
-          className="bg"
-          cx={size / 2}
-          cy={size / 2}
-          r={radius}
-          strokeWidth={strokeWidth}
-          fill="none"
-        />
+    <div className="progress-ring" data-mode={mode}>
+      <div
+        className="progress-track"
+        role="progressbar"
+        aria-label={label}
+        aria-valuemin={0}
+        aria-valuemax={100}
+        aria-valuenow={percent}
+        aria-valuetext={`${percent} percent`}
+      >
+        <svg width={size} height={size} viewBox={`0 0 ${size} ${size}`} aria-hidden="true" focusable="false">
+          <circle
+            className="bg"
+            cx={size / 2}
+            cy={size / 2}
+            r={radius}
+            strokeWidth={strokeWidth}
+            fill="none"
+          />
+          <circle
+            className="fg"
+            cx={size / 2}
+            cy={size / 2}
+            r={radius}
+            strokeWidth={strokeWidth}
+            fill="none"
+            strokeDasharray={circumference}
+            strokeDashoffset={offset}
+            strokeLinecap="round"
+          />
+        </svg>
+      </div>
+      {goal ? <GoalRing goal={goal} size={size} /> : null}
+      {children}
+    </div>
+  );
+}
+
+function GoalRing({ goal, size }) {
+  const radius = (size - GOAL_STROKE) / 2;
+  const circumference = 2 * Math.PI * radius;
+  const fraction = Math.min(1, Math.max(0, goal.fraction));
+  const percent = Math.round(fraction * 100);
+  return (
+    <div
+      className="goal-track"
+      data-met={Boolean(goal.met)}
+      role="progressbar"
+      aria-label="Daily goal"
+      aria-valuemin={0}
+      aria-valuemax={100}
+      aria-valuenow={percent}
+      aria-valuetext={goal.label}
+    >
+      <svg width={size} height={size} viewBox={`0 0 ${size} ${size}`} aria-hidden="true" focusable="false">
+        <circle className="goal-bg" cx={size / 2} cy={size / 2} r={radius} strokeWidth={GOAL_STROKE} fill="none" />
         <circle
-          className="fg"
+          className="goal-fg"
           cx={size / 2}
           cy={size / 2}
           r={radius}
-          strokeWidth={strokeWidth}
+          strokeWidth={GOAL_STROKE}
           fill="none"
           strokeDasharray={circumference}
-          strokeDashoffset={offset}
+          strokeDashoffset={circumference * (1 - fraction)}
           strokeLinecap="round"
         />
       </svg>
-      {children}
     </div>
   );
 }
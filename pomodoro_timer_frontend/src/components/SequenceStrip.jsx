@@ -0,0 +1,26 @@
+import React from 'react';
+
+/**
+ * PUBLIC_INTERFACE
+ * SequenceStrip
+ * Shows the intervals of the active sequence with the current one highlighted, so you can see
+ * where you are in it ("Interval 2 of 5").
+ */
+export default function SequenceStrip({ sequence, step }) {
+  if (!sequence || !sequence.length) return null;
+  return (
+    <div className="sequence-strip" aria-label={`Interval ${step + 1} of ${sequence.length}: ${sequence[step]?.label}`}>
+      <ol>
+        {sequence.map((interval, i) => (
+          <li
+            key={i}
+            className={`sequence-chip ${interval.mode}${i === step ? ' current' : ''}${i < step ? ' done' : ''}`}
+            aria-current={i === step ? 'step' : undefined}
+          >
+            {interval.label} <span className="sequence-minutes">{interval.minutes}′</span>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
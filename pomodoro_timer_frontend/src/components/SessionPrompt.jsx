@@ -0,0 +1,35 @@
+import React, { useEffect, useState } from 'react';
+
+/**
+ * PUBLIC_INTERFACE
+ * SessionPrompt
+ * Shown when a session finished and the next one waits to be started (auto-start is off for it):
+ * says what finished and what is next, counts the idle time since, and offers to start the next
+ * session, extend the finished one, or skip the break that is up next.
+ */
+export default function SessionPrompt({ finishedLabel, finishedAt, nextLabel, extendMinutes, onStart, onExtend, onSkipBreak }) {
+  const [now, setNow] = useState(() => Date.now());
+
+  // Minutes are enough for the idle counter
+  useEffect(() => {
+    const id = setInterval(() => setNow(Date.now()), IDLE_REFRESH_MS);
+    return () => clearInterval(id);
+  }, []);
+
+  const idleMinutes = Math.max(0, Math.floor((now - finishedAt) / 60000));
+
+  return (
+    <div className="session-prompt" role="status" aria-label="Session finished">
+      <p className="session-prompt-title">
+        {finishedLabel} finished{idleMinutes ? ` • idle for ${idleMinutes} min` : ''}
+      </p>
+      <div className="session-prompt-actions">
+        <button className="btn" onClick={onStart}>Start {nextLabel.toLowerCase()}</button>
+        <button className="btn secondary" onClick={onExtend}>Extend +{extendMinutes} min</button>
+        {onSkipBreak ? <button className="btn secondary" onClick={onSkipBreak}>Skip break</button> : null}
+      </div>
+    </div>
+  );
+}
+
+const IDLE_REFRESH_MS = 15000;
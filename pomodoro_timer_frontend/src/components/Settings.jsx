@@ -1,38 +1,64 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
+import { LIMITS } from '../utils/presets';
 
 /**
  * PUBLIC_INTERFACE
  * Settings
- * Renders inputs for focus and break durations (in minutes) and an apply button.
+ * Renders inputs for focus, break and long break durations (in minutes), the long break
+ * cadence (every N focus sessions) and an apply button. The "Apply durations" command (a
+ * 'pomodoro-apply-settings' window event) applies the form too. Values are clamped to LIMITS by
+ * usePomodoro.setDurations; the inputs only hint at the bounds. Durations can be changed during a
+ * session: it keeps the time already spent.
  */
-export default function Settings({ focusMinutes, breakMinutes, onChange, disabled }) {
+export default function Settings({ focusMinutes, breakMinutes, longBreakMinutes, longBreakEvery, onChange, disabled }) {
   const [focus, setFocus] = useState(focusMinutes);
   const [brk, setBrk] = useState(breakMinutes);
+  const [longBrk, setLongBrk] = useState(longBreakMinutes);
+  const [every, setEvery] = useState(longBreakEvery);
 
   useEffect(() => { setFocus(focusMinutes); }, [focusMinutes]);
   useEffect(() => { setBrk(breakMinutes); }, [breakMinutes]);
+  useEffect(() => { setLongBrk(longBreakMinutes); }, [longBreakMinutes]);
+  useEffect(() => { setEvery(longBreakEvery); }, [longBreakEvery]);
 
   const apply = () => {
-    const f = clamp(focus, 5, 120);
-    const b = clamp(brk, 1, 60);
-    onChange(f, b);
+    // Show what was actually applied when a value was out of bounds
+    const applied = onChange(focus, brk, longBrk, every);
+    if (applied) {
+      setFocus(applied.focusMinutes);
+      setBrk(applied.breakMinutes);
+      setLongBrk(applied.longBreakMinutes);
+      setEvery(applied.longBreakEvery);
+    }
   };
 
+  const applyRef = useRef(apply);
+  applyRef.current = apply;
+  useEffect(() => {
+    const onApply = () => { if (!disabled) applyRef.current(); };
+    window.addEventListener('pomodoro-apply-settings', onApply);
+    return () => window.removeEventListener('pomodoro-apply-settings', onApply);
+  }, [disabled]);
+
   return (
     <div className="settings" aria-label="Timer settings">
       <label>
         <span>Focus (min)</span>
-        <input type="number" min={5} max={120} value={focus} onChange={e => setFocus(Number(e.target.value))} disabled={disabled} />
+        <input type="number" min={LIMITS.focusMinutes.min} max={LIMITS.focusMinutes.max} value={focus} onChange={e => setFocus(Number(e.target.value))} disabled={disabled} />
       </label>
       <label>
         <span>Break (min)</span>
-        <input type="number" min={1} max={60} value={brk} onChange={e => setBrk(Number(e.target.value))} disabled={disabled} />
+        <input type="number" min={LIMITS.breakMinutes.min} max={LIMITS.breakMinutes.max} value={brk} onChange={e => setBrk(Number(e.target.value))} disabled={disabled} />
+      </label>
+      <label>
+        <span>Long break (min)</span>
+        <input type="number" min={LIMITS.longBreakMinutes.min} max={LIMITS.longBreakMinutes.max} value={longBrk} onChange={e => setLongBrk(Number(e.target.value))} disabled={disabled} />
+      </label>
+      <label>
+        <span>Long break every</span>
+        <input type="number" min={LIMITS.longBreakEvery.min} max={LIMITS.longBreakEvery.max} value={every} onChange={e => setEvery(Number(e.target.value))} disabled={disabled} aria-label="Long break every N focus sessions" />
       </label>
       <button className="btn" onClick={apply} disabled={disabled} aria-label="Apply durations">Apply</button>
     </div>
   );
 }
-
-function clamp(n, min, max) {
-  return Math.max(min, Math.min(max, Number.isFinite(n) ? n : min));
-}
@@ -0,0 +1,81 @@
+import React, { useRef, useState } from 'react';
+import { SHORTCUT_ACTIONS, formatKey, keyFromEvent } from '../utils/shortcuts';
+import { useFocusScope } from '../hooks/useFocusScope';
+
+/**
+ * PUBLIC_INTERFACE
+ * ShortcutHelp
+ * Help overlay listing every keyboard shortcut. "Change" records the next key pressed as the new
+ * binding (Escape cancels, Backspace unbinds); "Reset to defaults" restores the original keys.
+ * Focus stays inside while it is open and returns where it was when it closes.
+ */
+export default function ShortcutHelp({ bindings, onRebind, onReset, onClose }) {
+  const [recording, setRecording] = useState(null);
+  const closeRef = useRef(null);
+  const dialogRef = useRef(null);
+
+  useFocusScope(dialogRef, true, { trap: true, initialRef: closeRef });
+
+  const onKeyDown = (e) => {
+    if (recording) {
+      e.preventDefault();
+      e.stopPropagation();
+      if (e.key === 'Escape') {
+        setRecording(null);
+        return;
+      }
+      if (e.key === 'Backspace' || e.key === 'Delete') {
+        onRebind(recording, null);
+        setRecording(null);
+        return;
+      }
+      const key = keyFromEvent(e);
+      if (!key || key === 'Tab' || key === 'Shift+Tab') return;
+      onRebind(recording, key);
+      setRecording(null);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      onClose();
+    }
+  };
+
+  return (
+    <div className="overlay" onMouseDown={onClose}>
+      <section
+        ref={dialogRef}
+        className="panel shortcut-help"
+        role="dialog"
+        aria-modal="true"
+        aria-label="Keyboard shortcuts"
+        onMouseDown={e => e.stopPropagation()}
+        onKeyDown={onKeyDown}
+      >
+        <div className="panel-header">
+          <h2>Keyboard shortcuts</h2>
+          <button ref={closeRef} className="btn secondary" onClick={onClose} aria-label="Close keyboard shortcuts">Close</button>
+        </div>
+        <ul className="shortcut-list">
+          {SHORTCUT_ACTIONS.map(action => (
+            <li key={action.id} className="shortcut">
+              <span>{action.label}</span>
+              <kbd aria-live={recording === action.id ? 'polite' : undefined}>
+                {recording === action.id ? 'Press a key…' : formatKey(bindings[action.id])}
+              </kbd>
+              <button
+                className="link-btn"
+                onClick={() => setRecording(r => (r === action.id ? null : action.id))}
+                aria-label={`Change shortcut for ${action.label}`}
+              >
+                {recording === action.id ? 'Cancel' : 'Change'}
+              </button>
+            </li>
+          ))}
+        </ul>
+        <p className="panel-empty">
+          While changing a shortcut, press the new key, Backspace to remove it, or Escape to cancel.
+          {' '}<button className="link-btn" onClick={onReset}>Reset to defaults</button>
+        </p>
+      </section>
+    </div>
+  );
+}
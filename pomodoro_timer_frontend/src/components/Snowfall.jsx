@@ -0,0 +1,38 @@
+import React, { useMemo } from 'react';
+
+/**
+ * PUBLIC_INTERFACE
+ * Snowfall
+ * Renders a set of animated snowflakes that sway down the screen (the winter counterpart of Leaves).
+ */
+export default function Snowfall({ count = 24 }) {
+  const flakes = useMemo(() => {
+    return Array.from({ length: count }).map((_, i) => {
+      const left = Math.random() * 100;
+      const duration = 10 + Math.random() * 10;
+      const delay = Math.random() * -20;
+      const sway = (Math.random() * 10 - 5).toFixed(1) + 'vw';
+      const size = 3 + Math.random() * 5;
+      return { id: i, left, duration, delay, sway, size };
+    });
+  }, [count]);
+
+  return (
+    <div className="snowfall" aria-hidden="true">
+      {flakes.map(f => (
+        <div
+          key={f.id}
+          className="snowflake"
+          style={{
+            left: f.left + '%',
+            width: f.size + 'px',
+            height: f.size + 'px',
+            animationDuration: f.duration + 's',
+            animationDelay: f.delay + 's',
+            '--sway': f.sway,
+          }}
+        />
+      ))}
+    </div>
+  );
+}
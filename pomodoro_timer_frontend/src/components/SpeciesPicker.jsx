@@ -0,0 +1,20 @@
+import React from 'react';
+import { plantSpecies } from '../utils/plants';
+
+/**
+ * PUBLIC_INTERFACE
+ * SpeciesPicker
+ * Picks the plant the next focus session grows: one of the unlocked species in `pool`, or
+ * 'random' for a surprise. The session in progress keeps its plant.
+ */
+export default function SpeciesPicker({ value, pool, onChange }) {
+  return (
+    <label className="species-picker">
+      <span>Next plant</span>
+      <select value={value} onChange={e => onChange(e.target.value)}>
+        <option value="random">Surprise me</option>
+        {pool.map(id => <option key={id} value={id}>{plantSpecies(id).label}</option>)}
+      </select>
+    </label>
+  );
+}
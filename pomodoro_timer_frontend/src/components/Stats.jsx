@@ -0,0 +1,125 @@
+import React, { useMemo } from 'react';
+import { startOfWeek, summarizeHistory } from '../utils/stats';
+import { INTERRUPTION_KINDS, interruptionReport, sessionInterruptions } from '../utils/interruptions';
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+// Focus sessions listed in the interruption report
+const RECENT_SESSIONS = 5;
+
+/**
+ * PUBLIC_INTERFACE
+ * Stats
+ * Statistics dashboard computed from the session history: focus minutes for today, this week
+ * and this month, the day streak, a weekday-by-hour heatmap of focus time, and this week's
+ * interruption report (what broke focus most often, and per session for the latest ones).
+ */
+export default function Stats({ history, onClose }) {
+  const summary = useMemo(() => summarizeHistory(history), [history]);
+  const max = useMemo(() => Math.max(1, ...summary.heatmap.flat()), [summary]);
+  const week = useMemo(() => interruptionReport(history, startOfWeek(Date.now())), [history]);
+  const recent = useMemo(() => history.filter(s => s.mode === 'focus').slice(-RECENT_SESSIONS).reverse(), [history]);
+
+  return (
+    <section className="panel stats" aria-label="Focus statistics">
+      <div className="panel-header">
+        <h2>Your focus</h2>
+        <button className="btn secondary" onClick={onClose} aria-label="Close statistics">Close</button>
+      </div>
+
+      <div className="stat-tiles">
+        <Tile label="Today" value={formatMinutes(summary.todayMinutes)} hint={`${summary.todaySessions} sessions`} />
+        <Tile label="This week" value={formatMinutes(summary.weekMinutes)} />
+        <Tile label="This month" value={formatMinutes(summary.monthMinutes)} />
+        <Tile label="Streak" value={`${summary.streak} ${summary.streak === 1 ? 'day' : 'days'}`} />
+        <Tile label="Idle today" value={formatMinutes(summary.todayIdleMinutes)} hint="between sessions" />
+      </div>
+
+      <div className="heatmap" role="table" aria-label="Focus minutes by weekday and hour">
+        {summary.heatmap.map((row, d) => (
+          <div className="heatmap-row" role="row" key={WEEKDAYS[d]}>
+            <span className="heatmap-label" role="rowheader">{WEEKDAYS[d]}</span>
+            {row.map((minutes, h) => (
+              <span
+                key={h}
+                role="cell"
+                className="heatmap-cell"
+                style={{ opacity: minutes ? 0.2 + 0.8 * (minutes / max) : 0.06 }}
+                title={`${WEEKDAYS[d]} ${h}:00 • ${minutes} min`}
+                aria-label={`${WEEKDAYS[d]} ${h}:00, ${minutes} minutes`}
+              />
+            ))}
+          </div>
+        ))}
+        <div className="heatmap-hours" aria-hidden="true">
+          <span />
+          {[0, 6, 12, 18].map(h => <span key={h} style={{ gridColumn: `${h + 2} / span 6` }}>{h}:00</span>)}
+        </div>
+      </div>
+
+      <div className="interruption-report" aria-label="Interruptions this week">
+        <h3>Interruptions this week</h3>
+        <div className="stat-tiles">
+          <Tile label="Distracted" value={week.internal} hint="my mind wandered" />
+          <Tile label="Interrupted" value={week.external} hint="someone or something else" />
+          <Tile label="Interrupted sessions" value={`${week.interrupted} / ${week.sessions}`} />
+          <Tile label="Paused" value={formatMinutes(week.pausedMinutes)} hint={`${week.pauses} pauses`} />
+        </div>
+        {week.reasons.length ? (
+          <ol className="interruption-reasons" aria-label="What breaks your focus most often">
+            {week.reasons.map(r => (
+              <li key={`${r.kind}:${r.note}`}>
+                <span>{r.note}</span>
+                <span className="stat-hint">{kindLabel(r.kind)} • {r.count}×</span>
+              </li>
+            ))}
+          </ol>
+        ) : null}
+        {recent.length ? (
+          <ul className="interruption-sessions" aria-label="Recent focus sessions">
+            {recent.map(s => <SessionRow key={s.id ?? s.startedAt} session={s} />)}
+          </ul>
+        ) : null}
+      </div>
+
+      {history.length === 0 ? (
+        <p className="panel-empty">No sessions yet. Finish a focus session to start your log.</p>
+      ) : null}
+    </section>
+  );
+}
+
+function Tile({ label, value, hint }) {
+  return (
+    <div className="stat-tile">
+      <span className="stat-label">{label}</span>
+      <span className="stat-value">{value}</span>
+      {hint ? <span className="stat-hint">{hint}</span> : null}
+    </div>
+  );
+}
+
+function SessionRow({ session }) {
+  const counts = sessionInterruptions(session);
+  const when = new Date(session.startedAt).toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+  const notes = (session.interruptions || []).map(i => i.note).filter(Boolean);
+  return (
+    <li>
+      <span>{when} • {Math.round((session.actualMs || 0) / 60000)} min</span>
+      <span className="stat-hint">
+        {counts.total ? `${counts.internal} distracted, ${counts.external} interrupted` : 'No interruptions'}
+        {counts.pauses ? ` • ${counts.pauses} ${counts.pauses === 1 ? 'pause' : 'pauses'}` : ''}
+        {notes.length ? ` • ${notes.join(', ')}` : ''}
+      </span>
+    </li>
+  );
+}
+
+function kindLabel(kind) {
+  return INTERRUPTION_KINDS.find(k => k.id === kind)?.label ?? kind;
+}
+
+function formatMinutes(total) {
+  const h = Math.floor(total / 60);
+  const m = total % 60;
+  return h ? `${h}h ${m}m` : `${m}m`;
+}
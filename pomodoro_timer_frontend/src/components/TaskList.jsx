@@ -0,0 +1,104 @@
+import React, { useState } from 'react';
+
+/**
+ * PUBLIC_INTERFACE
+ * TaskList
+ * Task manager panel: add tasks with a pomodoro estimate, pick the active one, reorder,
+ * complete and archive them. Shows completed vs. estimated pomodoros per task.
+ */
+export default function TaskList({ tasks, activeTaskId, onAdd, onSelect, onReorder, onDone, onArchive, onClose }) {
+  const [title, setTitle] = useState('');
+  const [estimate, setEstimate] = useState(1);
+  const [showArchived, setShowArchived] = useState(false);
+
+  const open = tasks.filter(t => !t.archived);
+  const archived = tasks.filter(t => t.archived);
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (!title.trim()) return;
+    onAdd(title, estimate);
+    setTitle('');
+    setEstimate(1);
+  };
+
+  return (
+    <section className="panel tasks" aria-label="Tasks">
+      <div className="panel-header">
+        <h2>Tasks</h2>
+        <button className="btn secondary" onClick={onClose} aria-label="Close tasks">Close</button>
+      </div>
+
+      <form className="task-form" onSubmit={submit}>
+        <input
+          type="text"
+          placeholder="What are you working on?"
+          aria-label="Task title"
+          value={title}
+          onChange={e => setTitle(e.target.value)}
+        />
+        <input
+          type="number"
+          min={1}
+          max={20}
+          aria-label="Estimated pomodoros"
+          value={estimate}
+          onChange={e => setEstimate(Number(e.target.value))}
+        />
+        <button className="btn" type="submit" aria-label="Add task">Add</button>
+      </form>
+
+      {open.length ? (
+        <ol className="task-list">
+          {open.map((t, i) => (
+            <li key={t.id} className={`task${t.done ? ' done' : ''}${t.id === activeTaskId ? ' active' : ''}`}>
+              <label className="task-select">
+                <input
+                  type="radio"
+                  name="active-task"
+                  checked={t.id === activeTaskId}
+                  disabled={t.done}
+                  onChange={() => onSelect(t.id)}
+                  aria-label={`Work on ${t.title}`}
+                />
+                <span className="task-title">{t.title}</span>
+              </label>
+              <span className="task-count" aria-label={`${t.completedPomodoros} of ${t.estimate} pomodoros`}>
+                {t.completedPomodoros}/{t.estimate} 🍅
+              </span>
+              <span className="task-actions">
+                <button className="icon-btn" onClick={() => onReorder(t.id, -1)} disabled={i === 0} aria-label={`Move ${t.title} up`}>↑</button>
+                <button className="icon-btn" onClick={() => onReorder(t.id, 1)} disabled={i === open.length - 1} aria-label={`Move ${t.title} down`}>↓</button>
+                <button className="icon-btn" onClick={() => onDone(t.id, !t.done)} aria-label={t.done ? `Reopen ${t.title}` : `Complete ${t.title}`}>{t.done ? '↺' : '✓'}</button>
+                <button className="icon-btn" onClick={() => onArchive(t.id, true)} aria-label={`Archive ${t.title}`}>🗄</button>
+              </span>
+            </li>
+          ))}
+        </ol>
+      ) : (
+        <p className="panel-empty">No tasks yet. Add one, then pick it before you start.</p>
+      )}
+
+      {archived.length ? (
+        <div className="task-archive">
+          <button className="link-btn" onClick={() => setShowArchived(v => !v)} aria-expanded={showArchived}>
+            {showArchived ? 'Hide' : 'Show'} archived ({archived.length})
+          </button>
+          {showArchived ? (
+            <ul className="task-list archived">
+              {archived.map(t => (
+                <li key={t.id} className="task">
+                  <span className="task-title">{t.title}</span>
+                  <span className="task-count">{t.completedPomodoros}/{t.estimate} 🍅</span>
+                  <span className="task-actions">
+                    <button className="icon-btn" onClick={() => onArchive(t.id, false)} aria-label={`Restore ${t.title}`}>↩</button>
+                  </span>
+                </li>
+              ))}
+            </ul>
+          ) : null}
+        </div>
+      ) : null}
+    </section>
+  );
+}
@@ -0,0 +1,25 @@
+import React from 'react';
+
+/**
+ * PUBLIC_INTERFACE
+ * TaskPicker
+ * Compact select for choosing which open task the next focus session is credited to.
+ */
+export default function TaskPicker({ tasks, activeTaskId, onSelect }) {
+  const open = tasks.filter(t => !t.archived && !t.done);
+  if (!open.length) return null;
+
+  return (
+    <label className="task-picker">
+      <span>Working on</span>
+      <select value={activeTaskId || ''} onChange={e => onSelect(e.target.value || null)} aria-label="Active task">
+        <option value="">No task</option>
+        {open.map(t => (
+          <option key={t.id} value={t.id}>
+            {t.title} ({t.completedPomodoros}/{t.estimate})
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
@@ -0,0 +1,55 @@
+import React from 'react';
+import { NIGHT_MODES, THEMES } from '../utils/themes';
+import { unlockedBy } from '../utils/achievements';
+
+/**
+ * PUBLIC_INTERFACE
+ * ThemePicker
+ * Theme panel: follow the calendar (the season's forest, and the night forest as chosen) or pick
+ * a theme, including high contrast. `theme` is the theme in effect. Themes in `locked` are earned
+ * with an achievement first.
+ */
+export default function ThemePicker({ theme, prefs, locked = [], onChoose, onNightModeChange, onClose }) {
+  const isAuto = prefs.choice === 'auto';
+  return (
+    <section className="panel theme-picker" aria-label="Theme">
+      <div className="panel-header">
+        <h2>Theme</h2>
+        <button className="btn secondary" onClick={onClose} aria-label="Close theme">Close</button>
+      </div>
+
+      <fieldset className="theme-choices">
+        <legend>Look</legend>
+        <label className="theme-choice">
+          <input type="radio" name="theme" value="auto" checked={isAuto} onChange={() => onChoose('auto')} />
+          <span>Follow the calendar{isAuto ? ` (now: ${theme.label.toLowerCase()})` : ''}</span>
+        </label>
+        {THEMES.map(t => {
+          const by = locked.includes(t.id) ? unlockedBy('theme', t.id) : null;
+          return (
+            <label key={t.id} className="theme-choice" data-locked={Boolean(by)}>
+              <input
+                type="radio"
+                name="theme"
+                value={t.id}
+                checked={prefs.choice === t.id}
+                disabled={Boolean(by)}
+                onChange={() => onChoose(t.id)}
+              />
+              <span className="theme-swatch" data-swatch={t.id} aria-hidden="true" />
+              <span>{t.label}</span>
+              {by ? <span className="theme-lock">🔒 Unlock with {by.label}</span> : null}
+            </label>
+          );
+        })}
+      </fieldset>
+
+      <label className="theme-night">
+        <span>Night forest</span>
+        <select value={prefs.night} onChange={e => onNightModeChange(e.target.value)} disabled={!isAuto}>
+          {NIGHT_MODES.map(m => <option key={m.id} value={m.id}>{m.label}</option>)}
+        </select>
+      </label>
+    </section>
+  );
+}
@@ -0,0 +1,41 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { dueAnnouncement, dueElapsedAnnouncement, spokenDuration } from '../utils/accessibility';
+
+/**
+ * PUBLIC_INTERFACE
+ * TimerAnnouncer
+ * Visually hidden live region that tells screen readers what the timer is doing without reading
+ * every second: when a session starts, pauses, resumes or finishes, and the remaining time at the
+ * marks chosen in the accessibility settings (`settings`, see utils/accessibility). A session that
+ * counts up (`countUp`, Flowtime) announces the time spent (`elapsedMs`) instead.
+ */
+export default function TimerAnnouncer({ remainingMs, elapsedMs = 0, countUp = false, status, sessionLabel, settings }) {
+  const [message, setMessage] = useState('');
+  const previous = useRef({ remainingMs, elapsedMs, status, sessionLabel });
+
+  useEffect(() => {
+    const before = previous.current;
+    previous.current = { remainingMs, elapsedMs, status, sessionLabel };
+    const left = countUp ? `${spokenDuration(elapsedMs)} in` : `${spokenDuration(remainingMs)} left`;
+    if (sessionLabel !== before.sessionLabel && status === 'running') {
+      setMessage(`${sessionLabel} started, ${left}`);
+    } else if (status !== before.status) {
+      if (status === 'running') setMessage(`${sessionLabel} ${before.status === 'paused' ? 'resumed' : 'started'}, ${left}`);
+      else if (status === 'paused') setMessage(`Paused with ${left}`);
+      else if (status === 'completed') setMessage(`${sessionLabel} is up next. Start it when you are ready.`);
+      else if (status === 'idle' && before.status !== 'completed') setMessage(countUp ? 'Timer reset' : `Timer reset to ${spokenDuration(remainingMs)}`);
+    } else if (status === 'running' && countUp) {
+      const mark = dueElapsedAnnouncement(settings, before.elapsedMs, elapsedMs);
+      if (mark !== null) setMessage(`${spokenDuration(mark)} in`);
+    } else if (status === 'running') {
+      const mark = dueAnnouncement(settings, before.remainingMs, remainingMs);
+      if (mark !== null) setMessage(`${spokenDuration(mark)} left`);
+    }
+  }, [remainingMs, elapsedMs, countUp, status, sessionLabel, settings]);
+
+  return (
+    <div className="visually-hidden" role="status" aria-live="polite" aria-atomic="true">
+      {message}
+    </div>
+  );
+}
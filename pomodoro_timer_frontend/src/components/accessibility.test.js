@@ -0,0 +1,157 @@
+import React from 'react';
+import { render } from '@testing-library/react';
+import { axe, toHaveNoViolations } from 'jest-axe';
+import { DEFAULT_ALERTS } from '../utils/alerts';
+import { DEFAULT_A11Y } from '../utils/accessibility';
+import { BUILT_IN_PRESETS } from '../utils/presets';
+import { BUILT_IN_MIXES } from '../utils/soundscape';
+import { DEFAULT_THEME, resolveTheme } from '../utils/themes';
+import { DEFAULT_GOAL, goalProgress, goalStreaks, recentDays } from '../utils/goals';
+import { DEFAULT_BREAK_PREFS } from '../utils/breakActivities';
+import { loadBindings } from '../utils/shortcuts';
+import { ACHIEVEMENTS, achievementProgress, achievementStats, lockedRewards } from '../utils/achievements';
+import AccessibilitySettings from './AccessibilitySettings';
+import Achievements from './Achievements';
+import AchievementToasts from './AchievementToasts';
+import AlertSettings from './AlertSettings';
+import AmbienceToggle from './AmbienceToggle';
+import AutoStart from './AutoStart';
+import Backup from './Backup';
+import BreakActivity from './BreakActivity';
+import CommandPalette from './CommandPalette';
+import Controls from './Controls';
+import DailyGoal from './DailyGoal';
+import Flowtime from './Flowtime';
+import Forest from './Forest';
+import InterruptionLog from './InterruptionLog';
+import Leaves from './Leaves';
+import Plant from './Plant';
+import Presets from './Presets';
+import ProgressCircle from './ProgressCircle';
+import SequenceStrip from './SequenceStrip';
+import SessionPrompt from './SessionPrompt';
+import SpeciesPicker from './SpeciesPicker';
+import Settings from './Settings';
+import ShortcutHelp from './ShortcutHelp';
+import Snowfall from './Snowfall';
+import Stats from './Stats';
+import TaskList from './TaskList';
+import TaskPicker from './TaskPicker';
+import ThemePicker from './ThemePicker';
+import TimerAnnouncer from './TimerAnnouncer';
+
+expect.extend(toHaveNoViolations);
+
+const noop = () => {};
+const now = Date.now();
+const tasks = [
+  { id: 't1', title: 'Write the report', estimate: 3, completedPomodoros: 1, done: false, archived: false },
+  { id: 't2', title: 'Review slides', estimate: 1, completedPomodoros: 1, done: true, archived: false },
+];
+const history = [
+  {
+    id: 's1', mode: 'focus', startedAt: now - 30 * 60000, endedAt: now - 5 * 60000, plannedMs: 25 * 60000, actualMs: 25 * 60000,
+    pauseCount: 1, completed: true, species: 'fern', taskId: 't1', idleMs: 0, extension: false,
+    pauses: [{ at: now - 20 * 60000, ms: 60000 }], interruptions: [{ at: now - 15 * 60000, kind: 'external', note: 'Phone' }],
+  },
+];
+const unlocked = { 'first-session': now };
+const sequence = BUILT_IN_PRESETS.find(p => p.sequence).sequence;
+
+// Each component on its own, with the props App gives it
+const components = {
+  AccessibilitySettings: <AccessibilitySettings a11y={DEFAULT_A11Y} onChange={noop} onClose={noop} />,
+  Achievements: (
+    <Achievements
+      achievements={achievementProgress(unlocked, achievementStats(history))}
+      locked={lockedRewards(unlocked)}
+      nextSpecies="random"
+      onPickSpecies={noop}
+      onClose={noop}
+    />
+  ),
+  AchievementToasts: <AchievementToasts toasts={[ACHIEVEMENTS[0]]} onDismiss={noop} />,
+  AlertSettings: <AlertSettings alerts={DEFAULT_ALERTS} onVolumeChange={noop} onModeChange={noop} onPreview={noop} onClose={noop} />,
+  AmbienceToggle: (
+    <AmbienceToggle
+      isMuted={false}
+      isAmbientOn
+      onToggleMute={noop}
+      onToggleAmbient={noop}
+      volume={0.6}
+      onVolumeChange={noop}
+      levels={BUILT_IN_MIXES[0].levels}
+      onLevelChange={noop}
+      mixes={BUILT_IN_MIXES}
+      mixId={BUILT_IN_MIXES[0].id}
+      onApplyMix={noop}
+      onSaveMix={noop}
+      onDeleteMix={noop}
+      modeMixes={null}
+      onModeMixChange={noop}
+      lockedLayers={lockedRewards(unlocked).layers}
+    />
+  ),
+  AutoStart: <AutoStart autoStartBreaks autoStartFocus={false} onChange={noop} />,
+  Backup: <Backup history={history} tasks={tasks} onClose={noop} />,
+  BreakActivity: (
+    <BreakActivity prefs={{ ...DEFAULT_BREAK_PREFS, activity: 'breathe-box' }} onPrefsChange={noop} breakMs={5 * 60000} elapsedMs={0} running={false} onCue={noop} />
+  ),
+  BreakRoutine: (
+    <BreakActivity prefs={{ ...DEFAULT_BREAK_PREFS, activity: 'eye-rest' }} onPrefsChange={noop} breakMs={5 * 60000} elapsedMs={30000} running={false} onCue={noop} />
+  ),
+  CommandPalette: <CommandPalette commands={[{ id: 'toggle', label: 'Start / pause timer', run: noop }]} bindings={loadBindings()} onClose={noop} />,
+  Controls: <Controls status="running" onStart={noop} onPause={noop} onResume={noop} onReset={noop} onSkip={noop} onAdjust={noop} onFinish={noop} />,
+  DailyGoal: (
+    <DailyGoal
+      goal={DEFAULT_GOAL}
+      today={goalProgress(history, DEFAULT_GOAL)}
+      streaks={goalStreaks(history, DEFAULT_GOAL)}
+      days={recentDays(history, DEFAULT_GOAL)}
+      onChange={noop}
+      onToggleRestDay={noop}
+      onClose={noop}
+    />
+  ),
+  Flowtime: <Flowtime enabled ratio={5} minMinutes={2} maxMinutes={30} onChange={noop} />,
+  Forest: <Forest history={history} onClose={noop} />,
+  InterruptionLog: <InterruptionLog interruptions={history[0].interruptions} onLog={noop} onNote={noop} />,
+  Leaves: <Leaves count={3} />,
+  Plant: <Plant progress={0.4} species="bamboo" seed={1700000000000} />,
+  Presets: (
+    <Presets
+      presets={BUILT_IN_PRESETS}
+      activePresetId="classic"
+      current={{ focusMinutes: 25, breakMinutes: 5, longBreakMinutes: 15, longBreakEvery: 4, sequence: null }}
+      disabled={false}
+      onApply={noop}
+      onSave={noop}
+      onDelete={noop}
+      onImport={noop}
+      onClose={noop}
+    />
+  ),
+  ProgressCircle: (
+    <ProgressCircle progress={0.25} goal={{ fraction: 0.5, met: false, label: '4 of 8 sessions today' }}>
+      <span>12:00</span>
+    </ProgressCircle>
+  ),
+  SequenceStrip: <SequenceStrip sequence={sequence} step={1} />,
+  SessionPrompt: (
+    <SessionPrompt finishedLabel="Focus" finishedAt={now} nextLabel="Break" extendMinutes={5} onStart={noop} onExtend={noop} onSkipBreak={noop} />
+  ),
+  Settings: <Settings focusMinutes={25} breakMinutes={5} longBreakMinutes={15} longBreakEvery={4} onChange={noop} />,
+  ShortcutHelp: <ShortcutHelp bindings={loadBindings()} onRebind={noop} onReset={noop} onClose={noop} />,
+  Snowfall: <Snowfall count={3} />,
+  SpeciesPicker: <SpeciesPicker value="random" pool={['sapling', 'fern']} onChange={noop} />,
+  Stats: <Stats history={history} onClose={noop} />,
+  TaskList: <TaskList tasks={tasks} activeTaskId="t1" onAdd={noop} onSelect={noop} onReorder={noop} onDone={noop} onArchive={noop} onClose={noop} />,
+  TaskPicker: <TaskPicker tasks={tasks} activeTaskId="t1" onSelect={noop} />,
+  ThemePicker: <ThemePicker theme={resolveTheme(DEFAULT_THEME)} prefs={DEFAULT_THEME} locked={lockedRewards(unlocked).themes} onChoose={noop} onNightModeChange={noop} onClose={noop} />,
+  TimerAnnouncer: <TimerAnnouncer remainingMs={12 * 60000} status="running" sessionLabel="Focus" settings={DEFAULT_A11Y} />,
+};
+
+test.each(Object.entries(components))('%s has no detectable accessibility violations', async (name, element) => {
+  const { container } = render(<main>{element}</main>);
+  expect(await axe(container)).toHaveNoViolations();
+});
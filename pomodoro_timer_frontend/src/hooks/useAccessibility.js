@@ -0,0 +1,35 @@
+import { useCallback, useEffect } from 'react';
+import { useMediaQuery } from './useMediaQuery';
+import { usePreference } from './usePreference';
+import { normalizeA11y, reducesMotion } from '../utils/accessibility';
+
+/**
+ * PUBLIC_INTERFACE
+ * useAccessibility
+ * React hook managing the accessibility settings (utils/accessibility): how often the remaining
+ * time is announced to screen readers and whether motion is reduced. Reduced motion is set as
+ * `data-motion="reduced"` on the document element, which App.css uses to stop animations.
+ * The settings are kept as the 'a11y' preference (see usePreference).
+ * Returns { a11y, reducedMotion, setA11y }.
+ */
+export function useAccessibility() {
+  const [a11y, setSettings] = usePreference('a11y', normalizeA11y);
+  const prefersReduced = useMediaQuery('(prefers-reduced-motion: reduce)');
+
+  const reducedMotion = reducesMotion(a11y.motion, prefersReduced);
+
+  useEffect(() => {
+    document.documentElement.dataset.motion = reducedMotion ? 'reduced' : 'full';
+  }, [reducedMotion]);
+
+  /**
+   * PUBLIC_INTERFACE
+   * setA11y
+   * Changes some of the settings, e.g. setA11y({ announceEvery: 10 }).
+   */
+  const setA11y = useCallback((changes) => {
+    setSettings(current => normalizeA11y({ ...current, ...changes }));
+  }, [setSettings]);
+
+  return { a11y, reducedMotion, setA11y };
+}
@@ -0,0 +1,110 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { usePreference } from './usePreference';
+import { STORAGE_KEYS, load, save } from '../utils/storage';
+import { loadHistory } from '../utils/history';
+import {
+  ACHIEVEMENTS,
+  achievementProgress,
+  achievementStats,
+  availableSpecies,
+  evaluateAchievements,
+  lockedRewards,
+  normalizePlantPrefs,
+  normalizeUnlocked,
+} from '../utils/achievements';
+
+// How long an unlock toast stays up
+const TOAST_MS = 8000;
+
+/**
+ * PUBLIC_INTERFACE
+ * useAchievements
+ * React hook managing achievements (utils/achievements) against the session log `history` and the
+ * daily `goal` (see useHistory and useGoal), and the plant to grow next. Milestones reached by
+ * past sessions, imports or other tabs unlock quietly; those reached by a session completing in
+ * this tab ('pomodoro-session-complete') also raise a toast. Unlock times persist in the
+ * 'achievements' storage namespace and stay in sync across tabs; the next plant is kept as the
+ * 'plants' preference (see usePreference).
+ * Returns { unlocked, locked, achievements, speciesPool, nextSpecies, setNextSpecies, toasts,
+ * dismissToast }.
+ */
+export function useAchievements(history, goal) {
+  const [unlocked, setUnlocked] = useState(() => normalizeUnlocked(load('achievements')));
+  const [plantPrefs, setPlantPrefs] = usePreference('plants', normalizePlantPrefs);
+  const [toasts, setToasts] = useState([]);
+  const goalRef = useRef(goal);
+  goalRef.current = goal;
+  const timers = useRef(new Set());
+
+  const stats = useMemo(() => achievementStats(history, goal), [history, goal]);
+
+  // Unlock whatever `currentStats` reaches, against what is stored now (another tab may be ahead)
+  const unlock = useCallback((currentStats) => {
+    const { unlocked: next, fresh } = evaluateAchievements(normalizeUnlocked(load('achievements')), currentStats);
+    if (!fresh.length) return [];
+    save('achievements', next);
+    setUnlocked(next);
+    return fresh;
+  }, []);
+
+  /**
+   * PUBLIC_INTERFACE
+   * dismissToast
+   * Closes the unlock toast of achievement `id`.
+   */
+  const dismissToast = useCallback((id) => {
+    setToasts(list => list.filter(t => t.id !== id));
+  }, []);
+
+  useEffect(() => {
+    unlock(stats);
+  }, [stats, unlock]);
+
+  // The session was recorded just before it completed, so the stored log already has it.
+  // Extra minutes added to a finished session are not a session of their own.
+  useEffect(() => {
+    const pending = timers.current;
+    const onComplete = (e) => {
+      if (e.detail?.extension) return;
+      const fresh = unlock(achievementStats(loadHistory(), goalRef.current));
+      if (!fresh.length) return;
+      setToasts(list => [...list, ...ACHIEVEMENTS.filter(a => fresh.includes(a.id))]);
+      fresh.forEach(id => {
+        const timer = setTimeout(() => {
+          pending.delete(timer);
+          dismissToast(id);
+        }, TOAST_MS);
+        pending.add(timer);
+      });
+    };
+    const reload = () => setUnlocked(normalizeUnlocked(load('achievements')));
+    const onStorage = (e) => { if (e.key === STORAGE_KEYS.achievements) reload(); };
+    window.addEventListener('pomodoro-session-complete', onComplete);
+    window.addEventListener('pomodoro-data-imported', reload);
+    window.addEventListener('storage', onStorage);
+    return () => {
+      window.removeEventListener('pomodoro-session-complete', onComplete);
+      window.removeEventListener('pomodoro-data-imported', reload);
+      window.removeEventListener('storage', onStorage);
+      pending.forEach(clearTimeout);
+      pending.clear();
+    };
+  }, [unlock, dismissToast]);
+
+  const locked = useMemo(() => lockedRewards(unlocked), [unlocked]);
+  const speciesPool = useMemo(() => availableSpecies(unlocked), [unlocked]);
+  const achievements = useMemo(() => achievementProgress(unlocked, stats), [unlocked, stats]);
+  // A picked species that is locked again (say after replacing everything from a backup) is random
+  const nextSpecies = speciesPool.includes(plantPrefs.next) ? plantPrefs.next : 'random';
+
+  /**
+   * PUBLIC_INTERFACE
+   * setNextSpecies
+   * Picks the species of the next focus session's plant, or 'random' for any unlocked one.
+   */
+  const setNextSpecies = useCallback((next) => {
+    setPlantPrefs(normalizePlantPrefs({ next }));
+  }, [setPlantPrefs]);
+
+  return { unlocked, locked, achievements, speciesPool, nextSpecies, setNextSpecies, toasts, dismissToast };
+}
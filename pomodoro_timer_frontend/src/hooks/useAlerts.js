@@ -0,0 +1,53 @@
+import { useCallback, useEffect, useState } from 'react';
+import { STORAGE_KEYS, load, save } from '../utils/storage';
+import { normalizeAlerts } from '../utils/alerts';
+
+/**
+ * PUBLIC_INTERFACE
+ * useAlerts
+ * React hook managing alert settings (utils/alerts): the alert volume and, per session mode, the
+ * chime style, the warning before the end, the halfway cue and whether the end chime repeats
+ * until acknowledged. They persist in the 'alerts' storage namespace and stay in sync across tabs.
+ * Returns { alerts, setAlertVolume, setModeAlert }.
+ */
+export function useAlerts() {
+  const [alerts, setAlerts] = useState(() => normalizeAlerts(load('alerts')));
+
+  useEffect(() => {
+    save('alerts', alerts);
+  }, [alerts]);
+
+  useEffect(() => {
+    const reload = () => setAlerts(normalizeAlerts(load('alerts')));
+    const onStorage = (e) => { if (e.key === STORAGE_KEYS.alerts) reload(); };
+    window.addEventListener('storage', onStorage);
+    window.addEventListener('pomodoro-data-imported', reload);
+    return () => {
+      window.removeEventListener('storage', onStorage);
+      window.removeEventListener('pomodoro-data-imported', reload);
+    };
+  }, []);
+
+  /**
+   * PUBLIC_INTERFACE
+   * setAlertVolume
+   * Sets the volume of chimes and cues (0..1), independent of the ambience volume.
+   */
+  const setAlertVolume = useCallback((volume) => {
+    setAlerts(current => normalizeAlerts({ ...current, volume }));
+  }, []);
+
+  /**
+   * PUBLIC_INTERFACE
+   * setModeAlert
+   * Changes some of one mode's alert settings, e.g. setModeAlert('focus', { warningMinutes: 5 }).
+   */
+  const setModeAlert = useCallback((mode, changes) => {
+    setAlerts(current => normalizeAlerts({
+      ...current,
+      modes: { ...current.modes, [mode]: { ...current.modes[mode], ...changes } },
+    }));
+  }, []);
+
+  return { alerts, setAlertVolume, setModeAlert };
+}
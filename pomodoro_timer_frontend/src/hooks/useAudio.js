@@ -1,49 +1,85 @@
 import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
-import { loadState, saveState } from '../utils/storage';
+import { load, save } from '../utils/storage';
+import { showSessionNotification } from '../utils/notify';
+import { createAudioEngine } from '../utils/audioEngine';
+import { DEFAULT_ALERTS } from '../utils/alerts';
+import {
+  BUILT_IN_MIXES,
+  DEFAULT_MIX_ID,
+  createMix,
+  modeMixGroup,
+  normalizeLevels,
+  normalizeMixes,
+  normalizeModeMixes,
+} from '../utils/soundscape';
+
+// No layer is locked unless the caller says so
+const NO_LAYERS = [];
 
 /**
  * PUBLIC_INTERFACE
  * useAudio
- * Manages a single AudioContext, ambient noise generation, volume/mute, and session end chimes.
- * Uses procedural audio (noise buffers and oscillators) to avoid external audio files.
+ * React adapter over the audio graph manager (utils/audioEngine): mute, the ambient soundscape
+ * and its volume, and alert chimes. Uses procedural audio (noise buffers and oscillators) to
+ * avoid external audio files. The soundscape mixes independent layers (utils/soundscape), each
+ * with its own level; mixes can be saved by name, and a mix chosen for focus or for breaks is
+ * switched to when `mode` changes. Chimes follow `alerts` (see useAlerts): their own volume, and a
+ * style per mode whose end chime can repeat until acknowledged. The breathing pacer's cues play at
+ * the alert volume too. Layers in `lockedLayers` (not unlocked yet, see useAchievements) stay
+ * silent whatever a mix says. Settings live in React state and
+ * are pushed to the engine, which is started by the first user gesture and disposed on unmount.
  */
-export function useAudio() {
-  const persisted = loadState();
-  const ctxRef = useRef(null);
-  const gainRef = useRef(null);
-  const ambientGainRef = useRef(null);
-  const ambientNodeRef = useRef(null);
+export function useAudio({ mode = null, alerts = DEFAULT_ALERTS, lockedLayers = NO_LAYERS } = {}) {
+  const [persisted] = useState(() => readAudio());
+  const [alarmRinging, setAlarmRinging] = useState(false);
+  const [engine] = useState(() => createAudioEngine({
+    state: { ...persisted, alertVolume: alerts.volume },
+    onAlarm: setAlarmRinging,
+  }));
+  const alertsRef = useRef(alerts);
+  alertsRef.current = alerts;
 
   const [initialized, setInitialized] = useState(false);
-  const [isMuted, setIsMuted] = useState(persisted?.soundMuted ?? false);
-  const [volume, setVolumeState] = useState(persisted?.volume ?? 0.6);
-  const [isAmbientOn, setAmbientOn] = useState(persisted?.ambientOn ?? false);
-
-  const ensureContext = useCallback(() => {
-    if (!ctxRef.current) {
-      const ctx = new (window.AudioContext || window.webkitAudioContext)();
-      const gain = ctx.createGain();
-      gain.gain.setValueAtTime(isMuted ? 0 : volume, ctx.currentTime);
-      gain.connect(ctx.destination);
-
-      const ambientGain = ctx.createGain();
-      ambientGain.gain.setValueAtTime(isMuted || !isAmbientOn ? 0 : volume * 0.25, ctx.currentTime);
-      ambientGain.connect(gain);
-
-      ctxRef.current = ctx;
-      gainRef.current = gain;
-      ambientGainRef.current = ambientGain;
-      setInitialized(true);
-    } else if (ctxRef.current.state === 'suspended') {
-      ctxRef.current.resume();
-    }
-  }, [isMuted, volume, isAmbientOn]);
-
-  // Persist audio-related preferences
+  const [isMuted, setIsMuted] = useState(persisted.muted);
+  const [volume, setVolumeState] = useState(persisted.volume);
+  const [isAmbientOn, setAmbientOn] = useState(persisted.ambientOn);
+  const [levels, setLevels] = useState(persisted.levels);
+  const [mixId, setMixId] = useState(persisted.mixId);
+  const [customMixes, setCustomMixes] = useState(persisted.mixes);
+  const [modeMixes, setModeMixes] = useState(persisted.modeMixes);
+
+  const mixes = useMemo(() => [...BUILT_IN_MIXES, ...customMixes], [customMixes]);
+  const mixesRef = useRef(mixes);
+  mixesRef.current = mixes;
+
+  // Browsers only allow audio after a user gesture, so every control starts the engine
+  const ensureStarted = useCallback(() => {
+    engine.start();
+    setInitialized(true);
+  }, [engine]);
+
+  useEffect(() => engine.setVolume(volume), [engine, volume]);
+  useEffect(() => engine.setAlertVolume(alerts.volume), [engine, alerts.volume]);
+  useEffect(() => engine.setMuted(isMuted), [engine, isMuted]);
+  useEffect(() => engine.setAmbient(isAmbientOn), [engine, isAmbientOn]);
+  useEffect(() => {
+    engine.setLevels(lockedLayers.length ? { ...levels, ...Object.fromEntries(lockedLayers.map(id => [id, 0])) } : levels);
+  }, [engine, levels, lockedLayers]);
+  useEffect(() => () => engine.dispose(), [engine]);
+
+  // Persist audio-related preferences (their own namespace, so no merging with the timer's state)
+  useEffect(() => {
+    save('audio', { muted: isMuted, volume, ambientOn: isAmbientOn, levels, mixId, mixes: customMixes, modeMixes });
+  }, [isMuted, volume, isAmbientOn, levels, mixId, customMixes, modeMixes]);
+
+  // Switch to the mix chosen for focus or breaks when the session mode changes
   useEffect(() => {
-    const current = loadState() || {};
-    saveState({ ...current, soundMuted: isMuted, volume, ambientOn: isAmbientOn });
-  }, [isMuted, volume, isAmbientOn]);
+    if (!mode) return;
+    const mix = mixesRef.current.find(m => m.id === modeMixes[modeMixGroup(mode)]);
+    if (!mix) return;
+    setLevels(normalizeLevels(mix.levels));
+    setMixId(mix.id);
+  }, [mode, modeMixes]);
 
   /**
    * PUBLIC_INTERFACE
@@ -51,10 +87,9 @@ export function useAudio() {
    * Mutes all app sounds.
    */
   const mute = useCallback(() => {
-    ensureContext();
+    ensureStarted();
     setIsMuted(true);
-    if (gainRef.current) gainRef.current.gain.setTargetAtTime(0, ctxRef.current.currentTime, 0.01);
-  }, [ensureContext]);
+  }, [ensureStarted]);
 
   /**
    * PUBLIC_INTERFACE
@@ -62,124 +97,186 @@ export function useAudio() {
    * Unmutes app sounds using the last volume.
    */
   const unmute = useCallback(() => {
-    ensureContext();
+    ensureStarted();
     setIsMuted(false);
-    if (gainRef.current) gainRef.current.gain.setTargetAtTime(volume, ctxRef.current.currentTime, 0.02);
-  }, [ensureContext, volume]);
+  }, [ensureStarted]);
 
   /**
    * PUBLIC_INTERFACE
    * setVolume
-   * Sets app volume (0..1)
+   * Sets the ambience volume (0..1); chimes have their own (see useAlerts).
    */
   const setVolume = useCallback((v) => {
-    ensureContext();
-    const clamped = Math.max(0, Math.min(1, v));
-    setVolumeState(clamped);
-    if (!isMuted && gainRef.current) {
-      gainRef.current.gain.setTargetAtTime(clamped, ctxRef.current.currentTime, 0.02);
-    }
-    if (ambientGainRef.current) {
-      ambientGainRef.current.gain.setTargetAtTime(isAmbientOn && !isMuted ? clamped * 0.25 : 0, ctxRef.current.currentTime, 0.02);
-    }
-  }, [ensureContext, isMuted, isAmbientOn]);
-
-  // Create/stop ambient noise (brown noise buffer loop)
-  const startAmbient = useCallback(() => {
-    ensureContext();
-    if (!ctxRef.current || !ambientGainRef.current) return;
-    if (ambientNodeRef.current) return;
-    const buffer = createBrownNoiseBuffer(ctxRef.current, 2); // seconds
-    const src = ctxRef.current.createBufferSource();
-    src.buffer = buffer;
-    src.loop = true;
-    src.connect(ambientGainRef.current);
-    src.start();
-    ambientNodeRef.current = src;
-
-    // Occasional soft bird chirps
-    scheduleBirds(ctxRef.current, ambientGainRef.current, () => !isAmbientOn || isMuted);
-  }, [ensureContext, isAmbientOn, isMuted]);
-
-  const stopAmbient = useCallback(() => {
-    if (ambientNodeRef.current) {
-      try { ambientNodeRef.current.stop(); } catch (e) { /* ignore */ }
-      ambientNodeRef.current.disconnect();
-      ambientNodeRef.current = null;
-    }
-  }, []);
+    ensureStarted();
+    setVolumeState(Math.max(0, Math.min(1, v)));
+  }, [ensureStarted]);
 
   /**
    * PUBLIC_INTERFACE
    * toggleAmbient
-   * Enable or disable background ambient noise.
+   * Enable or disable the ambient soundscape.
    */
   const toggleAmbient = useCallback((on) => {
-    ensureContext();
+    ensureStarted();
     setAmbientOn(Boolean(on));
-    if (ambientGainRef.current && ctxRef.current) {
-      ambientGainRef.current.gain.setTargetAtTime(on && !isMuted ? volume * 0.25 : 0, ctxRef.current.currentTime, 0.03);
-    }
-    if (on) startAmbient(); else stopAmbient();
-  }, [ensureContext, isMuted, volume, startAmbient, stopAmbient]);
+  }, [ensureStarted]);
+
+  /**
+   * PUBLIC_INTERFACE
+   * setLayerLevel
+   * Sets one soundscape layer's level (0..1). The mix becomes a custom one, and turning a layer
+   * up switches the ambience on.
+   */
+  const setLayerLevel = useCallback((id, value) => {
+    const level = Math.max(0, Math.min(1, Number(value) || 0));
+    setLevels(l => ({ ...l, [id]: level }));
+    setMixId(null);
+    if (level > 0) toggleAmbient(true);
+  }, [toggleAmbient]);
+
+  /**
+   * PUBLIC_INTERFACE
+   * applyMix
+   * Crossfades to a built-in or saved mix.
+   */
+  const applyMix = useCallback((id) => {
+    const mix = mixesRef.current.find(m => m.id === id);
+    if (!mix) return;
+    setLevels(normalizeLevels(mix.levels));
+    setMixId(mix.id);
+    toggleAmbient(true);
+  }, [toggleAmbient]);
+
+  /**
+   * PUBLIC_INTERFACE
+   * saveMix
+   * Saves the current layer levels as a named mix and returns it.
+   */
+  const saveMix = useCallback((name) => {
+    const mix = createMix(name, levels);
+    setCustomMixes(list => [...list, mix]);
+    setMixId(mix.id);
+    return mix;
+  }, [levels]);
+
+  /**
+   * PUBLIC_INTERFACE
+   * deleteMix
+   * Deletes a saved mix; the sound keeps playing as a custom mix.
+   */
+  const deleteMix = useCallback((id) => {
+    setCustomMixes(list => list.filter(m => m.id !== id));
+    setMixId(current => (current === id ? null : current));
+    setModeMixes(current => ({
+      focus: current.focus === id ? null : current.focus,
+      break: current.break === id ? null : current.break,
+    }));
+  }, []);
+
+  /**
+   * PUBLIC_INTERFACE
+   * setModeMix
+   * Chooses the mix to switch to when a 'focus' or 'break' session starts (null to keep the sound as is).
+   */
+  const setModeMix = useCallback((group, id) => {
+    setModeMixes(current => ({ ...current, [group]: id || null }));
+  }, []);
 
   /**
    * PUBLIC_INTERFACE
    * playChime
-   * Play a pleasant chime at session end. 'focus' -> uplifting; 'break' -> soothing.
+   * Play the chime for a session end: 'focus' -> uplifting; 'break' -> soothing; 'longBreak' ->
+   * a slower, fuller arpeggio announcing that a cycle earned a long break. It uses the style of
+   * the mode that ended (`endedMode`), and repeats until acknowledged if that mode asks for it.
+   * Also shows a notification with buttons to start the next session or snooze it.
+   */
+  const playChime = useCallback((type = 'focus', endedMode = type === 'longBreak' ? 'focus' : type) => {
+    // Notify even when muted (with start/snooze actions when the service worker is active)
+    showSessionNotification(
+      NOTIFICATION_BODIES[type] || NOTIFICATION_BODIES.focus,
+      NOTIFICATION_ACTIONS[type] || NOTIFICATION_ACTIONS.focus
+    );
+    ensureStarted();
+    const alert = alertsRef.current.modes[endedMode] || DEFAULT_ALERTS.modes.focus;
+    engine.playChime(alert.style, type, { repeat: alert.repeat });
+  }, [engine, ensureStarted]);
+
+  /**
+   * PUBLIC_INTERFACE
+   * playCue
+   * Play a softer cue during a session of `sessionMode`: 'warning' before the end or 'halfway',
+   * in that mode's chime style.
    */
-  const playChime = useCallback((type = 'focus') => {
-    ensureContext();
-    if (!ctxRef.current || isMuted) return;
-    const ctx = ctxRef.current;
-    const now = ctx.currentTime;
-
-    const notes = type === 'focus'
-      ? [440, 659.25, 880] // A4, E5, A5
-      : [392, 523.25];     // G4, C5
-
-    notes.forEach((freq, i) => {
-      const osc = ctx.createOscillator();
-      const gain = ctx.createGain();
-      const lpf = ctx.createBiquadFilter();
-      lpf.type = 'lowpass';
-      lpf.frequency.setValueAtTime(2000, now);
-
-      osc.frequency.setValueAtTime(freq, now + i * 0.15);
-      osc.type = 'sine';
-      gain.gain.setValueAtTime(0, now + i * 0.15);
-      gain.gain.linearRampToValueAtTime(0.5 * (1 - i * 0.15), now + i * 0.15 + 0.01);
-      gain.gain.exponentialRampToValueAtTime(0.0001, now + i * 0.15 + 0.75);
-
-      osc.connect(lpf);
-      lpf.connect(gain);
-      gain.connect(gainRef.current);
-
-      osc.start(now + i * 0.15);
-      osc.stop(now + i * 0.15 + 0.8);
-    });
-    // Also send notification if supported
-    if ('Notification' in window && Notification.permission === 'granted') {
-      const body = type === 'focus' ? 'Focus session complete. Time for a break 🌿' : 'Break over. Let’s grow again 🌱';
-      try { new Notification('Forest Focus', { body }); } catch (e) { /* ignore */ }
-    }
-  }, [ensureContext, isMuted]);
-
-  // Autostart ambient if persisted on and user interacts
+  const playCue = useCallback((cue, sessionMode = 'focus') => {
+    ensureStarted();
+    const alert = alertsRef.current.modes[sessionMode] || DEFAULT_ALERTS.modes.focus;
+    engine.playChime(alert.style, cue);
+  }, [engine, ensureStarted]);
+
+  /**
+   * PUBLIC_INTERFACE
+   * previewChime
+   * Play a chime `style` for `kind` once, without a notification (for the alert settings).
+   */
+  const previewChime = useCallback((style, kind = 'focus') => {
+    ensureStarted();
+    engine.playChime(style, kind);
+  }, [engine, ensureStarted]);
+
+  /**
+   * PUBLIC_INTERFACE
+   * playBreathCue
+   * Play the breathing pacer's soft cue for a phase ('in', 'hold' or 'out') lasting `seconds`.
+   */
+  const playBreathCue = useCallback((phase, seconds) => {
+    ensureStarted();
+    engine.playBreathCue(phase, seconds);
+  }, [engine, ensureStarted]);
+
+  /**
+   * PUBLIC_INTERFACE
+   * acknowledgeAlarm
+   * Stops a repeating end-of-session alarm.
+   */
+  const acknowledgeAlarm = useCallback(() => engine.stopAlarm(), [engine]);
+
+  // Any click or key press acknowledges a ringing alarm
+  useEffect(() => {
+    if (!alarmRinging) return undefined;
+    window.addEventListener('pointerdown', acknowledgeAlarm);
+    window.addEventListener('keydown', acknowledgeAlarm);
+    return () => {
+      window.removeEventListener('pointerdown', acknowledgeAlarm);
+      window.removeEventListener('keydown', acknowledgeAlarm);
+    };
+  }, [alarmRinging, acknowledgeAlarm]);
+
+  // An imported backup brings its own audio preferences (see utils/backup)
   useEffect(() => {
-    const onFirstInteraction = () => {
-      if (!initialized) ensureContext();
-      if (isAmbientOn && !isMuted) startAmbient();
-      window.removeEventListener('pointerdown', onFirstInteraction);
-      window.removeEventListener('keydown', onFirstInteraction);
+    const onImport = () => {
+      const next = readAudio();
+      setIsMuted(next.muted);
+      setVolumeState(next.volume);
+      setAmbientOn(next.ambientOn);
+      setLevels(next.levels);
+      setMixId(next.mixId);
+      setCustomMixes(next.mixes);
+      setModeMixes(next.modeMixes);
     };
-    window.addEventListener('pointerdown', onFirstInteraction, { once: true });
-    window.addEventListener('keydown', onFirstInteraction, { once: true });
+    window.addEventListener('pomodoro-data-imported', onImport);
+    return () => window.removeEventListener('pomodoro-data-imported', onImport);
+  }, []);
+
+  // Set up the graph on the first gesture anywhere, which starts the soundscape if it was left on
+  useEffect(() => {
+    if (initialized) return undefined;
+    window.addEventListener('pointerdown', ensureStarted, { once: true });
+    window.addEventListener('keydown', ensureStarted, { once: true });
     return () => {
-      window.removeEventListener('pointerdown', onFirstInteraction);
-      window.removeEventListener('keydown', onFirstInteraction);
+      window.removeEventListener('pointerdown', ensureStarted);
+      window.removeEventListener('keydown', ensureStarted);
     };
-  }, [ensureContext, initialized, isAmbientOn, isMuted, startAmbient]);
+  }, [ensureStarted, initialized]);
 
   return {
     initialized,
@@ -190,45 +287,50 @@ export function useAudio() {
     volume,
     isAmbientOn,
     toggleAmbient,
+    levels,
+    setLayerLevel,
+    mixes,
+    mixId,
+    applyMix,
+    saveMix,
+    deleteMix,
+    modeMixes,
+    setModeMix,
     playChime,
+    playCue,
+    previewChime,
+    playBreathCue,
+    alarmRinging,
+    acknowledgeAlarm,
   };
 }
 
-// Helper: generate brown noise buffer
-function createBrownNoiseBuffer(ctx, seconds = 2) {
-  const bufferSize = Math.floor(ctx.sampleRate * seconds);
-  const buffer = ctx.createBuffer(1, bufferSize, ctx.sampleRate);
-  const data = buffer.getChannelData(0);
-  let lastOut = 0.0;
-  for (let i = 0; i < bufferSize; i++) {
-    const white = Math.random() * 2 - 1;
-    data[i] = (lastOut + 0.02 * white) / 1.02;
-    lastOut = data[i];
-    data[i] *= 3.5; // gain
-  }
-  return buffer;
-}
+const NOTIFICATION_BODIES = {
+  focus: 'Focus session complete. Time for a break 🌿',
+  break: 'Break over. Let’s grow again 🌱',
+  longBreak: 'Cycle complete. Enjoy a long break 🌳',
+};
+
+// Notification buttons; clicks are handled in App (see utils/notify onNotificationAction)
+const SNOOZE_ACTION = { action: 'snooze', title: 'Snooze 5 min' };
+const NOTIFICATION_ACTIONS = {
+  focus: [{ action: 'start-break', title: 'Start break' }, SNOOZE_ACTION],
+  break: [{ action: 'start-focus', title: 'Start focus' }, SNOOZE_ACTION],
+  longBreak: [{ action: 'start-break', title: 'Start long break' }, SNOOZE_ACTION],
+};
 
-// Helper: schedule gentle bird chirps occasionally
-function scheduleBirds(ctx, destination, shouldStop) {
-  const schedule = () => {
-    if (shouldStop()) return;
-    const now = ctx.currentTime;
-    const when = now + 2 + Math.random() * 6; // between 2-8 seconds
-    const osc = ctx.createOscillator();
-    const gain = ctx.createGain();
-    const freq = 1200 + Math.random() * 800;
-    osc.type = 'sine';
-    osc.frequency.setValueAtTime(freq, when);
-    osc.frequency.exponentialRampToValueAtTime(freq * (0.6 + Math.random() * 0.2), when + 0.15);
-    gain.gain.setValueAtTime(0, when);
-    gain.gain.linearRampToValueAtTime(0.12, when + 0.02);
-    gain.gain.exponentialRampToValueAtTime(0.0001, when + 0.22);
-    osc.connect(gain);
-    gain.connect(destination);
-    osc.start(when);
-    osc.stop(when + 0.25);
-    setTimeout(schedule, (when - now + 4) * 1000);
+// The persisted audio state, with the mixer fields filled in (a fresh install plays the default mix)
+function readAudio() {
+  const stored = load('audio');
+  const hasLevels = stored.levels !== null;
+  const fallback = BUILT_IN_MIXES.find(m => m.id === DEFAULT_MIX_ID);
+  return {
+    muted: stored.muted,
+    volume: stored.volume,
+    ambientOn: stored.ambientOn,
+    levels: normalizeLevels(hasLevels ? stored.levels : fallback.levels),
+    mixId: hasLevels ? stored.mixId : DEFAULT_MIX_ID,
+    mixes: normalizeMixes(stored.mixes),
+    modeMixes: normalizeModeMixes(stored.modeMixes),
   };
-  schedule();
 }
@@ -0,0 +1,26 @@
+import { useCallback } from 'react';
+import { usePreference } from './usePreference';
+import { normalizeBreakPrefs } from '../utils/breakActivities';
+
+/**
+ * PUBLIC_INTERFACE
+ * useBreakActivity
+ * React hook managing the guided break preferences (utils/breakActivities): which activity every
+ * break offers ('none', 'random' or one of BREAK_ACTIVITIES) and whether the breathing pacer plays
+ * sound cues, kept as the 'breaks' preference (see usePreference).
+ * Returns { breakPrefs, setBreakPrefs }.
+ */
+export function useBreakActivity() {
+  const [breakPrefs, setPrefs] = usePreference('breaks', normalizeBreakPrefs);
+
+  /**
+   * PUBLIC_INTERFACE
+   * setBreakPrefs
+   * Changes some of the preferences, e.g. setBreakPrefs({ activity: 'random' }).
+   */
+  const setBreakPrefs = useCallback((changes) => {
+    setPrefs(current => normalizeBreakPrefs({ ...current, ...changes }));
+  }, [setPrefs]);
+
+  return { breakPrefs, setBreakPrefs };
+}
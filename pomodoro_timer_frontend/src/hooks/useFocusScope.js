@@ -0,0 +1,50 @@
+import { useEffect } from 'react';
+
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+/**
+ * PUBLIC_INTERFACE
+ * useFocusScope
+ * Keyboard focus management for panels and dialogs. While `active` is truthy, focus moves into
+ * `ref`'s element (to `initialRef` if given, otherwise to its first heading), and with `trap`
+ * Tab and Shift+Tab cycle inside it. When `active` changes or the scope goes away, focus returns
+ * to the element that had it before, unless the user has already moved it elsewhere.
+ */
+export function useFocusScope(ref, active, { trap = false, initialRef = null } = {}) {
+  useEffect(() => {
+    const container = ref.current;
+    if (!active || !container) return undefined;
+    const opener = document.activeElement;
+
+    if (!container.contains(document.activeElement)) {
+      const target = initialRef?.current || container.querySelector('h1, h2, h3');
+      if (target) {
+        if (!target.matches(FOCUSABLE)) target.setAttribute('tabindex', '-1');
+        target.focus();
+      }
+    }
+
+    const onKeyDown = (e) => {
+      if (e.key !== 'Tab') return;
+      const focusable = [...container.querySelectorAll(FOCUSABLE)];
+      if (!focusable.length) return;
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      if (e.shiftKey && (document.activeElement === first || !container.contains(document.activeElement))) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+      }
+    };
+    if (trap) document.addEventListener('keydown', onKeyDown);
+
+    return () => {
+      if (trap) document.removeEventListener('keydown', onKeyDown);
+      const current = document.activeElement;
+      const lost = !current || current === document.body || container.contains(current);
+      if (lost && opener && opener !== document.body && document.contains(opener)) opener.focus();
+    };
+  }, [ref, active, trap, initialRef]);
+}
@@ -0,0 +1,56 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { usePreference } from './usePreference';
+import { goalProgress, goalStreaks, normalizeGoal, recentDays } from '../utils/goals';
+
+// Often enough to notice the day rolling over
+const CLOCK_REFRESH_MS = 60 * 1000;
+
+/**
+ * PUBLIC_INTERFACE
+ * useGoal
+ * React hook managing the daily focus goal (utils/goals) against the session log `history` (see
+ * useHistory): today's progress, the current and best streaks, and the last two weeks. The goal
+ * and its rest days are kept as the 'goal' preference (see usePreference).
+ * Returns { goal, today, streaks, days, setGoal, toggleRestDay }.
+ */
+export function useGoal(history) {
+  const [goal, setGoalState] = usePreference('goal', normalizeGoal);
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const id = setInterval(() => setNow(Date.now()), CLOCK_REFRESH_MS);
+    return () => clearInterval(id);
+  }, []);
+
+  const today = useMemo(() => goalProgress(history, goal, now), [history, goal, now]);
+  const streaks = useMemo(() => goalStreaks(history, goal, now), [history, goal, now]);
+  const days = useMemo(() => recentDays(history, goal, now), [history, goal, now]);
+
+  /**
+   * PUBLIC_INTERFACE
+   * setGoal
+   * Changes some of the goal, e.g. setGoal({ unit: 'minutes' }) or setGoal({ dayStartHour: 4 }).
+   * Switching units starts from that unit's usual target.
+   */
+  const setGoal = useCallback((changes) => {
+    setGoalState(current => {
+      const switching = changes.unit && changes.unit !== current.unit && changes.target === undefined;
+      // normalizeGoal gives a goal without a target its unit's usual one
+      return normalizeGoal({ ...current, ...changes, target: switching ? undefined : changes.target ?? current.target });
+    });
+  }, [setGoalState]);
+
+  /**
+   * PUBLIC_INTERFACE
+   * toggleRestDay
+   * Marks a day ('YYYY-MM-DD') as a rest day, or unmarks it.
+   */
+  const toggleRestDay = useCallback((day) => {
+    setGoalState(current => normalizeGoal({
+      ...current,
+      restDays: current.restDays.includes(day) ? current.restDays.filter(d => d !== day) : [...current.restDays, day],
+    }));
+  }, [setGoalState]);
+
+  return { goal, today, streaks, days, setGoal, toggleRestDay };
+}
@@ -0,0 +1,25 @@
+import { useEffect, useState } from 'react';
+import { HISTORY_KEY, loadHistory } from '../utils/history';
+
+/**
+ * PUBLIC_INTERFACE
+ * useHistory
+ * React hook returning the recorded session log, kept up to date as sessions are recorded
+ * in this tab or any other open tab.
+ */
+export function useHistory() {
+  const [history, setHistory] = useState(() => loadHistory());
+
+  useEffect(() => {
+    const refresh = () => setHistory(loadHistory());
+    const onStorage = (e) => { if (e.key === HISTORY_KEY || e.key === null) refresh(); };
+    window.addEventListener('pomodoro-history-change', refresh);
+    window.addEventListener('storage', onStorage);
+    return () => {
+      window.removeEventListener('pomodoro-history-change', refresh);
+      window.removeEventListener('storage', onStorage);
+    };
+  }, []);
+
+  return history;
+}
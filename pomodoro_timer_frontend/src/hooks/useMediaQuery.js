@@ -0,0 +1,27 @@
+import { useEffect, useState } from 'react';
+
+/**
+ * PUBLIC_INTERFACE
+ * useMediaQuery
+ * React hook telling whether a CSS media `query` (e.g. '(prefers-color-scheme: dark)') matches,
+ * following changes. False where matchMedia is unavailable.
+ */
+export function useMediaQuery(query) {
+  const [matches, setMatches] = useState(() => mediaQueryList(query)?.matches ?? false);
+
+  useEffect(() => {
+    const list = mediaQueryList(query);
+    if (!list) return undefined;
+    setMatches(list.matches);
+    const onChange = (e) => setMatches(e.matches);
+    list.addEventListener('change', onChange);
+    return () => list.removeEventListener('change', onChange);
+  }, [query]);
+
+  return matches;
+}
+
+function mediaQueryList(query) {
+  if (typeof window === 'undefined' || typeof window.matchMedia !== 'function') return null;
+  return window.matchMedia(query);
+}
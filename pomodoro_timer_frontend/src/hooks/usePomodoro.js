@@ -1,120 +1,257 @@
 import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
-import { loadState, saveState } from '../utils/storage';
+import { STORAGE_KEYS, load, save } from '../utils/storage';
+import { recordSession } from '../utils/history';
+import { createTicker } from '../utils/ticker';
+import { createTabSync } from '../utils/tabSync';
+import { normalizeSettings, presetSettings } from '../utils/presets';
+import { dueCue } from '../utils/alerts';
+import { SPECIES_IDS, createRng, pickSpecies } from '../utils/plants';
+import {
+  createTimerMachine,
+  earnedBreakMs,
+  elapsedAt,
+  isFlowSession,
+  progressAt,
+  remainingAt,
+  restoreState,
+} from '../utils/timerMachine';
+
+// How often the background heartbeat checks the deadline
+const TICKER_INTERVAL_MS = 250;
 
 /**
  * PUBLIC_INTERFACE
  * usePomodoro
- * React hook that manages Pomodoro timer state with robust ticking using performance.now(),
- * persistence via localStorage, and session transitions with event dispatching.
+ * React adapter over the pure timer state machine (utils/timerMachine). It restores and persists
+ * the machine in the 'timer' storage namespace, drives TICKs from a Web Worker heartbeat (so sessions complete on
+ * time in background tabs) and re-renders with requestAnimationFrame while the tab is visible.
+ * Machine effects become side effects here: every completed or abandoned session is recorded in
+ * the history log, and completions dispatch a 'pomodoro-session-complete' window event
+ * ({ justCompleted, next, taskId, extension }).
+ * Focus sessions are attributed to `activeTaskId` (if any) in the history log and the completion event.
+ * Sessions follow the focus/break cycle or, once a sequence preset is applied, its intervals in order.
+ * A snoozed session starts by itself when its snooze runs out and dispatches 'pomodoro-snooze-ended'.
+ * With auto-start off for what comes next, a finished session waits in the 'completed' status
+ * (`finished` says what finished and when) until it is started, extended or its break skipped.
+ * Distractions and interruptions logged during a focus session (`interruptions`) and its pauses are
+ * kept with the session and recorded in its history entry.
+ * In Flowtime (`flowtime`, cycle only) a focus session counts up (`isFlow`, `elapsedMs`) until it is
+ * finished, and the break after it lasts `earnedBreakMs` of the time focused (see utils/timerMachine).
+ * `cues` ({ [mode]: { warningMinutes, halfway } }, see utils/alerts) turn on a 'pomodoro-cue' window
+ * event ({ cue: 'warning' | 'halfway', mode }) when a running session crosses them.
+ * Each new focus session grows a plant of `nextSpecies`, or with 'random' of any species in
+ * `speciesPool` (the unlocked ones, see useAchievements); the pick is seeded by the session's start,
+ * so every tab agrees on it.
+ * With several tabs open, only the leader tab ticks (and so completes sessions and chimes); every
+ * tab applies start/pause/reset locally and broadcasts the result, and the others mirror it live.
+ * `isLeader` is null until the tab knows which it is.
  *
- * Returns the timer state, progress, controls, and settings setters.
+ * Returns the timer state (`status` is 'idle', 'running', 'paused' or 'completed'; `isRunning` and
+ * `isPaused` spell out the two in-session states), progress, the plant's `species` and `plantSeed`,
+ * controls, and settings setters.
  */
-export function usePomodoro() {
-  const DEFAULT_FOCUS = 25;
-  const DEFAULT_BREAK = 5;
-  const limits = {
-    minFocus: 5,
-    maxFocus: 120,
-    minBreak: 1,
-    maxBreak: 60,
-  };
-
-  // Load persisted state
-  const persisted = loadState();
-
-  const [focusMinutes, setFocusMinutes] = useState(
-    clamp(persisted?.focusMinutes ?? DEFAULT_FOCUS, limits.minFocus, limits.maxFocus)
-  );
-  const [breakMinutes, setBreakMinutes] = useState(
-    clamp(persisted?.breakMinutes ?? DEFAULT_BREAK, limits.minBreak, limits.maxBreak)
-  );
-  const [mode, setMode] = useState(persisted?.mode ?? 'focus'); // 'focus' | 'break'
-  const [isRunning, setIsRunning] = useState(persisted?.isRunning ?? false);
-  const [remainingMs, setRemainingMs] = useState(() => {
-    if (persisted?.isRunning && persisted?.endAt) {
-      // Estimate remaining using system time, but fallback to stored value if drift seems large
-      const est = Math.max(0, persisted.endAt - Date.now());
-      // Limit insane drift by clamping to [0, storedRemaining or est whichever closer]
-      const stored = persisted.remainingMs ?? minutesToMs(mode === 'focus' ? focusMinutes : breakMinutes);
-      return Math.min(Math.max(est, 0), Math.max(stored, est));
-    }
-    return persisted?.remainingMs ?? minutesToMs(mode === 'focus' ? focusMinutes : breakMinutes);
+export function usePomodoro({ activeTaskId = null, cues = null, speciesPool = SPECIES_IDS, nextSpecies = 'random' } = {}) {
+  const machineRef = useRef(null);
+  const [initial] = useState(() => {
+    const persisted = load('timer');
+    const settings = normalizeSettings(persisted);
+    return {
+      settings,
+      state: restoreState(persisted, settings),
+      // The plant species persists across reloads, unless it is locked (again)
+      species: pickSpecies(persisted?.species, speciesPool),
+    };
   });
-  const [sessionCount, setSessionCount] = useState(persisted?.sessionCount ?? 0);
-  const [species] = useState(() => pickSpecies(persisted?.species)); // plant species persists across reloads
-
-  const totalMs = useMemo(
-    () => minutesToMs(mode === 'focus' ? focusMinutes : breakMinutes),
-    [mode, focusMinutes, breakMinutes]
-  );
-
-  const progress = useMemo(() => {
-    const p = 1 - remainingMs / totalMs;
-    return isFinite(p) ? Math.max(0, Math.min(1, p)) : 0;
-  }, [remainingMs, totalMs]);
-
-  // Ticking with performance.now()
-  const rafId = useRef(null);
-  const ticking = useRef(false);
-  const lastPerf = useRef(null);
-
-  const tick = useCallback(() => {
-    if (!ticking.current) return;
-    const now = performance.now();
-    const prev = lastPerf.current ?? now;
-    const delta = now - prev;
-    lastPerf.current = now;
-
-    setRemainingMs(prevMs => {
-      const next = Math.max(0, prevMs - delta);
-      if (next === 0 && prevMs > 0) {
-        // Session complete
-        handleSessionComplete();
-      }
-      return next;
-    });
+  if (!machineRef.current) {
+    machineRef.current = createTimerMachine({ settings: initial.settings, state: initial.state });
+  }
+  const machine = machineRef.current;
+
+  const [settings, setSettings] = useState(initial.settings);
+  const [timer, setTimer] = useState(initial.state);
+  const [now, setNow] = useState(() => Date.now());
+  // null until the tab knows whether it leads (see utils/tabSync)
+  const [isLeader, setIsLeader] = useState(null);
+  const [species, setSpecies] = useState(initial.species);
+  const syncRef = useRef(null);
+  // The last state adopted from another tab: it must not be saved or re-broadcast
+  const remoteRef = useRef(null);
+
+  const taskIdRef = useRef(activeTaskId);
+  taskIdRef.current = activeTaskId;
+  const cuesRef = useRef(cues);
+  cuesRef.current = cues;
+  const plantChoiceRef = useRef({ speciesPool, nextSpecies });
+  plantChoiceRef.current = { speciesPool, nextSpecies };
 
-    rafId.current = requestAnimationFrame(tick);
+  const { status, mode, sessionCount } = timer;
+  const step = timer.step ?? 0;
+  const sequence = settings.sequence;
+  const isRunning = status === 'running';
+  const isPaused = status === 'paused';
+  const snoozeUntil = timer.snoozeUntil ?? null;
+  const finished = status === 'completed' ? timer.finished ?? null : null;
+  const interruptions = timer.session?.interruptions ?? [];
+  // A pending snooze needs the heartbeat too, to start the session on time
+  const isTicking = isRunning || snoozeUntil !== null;
+  const totalMs = timer.durationMs;
+  const remainingMs = remainingAt(timer, now);
+  const isFlow = isFlowSession(timer, settings);
+  const elapsedMs = elapsedAt(timer, now);
+  const progress = useMemo(() => progressAt(timer, now, settings), [timer, now, settings]);
+  // The break the Flowtime session would earn if stopped now, then the one it earned
+  const earnedMs = isFlow ? earnedBreakMs(elapsedMs, settings) : timer.earnedMs ?? null;
+  // Each session grows its own plant, the same one the forest later redraws from its start
+  const plantSeed = timer.session?.startedAt ?? sessionCount;
+
+  // Session complete: let the rest of the app (chimes, tasks) know
+  const handleSessionComplete = useCallback(({ justCompleted, next, extension }) => {
+    const taskId = justCompleted === 'focus' ? taskIdRef.current : null;
+    window.dispatchEvent(new CustomEvent('pomodoro-session-complete', { detail: { justCompleted, next, taskId, extension } }));
   }, []);
 
-  const startTicking = useCallback(() => {
-    if (ticking.current) return;
-    ticking.current = true;
-    lastPerf.current = performance.now();
-    rafId.current = requestAnimationFrame(tick);
-  }, [tick]);
-
-  const stopTicking = useCallback(() => {
-    ticking.current = false;
-    if (rafId.current) cancelAnimationFrame(rafId.current);
-    rafId.current = null;
-    lastPerf.current = null;
+  const handleSessionEnded = useCallback((session) => {
+    recordSession({
+      ...session,
+      species: session.mode === 'focus' ? species : null,
+      taskId: session.mode === 'focus' ? taskIdRef.current : null,
+    });
+  }, [species]);
+
+  const handleSnoozeEnded = useCallback(({ mode: snoozedMode }) => {
+    window.dispatchEvent(new CustomEvent('pomodoro-snooze-ended', { detail: { mode: snoozedMode } }));
   }, []);
 
-  // Save to localStorage periodically and on changes
+  const effectHandlers = useRef(null);
+  effectHandlers.current = {
+    sessionComplete: handleSessionComplete,
+    sessionEnded: handleSessionEnded,
+    snoozeEnded: handleSnoozeEnded,
+  };
+
+  useEffect(() => machine.subscribe((state, effects) => {
+    setTimer(state);
+    setNow(Date.now());
+    effects.forEach(effect => {
+      if (effect.type === 'sessionEnded') effectHandlers.current.sessionEnded(effect.session);
+      if (effect.type === 'sessionComplete') effectHandlers.current.sessionComplete(effect);
+      if (effect.type === 'snoozeEnded') effectHandlers.current.snoozeEnded(effect);
+    });
+  }), [machine]);
+
+  // Cross-tab coordination: elect a leader and mirror state published by other tabs
   useEffect(() => {
-    const state = {
-      focusMinutes,
-      breakMinutes,
-      isRunning,
-      mode,
-      remainingMs,
-      endAt: isRunning ? Date.now() + remainingMs : null,
-      sessionCount,
-      species,
-      savedAt: Date.now(),
+    const sync = createTabSync({
+      watchKey: STORAGE_KEYS.timer,
+      onLeaderChange: setIsLeader,
+      onRemoteState: (snapshot) => {
+        const nextSettings = normalizeSettings(snapshot);
+        const state = restoreState(snapshot, nextSettings);
+        remoteRef.current = state;
+        setSettings(nextSettings);
+        machine.restore(state, nextSettings);
+      },
+    });
+    syncRef.current = sync;
+    return () => {
+      syncRef.current = null;
+      sync.close();
     };
-    saveState(state);
-  }, [focusMinutes, breakMinutes, isRunning, mode, remainingMs, sessionCount, species]);
+  }, [machine]);
 
-  // Visibility handling to keep accurate ticking
+  // While running (or snoozed): the leader's worker heartbeat checks the deadline even in hidden
+  // tabs, and requestAnimationFrame re-renders the countdown only while the tab is visible.
+  // Followers only render; the leader's completion reaches them as a new snapshot.
   useEffect(() => {
+    if (!isTicking) return undefined;
+    let rafId = null;
+    // The remaining time at the previous tick, to notice cues being crossed
+    let lastRemaining = null;
+    const tick = () => {
+      if (!isLeader) return;
+      machine.send('TICK');
+      const state = machine.getState();
+      if (state.status !== 'running') {
+        lastRemaining = null;
+        return;
+      }
+      // A counting-up session has no end to warn about
+      if (isFlowSession(state, machine.getSettings())) return;
+      const remaining = remainingAt(state, Date.now());
+      const cue = dueCue(cuesRef.current?.[state.mode], state.durationMs, lastRemaining, remaining);
+      lastRemaining = remaining;
+      if (cue) window.dispatchEvent(new CustomEvent('pomodoro-cue', { detail: { cue, mode: state.mode } }));
+    };
+    const frame = () => {
+      setNow(Date.now());
+      tick();
+      rafId = requestAnimationFrame(frame);
+    };
+    const startFrames = () => {
+      if (rafId === null && document.visibilityState !== 'hidden') rafId = requestAnimationFrame(frame);
+    };
+    const stopFrames = () => {
+      if (rafId !== null) cancelAnimationFrame(rafId);
+      rafId = null;
+    };
     const onVisibility = () => {
-      lastPerf.current = performance.now();
+      if (document.visibilityState === 'hidden') {
+        stopFrames();
+      } else {
+        tick();
+        setNow(Date.now());
+        startFrames();
+      }
     };
+
+    const ticker = isLeader ? createTicker(TICKER_INTERVAL_MS, tick) : null;
+    // A deadline that passed while the app was closed completes right away
+    tick();
+    startFrames();
     document.addEventListener('visibilitychange', onVisibility);
-    return () => document.removeEventListener('visibilitychange', onVisibility);
-  }, []);
+    return () => {
+      document.removeEventListener('visibilitychange', onVisibility);
+      stopFrames();
+      if (ticker) ticker.stop();
+    };
+  }, [isTicking, isLeader, machine]);
+
+  // A new focus session picks its plant; extra minutes added to a finished one grow the same plant
+  const sessionStart = timer.session?.startedAt ?? null;
+  const rolledRef = useRef(sessionStart);
+  useEffect(() => {
+    if (mode !== 'focus' || sessionStart === null || sessionStart === rolledRef.current) return;
+    rolledRef.current = sessionStart;
+    if (timer.session.extension) return;
+    const { speciesPool: pool, nextSpecies: next } = plantChoiceRef.current;
+    setSpecies(pickSpecies(next, pool, createRng(sessionStart)));
+  }, [mode, sessionStart, timer.session]);
+
+  // Persist and broadcast every local transition; while running the deadline is enough to
+  // restore the countdown. State mirrored from another tab was already saved there.
+  useEffect(() => {
+    if (timer === remoteRef.current) return;
+    const snapshot = {
+      ...settings,
+      status: timer.status,
+      isRunning: timer.status === 'running',
+      mode: timer.mode,
+      step: timer.step,
+      durationMs: timer.durationMs,
+      remainingMs: timer.remainingMs,
+      endAt: timer.endAt,
+      sessionCount: timer.sessionCount,
+      currentSession: timer.session,
+      snoozeUntil: timer.snoozeUntil ?? null,
+      finished: timer.finished ?? null,
+      resumeTo: timer.resumeTo ?? null,
+      earnedMs: timer.earnedMs ?? null,
+      species,
+      savedAt: Date.now(),
+    };
+    save('timer', snapshot);
+    if (syncRef.current) syncRef.current.publish(snapshot);
+  }, [settings, timer, species]);
 
   // Controls
   /**
@@ -123,11 +260,9 @@ export function usePomodoro() {
    * Start a new or resume current session; if remaining is 0, reset for current mode first.
    */
   const start = useCallback((onStartCb) => {
-    setRemainingMs(prev => (prev <= 0 ? totalMs : prev));
-    setIsRunning(true);
-    startTicking();
+    machine.send('START');
     if (onStartCb) onStartCb();
-  }, [totalMs, startTicking]);
+  }, [machine]);
 
   /**
    * PUBLIC_INTERFACE
@@ -135,9 +270,8 @@ export function usePomodoro() {
    * Pause the timer.
    */
   const pause = useCallback(() => {
-    setIsRunning(false);
-    stopTicking();
-  }, [stopTicking]);
+    machine.send('PAUSE');
+  }, [machine]);
 
   /**
    * PUBLIC_INTERFACE
@@ -145,66 +279,167 @@ export function usePomodoro() {
    * Resume the timer.
    */
   const resume = useCallback(() => {
-    setIsRunning(true);
-    startTicking();
-  }, [startTicking]);
+    machine.send('RESUME');
+  }, [machine]);
 
   /**
    * PUBLIC_INTERFACE
    * reset
-   * Reset the timer to the beginning of the current mode.
+   * Reset the timer to the beginning of the current mode, logging the interrupted session as abandoned.
    */
   const reset = useCallback(() => {
-    setIsRunning(false);
-    stopTicking();
-    setRemainingMs(totalMs);
-  }, [stopTicking, totalMs]);
+    machine.send('RESET');
+  }, [machine]);
+
+  /**
+   * PUBLIC_INTERFACE
+   * skip
+   * Abandon the current session and move on to the next one.
+   */
+  const skip = useCallback(() => {
+    machine.send('SKIP');
+  }, [machine]);
+
+  /**
+   * PUBLIC_INTERFACE
+   * adjust
+   * Lengthen (positive) or shorten (negative) the current session by a number of minutes.
+   * At least a minute always stays on the clock.
+   */
+  const adjust = useCallback((minutes) => {
+    machine.send('ADJUST', { ms: minutes * 60 * 1000 });
+  }, [machine]);
+
+  /**
+   * PUBLIC_INTERFACE
+   * snooze
+   * Put the current session back to its start and begin it automatically in `minutes` (default 5).
+   */
+  const snooze = useCallback((minutes) => {
+    machine.send('SNOOZE', { minutes });
+  }, [machine]);
+
+  /**
+   * PUBLIC_INTERFACE
+   * finishEarly
+   * End the running or paused session now and count it as completed, recording the time actually
+   * spent; the next session follows as if it had run out.
+   */
+  const finishEarly = useCallback(() => {
+    machine.send('FINISH');
+  }, [machine]);
+
+  /**
+   * PUBLIC_INTERFACE
+   * extend
+   * Keep going with the session that just finished for `minutes` more (default 5); what was up
+   * next follows afterwards.
+   */
+  const extend = useCallback((minutes) => {
+    machine.send('EXTEND', { minutes });
+  }, [machine]);
+
+  /**
+   * PUBLIC_INTERFACE
+   * skipBreak
+   * Skip the break that is up next (or running) and start the next focus session right away.
+   */
+  const skipBreak = useCallback(() => {
+    if (machine.getState().mode === 'focus') return;
+    machine.send('SKIP', { start: true });
+  }, [machine]);
+
+  /**
+   * PUBLIC_INTERFACE
+   * interrupt
+   * Log that the focus session in progress was broken by a distraction ('internal') or an
+   * interruption ('external'), optionally with a note. The timer keeps running; the log ends up in
+   * the session's history entry.
+   */
+  const interrupt = useCallback((kind, note) => {
+    machine.send('INTERRUPT', { kind, note });
+  }, [machine]);
+
+  /**
+   * PUBLIC_INTERFACE
+   * noteInterruption
+   * Add a note to the latest interruption (and optionally change its kind), e.g. after a one-tap log.
+   */
+  const noteInterruption = useCallback((note, kind) => {
+    machine.send('ANNOTATE', { note, kind });
+  }, [machine]);
+
+  /**
+   * PUBLIC_INTERFACE
+   * setAutoStart
+   * Choose whether breaks and focus sessions start by themselves when the previous session
+   * finishes, e.g. setAutoStart({ autoStartBreaks: false }).
+   */
+  const setAutoStart = useCallback((changes) => {
+    const next = normalizeSettings({ ...machine.getSettings(), ...changes });
+    setSettings(next);
+    machine.setSettings(next, { keepDurations: true });
+  }, [machine]);
+
+  /**
+   * PUBLIC_INTERFACE
+   * setFlowtime
+   * Turn Flowtime on or off, or change its break ratio and limits, e.g.
+   * setFlowtime({ flowtime: true, flowBreakRatio: 5 }). A focus session in progress keeps the time
+   * already spent and switches between counting up and counting down.
+   */
+  const setFlowtime = useCallback((changes) => {
+    const next = normalizeSettings({ ...machine.getSettings(), ...changes });
+    setSettings(next);
+    machine.setSettings(next);
+  }, [machine]);
 
   /**
    * PUBLIC_INTERFACE
    * setDurations
-   * Update focus and break durations within sensible bounds.
-   */
-  const setDurations = useCallback((focusM, breakM) => {
-    const f = clamp(focusM, limits.minFocus, limits.maxFocus);
-    const b = clamp(breakM, limits.minBreak, limits.maxBreak);
-    setFocusMinutes(f);
-    setBreakMinutes(b);
-    // if paused, update remaining to new total for current mode
-    setRemainingMs(prev => {
-      if (!isRunning) {
-        return minutesToMs((mode === 'focus' ? f : b));
-      }
-      return prev;
+   * Update focus, break and long break durations, plus the long break cadence, clamped to LIMITS
+   * (utils/presets). Omitted long break arguments keep their current values. A running or paused
+   * session keeps the time already spent and only its remaining time changes. Edited durations
+   * no longer match a preset, so the active preset becomes "custom". Returns the applied settings.
+   */
+  const setDurations = useCallback((focusM, breakM, longBreakM, every) => {
+    const current = machine.getSettings();
+    const next = normalizeSettings({
+      ...current,
+      focusMinutes: focusM,
+      breakMinutes: breakM,
+      longBreakMinutes: longBreakM ?? current.longBreakMinutes,
+      longBreakEvery: every ?? current.longBreakEvery,
+      presetId: current.sequence ? current.presetId : null,
     });
-  }, [isRunning, mode]);
+    setSettings(next);
+    machine.setSettings(next);
+    return next;
+  }, [machine]);
 
-  // Initialize remaining if persisted indicated running and endAt exists
-  useEffect(() => {
-    if (persisted?.isRunning && persisted?.endAt && remainingMs > 0) {
-      // Keep running on load
-      setIsRunning(true);
-      startTicking();
-    }
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, []);
+  /**
+   * PUBLIC_INTERFACE
+   * applyPreset
+   * Switch to a preset (see utils/presets): its cycle durations or its interval sequence. The timer
+   * starts over at the preset's first interval; a session in progress is logged as abandoned.
+   * With `{ restart: false }` (the active preset was edited) the current session carries on.
+   */
+  const applyPreset = useCallback((preset, { restart = true } = {}) => {
+    const next = presetSettings(preset, machine.getSettings());
+    setSettings(next);
+    machine.setSettings(next, { restart });
+  }, [machine]);
 
-  const handleSessionComplete = useCallback(() => {
-    // Dispatch custom event for App to play chime
-    const justCompleted = mode === 'focus' ? 'focus' : 'break';
-    window.dispatchEvent(new CustomEvent('pomodoro-session-complete', { detail: { justCompleted } }));
-
-    if (mode === 'focus') {
-      setSessionCount(c => c + 1);
-      setMode('break');
-      setRemainingMs(minutesToMs(breakMinutes));
-    } else {
-      setMode('focus');
-      setRemainingMs(minutesToMs(focusMinutes));
-    }
-    // Keep running into next session
-    lastPerf.current = performance.now();
-  }, [mode, breakMinutes, focusMinutes]);
+  // An imported backup changes the settings only; the session in progress carries on
+  useEffect(() => {
+    const onImport = () => {
+      const next = normalizeSettings(load('timer'));
+      setSettings(next);
+      machine.setSettings(next);
+    };
+    window.addEventListener('pomodoro-data-imported', onImport);
+    return () => window.removeEventListener('pomodoro-data-imported', onImport);
+  }, [machine]);
 
   // Request notification permission on first mount (non-blocking)
   useEffect(() => {
@@ -214,33 +449,51 @@ export function usePomodoro() {
   }, []);
 
   return {
+    status,
     mode,
     isRunning,
+    isPaused,
+    isLeader,
+    snoozeUntil,
+    finished,
+    interruptions,
     remainingMs,
+    elapsedMs,
     totalMs,
     sessionCount,
     progress,
     species,
-    focusMinutes,
-    breakMinutes,
+    plantSeed,
+    focusMinutes: settings.focusMinutes,
+    breakMinutes: settings.breakMinutes,
+    longBreakMinutes: settings.longBreakMinutes,
+    longBreakEvery: settings.longBreakEvery,
+    sequence,
+    step,
+    presetId: settings.presetId,
+    autoStartBreaks: settings.autoStartBreaks,
+    autoStartFocus: settings.autoStartFocus,
+    flowtime: settings.flowtime && !sequence,
+    flowBreakRatio: settings.flowBreakRatio,
+    flowBreakMinMinutes: settings.flowBreakMinMinutes,
+    flowBreakMaxMinutes: settings.flowBreakMaxMinutes,
+    isFlow,
+    earnedMs,
     start,
     pause,
     resume,
     reset,
+    skip,
+    snooze,
+    adjust,
+    finishEarly,
+    extend,
+    skipBreak,
+    interrupt,
+    noteInterruption,
+    setAutoStart,
+    setFlowtime,
     setDurations,
+    applyPreset,
   };
 }
-
-function minutesToMs(m) {
-  return Math.round(m * 60 * 1000);
-}
-
-function clamp(n, min, max) {
-  return Math.max(min, Math.min(max, Number.isFinite(n) ? n : min));
-}
-
-function pickSpecies(persisted) {
-  const all = ['fern', 'sapling', 'sprout', 'bamboo'];
-  if (persisted && all.includes(persisted)) return persisted;
-  return all[Math.floor(Math.random() * all.length)];
-}
@@ -0,0 +1,30 @@
+import { useEffect, useState } from 'react';
+import { STORAGE_KEYS, load, save } from '../utils/storage';
+
+/**
+ * PUBLIC_INTERFACE
+ * usePreference
+ * React hook holding one `field` of the 'preferences' storage namespace, cleaned up by `normalize`.
+ * Changes are saved, and those made in other tabs or by importing a backup are picked up.
+ * Returns [value, setValue], where setValue works like a useState setter.
+ */
+export function usePreference(field, normalize) {
+  const [value, setValue] = useState(() => normalize(load('preferences')[field]));
+
+  useEffect(() => {
+    save('preferences', { ...load('preferences'), [field]: value });
+  }, [field, value]);
+
+  useEffect(() => {
+    const reload = () => setValue(normalize(load('preferences')[field]));
+    const onStorage = (e) => { if (e.key === STORAGE_KEYS.preferences) reload(); };
+    window.addEventListener('storage', onStorage);
+    window.addEventListener('pomodoro-data-imported', reload);
+    return () => {
+      window.removeEventListener('storage', onStorage);
+      window.removeEventListener('pomodoro-data-imported', reload);
+    };
+  }, [field, normalize]);
+
+  return [value, setValue];
+}
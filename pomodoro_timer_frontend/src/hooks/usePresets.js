@@ -0,0 +1,64 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { BUILT_IN_PRESETS, PRESETS_KEY, createPreset, loadPresets, presetFromJson, savePresets } from '../utils/presets';
+
+/**
+ * PUBLIC_INTERFACE
+ * usePresets
+ * React hook managing timer presets: the built-in ones plus the user's own, which persist and
+ * stay in sync across tabs. Returns { presets, savePreset, deletePreset, importPreset }.
+ */
+export function usePresets() {
+  const [custom, setCustom] = useState(() => loadPresets());
+
+  useEffect(() => {
+    savePresets(custom);
+  }, [custom]);
+
+  useEffect(() => {
+    const reload = () => setCustom(loadPresets());
+    const onStorage = (e) => { if (e.key === PRESETS_KEY) reload(); };
+    window.addEventListener('storage', onStorage);
+    window.addEventListener('pomodoro-data-imported', reload);
+    return () => {
+      window.removeEventListener('storage', onStorage);
+      window.removeEventListener('pomodoro-data-imported', reload);
+    };
+  }, []);
+
+  /**
+   * PUBLIC_INTERFACE
+   * savePreset
+   * Create a preset from a name and cycle durations or a `sequence`; passing an existing custom
+   * preset's `id` updates it instead. Returns the saved preset.
+   */
+  const savePreset = useCallback((name, fields, id = null) => {
+    const preset = createPreset(name, fields);
+    const saved = id ? { ...preset, id } : preset;
+    setCustom(list => (list.some(p => p.id === id) ? list.map(p => (p.id === id ? saved : p)) : [...list, saved]));
+    return saved;
+  }, []);
+
+  /**
+   * PUBLIC_INTERFACE
+   * deletePreset
+   * Remove one of the user's presets (built-in presets cannot be deleted).
+   */
+  const deletePreset = useCallback((id) => {
+    setCustom(list => list.filter(p => p.id !== id));
+  }, []);
+
+  /**
+   * PUBLIC_INTERFACE
+   * importPreset
+   * Add a preset shared as JSON. Returns the new preset, or null if the text is not a valid preset.
+   */
+  const importPreset = useCallback((text) => {
+    const preset = presetFromJson(text);
+    if (preset) setCustom(list => [...list, preset]);
+    return preset;
+  }, []);
+
+  const presets = useMemo(() => [...BUILT_IN_PRESETS, ...custom], [custom]);
+
+  return { presets, savePreset, deletePreset, importPreset };
+}
@@ -0,0 +1,89 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import {
+  SHORTCUTS_KEY,
+  defaultBindings,
+  keyFromEvent,
+  loadBindings,
+  rebind as rebindKey,
+  saveBindings,
+} from '../utils/shortcuts';
+
+/**
+ * PUBLIC_INTERFACE
+ * useShortcuts
+ * Global keyboard shortcut layer. `handlers` maps action ids (see SHORTCUT_ACTIONS) to functions;
+ * a keydown matching an action's binding runs it. Keys typed into form fields are left alone
+ * (except Ctrl/Cmd combinations), and Space on a focused button keeps clicking that button.
+ * While `enabled` is false (e.g. an overlay is open) only the actions listed in `always` run.
+ *
+ * Returns { bindings, rebind(id, key), resetBindings }; bindings persist across reloads and tabs.
+ */
+export function useShortcuts(handlers, { enabled = true, always = [] } = {}) {
+  const [bindings, setBindings] = useState(() => loadBindings());
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+
+  useEffect(() => {
+    saveBindings(bindings);
+  }, [bindings]);
+
+  useEffect(() => {
+    const reload = () => setBindings(loadBindings());
+    const onStorage = (e) => { if (e.key === SHORTCUTS_KEY) reload(); };
+    window.addEventListener('storage', onStorage);
+    window.addEventListener('pomodoro-data-imported', reload);
+    return () => {
+      window.removeEventListener('storage', onStorage);
+      window.removeEventListener('pomodoro-data-imported', reload);
+    };
+  }, []);
+
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.defaultPrevented || e.isComposing) return;
+      const key = keyFromEvent(e);
+      if (!key) return;
+      if (isTypingTarget(e.target) && !key.startsWith('Mod+')) return;
+      if (key === 'Space' && isClickTarget(e.target)) return;
+      const id = Object.keys(bindings).find(action => bindings[action] === key);
+      if (!id || !handlersRef.current[id]) return;
+      if (!enabled && !always.includes(id)) return;
+      e.preventDefault();
+      handlersRef.current[id]();
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [bindings, enabled, always]);
+
+  /**
+   * PUBLIC_INTERFACE
+   * rebind
+   * Assign a key to an action (null unbinds it); an action already on that key takes the old one.
+   */
+  const rebind = useCallback((id, key) => {
+    setBindings(b => rebindKey(b, id, key));
+  }, []);
+
+  /**
+   * PUBLIC_INTERFACE
+   * resetBindings
+   * Restore every action to its default key.
+   */
+  const resetBindings = useCallback(() => {
+    setBindings(defaultBindings());
+  }, []);
+
+  return { bindings, rebind, resetBindings };
+}
+
+function isTypingTarget(el) {
+  if (!el || !el.tagName) return false;
+  if (el.isContentEditable) return true;
+  if (el.tagName === 'TEXTAREA' || el.tagName === 'SELECT') return true;
+  return el.tagName === 'INPUT' && !['checkbox', 'radio', 'range', 'button', 'submit'].includes(el.type);
+}
+
+function isClickTarget(el) {
+  if (!el || !el.tagName) return false;
+  return ['BUTTON', 'A', 'SUMMARY'].includes(el.tagName) || (el.tagName === 'INPUT' && ['checkbox', 'radio', 'button', 'submit'].includes(el.type));
+}
@@ -0,0 +1,108 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import {
+  TASKS_KEY,
+  activateTask,
+  archiveTask,
+  createTask,
+  creditSession,
+  insertTask,
+  loadTasks,
+  markTaskDone,
+  moveTask,
+  saveTasks,
+} from '../utils/tasks';
+
+/**
+ * PUBLIC_INTERFACE
+ * useTasks
+ * React hook managing the task list: create, reorder, complete, archive and select the active task.
+ * Completed focus sessions are credited to the task they were attributed to.
+ */
+export function useTasks() {
+  const [state, setState] = useState(() => loadTasks());
+
+  useEffect(() => {
+    saveTasks(state);
+  }, [state]);
+
+  // Pick up edits (and pomodoro credits) made in other tabs, and imported backups
+  useEffect(() => {
+    const reload = () => setState(loadTasks());
+    const onStorage = (e) => { if (e.key === TASKS_KEY) reload(); };
+    window.addEventListener('storage', onStorage);
+    window.addEventListener('pomodoro-data-imported', reload);
+    return () => {
+      window.removeEventListener('storage', onStorage);
+      window.removeEventListener('pomodoro-data-imported', reload);
+    };
+  }, []);
+
+  // Credit finished focus sessions (see usePomodoro's 'pomodoro-session-complete' event)
+  useEffect(() => {
+    const onComplete = (e) => setState(s => creditSession(s, e.detail));
+    window.addEventListener('pomodoro-session-complete', onComplete);
+    return () => window.removeEventListener('pomodoro-session-complete', onComplete);
+  }, []);
+
+  /**
+   * PUBLIC_INTERFACE
+   * addTask
+   * Append a task with an estimated number of pomodoros.
+   */
+  const addTask = useCallback((title, estimate) => {
+    if (!title || !title.trim()) return;
+    const task = createTask(title, estimate);
+    setState(s => ({ ...s, tasks: insertTask(s.tasks, task) }));
+  }, []);
+
+  /**
+   * PUBLIC_INTERFACE
+   * reorderTask
+   * Move a task up (-1) or down (+1) the list.
+   */
+  const reorderTask = useCallback((id, delta) => {
+    setState(s => ({ ...s, tasks: moveTask(s.tasks, id, delta) }));
+  }, []);
+
+  /**
+   * PUBLIC_INTERFACE
+   * setTaskDone
+   * Mark a task complete (or not). A completed task stops being the active one.
+   */
+  const setTaskDone = useCallback((id, done = true) => {
+    setState(s => markTaskDone(s, id, done));
+  }, []);
+
+  /**
+   * PUBLIC_INTERFACE
+   * setTaskArchived
+   * Archive (or restore) a task. Archived tasks are hidden from the list and cannot be active.
+   */
+  const setTaskArchived = useCallback((id, archived = true) => {
+    setState(s => archiveTask(s, id, archived));
+  }, []);
+
+  /**
+   * PUBLIC_INTERFACE
+   * selectTask
+   * Choose the task the next focus sessions are credited to (null for none).
+   */
+  const selectTask = useCallback((id) => {
+    setState(s => activateTask(s, id));
+  }, []);
+
+  const activeTask = useMemo(
+    () => state.tasks.find(t => t.id === state.activeTaskId) || null,
+    [state]
+  );
+
+  return {
+    tasks: state.tasks,
+    activeTask,
+    addTask,
+    reorderTask,
+    setTaskDone,
+    setTaskArchived,
+    selectTask,
+  };
+}
@@ -0,0 +1,55 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useMediaQuery } from './useMediaQuery';
+import { usePreference } from './usePreference';
+import { normalizeTheme, resolveTheme } from '../utils/themes';
+
+// The automatic theme is re-checked this often, for the season and the 'time' night mode
+const CLOCK_REFRESH_MS = 60 * 1000;
+
+/**
+ * PUBLIC_INTERFACE
+ * useTheme
+ * React hook managing the theme (utils/themes): the picked theme or 'auto' (the season's forest,
+ * or the night forest as the night mode says). The theme in effect is set as `data-theme` on the
+ * document element, which switches the CSS custom properties in App.css. The choice is kept as
+ * the 'theme' preference (see usePreference).
+ * Returns { theme, prefs, setThemeChoice, setNightMode }.
+ */
+export function useTheme() {
+  const [prefs, setPrefs] = usePreference('theme', normalizeTheme);
+  const prefersDark = useMediaQuery('(prefers-color-scheme: dark)');
+  const [now, setNow] = useState(() => Date.now());
+
+  // Only the automatic theme depends on the clock
+  useEffect(() => {
+    if (prefs.choice !== 'auto') return undefined;
+    const id = setInterval(() => setNow(Date.now()), CLOCK_REFRESH_MS);
+    return () => clearInterval(id);
+  }, [prefs.choice]);
+
+  const theme = resolveTheme(prefs, { now, prefersDark });
+
+  useEffect(() => {
+    document.documentElement.dataset.theme = theme.id;
+  }, [theme.id]);
+
+  /**
+   * PUBLIC_INTERFACE
+   * setThemeChoice
+   * Picks a theme by id, or 'auto' to follow the calendar.
+   */
+  const setThemeChoice = useCallback((choice) => {
+    setPrefs(current => normalizeTheme({ ...current, choice }));
+  }, [setPrefs]);
+
+  /**
+   * PUBLIC_INTERFACE
+   * setNightMode
+   * Sets when the automatic theme turns to the night forest ('system', 'time' or 'off').
+   */
+  const setNightMode = useCallback((night) => {
+    setPrefs(current => normalizeTheme({ ...current, night }));
+  }, [setPrefs]);
+
+  return { theme, prefs, setThemeChoice, setNightMode };
+}
@@ -2,6 +2,7 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import * as serviceWorkerRegistration from './serviceWorkerRegistration';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
@@ -9,3 +10,6 @@ root.render(
     <App />
   </React.StrictMode>
 );
+
+// Installable, offline-capable app shell (production builds only)
+serviceWorkerRegistration.register();
@@ -0,0 +1,118 @@
+/* eslint-disable no-restricted-globals */
+
+/**
+ * Forest Focus service worker.
+ *
+ * Precaches the app shell (the build manifest injected as `self.__WB_MANIFEST` by react-scripts'
+ * InjectManifest step) so the timer works fully offline, serves navigations network-first with the
+ * cached index.html as fallback, and relays notification action clicks back to an open window.
+ * Only production builds register it (see serviceWorkerRegistration.js).
+ */
+
+const PRECACHE_ENTRIES = self.__WB_MANIFEST || [];
+const PRECACHE = `forest-focus-shell-${hashEntries(PRECACHE_ENTRIES)}`;
+const RUNTIME = 'forest-focus-runtime-v1';
+const SHELL_URL = `${self.registration.scope}index.html`;
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+// Files copied from public/ are not part of the webpack manifest
+const PUBLIC_FILES = ['index.html', 'manifest.json', 'favicon.ico', 'logo192.png', 'logo512.png', 'maskable512.png'];
+
+self.addEventListener('install', (event) => {
+  const urls = [
+    ...PRECACHE_ENTRIES.map(entry => new URL(entry.url, self.registration.scope).href),
+    ...PUBLIC_FILES.map(file => new URL(file, self.registration.scope).href),
+  ];
+  event.waitUntil(
+    caches.open(PRECACHE).then(cache => cache.addAll([...new Set(urls)]))
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith('forest-focus-') && key !== PRECACHE && key !== RUNTIME)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(cacheFirst(request));
+  } else if (FONT_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(request));
+  }
+});
+
+// Notification buttons ("Start break", "Snooze 5 min"): focus a window and tell it what was picked
+self.addEventListener('notificationclick', (event) => {
+  const action = event.action || 'open';
+  event.notification.close();
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      const message = { type: 'notification-action', action, data: event.notification.data || null };
+      const existing = windows[0];
+      if (existing) {
+        existing.postMessage(message);
+        return existing.focus ? existing.focus() : undefined;
+      }
+      // No window open: start one and let it pick the action up from the URL
+      const target = new URL(self.registration.scope);
+      if (action !== 'open') target.searchParams.set('action', action);
+      return self.clients.openWindow(target.href);
+    })
+  );
+});
+
+async function networkFirst(request) {
+  try {
+    return await fetch(request);
+  } catch (e) {
+    const cached = await caches.match(SHELL_URL);
+    return cached || Response.error();
+  }
+}
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request, { ignoreSearch: true });
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(RUNTIME);
+    cache.put(request, response.clone());
+  }
+  return response;
+}
+
+async function staleWhileRevalidate(request) {
+  const cache = await caches.open(RUNTIME);
+  const cached = await cache.match(request);
+  const network = fetch(request)
+    .then((response) => {
+      if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+      return response;
+    })
+    .catch(() => cached || Response.error());
+  return cached || network;
+}
+
+// A short stable hash of the precache manifest, so every deploy gets a fresh cache
+function hashEntries(entries) {
+  const text = entries.map(entry => `${entry.url}@${entry.revision || ''}`).join('|');
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) {
+    hash = (hash * 31 + text.charCodeAt(i)) | 0;
+  }
+  return (hash >>> 0).toString(36);
+}
@@ -0,0 +1,44 @@
+/**
+ * PUBLIC_INTERFACE
+ * register
+ * Registers the app-shell service worker (src/service-worker.js, built to /service-worker.js) in
+ * production builds. A new version takes over as soon as it has installed; the open page keeps
+ * running and picks up the new shell on its next load.
+ */
+export function register() {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  // The worker can only control pages on its own origin
+  if (publicUrl.origin !== window.location.origin) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .then((registration) => {
+        registration.onupdatefound = () => {
+          const installing = registration.installing;
+          if (!installing) return;
+          installing.onstatechange = () => {
+            if (installing.state === 'installed' && navigator.serviceWorker.controller) {
+              installing.postMessage({ type: 'SKIP_WAITING' });
+            }
+          };
+        };
+      })
+      .catch(() => {
+        // The app works without it, just not offline
+      });
+  });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * unregister
+ * Removes the service worker, e.g. when offline support must be switched off.
+ */
+export function unregister() {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.ready
+    .then(registration => registration.unregister())
+    .catch(() => { /* ignore */ });
+}
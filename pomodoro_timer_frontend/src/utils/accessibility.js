@@ -0,0 +1,106 @@
+/**
+ * PUBLIC_INTERFACE
+ * ANNOUNCE_EVERY
+ * Choices, in minutes, for how often screen readers hear the remaining time; 0 turns it off.
+ */
+export const ANNOUNCE_EVERY = [0, 1, 2, 5, 10, 15];
+
+/**
+ * PUBLIC_INTERFACE
+ * MOTION_MODES
+ * Whether animations (drifting leaves and snow, the moving background, the growing plant) follow
+ * the system's prefers-reduced-motion, are always reduced, or always on.
+ */
+export const MOTION_MODES = [
+  { id: 'system', label: 'Follow the system setting' },
+  { id: 'reduce', label: 'Reduce motion' },
+  { id: 'full', label: 'Full motion' },
+];
+
+// What the final minute announces: one minute, 30 and 10 seconds left
+const FINAL_MARKS_MS = [60000, 30000, 10000];
+
+/**
+ * PUBLIC_INTERFACE
+ * DEFAULT_A11Y
+ * Accessibility settings of a fresh install: { announceEvery (minutes), finalMinute, motion }.
+ */
+export const DEFAULT_A11Y = { announceEvery: 5, finalMinute: true, motion: 'system' };
+
+/**
+ * PUBLIC_INTERFACE
+ * normalizeA11y
+ * Complete accessibility settings from any source; unknown values fall back to the defaults.
+ */
+export function normalizeA11y(source) {
+  const s = source && typeof source === 'object' ? source : {};
+  return {
+    announceEvery: ANNOUNCE_EVERY.includes(s.announceEvery) ? s.announceEvery : DEFAULT_A11Y.announceEvery,
+    finalMinute: typeof s.finalMinute === 'boolean' ? s.finalMinute : DEFAULT_A11Y.finalMinute,
+    motion: MOTION_MODES.some(m => m.id === s.motion) ? s.motion : DEFAULT_A11Y.motion,
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * dueAnnouncement
+ * The remaining time (ms) to announce when a running session went from `before` to `after` ms
+ * left: a multiple of `announceEvery` minutes, or one of the final minute's marks, that was
+ * crossed. Returns null when nothing is due (including at the very end, which has its own message).
+ */
+export function dueAnnouncement(settings, before, after) {
+  if (!Number.isFinite(before) || !Number.isFinite(after) || after <= 0 || after >= before) return null;
+  const crossed = at => before > at && after <= at;
+  if (settings.finalMinute) {
+    const mark = FINAL_MARKS_MS.find(crossed);
+    if (mark) return mark;
+  }
+  if (settings.announceEvery > 0) {
+    const step = settings.announceEvery * 60000;
+    const mark = Math.floor((before - 1) / step) * step;
+    if (mark > 0 && crossed(mark)) return mark;
+  }
+  return null;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * dueElapsedAnnouncement
+ * For a session counting up (Flowtime): the elapsed time (ms) to announce when it went from
+ * `before` to `after` ms, i.e. the multiple of `announceEvery` minutes crossed, or null.
+ */
+export function dueElapsedAnnouncement(settings, before, after) {
+  if (!Number.isFinite(before) || !Number.isFinite(after) || after <= before || !(settings.announceEvery > 0)) return null;
+  const step = settings.announceEvery * 60000;
+  const mark = Math.floor(after / step) * step;
+  return mark > 0 && before < mark ? mark : null;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * spokenDuration
+ * A duration as a screen reader should say it: '12 minutes', '1 minute 30 seconds', '10 seconds',
+ * '1 hour 5 minutes'.
+ */
+export function spokenDuration(ms) {
+  const total = Math.max(0, Math.round(ms / 1000));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const seconds = total % 60;
+  const parts = [];
+  if (hours) parts.push(`${hours} ${hours === 1 ? 'hour' : 'hours'}`);
+  if (minutes) parts.push(`${minutes} ${minutes === 1 ? 'minute' : 'minutes'}`);
+  if (seconds || (!minutes && !hours)) parts.push(`${seconds} ${seconds === 1 ? 'second' : 'seconds'}`);
+  return parts.join(' ');
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * reducesMotion
+ * Whether animations should be reduced for a motion mode, given the system's prefers-reduced-motion.
+ */
+export function reducesMotion(motion, prefersReduced) {
+  if (motion === 'reduce') return true;
+  if (motion === 'full') return false;
+  return Boolean(prefersReduced);
+}
@@ -0,0 +1,47 @@
+import { DEFAULT_A11Y, dueAnnouncement, dueElapsedAnnouncement, normalizeA11y, reducesMotion, spokenDuration } from './accessibility';
+
+const MIN = 60000;
+
+test('the remaining time is announced every few minutes and through the final minute', () => {
+  const settings = { announceEvery: 5, finalMinute: true };
+  expect(dueAnnouncement(settings, 25 * MIN, 25 * MIN - 250)).toBeNull();
+  expect(dueAnnouncement(settings, 20 * MIN + 100, 20 * MIN - 150)).toBe(20 * MIN);
+  expect(dueAnnouncement(settings, 19 * MIN, 18 * MIN)).toBeNull();
+  expect(dueAnnouncement(settings, 61000, 59900)).toBe(MIN);
+  expect(dueAnnouncement(settings, 30100, 29900)).toBe(30000);
+  // A heartbeat that skipped several marks announces one of them, not all
+  expect(dueAnnouncement(settings, 11 * MIN, 4 * MIN)).toBe(10 * MIN);
+  // The end has its own message
+  expect(dueAnnouncement(settings, 200, 0)).toBeNull();
+});
+
+test('announcements can be turned off', () => {
+  const off = { announceEvery: 0, finalMinute: false };
+  expect(dueAnnouncement(off, 20 * MIN + 100, 20 * MIN - 150)).toBeNull();
+  expect(dueAnnouncement(off, 61000, 59900)).toBeNull();
+});
+
+test('durations are spelled out for screen readers', () => {
+  expect(spokenDuration(12 * MIN)).toBe('12 minutes');
+  expect(spokenDuration(MIN + 30000)).toBe('1 minute 30 seconds');
+  expect(spokenDuration(10000)).toBe('10 seconds');
+  expect(spokenDuration(0)).toBe('0 seconds');
+  expect(spokenDuration(65 * MIN)).toBe('1 hour 5 minutes');
+  expect(spokenDuration(2 * 60 * MIN)).toBe('2 hours');
+});
+
+test('a session counting up announces the time spent at the same marks', () => {
+  const settings = { announceEvery: 10, finalMinute: true };
+  expect(dueElapsedAnnouncement(settings, 10 * MIN - 100, 10 * MIN + 150)).toBe(10 * MIN);
+  expect(dueElapsedAnnouncement(settings, 11 * MIN, 12 * MIN)).toBeNull();
+  expect(dueElapsedAnnouncement(settings, 0, 250)).toBeNull();
+  expect(dueElapsedAnnouncement({ announceEvery: 0 }, 10 * MIN - 100, 10 * MIN + 150)).toBeNull();
+});
+
+test('motion follows the system unless chosen, and settings are cleaned up', () => {
+  expect(reducesMotion('system', true)).toBe(true);
+  expect(reducesMotion('system', false)).toBe(false);
+  expect(reducesMotion('full', true)).toBe(false);
+  expect(reducesMotion('reduce', false)).toBe(true);
+  expect(normalizeA11y({ announceEvery: 7, finalMinute: 'yes', motion: 'wild' })).toEqual(DEFAULT_A11Y);
+});
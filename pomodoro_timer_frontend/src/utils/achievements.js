@@ -0,0 +1,239 @@
+import { SPECIES, SPECIES_IDS, plantSpecies } from './plants';
+import { THEMES } from './themes';
+import { AMBIENT_LAYERS } from './soundscape';
+import { startOfWeek } from './stats';
+import { DEFAULT_GOAL, dailyTotals, goalStreaks } from './goals';
+
+// A session must run at least this long to count as one without pauses
+const UNPAUSED_MIN_MS = 15 * 60 * 1000;
+// Local hours before which a session is an early one, and from which it is a late one
+const EARLY_BEFORE_HOUR = 7;
+const LATE_FROM_HOUR = 22;
+// Where each kind of reward is listed in lockedRewards
+const KIND_GROUPS = { species: 'species', theme: 'themes', layer: 'layers' };
+
+/**
+ * PUBLIC_INTERFACE
+ * ACHIEVEMENTS
+ * Focus milestones: { id, label, description, icon, stat (a key of achievementStats), target
+ * (the stat to reach), unlocks: [{ kind: 'species' | 'theme' | 'layer', id }] }.
+ */
+export const ACHIEVEMENTS = [
+  {
+    id: 'first-session',
+    label: 'First sprout',
+    description: 'Complete your first focus session',
+    icon: '🌱',
+    stat: 'sessions',
+    target: 1,
+    unlocks: [{ kind: 'species', id: 'tulip' }, { kind: 'layer', id: 'stream' }],
+  },
+  {
+    id: 'unbroken',
+    label: 'Unbroken focus',
+    description: 'Complete a focus session of 15 minutes or more without pausing',
+    icon: '🎯',
+    stat: 'unpausedSessions',
+    target: 1,
+    unlocks: [{ kind: 'species', id: 'sunflower' }],
+  },
+  {
+    id: 'goal-met',
+    label: 'Goal reached',
+    description: 'Meet your daily goal',
+    icon: '✅',
+    stat: 'goalDays',
+    target: 1,
+    unlocks: [{ kind: 'species', id: 'lavender' }],
+  },
+  {
+    id: 'ten-sessions',
+    label: 'Ten sessions',
+    description: 'Complete 10 focus sessions',
+    icon: '🍅',
+    stat: 'sessions',
+    target: 10,
+    unlocks: [{ kind: 'species', id: 'oak' }],
+  },
+  {
+    id: 'early-bird',
+    label: 'Early bird',
+    description: 'Complete a focus session before 7 am',
+    icon: '🌅',
+    stat: 'earlySessions',
+    target: 1,
+    unlocks: [{ kind: 'species', id: 'willow' }],
+  },
+  {
+    id: 'night-owl',
+    label: 'Night owl',
+    description: 'Complete a focus session after 10 pm',
+    icon: '🦉',
+    stat: 'lateSessions',
+    target: 1,
+    unlocks: [{ kind: 'layer', id: 'crickets' }, { kind: 'theme', id: 'aurora' }],
+  },
+  {
+    id: 'ten-hour-week',
+    label: 'Ten-hour week',
+    description: 'Focus for 10 hours within one week',
+    icon: '📅',
+    stat: 'bestWeekMinutes',
+    target: 600,
+    unlocks: [{ kind: 'species', id: 'pine' }],
+  },
+  {
+    id: 'week-streak',
+    label: 'Seven-day streak',
+    description: 'Meet your daily goal seven days in a row',
+    icon: '🔥',
+    stat: 'bestStreak',
+    target: 7,
+    unlocks: [{ kind: 'species', id: 'cherry' }],
+  },
+  {
+    id: 'deep-flow',
+    label: 'Deep flow',
+    description: 'Stay in a Flowtime session for an hour',
+    icon: '🌊',
+    stat: 'longestFlowMinutes',
+    target: 60,
+    unlocks: [{ kind: 'theme', id: 'blossom' }],
+  },
+  {
+    id: 'hundred-sessions',
+    label: 'Hundred sessions',
+    description: 'Complete 100 focus sessions',
+    icon: '🌳',
+    stat: 'sessions',
+    target: 100,
+    unlocks: [{ kind: 'species', id: 'apple' }],
+  },
+];
+
+/**
+ * PUBLIC_INTERFACE
+ * lockedRewards
+ * What is still locked with `unlocked` ({ [achievementId]: unlockedAt }): { species, themes,
+ * layers }, each a list of ids. Everything no achievement unlocks is available from the start.
+ */
+export function lockedRewards(unlocked) {
+  const locked = { species: [], themes: [], layers: [] };
+  ACHIEVEMENTS.filter(a => !unlocked[a.id]).forEach(a => {
+    a.unlocks.forEach(({ kind, id }) => locked[KIND_GROUPS[kind]].push(id));
+  });
+  return locked;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * availableSpecies
+ * Ids of the species that can be grown with `unlocked`, in SPECIES order.
+ */
+export function availableSpecies(unlocked) {
+  const locked = lockedRewards(unlocked).species;
+  return SPECIES_IDS.filter(id => !locked.includes(id));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * unlockedBy
+ * The achievement that unlocks a reward (`kind` and `id`), or null if it is never locked.
+ */
+export function unlockedBy(kind, id) {
+  return ACHIEVEMENTS.find(a => a.unlocks.some(u => u.kind === kind && u.id === id)) || null;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * rewardLabel
+ * How a reward is named to the user, e.g. 'Tulip plant' or 'Aurora night theme'.
+ */
+export function rewardLabel({ kind, id }) {
+  if (kind === 'species') return `${plantSpecies(id).label} plant`;
+  if (kind === 'theme') return `${(THEMES.find(t => t.id === id) || { label: id }).label} theme`;
+  return `${(AMBIENT_LAYERS.find(l => l.id === id) || { label: id }).label} sound`;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * achievementStats
+ * Everything the milestones measure, from the session history and the daily goal: { sessions
+ * (completed focus sessions), unpausedSessions, earlySessions, lateSessions (by local time),
+ * goalDays (days the goal was met), bestStreak (days), bestWeekMinutes, longestFlowMinutes }.
+ */
+export function achievementStats(history, goal = DEFAULT_GOAL, now = Date.now()) {
+  const focus = history.filter(s => s.mode === 'focus');
+  const completed = focus.filter(s => s.completed && !s.extension);
+  const hour = ts => new Date(ts).getHours();
+  const weeks = new Map();
+  focus.forEach(s => {
+    const week = startOfWeek(s.startedAt);
+    weeks.set(week, (weeks.get(week) || 0) + (s.actualMs || 0) / 60000);
+  });
+  const days = [...dailyTotals(history, goal).values()];
+  return {
+    sessions: completed.length,
+    unpausedSessions: completed.filter(s => !s.pauseCount && (s.actualMs || 0) >= UNPAUSED_MIN_MS).length,
+    earlySessions: completed.filter(s => hour(s.startedAt) < EARLY_BEFORE_HOUR).length,
+    lateSessions: completed.filter(s => hour(s.endedAt) >= LATE_FROM_HOUR).length,
+    goalDays: days.filter(d => (goal.unit === 'minutes' ? d.minutes : d.sessions) >= goal.target).length,
+    bestStreak: goalStreaks(history, goal, now).best,
+    bestWeekMinutes: Math.floor(Math.max(0, ...weeks.values())),
+    longestFlowMinutes: Math.floor(Math.max(0, ...focus.filter(s => s.flow).map(s => (s.actualMs || 0) / 60000))),
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * evaluateAchievements
+ * Checks every milestone against `stats` (achievementStats). Returns { unlocked, fresh }: the
+ * unlocked map with any newly reached achievements stamped `now`, and the ids of those. An
+ * achievement once unlocked stays unlocked, even if the history it was earned with is trimmed.
+ */
+export function evaluateAchievements(unlocked, stats, now = Date.now()) {
+  const fresh = ACHIEVEMENTS.filter(a => !unlocked[a.id] && stats[a.stat] >= a.target).map(a => a.id);
+  if (!fresh.length) return { unlocked, fresh };
+  return { unlocked: { ...unlocked, ...Object.fromEntries(fresh.map(id => [id, now])) }, fresh };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * achievementProgress
+ * Every achievement with how far along it is: { ...achievement, value (capped at target),
+ * unlockedAt (or null) }, for the collection screen.
+ */
+export function achievementProgress(unlocked, stats) {
+  return ACHIEVEMENTS.map(a => ({
+    ...a,
+    value: Math.min(a.target, stats[a.stat] || 0),
+    unlockedAt: unlocked[a.id] ?? null,
+  }));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * normalizeUnlocked
+ * The unlocked achievements map from any source: known ids with a finite unlock time.
+ */
+export function normalizeUnlocked(source) {
+  const s = source && typeof source === 'object' ? source : {};
+  return Object.fromEntries(ACHIEVEMENTS.filter(a => Number.isFinite(s[a.id])).map(a => [a.id, s[a.id]]));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * DEFAULT_PLANT_PREFS
+ * Plant preferences of a fresh install: { next: 'random' or the species id to grow next }.
+ */
+export const DEFAULT_PLANT_PREFS = { next: 'random' };
+
+/**
+ * PUBLIC_INTERFACE
+ * normalizePlantPrefs
+ * Complete plant preferences from any source; an unknown species falls back to a random one.
+ */
+export function normalizePlantPrefs(source) {
+  const next = source && source.next;
+  return { next: SPECIES.some(s => s.id === next) ? next : DEFAULT_PLANT_PREFS.next };
+}
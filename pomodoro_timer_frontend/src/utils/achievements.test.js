@@ -0,0 +1,90 @@
+import {
+  ACHIEVEMENTS,
+  achievementProgress,
+  achievementStats,
+  availableSpecies,
+  evaluateAchievements,
+  lockedRewards,
+  normalizePlantPrefs,
+  normalizeUnlocked,
+  rewardLabel,
+  unlockedBy,
+} from './achievements';
+import { SPECIES_IDS } from './plants';
+import { at, breakSession, focusSession } from './testSessions';
+
+test('a fresh install has every rewarded species, theme and sound locked', () => {
+  const locked = lockedRewards({});
+  expect(locked.species).toEqual(expect.arrayContaining(['tulip', 'oak', 'apple']));
+  expect(locked.themes).toEqual(['aurora', 'blossom']);
+  expect(locked.layers).toEqual(['stream', 'crickets']);
+  expect(availableSpecies({})).toEqual(SPECIES_IDS.filter(id => !locked.species.includes(id)));
+  expect(availableSpecies({})).toContain('sapling');
+
+  const after = lockedRewards({ 'first-session': 1, 'night-owl': 2 });
+  expect(after.species).not.toContain('tulip');
+  expect(after.themes).toEqual(['blossom']);
+  expect(after.layers).toEqual([]);
+  expect(availableSpecies({ 'first-session': 1 })).toContain('tulip');
+});
+
+test('rewards know the achievement that unlocks them and how they are named', () => {
+  expect(unlockedBy('species', 'cherry').id).toBe('week-streak');
+  expect(unlockedBy('theme', 'aurora').id).toBe('night-owl');
+  expect(unlockedBy('species', 'sapling')).toBeNull();
+  expect(rewardLabel({ kind: 'species', id: 'tulip' })).toBe('Tulip plant');
+  expect(rewardLabel({ kind: 'theme', id: 'aurora' })).toBe('Aurora night theme');
+  expect(rewardLabel({ kind: 'layer', id: 'stream' })).toMatch(/ sound$/);
+});
+
+test('stats count sessions by kind, time of day, week and flow', () => {
+  const history = [
+    focusSession(at(6, 6, 25), 25),
+    focusSession(at(6, 9, 30), 30, { pauseCount: 2 }),
+    focusSession(at(7, 22, 55), 25),
+    focusSession(at(8, 11, 15), 75, { flow: true }),
+    focusSession(at(8, 12, 10), 10, { completed: false }),
+    focusSession(at(8, 13, 5), 5, { extension: true }),
+    breakSession(at(8, 14, 5)),
+  ];
+  const stats = achievementStats(history, { unit: 'sessions', target: 2, dayStartHour: 0, timeZone: null, restDays: [] }, at(9, 12));
+  expect(stats).toMatchObject({
+    sessions: 4,
+    unpausedSessions: 3,
+    earlySessions: 1,
+    lateSessions: 1,
+    goalDays: 1,
+    bestWeekMinutes: 170,
+    longestFlowMinutes: 75,
+  });
+  expect(achievementStats([])).toMatchObject({ sessions: 0, bestWeekMinutes: 0, longestFlowMinutes: 0 });
+});
+
+test('only newly reached achievements are stamped, and unlocks are kept', () => {
+  const stats = { ...achievementStats([]), sessions: 10 };
+  const first = evaluateAchievements({}, stats, 100);
+  expect(first.fresh).toEqual(['first-session', 'ten-sessions']);
+  expect(first.unlocked).toEqual({ 'first-session': 100, 'ten-sessions': 100 });
+
+  const again = evaluateAchievements(first.unlocked, stats, 200);
+  expect(again.fresh).toEqual([]);
+  expect(again.unlocked).toBe(first.unlocked);
+
+  // Trimming the history does not take anything back
+  expect(evaluateAchievements(first.unlocked, achievementStats([]), 300).unlocked).toEqual(first.unlocked);
+});
+
+test('progress is capped at the target and carries the unlock time', () => {
+  const progress = achievementProgress({ 'first-session': 100 }, { ...achievementStats([]), sessions: 42 });
+  expect(progress).toHaveLength(ACHIEVEMENTS.length);
+  expect(progress.find(a => a.id === 'first-session')).toMatchObject({ value: 1, unlockedAt: 100 });
+  expect(progress.find(a => a.id === 'hundred-sessions')).toMatchObject({ value: 42, unlockedAt: null });
+});
+
+test('stored unlocks and plant preferences are cleaned up', () => {
+  expect(normalizeUnlocked({ 'first-session': 5, unknown: 1, 'night-owl': 'soon' })).toEqual({ 'first-session': 5 });
+  expect(normalizeUnlocked(null)).toEqual({});
+  expect(normalizePlantPrefs({ next: 'fern' })).toEqual({ next: 'fern' });
+  expect(normalizePlantPrefs({ next: 'cactus' })).toEqual({ next: 'random' });
+  expect(normalizePlantPrefs()).toEqual({ next: 'random' });
+});
@@ -0,0 +1,93 @@
+/**
+ * PUBLIC_INTERFACE
+ * CHIME_STYLES
+ * The procedural chime voices alerts can use (see utils/chimes for how each sounds).
+ */
+export const CHIME_STYLES = [
+  { id: 'classic', label: 'Classic' },
+  { id: 'woodBlock', label: 'Wood block' },
+  { id: 'singingBowl', label: 'Singing bowl' },
+  { id: 'windChime', label: 'Wind chime' },
+  { id: 'softBell', label: 'Soft bell' },
+];
+
+/**
+ * PUBLIC_INTERFACE
+ * ALERT_MODES
+ * The session modes alerts are configured for, in display order.
+ */
+export const ALERT_MODES = [
+  { id: 'focus', label: 'Focus' },
+  { id: 'break', label: 'Break' },
+  { id: 'longBreak', label: 'Long break' },
+];
+
+/**
+ * PUBLIC_INTERFACE
+ * WARNING_MINUTES
+ * Choices for the warning before a session ends; 0 turns it off.
+ */
+export const WARNING_MINUTES = [0, 1, 2, 5, 10];
+
+/**
+ * PUBLIC_INTERFACE
+ * ALARM_REPEAT_MS / ALARM_MAX_RINGS
+ * A repeating alarm rings again this often until acknowledged, and gives up after this many rings
+ * (five minutes) so a forgotten tab does not chime all day.
+ */
+export const ALARM_REPEAT_MS = 20000;
+export const ALARM_MAX_RINGS = 15;
+
+const MODE_DEFAULTS = { style: 'classic', warningMinutes: 0, halfway: false, repeat: false };
+
+/**
+ * PUBLIC_INTERFACE
+ * DEFAULT_ALERTS
+ * Alert settings of a fresh install: { volume, modes: { [mode]: { style, warningMinutes, halfway, repeat } } }.
+ * Only the end-of-session chime is on, as before alerts were configurable.
+ */
+export const DEFAULT_ALERTS = {
+  volume: 0.8,
+  modes: Object.fromEntries(ALERT_MODES.map(({ id }) => [id, MODE_DEFAULTS])),
+};
+
+/**
+ * PUBLIC_INTERFACE
+ * normalizeAlerts
+ * Complete alert settings from any source; unknown styles and warning lengths fall back to the defaults.
+ */
+export function normalizeAlerts(source) {
+  const volume = source && source.volume;
+  const modes = (source && source.modes) || {};
+  return {
+    volume: Number.isFinite(volume) ? Math.max(0, Math.min(1, volume)) : DEFAULT_ALERTS.volume,
+    modes: Object.fromEntries(ALERT_MODES.map(({ id }) => [id, normalizeModeAlert(modes[id])])),
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * dueCue
+ * The cue to play when a session's remaining time went from `before` to `after` (ms):
+ * 'warning' when it crossed the warning, 'halfway' when it crossed the middle, otherwise null.
+ * Nothing is due at the very end (that is the completion chime), nor for a warning longer than
+ * the session itself.
+ */
+export function dueCue(alert, durationMs, before, after) {
+  if (!alert || !Number.isFinite(before) || !Number.isFinite(after) || after <= 0) return null;
+  const crossed = at => before > at && after <= at;
+  const warningMs = alert.warningMinutes * 60000;
+  if (warningMs > 0 && warningMs < durationMs && crossed(warningMs)) return 'warning';
+  if (alert.halfway && crossed(durationMs / 2)) return 'halfway';
+  return null;
+}
+
+function normalizeModeAlert(alert) {
+  if (!alert || typeof alert !== 'object') return MODE_DEFAULTS;
+  return {
+    style: CHIME_STYLES.some(s => s.id === alert.style) ? alert.style : MODE_DEFAULTS.style,
+    warningMinutes: WARNING_MINUTES.includes(alert.warningMinutes) ? alert.warningMinutes : MODE_DEFAULTS.warningMinutes,
+    halfway: Boolean(alert.halfway),
+    repeat: Boolean(alert.repeat),
+  };
+}
@@ -0,0 +1,29 @@
+import { DEFAULT_ALERTS, dueCue, normalizeAlerts } from './alerts';
+
+const MIN = 60000;
+
+test('alert settings are completed and cleaned up', () => {
+  expect(normalizeAlerts(null)).toEqual(DEFAULT_ALERTS);
+  const alerts = normalizeAlerts({ volume: 3, modes: { focus: { style: 'gong', warningMinutes: 5, halfway: 1 }, break: { style: 'softBell', warningMinutes: 7 } } });
+  expect(alerts.volume).toBe(1);
+  expect(alerts.modes.focus).toEqual({ style: 'classic', warningMinutes: 5, halfway: true, repeat: false });
+  expect(alerts.modes.break).toEqual({ style: 'softBell', warningMinutes: 0, halfway: false, repeat: false });
+  expect(alerts.modes.longBreak).toEqual(DEFAULT_ALERTS.modes.longBreak);
+});
+
+test('cues are due when the remaining time crosses them', () => {
+  const alert = { warningMinutes: 5, halfway: true };
+  expect(dueCue(alert, 25 * MIN, 5 * MIN + 200, 5 * MIN - 50)).toBe('warning');
+  expect(dueCue(alert, 25 * MIN, 4 * MIN, 3 * MIN)).toBeNull();
+  expect(dueCue(alert, 25 * MIN, 12.5 * MIN + 1, 12.5 * MIN)).toBe('halfway');
+  // A long gap (e.g. a sleeping laptop) plays only the most urgent cue, and never at the end
+  expect(dueCue(alert, 25 * MIN, 20 * MIN, 4 * MIN)).toBe('warning');
+  expect(dueCue(alert, 25 * MIN, 6 * MIN, 0)).toBeNull();
+  // A new or lengthened session counts up, not down
+  expect(dueCue(alert, 25 * MIN, 100, 25 * MIN)).toBeNull();
+});
+
+test('a warning longer than the session is skipped', () => {
+  expect(dueCue({ warningMinutes: 10, halfway: false }, 5 * MIN, 5 * MIN, 4 * MIN)).toBeNull();
+  expect(dueCue({ warningMinutes: 0, halfway: false }, 5 * MIN, 100, 0)).toBeNull();
+});
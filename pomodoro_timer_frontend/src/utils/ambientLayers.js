@@ -0,0 +1,208 @@
+/**
+ * Procedural sources for the soundscape layers (utils/soundscape). Everything is generated with
+ * noise buffers, filters and oscillators, so the app ships no audio files.
+ */
+
+// Length of the looped noise buffers, and of the crossfade baked into their loop point
+const NOISE_SECONDS = 8;
+const LOOP_CROSSFADE_S = 0.5;
+
+// One buffer per noise colour per AudioContext
+const noiseCache = new WeakMap();
+
+const LAYER_BUILDERS = {
+  whiteNoise: (ctx, out) => {
+    const level = trim(ctx, 0.25, out);
+    return { nodes: [loopNoise(ctx, 'white', level), level] };
+  },
+  pinkNoise: (ctx, out) => {
+    const level = trim(ctx, 0.6, out);
+    return { nodes: [loopNoise(ctx, 'pink', level), level] };
+  },
+  brownNoise: (ctx, out) => ({ nodes: [loopNoise(ctx, 'brown', out)] }),
+
+  // Bright, dense hiss with the low end cut away
+  rain: (ctx, out) => {
+    const level = trim(ctx, 0.5, out);
+    const lowpass = filter(ctx, 'lowpass', 7000, 0.5, level);
+    const highpass = filter(ctx, 'highpass', 900, 0.7, lowpass);
+    return { nodes: [loopNoise(ctx, 'pink', highpass), highpass, lowpass, level] };
+  },
+
+  // Brown noise through a resonant band that drifts slowly, swelling and settling like gusts
+  wind: (ctx, out) => {
+    const swell = trim(ctx, 0.6, out);
+    const band = filter(ctx, 'bandpass', 450, 1.2, swell);
+    return {
+      nodes: [
+        loopNoise(ctx, 'brown', band),
+        band,
+        swell,
+        ...lfo(ctx, 0.07, 250, band.frequency),
+        ...lfo(ctx, 0.11, 0.35, swell.gain),
+      ],
+    };
+  },
+
+  // Pink noise in the midrange with a quick, shallow ripple
+  stream: (ctx, out) => {
+    const ripple = trim(ctx, 0.8, out);
+    const band = filter(ctx, 'bandpass', 1200, 0.6, ripple);
+    return {
+      nodes: [loopNoise(ctx, 'pink', band), band, ripple, ...lfo(ctx, 0.45, 0.15, ripple.gain), ...lfo(ctx, 0.17, 300, band.frequency)],
+    };
+  },
+
+  // A high tone gated into fast pulses, which are gated again into chirps
+  crickets: (ctx, out) => {
+    const level = trim(ctx, 0.06, out);
+    const chirps = trim(ctx, 0.5, level);
+    const pulses = trim(ctx, 0.5, chirps);
+    const tone = ctx.createOscillator();
+    tone.type = 'sine';
+    tone.frequency.value = 4400;
+    tone.connect(pulses);
+    tone.start();
+    return {
+      nodes: [tone, pulses, chirps, level, ...lfo(ctx, 30, 0.5, pulses.gain, 'square'), ...lfo(ctx, 0.9, 0.5, chirps.gain, 'square')],
+    };
+  },
+
+  birds: (ctx, out) => ({ nodes: [], cancel: scheduleBirds(ctx, out) }),
+};
+
+/**
+ * PUBLIC_INTERFACE
+ * startLayer
+ * Starts the procedural source of a soundscape layer, playing into `destination`. Returns a
+ * function that stops it and releases its nodes.
+ */
+export function startLayer(ctx, id, destination) {
+  const { nodes, cancel } = LAYER_BUILDERS[id](ctx, destination);
+  return () => {
+    if (cancel) cancel();
+    nodes.forEach(node => {
+      try { if (node.stop) node.stop(); } catch (e) { /* already stopped */ }
+      node.disconnect();
+    });
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * createNoiseBuffer
+ * A mono buffer of white, pink or brown noise that loops seamlessly: the noise is generated past
+ * the end and the overrun is crossfaded (equal power) into the start, so the last sample flows
+ * into the first and the loop point cannot be heard.
+ */
+export function createNoiseBuffer(ctx, color, seconds = NOISE_SECONDS) {
+  const size = Math.floor(ctx.sampleRate * seconds);
+  const fade = Math.min(Math.floor(ctx.sampleRate * LOOP_CROSSFADE_S), Math.floor(size / 2));
+  const samples = noiseSamples(color, size + fade);
+  const buffer = ctx.createBuffer(1, size, ctx.sampleRate);
+  const data = buffer.getChannelData(0);
+  data.set(samples.subarray(0, size));
+  for (let i = 0; i < fade; i++) {
+    const angle = (i / fade) * (Math.PI / 2);
+    data[i] = samples[i] * Math.sin(angle) + samples[size + i] * Math.cos(angle);
+  }
+  return buffer;
+}
+
+// A looping noise source of the given colour
+function loopNoise(ctx, color, destination) {
+  const src = ctx.createBufferSource();
+  src.buffer = noiseBuffer(ctx, color);
+  src.loop = true;
+  src.connect(destination);
+  src.start();
+  return src;
+}
+
+function noiseBuffer(ctx, color) {
+  if (!noiseCache.has(ctx)) noiseCache.set(ctx, {});
+  const cache = noiseCache.get(ctx);
+  if (!cache[color]) cache[color] = createNoiseBuffer(ctx, color);
+  return cache[color];
+}
+
+// White: flat spectrum. Pink: -3 dB per octave (Paul Kellet's filter). Brown: -6 dB per octave.
+function noiseSamples(color, bufferSize) {
+  const data = new Float32Array(bufferSize);
+  let lastOut = 0.0;
+  let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
+  for (let i = 0; i < bufferSize; i++) {
+    const white = Math.random() * 2 - 1;
+    if (color === 'brown') {
+      data[i] = (lastOut + 0.02 * white) / 1.02;
+      lastOut = data[i];
+      data[i] *= 3.5; // gain
+    } else if (color === 'pink') {
+      b0 = 0.99886 * b0 + white * 0.0555179;
+      b1 = 0.99332 * b1 + white * 0.0750759;
+      b2 = 0.96900 * b2 + white * 0.1538520;
+      b3 = 0.86650 * b3 + white * 0.3104856;
+      b4 = 0.55000 * b4 + white * 0.5329522;
+      b5 = -0.7616 * b5 - white * 0.0168980;
+      data[i] = (b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362) * 0.11;
+      b6 = white * 0.115926;
+    } else {
+      data[i] = white;
+    }
+  }
+  return data;
+}
+
+function trim(ctx, value, destination) {
+  const gain = ctx.createGain();
+  gain.gain.value = value;
+  gain.connect(destination);
+  return gain;
+}
+
+function filter(ctx, type, frequency, q, destination) {
+  const node = ctx.createBiquadFilter();
+  node.type = type;
+  node.frequency.value = frequency;
+  node.Q.value = q;
+  node.connect(destination);
+  return node;
+}
+
+// A low-frequency oscillator swinging `param` by ±depth around its value; returns its nodes
+function lfo(ctx, frequency, depth, param, type = 'sine') {
+  const osc = ctx.createOscillator();
+  const amount = ctx.createGain();
+  osc.type = type;
+  osc.frequency.value = frequency;
+  amount.gain.value = depth;
+  osc.connect(amount);
+  amount.connect(param);
+  osc.start();
+  return [osc, amount];
+}
+
+// Gentle bird chirps at random intervals; returns a function that stops scheduling them
+function scheduleBirds(ctx, destination) {
+  let timer = null;
+  const schedule = () => {
+    const now = ctx.currentTime;
+    const when = now + 2 + Math.random() * 6; // between 2-8 seconds
+    const osc = ctx.createOscillator();
+    const gain = ctx.createGain();
+    const freq = 1200 + Math.random() * 800;
+    osc.type = 'sine';
+    osc.frequency.setValueAtTime(freq, when);
+    osc.frequency.exponentialRampToValueAtTime(freq * (0.6 + Math.random() * 0.2), when + 0.15);
+    gain.gain.setValueAtTime(0, when);
+    gain.gain.linearRampToValueAtTime(0.12, when + 0.02);
+    gain.gain.exponentialRampToValueAtTime(0.0001, when + 0.22);
+    osc.connect(gain);
+    gain.connect(destination);
+    osc.start(when);
+    osc.stop(when + 0.25);
+    timer = setTimeout(schedule, (when - now + 4) * 1000);
+  };
+  schedule();
+  return () => clearTimeout(timer);
+}
@@ -0,0 +1,240 @@
+import { AMBIENT_LAYERS } from './soundscape';
+import { startLayer } from './ambientLayers';
+import { playBreathCue as playBreathVoice, playChime as playChimeVoice } from './chimes';
+import { ALARM_MAX_RINGS, ALARM_REPEAT_MS } from './alerts';
+
+/**
+ * The app's audio graph, owned by one explicit object instead of React closures:
+ *
+ *   layer sources -> layer gains -> ambient bus (volume) -> master (mute) -> speakers
+ *   chimes, breath cues (utils/chimes) -> alert bus (alert volume) ---^
+ *
+ * The engine keeps the latest volumes, mute, ambience switch and layer levels itself, so every
+ * change applies to the graph as it is now; nothing reads a value captured earlier. Every timer
+ * it sets (layer releases, the bird chirps inside layers and a repeating alarm) can be cancelled.
+ *
+ * Lifecycle: `start` builds the graph (browsers require a user gesture) or resumes it, `stop`
+ * silences and releases every soundscape layer at once, and `dispose` also closes the
+ * AudioContext. A disposed engine can be started again and builds a fresh graph.
+ */
+
+// Level of the whole soundscape at full volume, relative to chimes at full alert volume
+const AMBIENT_GAIN = 0.3;
+// Time constant of layer fades, so mix changes crossfade instead of jumping
+const LAYER_FADE_S = 0.4;
+// Time constant of volume and mute changes
+const VOLUME_FADE_S = 0.02;
+
+/**
+ * PUBLIC_INTERFACE
+ * LAYER_RELEASE_MS
+ * A layer faded to silence is torn down after this long, so idle layers cost nothing.
+ */
+export const LAYER_RELEASE_MS = 3000;
+
+/**
+ * PUBLIC_INTERFACE
+ * createAudioEngine
+ * Creates the audio graph manager. `state` seeds { volume, alertVolume, muted, ambientOn, levels };
+ * `createContext` makes the AudioContext (injectable for tests) and `onAlarm(ringing)` hears when
+ * a repeating alarm starts and stops.
+ * Returns { start, stop, dispose, isStarted, setVolume, setAlertVolume, setMuted, setAmbient,
+ * setLevels, playChime, playBreathCue, stopAlarm }.
+ */
+export function createAudioEngine({ state: initial = {}, createContext = defaultContext, onAlarm = () => {} } = {}) {
+  const state = { volume: 0.6, alertVolume: 0.8, muted: false, ambientOn: false, levels: {}, ...initial };
+  // null until started: { ctx, master, ambient, alerts, layers: { [layerId]: { gain, stop, release } } }
+  let graph = null;
+  const timers = new Set();
+  // The pending ring of a repeating alarm
+  let alarm = null;
+
+  const later = (fn, ms) => {
+    const id = setTimeout(() => {
+      timers.delete(id);
+      fn();
+    }, ms);
+    timers.add(id);
+    return id;
+  };
+  const cancel = (id) => {
+    clearTimeout(id);
+    timers.delete(id);
+  };
+
+  const syncVolumes = () => {
+    if (!graph) return;
+    const { ctx, master, ambient, alerts } = graph;
+    master.gain.setTargetAtTime(state.muted ? 0 : 1, ctx.currentTime, VOLUME_FADE_S);
+    ambient.gain.setTargetAtTime(AMBIENT_GAIN * state.volume, ctx.currentTime, VOLUME_FADE_S);
+    alerts.gain.setTargetAtTime(state.alertVolume, ctx.currentTime, VOLUME_FADE_S);
+  };
+
+  // Start layers that were turned up, fade every layer to its level and schedule the release of
+  // those faded out. Nothing plays while ambience is off or muted.
+  const syncLayers = () => {
+    if (!graph) return;
+    const { ctx, layers } = graph;
+    const audible = state.ambientOn && !state.muted;
+    AMBIENT_LAYERS.forEach(({ id }) => {
+      const level = audible ? state.levels[id] || 0 : 0;
+      let layer = layers[id];
+      if (!layer && level > 0) {
+        const gain = ctx.createGain();
+        gain.gain.setValueAtTime(0, ctx.currentTime);
+        gain.connect(graph.ambient);
+        layer = { gain, stop: startLayer(ctx, id, gain), release: null };
+        layers[id] = layer;
+      }
+      if (!layer) return;
+      cancel(layer.release);
+      layer.release = level === 0 ? later(() => releaseLayer(id), LAYER_RELEASE_MS) : null;
+      layer.gain.gain.setTargetAtTime(level, ctx.currentTime, LAYER_FADE_S);
+    });
+  };
+
+  const releaseLayer = (id) => {
+    const layer = graph && graph.layers[id];
+    if (!layer) return;
+    cancel(layer.release);
+    layer.stop();
+    layer.gain.disconnect();
+    delete graph.layers[id];
+  };
+
+  /**
+   * PUBLIC_INTERFACE
+   * start
+   * Builds the graph on first use (call it from a user gesture) or resumes a suspended context.
+   */
+  const start = () => {
+    if (graph) {
+      if (graph.ctx.state === 'suspended') graph.ctx.resume();
+      return;
+    }
+    const ctx = createContext();
+    const master = ctx.createGain();
+    master.gain.setValueAtTime(state.muted ? 0 : 1, ctx.currentTime);
+    master.connect(ctx.destination);
+    const ambient = ctx.createGain();
+    ambient.gain.setValueAtTime(AMBIENT_GAIN * state.volume, ctx.currentTime);
+    ambient.connect(master);
+    const alerts = ctx.createGain();
+    alerts.gain.setValueAtTime(state.alertVolume, ctx.currentTime);
+    alerts.connect(master);
+    graph = { ctx, master, ambient, alerts, layers: {} };
+    syncLayers();
+  };
+
+  /**
+   * PUBLIC_INTERFACE
+   * stop
+   * Stops every soundscape layer right away. The settings stay; the next change restarts layers.
+   */
+  const stop = () => {
+    if (!graph) return;
+    Object.keys(graph.layers).forEach(releaseLayer);
+  };
+
+  /**
+   * PUBLIC_INTERFACE
+   * dispose
+   * Stops everything, cancels every pending timer and closes the AudioContext.
+   */
+  const dispose = () => {
+    stop();
+    stopAlarm();
+    timers.forEach(id => clearTimeout(id));
+    timers.clear();
+    if (!graph) return;
+    graph.master.disconnect();
+    graph.ctx.close();
+    graph = null;
+  };
+
+  /**
+   * PUBLIC_INTERFACE
+   * playChime
+   * Plays a chime `style` for `kind` (see utils/chimes) through the alert bus. With `repeat` it
+   * becomes an alarm that rings again every ALARM_REPEAT_MS until stopAlarm, muting or
+   * ALARM_MAX_RINGS rings. Silent while muted or before the graph is started.
+   */
+  const playChime = (style, kind, { repeat = false } = {}) => {
+    if (!graph || state.muted) return;
+    stopAlarm();
+    playChimeVoice(graph.ctx, graph.alerts, style, kind);
+    if (!repeat) return;
+    onAlarm(true);
+    ringAgain(style, kind, ALARM_MAX_RINGS - 1);
+  };
+
+  const ringAgain = (style, kind, ringsLeft) => {
+    alarm = later(() => {
+      if (!graph || state.muted || ringsLeft <= 0) {
+        stopAlarm();
+        return;
+      }
+      playChimeVoice(graph.ctx, graph.alerts, style, kind);
+      ringAgain(style, kind, ringsLeft - 1);
+    }, ALARM_REPEAT_MS);
+  };
+
+  /**
+   * PUBLIC_INTERFACE
+   * playBreathCue
+   * Plays the breathing pacer's cue for `phase` ('in', 'hold' or 'out') lasting `seconds`, through
+   * the alert bus. Silent while muted or before the graph is started.
+   */
+  const playBreathCue = (phase, seconds) => {
+    if (!graph || state.muted) return;
+    playBreathVoice(graph.ctx, graph.alerts, phase, seconds);
+  };
+
+  /**
+   * PUBLIC_INTERFACE
+   * stopAlarm
+   * Acknowledges a repeating alarm: it does not ring again.
+   */
+  const stopAlarm = () => {
+    if (alarm === null) return;
+    cancel(alarm);
+    alarm = null;
+    onAlarm(false);
+  };
+
+  return {
+    start,
+    stop,
+    dispose,
+    isStarted: () => graph !== null,
+    setVolume: (volume) => {
+      state.volume = Math.max(0, Math.min(1, volume));
+      syncVolumes();
+    },
+    setAlertVolume: (volume) => {
+      state.alertVolume = Math.max(0, Math.min(1, volume));
+      syncVolumes();
+    },
+    setMuted: (muted) => {
+      state.muted = Boolean(muted);
+      if (state.muted) stopAlarm();
+      syncVolumes();
+      syncLayers();
+    },
+    setAmbient: (on) => {
+      state.ambientOn = Boolean(on);
+      syncLayers();
+    },
+    setLevels: (levels) => {
+      state.levels = { ...levels };
+      syncLayers();
+    },
+    playChime,
+    playBreathCue,
+    stopAlarm,
+  };
+}
+
+function defaultContext() {
+  return new (window.AudioContext || window.webkitAudioContext)();
+}
@@ -0,0 +1,255 @@
+import { LAYER_RELEASE_MS, createAudioEngine } from './audioEngine';
+import { createNoiseBuffer, startLayer } from './ambientLayers';
+import { AMBIENT_LAYERS } from './soundscape';
+import { ALARM_MAX_RINGS, ALARM_REPEAT_MS } from './alerts';
+
+// A minimal stand-in for the Web Audio API that records what the engine builds
+class FakeParam {
+  constructor(value) {
+    this.value = value;
+  }
+
+  setValueAtTime(value) { this.value = value; }
+
+  setTargetAtTime(value) { this.value = value; }
+
+  linearRampToValueAtTime(value) { this.value = value; }
+
+  exponentialRampToValueAtTime(value) { this.value = value; }
+}
+
+class FakeNode {
+  constructor(ctx) {
+    this.ctx = ctx;
+    this.outputs = [];
+    ctx.nodes.push(this);
+  }
+
+  connect(destination) {
+    this.outputs.push(destination);
+    return destination;
+  }
+
+  disconnect() {
+    this.outputs = [];
+  }
+}
+
+class FakeSource extends FakeNode {
+  start() { this.playing = true; }
+
+  stop() { this.playing = false; }
+}
+
+class FakeAudioContext {
+  constructor() {
+    this.currentTime = 0;
+    this.sampleRate = 4000;
+    this.state = 'running';
+    this.nodes = [];
+    this.destination = {};
+  }
+
+  createGain() { return Object.assign(new FakeNode(this), { gain: new FakeParam(1) }); }
+
+  createBiquadFilter() { return Object.assign(new FakeNode(this), { frequency: new FakeParam(350), Q: new FakeParam(1) }); }
+
+  createOscillator() { return Object.assign(new FakeSource(this), { kind: 'oscillator', frequency: new FakeParam(440) }); }
+
+  createBufferSource() { return Object.assign(new FakeSource(this), { kind: 'buffer' }); }
+
+  createBuffer(channels, length, sampleRate) {
+    const data = new Float32Array(length);
+    return { length, sampleRate, getChannelData: () => data };
+  }
+
+  resume() { this.state = 'running'; }
+
+  close() { this.state = 'closed'; }
+}
+
+let contexts;
+const createContext = () => {
+  const ctx = new FakeAudioContext();
+  contexts.push(ctx);
+  return ctx;
+};
+const playing = (ctx, kind) => ctx.nodes.filter(n => n.kind === kind && n.playing).length;
+const oscillators = ctx => ctx.nodes.filter(n => n.kind === 'oscillator').length;
+// The master gain is the one node wired straight to the speakers; the ambient bus and then the
+// alert bus feed it
+const master = ctx => ctx.nodes.find(n => n.outputs.includes(ctx.destination));
+const buses = ctx => ctx.nodes.filter(n => n.outputs.includes(master(ctx)));
+
+beforeEach(() => {
+  contexts = [];
+  jest.useFakeTimers();
+  jest.spyOn(Math, 'random').mockReturnValue(0.5);
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+test('builds the graph once, on start', () => {
+  const engine = createAudioEngine({ createContext });
+  expect(contexts).toHaveLength(0);
+  expect(engine.isStarted()).toBe(false);
+
+  engine.start();
+  contexts[0].state = 'suspended';
+  engine.start();
+  expect(contexts).toHaveLength(1);
+  expect(contexts[0].state).toBe('running');
+  expect(engine.isStarted()).toBe(true);
+});
+
+test('volumes and mute always apply the latest values', () => {
+  const engine = createAudioEngine({ createContext, state: { volume: 0.6, alertVolume: 0.5 } });
+  engine.setVolume(0.5);
+  engine.start();
+  const [ambient, alerts] = buses(contexts[0]);
+  expect(master(contexts[0]).gain.value).toBe(1);
+  expect(ambient.gain.value).toBeCloseTo(0.15);
+  expect(alerts.gain.value).toBe(0.5);
+
+  engine.setMuted(true);
+  expect(master(contexts[0]).gain.value).toBe(0);
+  engine.setAlertVolume(0.9);
+  expect(alerts.gain.value).toBe(0.9);
+  expect(ambient.gain.value).toBeCloseTo(0.15);
+  engine.setMuted(false);
+  expect(master(contexts[0]).gain.value).toBe(1);
+});
+
+test('layers start when turned up and are released once faded out', () => {
+  const engine = createAudioEngine({ createContext, state: { ambientOn: true, levels: { rain: 0.5 } } });
+  engine.start();
+  const ctx = contexts[0];
+  expect(playing(ctx, 'buffer')).toBe(1);
+
+  engine.setLevels({ rain: 0.5, brownNoise: 0.4 });
+  expect(playing(ctx, 'buffer')).toBe(2);
+
+  engine.setAmbient(false);
+  expect(playing(ctx, 'buffer')).toBe(2);
+  jest.advanceTimersByTime(LAYER_RELEASE_MS);
+  expect(playing(ctx, 'buffer')).toBe(0);
+  expect(jest.getTimerCount()).toBe(0);
+});
+
+test('stopping a layer disconnects every node it built', () => {
+  // Birds chirp on a timer instead, see below
+  AMBIENT_LAYERS.filter(l => l.id !== 'birds').forEach(({ id }) => {
+    const ctx = new FakeAudioContext();
+    const out = ctx.createGain();
+    startLayer(ctx, id, out)();
+    expect({ id, connected: ctx.nodes.filter(n => n !== out && n.outputs.length).length }).toEqual({ id, connected: 0 });
+  });
+});
+
+test('turning ambience off stops the birds, and back on never doubles them', () => {
+  const engine = createAudioEngine({ createContext, state: { ambientOn: true, levels: { birds: 1 } } });
+  engine.start();
+  const ctx = contexts[0];
+  // With Math.random at 0.5 a chirp is due every 9 seconds
+  expect(oscillators(ctx)).toBe(1);
+  jest.advanceTimersByTime(9000);
+  expect(oscillators(ctx)).toBe(2);
+
+  // Off and on again before the layer is released: the same chirp loop carries on
+  engine.setAmbient(false);
+  engine.setAmbient(true);
+  jest.advanceTimersByTime(9000);
+  expect(oscillators(ctx)).toBe(3);
+
+  engine.setAmbient(false);
+  jest.advanceTimersByTime(LAYER_RELEASE_MS + 60000);
+  expect(oscillators(ctx)).toBe(3);
+
+  engine.setAmbient(true);
+  jest.advanceTimersByTime(9000);
+  expect(oscillators(ctx)).toBe(5);
+});
+
+test('stop silences the soundscape and dispose releases everything', () => {
+  const engine = createAudioEngine({ createContext, state: { ambientOn: true, levels: { birds: 1, pinkNoise: 1 } } });
+  engine.start();
+  engine.stop();
+  expect(playing(contexts[0], 'buffer')).toBe(0);
+  expect(jest.getTimerCount()).toBe(0);
+
+  engine.setLevels({ pinkNoise: 0.2 });
+  expect(playing(contexts[0], 'buffer')).toBe(1);
+  engine.setLevels({});
+  engine.dispose();
+  expect(contexts[0].state).toBe('closed');
+  expect(jest.getTimerCount()).toBe(0);
+  expect(engine.isStarted()).toBe(false);
+
+  engine.start();
+  expect(contexts).toHaveLength(2);
+});
+
+test('chimes play once the graph is started, and not while muted', () => {
+  const engine = createAudioEngine({ createContext });
+  engine.playChime('classic', 'focus');
+  expect(contexts).toHaveLength(0);
+
+  engine.start();
+  engine.playChime('classic', 'focus');
+  expect(oscillators(contexts[0])).toBe(3);
+  engine.playChime('softBell', 'halfway');
+  expect(oscillators(contexts[0])).toBe(6);
+  engine.setMuted(true);
+  engine.playChime('classic', 'break');
+  expect(oscillators(contexts[0])).toBe(6);
+});
+
+test('breath cues glide softly through the alert bus, and not while muted', () => {
+  const engine = createAudioEngine({ createContext });
+  engine.start();
+  const ctx = contexts[0];
+  engine.playBreathCue('in', 4);
+  const glide = ctx.nodes.filter(n => n.kind === 'oscillator');
+  expect(glide).toHaveLength(1);
+  expect(glide[0].frequency.value).toBeGreaterThan(200);
+  engine.playBreathCue('hold', 4);
+  expect(oscillators(ctx)).toBe(4);
+  engine.setMuted(true);
+  engine.playBreathCue('out', 4);
+  expect(oscillators(ctx)).toBe(4);
+});
+
+test('an alarm rings until it is stopped, and gives up on its own', () => {
+  const onAlarm = jest.fn();
+  const engine = createAudioEngine({ createContext, onAlarm });
+  engine.start();
+  const ctx = contexts[0];
+  engine.playChime('classic', 'halfway', { repeat: true });
+  expect(onAlarm).toHaveBeenLastCalledWith(true);
+  jest.advanceTimersByTime(ALARM_REPEAT_MS * 2);
+  expect(oscillators(ctx)).toBe(3);
+
+  engine.stopAlarm();
+  expect(onAlarm).toHaveBeenLastCalledWith(false);
+  expect(jest.getTimerCount()).toBe(0);
+
+  engine.playChime('classic', 'halfway', { repeat: true });
+  jest.advanceTimersByTime(ALARM_REPEAT_MS * (ALARM_MAX_RINGS + 5));
+  expect(oscillators(ctx)).toBe(3 + ALARM_MAX_RINGS);
+  expect(onAlarm).toHaveBeenLastCalledWith(false);
+  expect(jest.getTimerCount()).toBe(0);
+});
+
+test('noise buffers loop without a seam', () => {
+  jest.restoreAllMocks();
+  const ctx = new FakeAudioContext();
+  const data = createNoiseBuffer(ctx, 'brown', 2).getChannelData(0);
+  let largestStep = 0;
+  for (let i = 1; i < data.length; i++) largestStep = Math.max(largestStep, Math.abs(data[i] - data[i - 1]));
+  // Wrapping from the last sample to the first is no bigger a step than any other
+  expect(Math.abs(data[0] - data[data.length - 1])).toBeLessThanOrEqual(largestStep + 0.05);
+  expect(largestStep).toBeLessThan(0.5);
+});
@@ -0,0 +1,326 @@
+import { flush, load, save, validate } from './storage';
+import { normalizeSettings } from './presets';
+import { replaceHistory } from './history';
+import { normalizeAlerts } from './alerts';
+
+/**
+ * PUBLIC_INTERFACE
+ * BACKUP_VERSION
+ * Format version written into every backup (`forestFocusBackup`); newer backups are refused.
+ */
+export const BACKUP_VERSION = 1;
+
+const CSV_COLUMNS = ['id', 'mode', 'start', 'end', 'planned_minutes', 'actual_minutes', 'pauses', 'completed', 'species', 'task'];
+const MODE_NAMES = { focus: 'Focus', break: 'Break', longBreak: 'Long break' };
+
+/**
+ * PUBLIC_INTERFACE
+ * readAppData
+ * Everything a backup holds, as currently stored: timer settings, audio, alerts, preferences (key
+ * bindings, presets, theme, accessibility settings, the daily goal with its rest days, the
+ * break activities and the next plant), tasks, the session log and the unlocked achievements. The
+ * running session, the session count and the plant species are deliberately not part of it.
+ */
+export function readAppData() {
+  const { shortcuts, presets, theme, a11y, goal, breaks, plants } = load('preferences');
+  return {
+    settings: normalizeSettings(load('timer')),
+    audio: load('audio'),
+    alerts: normalizeAlerts(load('alerts')),
+    preferences: { shortcuts, presets, theme, a11y, goal, breaks, plants },
+    tasks: load('tasks'),
+    history: load('history'),
+    achievements: load('achievements'),
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * createBackup
+ * A versioned backup of all app data, ready for backupToJson.
+ */
+export function createBackup(now = Date.now()) {
+  return { forestFocusBackup: BACKUP_VERSION, exportedAt: new Date(now).toISOString(), data: readAppData() };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * backupToJson
+ * Serialises a backup for download.
+ */
+export function backupToJson(backup) {
+  return JSON.stringify(backup, null, 2);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * parseBackup
+ * Reads and validates backup JSON. Returns { backup } with every section cleaned up, or { error }
+ * with a message for the user. Sections missing from the file are simply not imported.
+ */
+export function parseBackup(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (e) {
+    return { error: 'The file is not valid JSON.' };
+  }
+  if (!isObject(parsed) || !Number.isInteger(parsed.forestFocusBackup) || !isObject(parsed.data)) {
+    return { error: 'This is not a Forest Focus backup.' };
+  }
+  if (parsed.forestFocusBackup > BACKUP_VERSION) {
+    return { error: 'This backup was made by a newer version of Forest Focus.' };
+  }
+  const data = {};
+  const unreadable = [];
+  if ('settings' in parsed.data) {
+    if (isObject(parsed.data.settings)) data.settings = normalizeSettings(parsed.data.settings);
+    else unreadable.push('settings');
+  }
+  if ('alerts' in parsed.data) {
+    if (isObject(parsed.data.alerts)) data.alerts = normalizeAlerts(parsed.data.alerts);
+    else unreadable.push('alerts');
+  }
+  ['audio', 'preferences', 'tasks', 'history', 'achievements'].forEach(namespace => {
+    if (!(namespace in parsed.data)) return;
+    const valid = validate(namespace, parsed.data[namespace]);
+    if (valid === null) unreadable.push(namespace);
+    else data[namespace] = valid;
+  });
+  if (unreadable.length) return { error: `The backup has unreadable ${unreadable.join(', ')}.` };
+  const exportedAt = Date.parse(parsed.exportedAt);
+  return { backup: { exportedAt: Number.isFinite(exportedAt) ? exportedAt : null, data } };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * planImport
+ * Works out the result of importing a backup over `current` (readAppData) without writing
+ * anything. 'merge' adds the sessions, tasks, presets and achievements you do not have yet and
+ * keeps yours; 'replace' swaps them for the backup's. Settings, audio, alerts, key bindings, the
+ * theme, the accessibility settings, the daily goal, the break activities and the next plant come
+ * from the backup either way (merging keeps the rest days marked here too). Returns { strategy,
+ * data, changes } where `changes` is what the preview shows: { sessions, tasks, presets: { added,
+ * removed }, settings, audio, alerts, shortcuts, theme, a11y, goal, breaks, plants, achievements:
+ * boolean }.
+ */
+export function planImport(backup, strategy = 'merge', current = readAppData()) {
+  const incoming = backup.data;
+  const replace = strategy === 'replace';
+  const next = { ...current };
+  if (incoming.settings) next.settings = incoming.settings;
+  if (incoming.audio) next.audio = incoming.audio;
+  if (incoming.alerts) next.alerts = incoming.alerts;
+  if (incoming.history) {
+    next.history = replace ? incoming.history : mergeBy(sessionKey, current.history, incoming.history);
+  }
+  if (incoming.tasks) {
+    next.tasks = replace
+      ? incoming.tasks
+      : { tasks: mergeBy(byId, current.tasks.tasks, incoming.tasks.tasks), activeTaskId: current.tasks.activeTaskId };
+  }
+  if (incoming.preferences) {
+    next.preferences = replace
+      ? incoming.preferences
+      : {
+        shortcuts: incoming.preferences.shortcuts || current.preferences.shortcuts,
+        theme: incoming.preferences.theme || current.preferences.theme,
+        a11y: incoming.preferences.a11y || current.preferences.a11y,
+        goal: mergeGoal(current.preferences.goal, incoming.preferences.goal),
+        breaks: incoming.preferences.breaks || current.preferences.breaks,
+        plants: incoming.preferences.plants || current.preferences.plants,
+        presets: mergeBy(byId, current.preferences.presets, incoming.preferences.presets),
+      };
+  }
+  if (incoming.achievements) {
+    next.achievements = replace ? incoming.achievements : mergeUnlocked(current.achievements, incoming.achievements);
+  }
+  return {
+    strategy,
+    data: next,
+    changes: {
+      sessions: countChanges(sessionKey, current.history, next.history),
+      tasks: countChanges(byId, current.tasks.tasks, next.tasks.tasks),
+      presets: countChanges(byId, current.preferences.presets, next.preferences.presets),
+      settings: !sameJson(current.settings, next.settings),
+      audio: !sameJson(current.audio, next.audio),
+      alerts: !sameJson(current.alerts, next.alerts),
+      shortcuts: !sameJson(current.preferences.shortcuts, next.preferences.shortcuts),
+      theme: !sameJson(current.preferences.theme ?? null, next.preferences.theme ?? null),
+      a11y: !sameJson(current.preferences.a11y ?? null, next.preferences.a11y ?? null),
+      goal: !sameJson(current.preferences.goal ?? null, next.preferences.goal ?? null),
+      breaks: !sameJson(current.preferences.breaks ?? null, next.preferences.breaks ?? null),
+      plants: !sameJson(current.preferences.plants ?? null, next.preferences.plants ?? null),
+      achievements: !sameJson(current.achievements, next.achievements),
+    },
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * applyImport
+ * Writes a planned import and dispatches 'pomodoro-data-imported' so every part of the app reloads
+ * it. Only the timer settings change: the session in progress, sessionCount and species are kept.
+ */
+export function applyImport(plan) {
+  const { settings, audio, alerts, preferences, tasks, history, achievements } = plan.data;
+  save('timer', { ...load('timer'), ...settings });
+  save('audio', audio);
+  save('alerts', alerts);
+  save('preferences', preferences);
+  save('tasks', tasks);
+  save('achievements', achievements);
+  replaceHistory(history);
+  flush();
+  window.dispatchEvent(new CustomEvent('pomodoro-data-imported'));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * historyToCsv
+ * The session log as CSV (one row per session, times in UTC ISO 8601), with each session's task
+ * title looked up in `tasks`.
+ */
+export function historyToCsv(history, tasks = []) {
+  const titles = new Map(tasks.map(t => [t.id, t.title]));
+  const rows = history.map(e => [
+    e.id ?? '',
+    e.mode,
+    new Date(e.startedAt).toISOString(),
+    new Date(e.endedAt).toISOString(),
+    toMinutes(e.plannedMs),
+    toMinutes(e.actualMs),
+    e.pauseCount ?? 0,
+    e.completed ? 'yes' : 'no',
+    e.species ?? '',
+    titles.get(e.taskId) ?? '',
+  ]);
+  return `${[CSV_COLUMNS, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n')}\r\n`;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * historyToIcs
+ * The session log as an iCalendar (RFC 5545) file: one event per session, titled with its kind
+ * and task, so sessions can be imported into any calendar.
+ */
+export function historyToIcs(history, tasks = [], now = Date.now()) {
+  const titles = new Map(tasks.map(t => [t.id, t.title]));
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Forest Focus//Session log//EN',
+    'CALSCALE:GREGORIAN',
+    'X-WR-CALNAME:Forest Focus sessions',
+  ];
+  history.forEach(e => {
+    const task = titles.get(e.taskId);
+    const pauses = e.pauseCount ?? 0;
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${sessionKey(e)}@forest-focus`,
+      `DTSTAMP:${icsTime(now)}`,
+      `DTSTART:${icsTime(e.startedAt)}`,
+      `DTEND:${icsTime(Math.max(e.startedAt, e.endedAt))}`,
+      `SUMMARY:${icsText(`${MODE_NAMES[e.mode]}${task ? `: ${task}` : ''}${e.completed ? '' : ' (ended early)'}`)}`,
+      `DESCRIPTION:${icsText(`Planned ${toMinutes(e.plannedMs)} min, timed ${toMinutes(e.actualMs)} min, ${pauses} ${pauses === 1 ? 'pause' : 'pauses'}.`)}`,
+      `CATEGORIES:${icsText(MODE_NAMES[e.mode])}`,
+      'END:VEVENT'
+    );
+  });
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+// Sessions are matched by id; entries from before ids existed by their start and kind
+function sessionKey(entry) {
+  return entry.id ?? `${entry.startedAt}-${entry.mode}`;
+}
+
+function byId(item) {
+  return item.id;
+}
+
+// Ours first, then whatever the other list has that we do not
+function mergeBy(key, ours, theirs) {
+  const known = new Set(ours.map(key));
+  return [...ours, ...theirs.filter(item => !known.has(key(item)))];
+}
+
+// The backup's goal, keeping the rest days marked here as well
+function mergeGoal(mine, theirs) {
+  if (!theirs) return mine ?? null;
+  if (!mine) return theirs;
+  return { ...theirs, restDays: [...new Set([...(mine.restDays || []), ...(theirs.restDays || [])])].sort() };
+}
+
+// Achievements unlocked on either side, each at the earlier of its unlock times
+function mergeUnlocked(mine, theirs) {
+  const merged = { ...mine };
+  Object.entries(theirs).forEach(([id, at]) => {
+    if (!(id in merged) || at < merged[id]) merged[id] = at;
+  });
+  return merged;
+}
+
+function countChanges(key, before, after) {
+  const beforeKeys = new Set(before.map(key));
+  const afterKeys = new Set(after.map(key));
+  return {
+    added: [...afterKeys].filter(k => !beforeKeys.has(k)).length,
+    removed: [...beforeKeys].filter(k => !afterKeys.has(k)).length,
+  };
+}
+
+function sameJson(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+function toMinutes(ms) {
+  return Math.round((ms || 0) / 600) / 100;
+}
+
+// Quote cells that need it, and defuse values a spreadsheet would run as a formula
+function csvCell(value) {
+  let text = String(value);
+  if (/^[=+\-@]/.test(text) && typeof value === 'string') text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function icsTime(ms) {
+  return new Date(ms).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function icsText(text) {
+  return text.replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// Content lines are folded at 75 octets; continuation lines start with a space
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const ch of line) {
+    const size = utf8Length(ch);
+    if (octets + size > 75) {
+      parts.push(current);
+      current = ' ';
+      octets = 1;
+    }
+    current += ch;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n');
+}
+
+function utf8Length(ch) {
+  const code = ch.codePointAt(0);
+  if (code < 0x80) return 1;
+  if (code < 0x800) return 2;
+  return code < 0x10000 ? 3 : 4;
+}
+
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,142 @@
+import {
+  BACKUP_VERSION,
+  applyImport,
+  backupToJson,
+  createBackup,
+  historyToCsv,
+  historyToIcs,
+  parseBackup,
+  planImport,
+} from './backup';
+import { STORAGE_KEYS, flush, load, save } from './storage';
+
+const session = (id, startedAt, extra = {}) => ({
+  id,
+  mode: 'focus',
+  startedAt,
+  endedAt: startedAt + 25 * 60000,
+  plannedMs: 25 * 60000,
+  actualMs: 25 * 60000,
+  pauseCount: 0,
+  completed: true,
+  species: 'fern',
+  taskId: null,
+  ...extra,
+});
+
+const T0 = Date.UTC(2024, 4, 6, 9, 0);
+
+beforeEach(() => {
+  flush();
+  localStorage.clear();
+  save('timer', { focusMinutes: 25, breakMinutes: 5, status: 'paused', mode: 'focus', remainingMs: 60000, sessionCount: 7, species: 'bamboo' });
+  save('tasks', { tasks: [{ id: 'a', title: 'Report' }], activeTaskId: 'a' });
+  save('history', [session('s1', T0)]);
+  save('preferences', { shortcuts: null, presets: [{ id: 'p1', name: 'Mine', focusMinutes: 30, breakMinutes: 5, longBreakMinutes: 15, longBreakEvery: 4 }] });
+  flush();
+});
+
+test('a backup round-trips through JSON', () => {
+  const { backup, error } = parseBackup(backupToJson(createBackup(T0)));
+  expect(error).toBeUndefined();
+  expect(backup.exportedAt).toBe(T0);
+  expect(backup.data.history).toEqual([session('s1', T0)]);
+  expect(backup.data.settings.focusMinutes).toBe(25);
+  expect(backup.data.settings).not.toHaveProperty('sessionCount');
+});
+
+test('invalid backups are refused with a reason', () => {
+  expect(parseBackup('{').error).toMatch(/not valid JSON/);
+  expect(parseBackup('{"forestFocusPreset": 1}').error).toMatch(/not a Forest Focus backup/);
+  expect(parseBackup(JSON.stringify({ forestFocusBackup: BACKUP_VERSION + 1, data: {} })).error).toMatch(/newer version/);
+  expect(parseBackup(JSON.stringify({ forestFocusBackup: 1, data: { history: 'lots' } })).error).toMatch(/unreadable history/);
+});
+
+test('merge adds what is missing; replace mirrors the backup', () => {
+  const { backup } = parseBackup(JSON.stringify({
+    forestFocusBackup: 1,
+    data: {
+      history: [session('s1', T0), session('s2', T0 + 3600000)],
+      tasks: { tasks: [{ id: 'b', title: 'Slides' }], activeTaskId: 'b' },
+    },
+  }));
+
+  const merge = planImport(backup, 'merge');
+  expect(merge.changes.sessions).toEqual({ added: 1, removed: 0 });
+  expect(merge.changes.tasks).toEqual({ added: 1, removed: 0 });
+  expect(merge.changes.settings).toBe(false);
+  expect(merge.data.tasks.activeTaskId).toBe('a');
+
+  const replace = planImport(backup, 'replace');
+  expect(replace.changes.tasks).toEqual({ added: 1, removed: 1 });
+  expect(replace.changes.presets).toEqual({ added: 0, removed: 0 });
+  expect(replace.data.tasks.activeTaskId).toBe('b');
+});
+
+test('merging keeps the rest days marked on both sides', () => {
+  save('preferences', { ...load('preferences'), goal: { unit: 'sessions', target: 6, restDays: ['2024-05-04'] } });
+  const { backup } = parseBackup(JSON.stringify({
+    forestFocusBackup: 1,
+    data: { preferences: { shortcuts: null, presets: [], goal: { unit: 'minutes', target: 120, restDays: ['2024-05-01'] } } },
+  }));
+
+  const merge = planImport(backup, 'merge');
+  expect(merge.data.preferences.goal).toEqual({ unit: 'minutes', target: 120, restDays: ['2024-05-01', '2024-05-04'] });
+  expect(merge.changes.goal).toBe(true);
+  expect(planImport(backup, 'replace').data.preferences.goal.restDays).toEqual(['2024-05-01']);
+});
+
+test('merging keeps every unlocked achievement, at its earliest unlock', () => {
+  save('achievements', { 'first-session': 2000, 'night-owl': 3000 });
+  const { backup } = parseBackup(JSON.stringify({
+    forestFocusBackup: 1,
+    data: { achievements: { 'first-session': 1000, 'ten-sessions': 4000 } },
+  }));
+
+  const merge = planImport(backup, 'merge');
+  expect(merge.data.achievements).toEqual({ 'first-session': 1000, 'night-owl': 3000, 'ten-sessions': 4000 });
+  expect(merge.changes.achievements).toBe(true);
+  expect(planImport(backup, 'replace').data.achievements).toEqual({ 'first-session': 1000, 'ten-sessions': 4000 });
+});
+
+test('importing keeps the session count, species and session in progress', () => {
+  const onImport = jest.fn();
+  window.addEventListener('pomodoro-data-imported', onImport);
+  const { backup } = parseBackup(JSON.stringify({
+    forestFocusBackup: 1,
+    data: { settings: { focusMinutes: 50, breakMinutes: 10 }, history: [] },
+  }));
+
+  applyImport(planImport(backup, 'replace'));
+  const timer = JSON.parse(localStorage.getItem(STORAGE_KEYS.timer));
+  expect(timer).toMatchObject({ focusMinutes: 50, breakMinutes: 10, status: 'paused', sessionCount: 7, species: 'bamboo' });
+  expect(load('history')).toEqual([]);
+  expect(load('tasks').tasks).toEqual([{ id: 'a', title: 'Report' }]);
+  expect(onImport).toHaveBeenCalledTimes(1);
+  window.removeEventListener('pomodoro-data-imported', onImport);
+});
+
+test('CSV quotes special characters and defuses formulas', () => {
+  const csv = historyToCsv([session('s1', T0, { taskId: 'a' }), session('s2', T0, { taskId: 'b', completed: false })], [
+    { id: 'a', title: 'Write "intro", edit' },
+    { id: 'b', title: '=HYPERLINK("x")' },
+  ]);
+  const lines = csv.trim().split('\r\n');
+  expect(lines[0]).toBe('id,mode,start,end,planned_minutes,actual_minutes,pauses,completed,species,task');
+  expect(lines[1]).toBe('s1,focus,2024-05-06T09:00:00.000Z,2024-05-06T09:25:00.000Z,25,25,0,yes,fern,"Write ""intro"", edit"');
+  expect(lines[2]).toMatch(/,no,fern,"'=HYPERLINK\(""x""\)"$/);
+});
+
+test('iCalendar export has one event per session with folded lines', () => {
+  const longTitle = 'Migrate the billing service, then write the handover notes; ask ops about the cut-over window';
+  const ics = historyToIcs([session('s1', T0, { taskId: 'a' })], [{ id: 'a', title: longTitle }], T0);
+  const lines = ics.split('\r\n');
+  expect(lines[0]).toBe('BEGIN:VCALENDAR');
+  expect(lines).toContain('UID:s1@forest-focus');
+  expect(lines).toContain('DTSTART:20240506T090000Z');
+  expect(lines).toContain('DTEND:20240506T092500Z');
+  expect(lines.every(line => line.length <= 75)).toBe(true);
+  const unfolded = ics.replace(/\r\n /g, '');
+  expect(unfolded).toContain('SUMMARY:Focus: Migrate the billing service\\, then write the handover notes\\; ask ops');
+  expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+});
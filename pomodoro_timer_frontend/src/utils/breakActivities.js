@@ -0,0 +1,207 @@
+/**
+ * PUBLIC_INTERFACE
+ * BREATHING_PATTERNS
+ * Paced breathing for the breathing pacer: each pattern is a cycle of { kind: 'in' | 'hold' | 'out',
+ * seconds } phases, repeated for as long as the break lasts.
+ */
+export const BREATHING_PATTERNS = [
+  {
+    id: 'box',
+    label: 'Box breathing',
+    hint: 'In, hold, out, hold: four counts each',
+    phases: [{ kind: 'in', seconds: 4 }, { kind: 'hold', seconds: 4 }, { kind: 'out', seconds: 4 }, { kind: 'hold', seconds: 4 }],
+  },
+  {
+    id: '4-7-8',
+    label: '4-7-8 breathing',
+    hint: 'In for 4, hold for 7, out slowly for 8',
+    phases: [{ kind: 'in', seconds: 4 }, { kind: 'hold', seconds: 7 }, { kind: 'out', seconds: 8 }],
+  },
+  {
+    id: 'coherent',
+    label: 'Coherent breathing',
+    hint: 'Slow and even, about five breaths a minute',
+    phases: [{ kind: 'in', seconds: 5.5 }, { kind: 'out', seconds: 5.5 }],
+  },
+];
+
+/**
+ * PUBLIC_INTERFACE
+ * PHASE_LABELS
+ * What the pacer says during each kind of phase.
+ */
+export const PHASE_LABELS = { in: 'Breathe in', hold: 'Hold', out: 'Breathe out' };
+
+/**
+ * PUBLIC_INTERFACE
+ * ROUTINES
+ * Timed stretch and eye-rest routines: steps of { text, seconds } walked in order. fitRoutine
+ * shortens or repeats them to fit a break.
+ */
+export const ROUTINES = [
+  {
+    id: 'desk-stretch',
+    kind: 'stretch',
+    label: 'Desk stretch',
+    hint: 'Neck, shoulders, back and wrists, without leaving your chair',
+    steps: [
+      { text: 'Roll your shoulders slowly backwards, then forwards.', seconds: 30 },
+      { text: 'Tilt your head towards your right shoulder and hold, then to the left.', seconds: 40 },
+      { text: 'Interlace your fingers and push your palms up towards the ceiling.', seconds: 30 },
+      { text: 'Sit tall and twist gently to the right, then to the left.', seconds: 40 },
+      { text: 'Hold your arms out and circle your wrists both ways.', seconds: 20 },
+    ],
+  },
+  {
+    id: 'stand-and-move',
+    kind: 'stretch',
+    label: 'Stand and move',
+    hint: 'Get up and wake the legs',
+    steps: [
+      { text: 'Stand up and reach for the sky, then let your arms fall loosely.', seconds: 30 },
+      { text: 'Hold on to your chair and rise onto your toes ten times.', seconds: 30 },
+      { text: 'Bend one knee and hold your foot behind you, then swap legs.', seconds: 40 },
+      { text: 'With soft knees, fold forwards and let your head hang.', seconds: 30 },
+      { text: 'Walk around the room, or to the window and back.', seconds: 60 },
+    ],
+  },
+  {
+    id: 'eye-rest',
+    kind: 'eyes',
+    label: 'Eye rest',
+    hint: 'Give your eyes a break from the screen',
+    steps: [
+      { text: 'Look at something at least 6 metres (20 feet) away.', seconds: 20 },
+      { text: 'Close your eyes and relax your face.', seconds: 30 },
+      { text: 'Slowly look up, down, left and right without moving your head.', seconds: 30 },
+      { text: 'Blink gently a dozen times.', seconds: 15 },
+      { text: 'Cup your palms over your closed eyes and rest in the dark.', seconds: 45 },
+    ],
+  },
+];
+
+/**
+ * PUBLIC_INTERFACE
+ * BREAK_ACTIVITIES
+ * Every guided break activity: { id, type: 'breathing' | 'routine', label, hint }.
+ */
+export const BREAK_ACTIVITIES = [
+  ...BREATHING_PATTERNS.map(p => ({ id: `breathe-${p.id}`, type: 'breathing', label: p.label, hint: p.hint })),
+  ...ROUTINES.map(r => ({ id: r.id, type: 'routine', label: r.label, hint: r.hint })),
+];
+
+/**
+ * PUBLIC_INTERFACE
+ * DEFAULT_BREAK_PREFS
+ * Break activity preferences of a fresh install: { activity ('none', 'random' or an activity id
+ * offered at the start of every break), cues (sound cues for the breathing pacer) }.
+ */
+export const DEFAULT_BREAK_PREFS = { activity: 'none', cues: true };
+
+// A fitted routine never rushes a step below this
+const MIN_STEP_SECONDS = 10;
+
+/**
+ * PUBLIC_INTERFACE
+ * normalizeBreakPrefs
+ * Complete break activity preferences from any source; unknown values fall back to the defaults.
+ */
+export function normalizeBreakPrefs(source) {
+  const s = source && typeof source === 'object' ? source : {};
+  const known = s.activity === 'none' || s.activity === 'random' || BREAK_ACTIVITIES.some(a => a.id === s.activity);
+  return {
+    activity: known ? s.activity : DEFAULT_BREAK_PREFS.activity,
+    cues: typeof s.cues === 'boolean' ? s.cues : DEFAULT_BREAK_PREFS.cues,
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * pickActivity
+ * The activity for a break from a choice: an activity id, 'random' for any of them (`random`
+ * returns 0..1, Math.random by default) or 'none'. Returns a BREAK_ACTIVITIES entry or null.
+ */
+export function pickActivity(choice, random = Math.random) {
+  if (choice === 'random') return BREAK_ACTIVITIES[Math.floor(random() * BREAK_ACTIVITIES.length) % BREAK_ACTIVITIES.length];
+  return BREAK_ACTIVITIES.find(a => a.id === choice) || null;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * breathPhaseAt
+ * Where the breathing pattern `patternId` is `elapsedMs` after it started: { kind, label, seconds,
+ * index, progress (0..1 through the phase), remainingMs, breaths (cycles done), scale }. `scale`
+ * (0.6 empty to 1 full) is how full the lungs are, for the pacer's growing and shrinking circle.
+ */
+export function breathPhaseAt(patternId, elapsedMs) {
+  const pattern = BREATHING_PATTERNS.find(p => p.id === patternId) || BREATHING_PATTERNS[0];
+  const cycleMs = pattern.phases.reduce((sum, p) => sum + p.seconds * 1000, 0);
+  const elapsed = Math.max(0, elapsedMs);
+  let t = elapsed % cycleMs;
+  // How full the lungs are as the phase starts: the last 'in' or 'out' decides
+  let level = 0;
+  let index = 0;
+  while (index < pattern.phases.length - 1 && t >= pattern.phases[index].seconds * 1000) {
+    const done = pattern.phases[index];
+    if (done.kind !== 'hold') level = done.kind === 'in' ? 1 : 0;
+    t -= done.seconds * 1000;
+    index += 1;
+  }
+  const phase = pattern.phases[index];
+  const phaseMs = phase.seconds * 1000;
+  const progress = Math.min(1, t / phaseMs);
+  const filled = phase.kind === 'in' ? progress : phase.kind === 'out' ? 1 - progress : level;
+  return {
+    kind: phase.kind,
+    label: PHASE_LABELS[phase.kind],
+    seconds: phase.seconds,
+    index,
+    progress,
+    remainingMs: Math.max(0, phaseMs - t),
+    breaths: Math.floor(elapsed / cycleMs),
+    scale: 0.6 + 0.4 * filled,
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * fitRoutine
+ * The routine `routineId` made to fit `availableMs`: steps shortened in proportion (down to ten
+ * seconds each, then dropped from the end) when it is too long, or the whole routine repeated in
+ * `rounds` when there is time. Returns { ...routine, steps, rounds, totalMs } or null.
+ */
+export function fitRoutine(routineId, availableMs) {
+  const routine = ROUTINES.find(r => r.id === routineId);
+  if (!routine) return null;
+  const available = Math.max(MIN_STEP_SECONDS, availableMs / 1000);
+  const length = steps => steps.reduce((sum, s) => sum + s.seconds, 0);
+  const scale = Math.min(1, available / length(routine.steps));
+  let steps = routine.steps.map(s => ({ ...s, seconds: Math.max(MIN_STEP_SECONDS, Math.floor(s.seconds * scale)) }));
+  while (steps.length > 1 && length(steps) > available) steps = steps.slice(0, -1);
+  const rounds = Math.max(1, Math.floor(available / length(steps)));
+  return { ...routine, steps, rounds, totalMs: length(steps) * rounds * 1000 };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * routineStepAt
+ * Where a fitted routine (fitRoutine) is `elapsedMs` after it started: { index, round, step,
+ * remainingMs (of the step), done }.
+ */
+export function routineStepAt(fitted, elapsedMs) {
+  const roundMs = fitted.totalMs / fitted.rounds;
+  const elapsed = Math.max(0, elapsedMs);
+  if (elapsed >= fitted.totalMs) {
+    const last = fitted.steps.length - 1;
+    return { index: last, round: fitted.rounds, step: fitted.steps[last], remainingMs: 0, done: true };
+  }
+  const round = Math.floor(elapsed / roundMs) + 1;
+  let t = elapsed % roundMs;
+  let index = 0;
+  while (t >= fitted.steps[index].seconds * 1000) {
+    t -= fitted.steps[index].seconds * 1000;
+    index += 1;
+  }
+  const step = fitted.steps[index];
+  return { index, round, step, remainingMs: step.seconds * 1000 - t, done: false };
+}
@@ -0,0 +1,49 @@
+import { BREAK_ACTIVITIES, breathPhaseAt, fitRoutine, normalizeBreakPrefs, pickActivity, routineStepAt } from './breakActivities';
+
+const MIN = 60 * 1000;
+
+test('the pacer walks the phases of a pattern and fills and empties the lungs', () => {
+  expect(breathPhaseAt('box', 0)).toMatchObject({ kind: 'in', label: 'Breathe in', index: 0, remainingMs: 4000, breaths: 0, scale: 0.6 });
+  expect(breathPhaseAt('box', 2000)).toMatchObject({ kind: 'in', progress: 0.5, scale: 0.8 });
+  expect(breathPhaseAt('box', 5000)).toMatchObject({ kind: 'hold', index: 1, remainingMs: 3000, scale: 1 });
+  expect(breathPhaseAt('box', 10000)).toMatchObject({ kind: 'out', index: 2, scale: 0.8 });
+  expect(breathPhaseAt('box', 13000)).toMatchObject({ kind: 'hold', index: 3, scale: 0.6 });
+  expect(breathPhaseAt('box', 17000)).toMatchObject({ kind: 'in', breaths: 1 });
+  expect(breathPhaseAt('4-7-8', 12000)).toMatchObject({ kind: 'out', seconds: 8 });
+  expect(breathPhaseAt('coherent', 5500)).toMatchObject({ kind: 'out', index: 1, scale: 1 });
+});
+
+test('a routine that is too long for the break is shortened to fit', () => {
+  const fitted = fitRoutine('desk-stretch', 80 * 1000);
+  expect(fitted.totalMs).toBeLessThanOrEqual(80 * 1000);
+  expect(fitted.rounds).toBe(1);
+  expect(fitted.steps.every(s => s.seconds >= 10)).toBe(true);
+
+  // Too short even for ten seconds a step: steps are dropped from the end
+  const tiny = fitRoutine('eye-rest', 25 * 1000);
+  expect(tiny.steps.map(s => s.seconds)).toEqual([10, 10]);
+});
+
+test('a long break repeats the routine in rounds', () => {
+  const fitted = fitRoutine('eye-rest', 15 * MIN);
+  expect(fitted.rounds).toBe(6);
+  expect(fitted.totalMs).toBe(6 * 140 * 1000);
+  expect(fitRoutine('nope', MIN)).toBeNull();
+});
+
+test('routine steps follow the elapsed time, round after round', () => {
+  const fitted = fitRoutine('eye-rest', 5 * MIN);
+  expect(routineStepAt(fitted, 0)).toMatchObject({ index: 0, round: 1, remainingMs: 20000, done: false });
+  expect(routineStepAt(fitted, 25000)).toMatchObject({ index: 1, round: 1, remainingMs: 25000 });
+  expect(routineStepAt(fitted, 145000)).toMatchObject({ index: 0, round: 2 });
+  expect(routineStepAt(fitted, fitted.totalMs)).toMatchObject({ index: 4, round: 2, remainingMs: 0, done: true });
+});
+
+test('breaks can have a chosen, a random or no activity', () => {
+  expect(pickActivity('none')).toBeNull();
+  expect(pickActivity('breathe-box')).toMatchObject({ type: 'breathing', label: 'Box breathing' });
+  expect(pickActivity('random', () => 0)).toBe(BREAK_ACTIVITIES[0]);
+  expect(pickActivity('random', () => 0.999)).toBe(BREAK_ACTIVITIES[BREAK_ACTIVITIES.length - 1]);
+  expect(normalizeBreakPrefs({ activity: 'yoga', cues: 'loud' })).toEqual({ activity: 'none', cues: true });
+  expect(normalizeBreakPrefs({ activity: 'eye-rest', cues: false })).toEqual({ activity: 'eye-rest', cues: false });
+});
@@ -0,0 +1,123 @@
+/**
+ * Procedural chime voices for alerts (utils/alerts). Each voice strikes a few sine or triangle
+ * partials with its own envelope; nothing is sampled, so the app still ships no audio files.
+ * The breathing pacer's cues (utils/breakActivities) are made here too: a soft tone that rises
+ * for a breath in, falls for a breath out and taps once for a hold.
+ */
+
+// What each alert plays, in Hz
+const CHIME_NOTES = {
+  focus: [440, 659.25, 880],                // A4, E5, A5: uplifting
+  break: [392, 523.25],                     // G4, C5: soothing
+  longBreak: [349.23, 440, 523.25, 698.46], // F4, A4, C5, F5: a cycle earned a long break
+  warning: [587.33, 587.33],                // D5 twice: time is nearly up
+  halfway: [523.25],                        // C5: a single soft tap
+};
+
+// The pre-end and halfway cues stay below the end-of-session chime so they never startle
+const CUE_GAIN = { warning: 0.6, halfway: 0.45 };
+
+// Breath cues glide between these (Hz) and stay far quieter than any chime
+const BREATH_LOW = 196;  // G3
+const BREATH_HIGH = 293.66; // D4
+const BREATH_PEAK = 0.12;
+
+// Voice parameters: note spacing (s), pitch multiplier, partials as [ratio, gain], oscillator
+// type, envelope (s) and peak gain, plus an optional lowpass and random timing for wind chimes
+const VOICES = {
+  classic: { step: 0.15, pitch: 1, partials: [[1, 1]], type: 'sine', attack: 0.01, decay: 0.75, peak: 0.5, lowpass: 2000 },
+  woodBlock: { step: 0.16, pitch: 2, partials: [[1, 1], [2.76, 0.35]], type: 'triangle', attack: 0.002, decay: 0.12, peak: 0.6, lowpass: 3500 },
+  // Inharmonic partials, with a slightly detuned twin of the fundamental for the slow beating
+  singingBowl: { step: 0.7, pitch: 0.5, partials: [[1, 1], [1.004, 0.8], [2.71, 0.4], [5.15, 0.15]], type: 'sine', attack: 0.08, decay: 5, peak: 0.3 },
+  windChime: { step: 0.14, jitter: 0.12, pitch: 2, partials: [[1, 1], [2.76, 0.3], [5.4, 0.1]], type: 'sine', attack: 0.004, decay: 1.8, peak: 0.25 },
+  softBell: { step: 0.25, pitch: 1, partials: [[1, 1], [2, 0.3], [3.01, 0.12]], type: 'sine', attack: 0.02, decay: 2.2, peak: 0.35, lowpass: 3000 },
+};
+
+/**
+ * PUBLIC_INTERFACE
+ * playChime
+ * Plays the notes of `kind` ('focus', 'break', 'longBreak', 'warning' or 'halfway') in a chime
+ * `style` (see CHIME_STYLES) into `destination`. Unknown styles play the classic chime.
+ */
+export function playChime(ctx, destination, style, kind) {
+  const voice = VOICES[style] || VOICES.classic;
+  const notes = CHIME_NOTES[kind] || CHIME_NOTES.focus;
+  // The long break arpeggio is slower and fuller
+  const step = voice.step * (kind === 'longBreak' ? 1.5 : 1);
+  let at = ctx.currentTime;
+  notes.forEach((freq, i) => {
+    strike(ctx, destination, voice, freq * voice.pitch, at, voice.peak * (CUE_GAIN[kind] || 1) * (1 - i * 0.12));
+    at += step + (voice.jitter ? Math.random() * voice.jitter : 0);
+  });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * playBreathCue
+ * Plays the cue for a breathing phase lasting `seconds` into `destination`: 'in' swells and rises,
+ * 'out' swells and falls, and 'hold' is a single quiet tap.
+ */
+export function playBreathCue(ctx, destination, phase, seconds) {
+  const at = ctx.currentTime;
+  if (phase === 'hold') {
+    strike(ctx, destination, VOICES.softBell, BREATH_HIGH, at, BREATH_PEAK * 0.6);
+    return;
+  }
+  const length = Math.max(0.5, seconds);
+  const [from, to] = phase === 'in' ? [BREATH_LOW, BREATH_HIGH] : [BREATH_HIGH, BREATH_LOW];
+  const osc = ctx.createOscillator();
+  const env = ctx.createGain();
+  const filter = ctx.createBiquadFilter();
+  osc.type = 'sine';
+  osc.frequency.setValueAtTime(from, at);
+  osc.frequency.exponentialRampToValueAtTime(to, at + length);
+  filter.type = 'lowpass';
+  filter.frequency.setValueAtTime(900, at);
+  // Swell over the first third, then fade out just before the phase ends
+  env.gain.setValueAtTime(0.0001, at);
+  env.gain.linearRampToValueAtTime(BREATH_PEAK, at + length / 3);
+  env.gain.exponentialRampToValueAtTime(0.0001, at + length * 0.95);
+  osc.connect(env);
+  env.connect(filter);
+  filter.connect(destination);
+  osc.onended = () => {
+    env.disconnect();
+    filter.disconnect();
+  };
+  osc.start(at);
+  osc.stop(at + length);
+}
+
+// One note: every partial through a shared envelope (and lowpass), torn down once it has rung out
+function strike(ctx, destination, voice, freq, at, peak) {
+  const env = ctx.createGain();
+  env.gain.setValueAtTime(0, at);
+  env.gain.linearRampToValueAtTime(peak, at + voice.attack);
+  env.gain.exponentialRampToValueAtTime(0.0001, at + voice.attack + voice.decay);
+  let out = env;
+  if (voice.lowpass) {
+    out = ctx.createBiquadFilter();
+    out.type = 'lowpass';
+    out.frequency.setValueAtTime(voice.lowpass, at);
+    env.connect(out);
+  }
+  out.connect(destination);
+
+  const end = at + voice.attack + voice.decay + 0.05;
+  voice.partials.forEach(([ratio, gain], i) => {
+    const osc = ctx.createOscillator();
+    const level = ctx.createGain();
+    osc.type = voice.type;
+    osc.frequency.setValueAtTime(freq * ratio, at);
+    level.gain.setValueAtTime(gain, at);
+    osc.connect(level);
+    level.connect(env);
+    osc.onended = () => {
+      level.disconnect();
+      // The last partial to end takes the shared envelope with it
+      if (i === voice.partials.length - 1) out.disconnect();
+    };
+    osc.start(at);
+    osc.stop(end);
+  });
+}
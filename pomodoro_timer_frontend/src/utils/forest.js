@@ -0,0 +1,45 @@
+import { startOfDay, startOfWeek } from './stats';
+
+/**
+ * PUBLIC_INTERFACE
+ * forestFromHistory
+ * Derives the grove from the session history: every focus session planted a tree of the
+ * species grown (from the session's start, the seed of its plant), healthy if the session
+ * completed and withered if it was reset or abandoned.
+ * Extra minutes added to a finished session grow the same tree, not another one.
+ * The grove only reaches as far back as the log does (see MAX_ENTRIES in utils/history).
+ */
+export function forestFromHistory(history) {
+  return history
+    .filter(s => s.mode === 'focus' && !s.extension)
+    .map(s => ({
+      id: s.id,
+      species: s.species || 'sapling',
+      seed: s.startedAt,
+      plantedAt: s.endedAt,
+      withered: !s.completed,
+      minutes: Math.round((s.actualMs || 0) / 60000),
+    }));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * forestRange
+ * Returns the [from, to) bounds of the day or week containing `ts`, shifted by `offset` periods.
+ */
+export function forestRange(view, ts, offset = 0) {
+  const d = new Date(view === 'week' ? startOfWeek(ts) : startOfDay(ts));
+  d.setDate(d.getDate() + offset * (view === 'week' ? 7 : 1));
+  const from = d.getTime();
+  d.setDate(d.getDate() + (view === 'week' ? 7 : 1));
+  return { from, to: d.getTime() };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * treesBetween
+ * Filters trees planted within [from, to).
+ */
+export function treesBetween(trees, from, to) {
+  return trees.filter(t => t.plantedAt >= from && t.plantedAt < to);
+}
@@ -0,0 +1,43 @@
+import { forestFromHistory, forestRange, treesBetween } from './forest';
+import { at, breakSession, focusSession } from './testSessions';
+
+test('completed sessions grow healthy trees and abandoned ones wither', () => {
+  const history = [
+    focusSession(at(10, 9), 25, { id: 'a', species: 'oak' }),
+    focusSession(at(10, 10), 12, { id: 'b', species: 'fern', completed: false }),
+    focusSession(at(10, 11), 25, { id: 'c', species: null }),
+  ];
+  expect(forestFromHistory(history)).toEqual([
+    { id: 'a', species: 'oak', seed: at(10, 8, 35), plantedAt: at(10, 9), withered: false, minutes: 25 },
+    { id: 'b', species: 'fern', seed: at(10, 9, 48), plantedAt: at(10, 10), withered: true, minutes: 12 },
+    { id: 'c', species: 'sapling', seed: at(10, 10, 35), plantedAt: at(10, 11), withered: false, minutes: 25 },
+  ]);
+});
+
+test('breaks and extra minutes do not plant another tree', () => {
+  const history = [
+    focusSession(at(10, 9), 25, { id: 'a' }),
+    focusSession(at(10, 9, 5), 5, { id: 'b', extension: true }),
+    breakSession(at(10, 9, 10), 5, { id: 'c' }),
+  ];
+  expect(forestFromHistory(history).map(t => t.id)).toEqual(['a']);
+});
+
+test('ranges cover a local day or a Monday-to-Monday week, shifted by whole periods', () => {
+  // Friday 10 May 2024
+  expect(forestRange('day', at(10, 15))).toEqual({ from: at(10, 0), to: at(11, 0) });
+  expect(forestRange('day', at(10, 15), -1)).toEqual({ from: at(9, 0), to: at(10, 0) });
+  expect(forestRange('week', at(10, 15))).toEqual({ from: at(6, 0), to: at(13, 0) });
+  expect(forestRange('week', at(10, 15), -1)).toEqual({ from: at(-1, 0), to: at(6, 0) });
+});
+
+test('trees are picked by when they were planted, end excluded', () => {
+  const trees = forestFromHistory([
+    focusSession(at(9, 23, 59), 25, { id: 'a' }),
+    focusSession(at(10, 0), 25, { id: 'b' }),
+    focusSession(at(10, 23), 25, { id: 'c' }),
+    focusSession(at(11, 0), 25, { id: 'd' }),
+  ]);
+  const { from, to } = forestRange('day', at(10, 12));
+  expect(treesBetween(trees, from, to).map(t => t.id)).toEqual(['b', 'c']);
+});
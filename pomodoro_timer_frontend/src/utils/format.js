@@ -0,0 +1,18 @@
+/**
+ * PUBLIC_INTERFACE
+ * formatClock
+ * A duration as a clock readout: 'mm:ss' under an hour and 'h:mm:ss' from an hour on, so long
+ * sessions (and counting-up Flowtime sessions) never wrap around to 00:00.
+ */
+export function formatClock(ms) {
+  const total = Math.max(0, Math.floor(ms / 1000));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const seconds = total % 60;
+  const mmss = `${pad(minutes)}:${pad(seconds)}`;
+  return hours ? `${hours}:${mmss}` : mmss;
+}
+
+function pad(n) {
+  return n.toString().padStart(2, '0');
+}
@@ -0,0 +1,13 @@
+import { formatClock } from './format';
+
+test('durations under an hour read as mm:ss', () => {
+  expect(formatClock(0)).toBe('00:00');
+  expect(formatClock(25 * 60000)).toBe('25:00');
+  expect(formatClock(59 * 60000 + 59999)).toBe('59:59');
+});
+
+test('an hour or more reads as h:mm:ss instead of wrapping around', () => {
+  expect(formatClock(60 * 60000)).toBe('1:00:00');
+  expect(formatClock(120 * 60000 + 5000)).toBe('2:00:05');
+  expect(formatClock(-1000)).toBe('00:00');
+});
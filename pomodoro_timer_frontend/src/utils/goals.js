@@ -0,0 +1,195 @@
+/**
+ * PUBLIC_INTERFACE
+ * GOAL_UNITS
+ * What a daily goal counts: completed focus sessions, or minutes of focus (finished or not).
+ * `step` is how much the target input moves by; `target` is the goal picked when switching to it.
+ */
+export const GOAL_UNITS = [
+  { id: 'sessions', label: 'Focus sessions', short: 'sessions', min: 1, max: 24, step: 1, target: 8 },
+  { id: 'minutes', label: 'Focus minutes', short: 'min', min: 15, max: 720, step: 15, target: 180 },
+];
+
+/**
+ * PUBLIC_INTERFACE
+ * DEFAULT_GOAL
+ * The daily goal of a fresh install: { unit, target, dayStartHour (0-23), timeZone (null follows
+ * the device), restDays (['YYYY-MM-DD'] days off that do not break a streak) }.
+ */
+export const DEFAULT_GOAL = { unit: 'sessions', target: 8, dayStartHour: 0, timeZone: null, restDays: [] };
+
+// Enough rest days for a year or so of history
+const MAX_REST_DAYS = 400;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_KEY = /^\d{4}-\d{2}-\d{2}$/;
+// One date formatter per time zone (null is the device's): creating them is the slow part
+const formatters = new Map();
+
+/**
+ * PUBLIC_INTERFACE
+ * normalizeGoal
+ * A complete daily goal from any source; unknown values fall back to the defaults and the target
+ * is clamped to its unit's range.
+ */
+export function normalizeGoal(source) {
+  const s = source && typeof source === 'object' ? source : {};
+  const unit = GOAL_UNITS.find(u => u.id === s.unit) || GOAL_UNITS.find(u => u.id === DEFAULT_GOAL.unit);
+  const target = Number.isFinite(s.target) ? Math.round(s.target) : unit.target;
+  const restDays = Array.isArray(s.restDays) ? [...new Set(s.restDays.filter(d => typeof d === 'string' && DAY_KEY.test(d)))] : [];
+  return {
+    unit: unit.id,
+    target: Math.max(unit.min, Math.min(unit.max, target)),
+    dayStartHour: Number.isInteger(s.dayStartHour) && s.dayStartHour >= 0 && s.dayStartHour <= 23 ? s.dayStartHour : DEFAULT_GOAL.dayStartHour,
+    timeZone: typeof s.timeZone === 'string' && s.timeZone && isTimeZone(s.timeZone) ? s.timeZone : null,
+    restDays: restDays.sort().slice(-MAX_REST_DAYS),
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * isTimeZone
+ * Whether the browser knows `name` as an IANA time zone (e.g. 'Europe/Paris').
+ */
+export function isTimeZone(name) {
+  try {
+    formatterFor(name);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * timeZoneList
+ * The IANA time zones the browser can offer, or an empty list where it cannot list them.
+ */
+export function timeZoneList() {
+  return typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * dayKey
+ * The goal day ('YYYY-MM-DD') that `ts` belongs to, in the goal's time zone: a day that starts at
+ * 4 o'clock counts 2 a.m. as part of the day before.
+ */
+export function dayKey(ts, goal = DEFAULT_GOAL) {
+  const parts = formatterFor(goal.timeZone).formatToParts(new Date(ts - goal.dayStartHour * HOUR_MS));
+  const part = type => parts.find(p => p.type === type).value;
+  return `${part('year')}-${part('month')}-${part('day')}`;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * shiftDayKey
+ * The day key `days` days after (or before, when negative) `key`.
+ */
+export function shiftDayKey(key, days) {
+  const [y, m, d] = key.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * dailyTotals
+ * Completed focus sessions (extensions of a session do not count again) and focus minutes per
+ * goal day: Map of day key -> { sessions, minutes }. Sessions count on the day they ended.
+ */
+export function dailyTotals(history, goal = DEFAULT_GOAL) {
+  const totals = new Map();
+  history
+    .filter(s => s.mode === 'focus')
+    .forEach(s => {
+      const key = dayKey(s.endedAt, goal);
+      const day = totals.get(key) || { sessions: 0, minutes: 0 };
+      if (s.completed && !s.extension) day.sessions += 1;
+      day.minutes += (s.actualMs || 0) / 60000;
+      totals.set(key, day);
+    });
+  totals.forEach(day => { day.minutes = Math.round(day.minutes); });
+  return totals;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * goalProgress
+ * Where today stands against the goal: { day, value, target, fraction (0..1), met, rest }.
+ */
+export function goalProgress(history, goal = DEFAULT_GOAL, now = Date.now()) {
+  const day = dayKey(now, goal);
+  const value = valueOf(dailyTotals(history, goal).get(day), goal);
+  return {
+    day,
+    value,
+    target: goal.target,
+    fraction: Math.min(1, value / goal.target),
+    met: value >= goal.target,
+    rest: goal.restDays.includes(day),
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * goalStreaks
+ * Runs of consecutive days that met the goal: { current, best }. Rest days neither break a run nor
+ * add to it, and today only joins the current run once it meets the goal (until then the run
+ * ending yesterday still counts).
+ */
+export function goalStreaks(history, goal = DEFAULT_GOAL, now = Date.now()) {
+  const totals = dailyTotals(history, goal);
+  const rest = new Set(goal.restDays);
+  const met = key => valueOf(totals.get(key), goal) >= goal.target;
+  const today = dayKey(now, goal);
+
+  let current = 0;
+  let day = met(today) ? today : shiftDayKey(today, -1);
+  while (met(day) || rest.has(day)) {
+    if (met(day)) current += 1;
+    day = shiftDayKey(day, -1);
+  }
+
+  const metDays = [...totals.keys()].filter(met).sort();
+  let best = 0;
+  let run = 0;
+  for (let key = metDays[0]; key && key <= today; key = shiftDayKey(key, 1)) {
+    if (met(key)) {
+      run += 1;
+      best = Math.max(best, run);
+    } else if (!rest.has(key)) {
+      run = 0;
+    }
+  }
+  return { current, best };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * recentDays
+ * The last `count` goal days up to today, oldest first: [{ day, value, met, rest }].
+ */
+export function recentDays(history, goal = DEFAULT_GOAL, now = Date.now(), count = 14) {
+  const totals = dailyTotals(history, goal);
+  const today = dayKey(now, goal);
+  return Array.from({ length: count }, (_, i) => {
+    const day = shiftDayKey(today, i - count + 1);
+    const value = valueOf(totals.get(day), goal);
+    return { day, value, met: value >= goal.target, rest: goal.restDays.includes(day) };
+  });
+}
+
+function valueOf(totals, goal) {
+  if (!totals) return 0;
+  return goal.unit === 'minutes' ? totals.minutes : totals.sessions;
+}
+
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-CA', {
+      timeZone: timeZone || undefined,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+    }));
+  }
+  return formatters.get(timeZone);
+}
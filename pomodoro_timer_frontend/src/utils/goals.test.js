@@ -0,0 +1,68 @@
+import { dayKey, goalProgress, goalStreaks, normalizeGoal, recentDays, shiftDayKey } from './goals';
+
+import { HOUR, MIN, breakSession, focusSession } from './testSessions';
+
+const UTC = { ...normalizeGoal(), timeZone: 'UTC' };
+
+// A focus session that ended at the given UTC time
+const focus = (iso, minutes, extra) => focusSession(Date.parse(iso), minutes, extra);
+
+test('goals are cleaned up field by field', () => {
+  expect(normalizeGoal()).toEqual({ unit: 'sessions', target: 8, dayStartHour: 0, timeZone: null, restDays: [] });
+  expect(normalizeGoal({ unit: 'minutes', dayStartHour: 24, timeZone: 'Not/AZone', restDays: ['2024-03-02', 'x', '2024-03-01', '2024-03-02'] })).toEqual({
+    unit: 'minutes',
+    target: 180,
+    dayStartHour: 0,
+    timeZone: null,
+    restDays: ['2024-03-01', '2024-03-02'],
+  });
+  expect(normalizeGoal({ target: 99 }).target).toBe(24);
+  expect(normalizeGoal({ timeZone: 'Asia/Tokyo' }).timeZone).toBe('Asia/Tokyo');
+});
+
+test('the day follows the time zone and the hour it starts at', () => {
+  const ts = Date.parse('2024-03-10T02:30:00Z');
+  expect(dayKey(ts, UTC)).toBe('2024-03-10');
+  expect(dayKey(ts, { ...UTC, dayStartHour: 4 })).toBe('2024-03-09');
+  expect(dayKey(ts, { ...UTC, timeZone: 'America/New_York' })).toBe('2024-03-09');
+  expect(dayKey(ts, { ...UTC, timeZone: 'Asia/Tokyo' })).toBe('2024-03-10');
+  expect(shiftDayKey('2024-03-01', -1)).toBe('2024-02-29');
+  expect(shiftDayKey('2024-12-31', 1)).toBe('2025-01-01');
+});
+
+test("today's progress counts sessions or minutes, not extensions or breaks", () => {
+  const now = Date.parse('2024-03-10T18:00:00Z');
+  const history = [
+    focus('2024-03-09T23:00:00Z'),
+    focus('2024-03-10T09:00:00Z'),
+    focus('2024-03-10T10:00:00Z', 5, { extension: true }),
+    focus('2024-03-10T11:00:00Z', 10, { completed: false }),
+    breakSession(now - HOUR + 5 * MIN),
+  ];
+  expect(goalProgress(history, { ...UTC, target: 4 }, now)).toMatchObject({ day: '2024-03-10', value: 1, fraction: 0.25, met: false, rest: false });
+  expect(goalProgress(history, { ...UTC, unit: 'minutes', target: 30 }, now)).toMatchObject({ value: 40, fraction: 1, met: true });
+  // With the day starting at 1 a.m., a session just after midnight still counts for the evening before
+  const lateNight = [...history, focus('2024-03-11T00:30:00Z')];
+  expect(goalProgress(lateNight, { ...UTC, target: 4, dayStartHour: 1 }, Date.parse('2024-03-11T00:45:00Z'))).toMatchObject({ day: '2024-03-10', value: 2 });
+});
+
+test('streaks count days that met the goal, and rest days do not break them', () => {
+  const goal = { ...UTC, target: 1, restDays: ['2024-03-05'] };
+  const history = ['01', '02', '04', '06', '07', '08'].map(d => focus(`2024-03-${d}T12:00:00Z`));
+  // Today (the 9th) has nothing yet: the run up to yesterday still counts
+  expect(goalStreaks(history, goal, Date.parse('2024-03-09T08:00:00Z'))).toEqual({ current: 4, best: 4 });
+  expect(goalStreaks(history, { ...goal, restDays: [] }, Date.parse('2024-03-09T08:00:00Z'))).toEqual({ current: 3, best: 3 });
+  expect(goalStreaks(history, goal, Date.parse('2024-03-10T08:00:00Z'))).toEqual({ current: 0, best: 4 });
+  expect(goalStreaks([], goal, Date.parse('2024-03-10T08:00:00Z'))).toEqual({ current: 0, best: 0 });
+});
+
+test('recent days list the last two weeks, oldest first', () => {
+  const days = recentDays([focus('2024-03-09T12:00:00Z')], { ...UTC, target: 1, restDays: ['2024-03-08'] }, Date.parse('2024-03-10T08:00:00Z'));
+  expect(days).toHaveLength(14);
+  expect(days[0].day).toBe('2024-02-26');
+  expect(days.slice(-3)).toEqual([
+    { day: '2024-03-08', value: 0, met: false, rest: true },
+    { day: '2024-03-09', value: 1, met: true, rest: false },
+    { day: '2024-03-10', value: 0, met: false, rest: false },
+  ]);
+});
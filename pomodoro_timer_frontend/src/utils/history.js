@@ -0,0 +1,73 @@
+import { STORAGE_KEYS, load, save } from './storage';
+
+export const HISTORY_KEY = STORAGE_KEYS.history;
+/**
+ * PUBLIC_INTERFACE
+ * MAX_ENTRIES
+ * How many sessions the log keeps, oldest dropped first, so localStorage never fills up with years
+ * of sessions. When the storage quota is still exceeded, storage keeps only the most recent half.
+ */
+export const MAX_ENTRIES = 5000;
+
+/**
+ * PUBLIC_INTERFACE
+ * loadHistory
+ * Loads the session history log (oldest first) from the 'history' storage namespace.
+ * Each entry: { id, mode, startedAt, endedAt, plannedMs, actualMs, pauseCount, completed, species,
+ * taskId, idleMs, extension, pauses, interruptions, flow }; `idleMs` is how long the session waited
+ * to be started after the previous one finished, `extension` marks minutes added to a finished session,
+ * `pauses` is [{ at, ms }] and `interruptions` is [{ at, kind: 'internal'|'external', note }].
+ * `flow` marks a Flowtime focus session, which counted up with no planned length.
+ */
+export function loadHistory() {
+  return load('history');
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * recordSession
+ * Appends a completed or abandoned session to the history log and returns the stored entry.
+ */
+export function recordSession(session) {
+  const entry = {
+    id: `${session.startedAt}-${Math.random().toString(36).slice(2, 8)}`,
+    mode: session.mode,
+    startedAt: session.startedAt,
+    endedAt: session.endedAt ?? Date.now(),
+    plannedMs: Math.max(0, Math.round(session.plannedMs || 0)),
+    actualMs: Math.max(0, Math.round(session.actualMs || 0)),
+    pauseCount: session.pauseCount || 0,
+    completed: Boolean(session.completed),
+    species: session.species ?? null,
+    taskId: session.taskId ?? null,
+    idleMs: Math.max(0, Math.round(session.idleMs || 0)),
+    extension: Boolean(session.extension),
+    pauses: (session.pauses || []).map(p => ({ at: p.at, ms: Math.max(0, Math.round(p.ms || 0)) })),
+    interruptions: (session.interruptions || []).map(i => ({ at: i.at, kind: i.kind, note: i.note || '' })),
+    flow: Boolean(session.flow),
+  };
+  save('history', [...loadHistory(), entry].slice(-MAX_ENTRIES));
+  window.dispatchEvent(new CustomEvent('pomodoro-history-change'));
+  return entry;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * replaceHistory
+ * Replaces the whole log (e.g. when importing a backup); entries are kept oldest first.
+ */
+export function replaceHistory(entries) {
+  const sorted = [...entries].sort((a, b) => a.startedAt - b.startedAt);
+  save('history', sorted.slice(-MAX_ENTRIES));
+  window.dispatchEvent(new CustomEvent('pomodoro-history-change'));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * clearHistory
+ * Removes every recorded session.
+ */
+export function clearHistory() {
+  save('history', []);
+  window.dispatchEvent(new CustomEvent('pomodoro-history-change'));
+}
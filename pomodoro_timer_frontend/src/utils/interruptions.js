@@ -0,0 +1,57 @@
+/**
+ * PUBLIC_INTERFACE
+ * INTERRUPTION_KINDS
+ * What can break a focus session: 'internal' (your own mind wandered) or 'external' (someone or
+ * something else demanded attention).
+ */
+export const INTERRUPTION_KINDS = [
+  { id: 'internal', label: 'Distracted', hint: 'My mind wandered' },
+  { id: 'external', label: 'Interrupted', hint: 'Someone or something else' },
+];
+
+// How many reasons the report lists
+const TOP_REASONS = 5;
+
+/**
+ * PUBLIC_INTERFACE
+ * sessionInterruptions
+ * One focus session's interruptions in numbers: { internal, external, total, pauses, pausedMinutes }.
+ */
+export function sessionInterruptions(session) {
+  const interruptions = session.interruptions || [];
+  const pauses = session.pauses || [];
+  const internal = interruptions.filter(i => i.kind === 'internal').length;
+  return {
+    internal,
+    external: interruptions.length - internal,
+    total: interruptions.length,
+    pauses: pauses.length || session.pauseCount || 0,
+    pausedMinutes: Math.round(pauses.reduce((sum, p) => sum + (p.ms || 0), 0) / 60000),
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * interruptionReport
+ * Sums the interruptions of focus sessions that ended in [from, to): { sessions, interrupted
+ * (sessions with at least one), internal, external, total, pauses, pausedMinutes, reasons }.
+ * `reasons` lists the most frequent notes, most common first ([{ note, kind, count }]); notes are
+ * grouped regardless of case and unnoted interruptions are left out.
+ */
+export function interruptionReport(history, from, to = Infinity) {
+  const sessions = history.filter(s => s.mode === 'focus' && s.endedAt >= from && s.endedAt < to);
+  const report = { sessions: sessions.length, interrupted: 0, internal: 0, external: 0, total: 0, pauses: 0, pausedMinutes: 0 };
+  const reasons = new Map();
+  sessions.forEach(s => {
+    const counts = sessionInterruptions(s);
+    if (counts.total) report.interrupted += 1;
+    ['internal', 'external', 'total', 'pauses', 'pausedMinutes'].forEach(key => { report[key] += counts[key]; });
+    (s.interruptions || []).filter(i => i.note).forEach(i => {
+      const key = `${i.kind}:${i.note.toLowerCase()}`;
+      const reason = reasons.get(key) || { note: i.note, kind: i.kind, count: 0 };
+      reasons.set(key, { ...reason, count: reason.count + 1 });
+    });
+  });
+  report.reasons = [...reasons.values()].sort((a, b) => b.count - a.count).slice(0, TOP_REASONS);
+  return report;
+}
@@ -0,0 +1,31 @@
+import { interruptionReport, sessionInterruptions } from './interruptions';
+
+import { MIN, at, breakSession, focusSession } from './testSessions';
+
+const focus = (endedAt, interruptions = [], pauses = []) => focusSession(endedAt, 25, { pauseCount: pauses.length, interruptions, pauses });
+
+const distracted = (note = '') => ({ at: 0, kind: 'internal', note });
+const interrupted = (note = '') => ({ at: 0, kind: 'external', note });
+
+test('a session sums its interruptions and paused time', () => {
+  const session = focus(at(10, 10), [distracted(), interrupted('Phone'), distracted('Email')], [{ at: 0, ms: 2 * MIN }, { at: 0, ms: MIN }]);
+  expect(sessionInterruptions(session)).toEqual({ internal: 2, external: 1, total: 3, pauses: 2, pausedMinutes: 3 });
+  // Sessions recorded before pauses were logged still report their pause count
+  expect(sessionInterruptions({ mode: 'focus', pauseCount: 2 })).toMatchObject({ total: 0, pauses: 2, pausedMinutes: 0 });
+});
+
+test('the report covers focus sessions in the range and ranks the reasons', () => {
+  const history = [
+    focus(at(6, 9), [interrupted('Slack')]),
+    focus(at(10, 9), [distracted('email'), interrupted('Slack')]),
+    focus(at(10, 10), [distracted('Email'), distracted()]),
+    focus(at(10, 11)),
+    breakSession(at(10, 11, 5), 5, { interruptions: [interrupted('Door')] }),
+  ];
+  const report = interruptionReport(history, at(10, 0), at(11, 0));
+  expect(report).toMatchObject({ sessions: 3, interrupted: 2, internal: 3, external: 1, total: 4 });
+  expect(report.reasons).toEqual([
+    { note: 'email', kind: 'internal', count: 2 },
+    { note: 'Slack', kind: 'external', count: 1 },
+  ]);
+});
@@ -0,0 +1,50 @@
+const TAG = 'forest-focus-session';
+
+/**
+ * PUBLIC_INTERFACE
+ * showSessionNotification
+ * Shows a session notification through the service worker registration when there is one, so it
+ * appears while the page is in the background and can carry action buttons, e.g.
+ * [{ action: 'start-break', title: 'Start break' }, { action: 'snooze', title: 'Snooze 5 min' }].
+ * Clicks come back as a 'notification-action' service worker message. Falls back to a plain
+ * `new Notification` without actions. Does nothing unless permission was granted.
+ */
+export function showSessionNotification(body, actions = []) {
+  if (!('Notification' in window) || Notification.permission !== 'granted') return;
+  const options = { body, tag: TAG, renotify: true, icon: `${process.env.PUBLIC_URL}/logo192.png` };
+  getRegistration()
+    .then((registration) => {
+      if (registration) return registration.showNotification('Forest Focus', { ...options, actions });
+      return fallback(options);
+    })
+    .catch(() => fallback(options));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * onNotificationAction
+ * Subscribes to notification action clicks relayed by the service worker, plus an action passed
+ * in the URL (?action=…) when the click had to open a new window. Returns an unsubscribe function.
+ */
+export function onNotificationAction(handler) {
+  const fromUrl = new URLSearchParams(window.location.search).get('action');
+  if (fromUrl) {
+    window.history.replaceState(null, '', window.location.pathname);
+    handler(fromUrl);
+  }
+  if (!('serviceWorker' in navigator)) return () => {};
+  const onMessage = (e) => {
+    if (e.data && e.data.type === 'notification-action') handler(e.data.action);
+  };
+  navigator.serviceWorker.addEventListener('message', onMessage);
+  return () => navigator.serviceWorker.removeEventListener('message', onMessage);
+}
+
+function getRegistration() {
+  if (!('serviceWorker' in navigator)) return Promise.resolve(null);
+  return navigator.serviceWorker.getRegistration().then(r => (r && r.active ? r : null));
+}
+
+function fallback(options) {
+  try { new Notification('Forest Focus', options); } catch (e) { /* ignore */ }
+}
@@ -0,0 +1,452 @@
+/**
+ * Procedural plants: every species is data, an L-system (an axiom rewritten by rules a few times)
+ * read by a turtle that draws stem segments, leaves and blooms. A seeded RNG picks between
+ * alternative rules and jitters angles and lengths, so each session's plant is its own yet the
+ * same seed always grows the same plant (the forest redraws past sessions from their start time).
+ *
+ * Turtle symbols: F grows a stem segment, + and - turn, [ and ] start and end a branch (thinner
+ * and shorter), L puts out a leaf and K a bloom (a flower or a fruit). Other letters only drive
+ * the rewriting.
+ *
+ * Every part carries when it appears (`born`) and how long it takes to grow (`span`), as
+ * fractions of the session: stems first, from the root outwards, then leaves along them and
+ * blooms last. The renderer only has to compare them with the session progress.
+ */
+
+// The plant is fitted into a 200 x 200 view box, growing up from this point
+const ROOT_X = 100;
+const ROOT_Y = 188;
+const MAX_HEIGHT = 170;
+const MAX_HALF_WIDTH = 92;
+// Stems grow between these fractions of the session
+const STEM_START = 0.02;
+const STEM_SPAN = 0.68;
+// A leaf opens shortly after the stem below it has grown, and never after LEAF_LAST
+const LEAF_DELAY = 0.04;
+const LEAF_LAST = 0.84;
+const LEAF_SPAN = 0.1;
+// Flowers open, then fruit ripens, at the end of the session
+const BLOOM_START = { flower: 0.75, fruit: 0.8 };
+const BLOOM_SPREAD = 0.1;
+const BLOOM_SPAN = 0.1;
+// A runaway rule set stops rewriting past this many symbols
+const MAX_SYMBOLS = 3000;
+
+/**
+ * PUBLIC_INTERFACE
+ * SPECIES
+ * Every plant species: { id, label, axiom, rules (symbol -> equally likely replacements),
+ * iterations, angle (degrees per turn), length (of a trunk segment), width, taper (length and
+ * width kept per branch level), jitter (0..1 randomness), droop (degrees per segment that
+ * branches bend down), height (share of the frame), stem ('stem' | 'cane'), leaf { shape:
+ * 'oval' | 'round' | 'blade' | 'needle', size, angle, tone: 'light' | 'dark' }, bloom
+ * { kind: 'flower' | 'fruit', size, petals, tone } or null }.
+ */
+export const SPECIES = [
+  {
+    id: 'sapling',
+    label: 'Sapling',
+    axiom: 'FX',
+    rules: { X: ['F[+XL][-XL]FL', 'F[-XL]F[+XL]L', 'F[+XL]FXL'] },
+    iterations: 3,
+    angle: 28,
+    length: 12,
+    width: 4,
+    taper: 0.75,
+    jitter: 0.25,
+    droop: 0,
+    height: 0.7,
+    stem: 'stem',
+    leaf: { shape: 'oval', size: 9, angle: 40, tone: 'light' },
+    bloom: null,
+  },
+  {
+    id: 'sprout',
+    label: 'Sprout',
+    axiom: 'FX',
+    rules: { X: ['F[+FL][-FL]', 'FF[+FL][-FL]', 'F[+FL]F[-FL]'] },
+    iterations: 1,
+    angle: 30,
+    length: 10,
+    width: 3,
+    taper: 0.6,
+    jitter: 0.2,
+    droop: 0,
+    height: 0.45,
+    stem: 'stem',
+    leaf: { shape: 'oval', size: 14, angle: 10, tone: 'light' },
+    bloom: null,
+  },
+  {
+    id: 'fern',
+    label: 'Fern',
+    axiom: 'A',
+    rules: { A: ['F[+P][-P]A'], P: ['FLLP'] },
+    iterations: 6,
+    angle: 55,
+    length: 10,
+    width: 3,
+    taper: 0.7,
+    jitter: 0.15,
+    droop: 4,
+    height: 0.75,
+    stem: 'stem',
+    leaf: { shape: 'oval', size: 5, angle: 60, tone: 'dark' },
+    bloom: null,
+  },
+  {
+    id: 'bamboo',
+    label: 'Bamboo',
+    axiom: '[--A][-A][+A][++A]',
+    rules: { A: ['F[+L]A', 'F[-L]A', 'FA'] },
+    iterations: 7,
+    angle: 6,
+    length: 12,
+    width: 4,
+    taper: 1,
+    jitter: 0.2,
+    droop: 0,
+    height: 0.8,
+    stem: 'cane',
+    leaf: { shape: 'blade', size: 14, angle: 45, tone: 'dark' },
+    bloom: null,
+  },
+  {
+    id: 'oak',
+    label: 'Oak',
+    axiom: 'FX',
+    rules: { X: ['[+FXL][-FXL]FXL', '[+FXL]F[-FXL]L', '[-FXL]F[+FXL]FL'] },
+    iterations: 3,
+    angle: 38,
+    length: 12,
+    width: 7,
+    taper: 0.7,
+    jitter: 0.3,
+    droop: 2,
+    height: 0.9,
+    stem: 'stem',
+    leaf: { shape: 'round', size: 7, angle: 30, tone: 'dark' },
+    bloom: null,
+  },
+  {
+    id: 'pine',
+    label: 'Pine',
+    axiom: 'FA',
+    rules: { A: ['F[+B][-B]FA', 'F[-B][+B]FA'], B: ['FLB'] },
+    iterations: 5,
+    angle: 75,
+    length: 10,
+    width: 5,
+    taper: 0.6,
+    jitter: 0.12,
+    droop: 6,
+    height: 0.95,
+    stem: 'stem',
+    leaf: { shape: 'needle', size: 9, angle: 35, tone: 'dark' },
+    bloom: null,
+  },
+  {
+    id: 'willow',
+    label: 'Willow',
+    axiom: 'FFX',
+    rules: { X: ['F[+B][-B]X', 'F[++B][-B]X', 'F[+B][--B]X'], B: ['FLB'] },
+    iterations: 5,
+    angle: 50,
+    length: 10,
+    width: 6,
+    taper: 0.7,
+    jitter: 0.2,
+    droop: 30,
+    height: 0.85,
+    stem: 'stem',
+    leaf: { shape: 'blade', size: 8, angle: 25, tone: 'light' },
+    bloom: null,
+  },
+  {
+    id: 'cherry',
+    label: 'Cherry blossom',
+    axiom: 'FX',
+    rules: { X: ['F[+XK][-XK]L', 'F[+XL]F[-XK]K', '[-FXK]F[+FXK]L'] },
+    iterations: 3,
+    angle: 36,
+    length: 12,
+    width: 6,
+    taper: 0.72,
+    jitter: 0.3,
+    droop: 0,
+    height: 0.85,
+    stem: 'stem',
+    leaf: { shape: 'oval', size: 6, angle: 40, tone: 'light' },
+    bloom: { kind: 'flower', size: 2.5, petals: 5, tone: 'blossom' },
+  },
+  {
+    id: 'apple',
+    label: 'Apple tree',
+    axiom: 'FX',
+    rules: { X: ['F[+XL][-XL]FXK', 'F[+XLK]F[-XL]L', 'F[-XL][+XK]FL'] },
+    iterations: 3,
+    angle: 38,
+    length: 12,
+    width: 6,
+    taper: 0.7,
+    jitter: 0.25,
+    droop: 2,
+    height: 0.85,
+    stem: 'stem',
+    leaf: { shape: 'round', size: 7, angle: 35, tone: 'dark' },
+    bloom: { kind: 'fruit', size: 2.5, petals: 0, tone: 'fruit' },
+  },
+  {
+    id: 'sunflower',
+    label: 'Sunflower',
+    axiom: 'AK',
+    rules: { A: ['F[+L]F[-L]A', 'F[-L]F[+L]A'] },
+    iterations: 3,
+    angle: 50,
+    length: 10,
+    width: 4,
+    taper: 0.8,
+    jitter: 0.1,
+    droop: 0,
+    height: 0.95,
+    stem: 'stem',
+    leaf: { shape: 'oval', size: 13, angle: 15, tone: 'dark' },
+    bloom: { kind: 'flower', size: 6, petals: 14, tone: 'sun' },
+  },
+  {
+    id: 'tulip',
+    label: 'Tulip',
+    axiom: 'F[+L][-L]AK',
+    rules: { A: ['FA', 'FFA', 'F'] },
+    iterations: 3,
+    angle: 12,
+    length: 12,
+    width: 3,
+    taper: 0.9,
+    jitter: 0.15,
+    droop: 0,
+    height: 0.6,
+    stem: 'stem',
+    leaf: { shape: 'blade', size: 28, angle: 10, tone: 'light' },
+    bloom: { kind: 'flower', size: 5, petals: 3, tone: 'blossom' },
+  },
+  {
+    id: 'lavender',
+    label: 'Lavender',
+    axiom: '[-AFKFKK][AFKFKK][+AFKFKK]',
+    rules: { A: ['FA', 'F[+L]A', 'F[-L]A'] },
+    iterations: 4,
+    angle: 14,
+    length: 10,
+    width: 2,
+    taper: 1,
+    jitter: 0.2,
+    droop: 0,
+    height: 0.7,
+    stem: 'stem',
+    leaf: { shape: 'blade', size: 10, angle: 20, tone: 'light' },
+    bloom: { kind: 'flower', size: 2.5, petals: 4, tone: 'lavender' },
+  },
+];
+
+/**
+ * PUBLIC_INTERFACE
+ * SPECIES_IDS
+ * Ids of every species, in SPECIES order.
+ */
+export const SPECIES_IDS = SPECIES.map(s => s.id);
+
+/**
+ * PUBLIC_INTERFACE
+ * plantSpecies
+ * The species `id`, or the sapling for an unknown id (such as one from a newer backup).
+ */
+export function plantSpecies(id) {
+  return SPECIES.find(s => s.id === id) || SPECIES[0];
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * pickSpecies
+ * Keeps `persisted` if it is one of `ids` (every species by default), otherwise picks one of them
+ * at random; `random` returns 0..1.
+ */
+export function pickSpecies(persisted, ids = SPECIES_IDS, random = Math.random) {
+  if (persisted && ids.includes(persisted)) return persisted;
+  const pool = ids.length ? ids : SPECIES_IDS;
+  return pool[Math.floor(random() * pool.length) % pool.length];
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * createRng
+ * A small seeded random number generator (mulberry32): the same seed, a number or a string,
+ * always gives the same sequence of 0..1 values.
+ */
+export function createRng(seed) {
+  let a = hashSeed(seed);
+  return () => {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * expandLSystem
+ * Rewrites the species' axiom `iterations` times, picking among alternative rules with `rng`.
+ */
+export function expandLSystem(species, rng) {
+  let symbols = species.axiom;
+  for (let i = 0; i < species.iterations && symbols.length < MAX_SYMBOLS; i += 1) {
+    let next = '';
+    for (const symbol of symbols) {
+      const options = species.rules[symbol];
+      next += options ? options[Math.floor(rng() * options.length) % options.length] : symbol;
+    }
+    symbols = next;
+  }
+  return symbols;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * growPlant
+ * The fully grown plant of species `speciesId` from `seed`, fitted into a 200 x 200 view box:
+ * { species, stems: [{ x1, y1, x2, y2, width, born, span }], leaves: [{ x, y, rotate, size,
+ * born, span }], blooms: [{ x, y, rotate, size, born, span }] }. See the header for `born` and
+ * `span`.
+ */
+export function growPlant(speciesId, seed) {
+  const species = plantSpecies(speciesId);
+  const rng = createRng(`${species.id}:${seed}`);
+  const symbols = expandLSystem(species, rng);
+  const turn = species.angle * Math.PI / 180;
+  const droop = species.droop * Math.PI / 180;
+  const vary = (value) => value * (1 + species.jitter * (rng() * 2 - 1));
+
+  const stems = [];
+  const leaves = [];
+  const blooms = [];
+  const stack = [];
+  let turtle = { x: 0, y: 0, heading: -Math.PI / 2, depth: 0, dist: 0 };
+  let side = 1;
+
+  for (const symbol of symbols) {
+    if (symbol === 'F') {
+      const scale = Math.pow(species.taper, turtle.depth);
+      const length = vary(species.length * scale);
+      const x = turtle.x + Math.cos(turtle.heading) * length;
+      const y = turtle.y + Math.sin(turtle.heading) * length;
+      stems.push({ x1: turtle.x, y1: turtle.y, x2: x, y2: y, width: species.width * scale, from: turtle.dist, to: turtle.dist + length });
+      turtle = { ...turtle, x, y, dist: turtle.dist + length };
+      if (turtle.depth > 0 && droop) turtle.heading = bendDown(turtle.heading, droop);
+    } else if (symbol === '+' || symbol === '-') {
+      turtle = { ...turtle, heading: turtle.heading + (symbol === '+' ? 1 : -1) * vary(turn) };
+    } else if (symbol === '[') {
+      stack.push(turtle);
+      turtle = { ...turtle, depth: turtle.depth + 1 };
+    } else if (symbol === ']') {
+      if (stack.length) turtle = stack.pop();
+    } else if (symbol === 'L') {
+      side = -side;
+      const size = vary(species.leaf.size * Math.pow(species.taper, turtle.depth / 2));
+      leaves.push({ x: turtle.x, y: turtle.y, heading: turtle.heading + side * vary(species.leaf.angle * Math.PI / 180), size, dist: turtle.dist });
+    } else if (symbol === 'K' && species.bloom) {
+      blooms.push({ x: turtle.x, y: turtle.y, heading: turtle.heading, size: vary(species.bloom.size), dist: turtle.dist });
+    }
+  }
+
+  return fitPlant(species, stems, leaves, blooms);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * plantStage
+ * The growth stage of a `speciesId` plant at `growth` (0..1): 'seed', 'sprout', 'growing',
+ * 'mature' or, for species that flower or fruit, 'blooming'.
+ */
+export function plantStage(speciesId, growth) {
+  const { bloom } = plantSpecies(speciesId);
+  if (growth < STEM_START) return 'seed';
+  if (growth < 0.25) return 'sprout';
+  if (growth < STEM_START + STEM_SPAN) return 'growing';
+  if (bloom && growth >= BLOOM_START[bloom.kind]) return 'blooming';
+  return 'mature';
+}
+
+// FNV-1a hash of the seed's text, so any number or string seeds the generator
+function hashSeed(seed) {
+  const text = String(seed);
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i += 1) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+// Turn a heading towards straight down by at most `step` radians
+function bendDown(heading, step) {
+  const down = Math.PI / 2;
+  const diff = Math.atan2(Math.sin(down - heading), Math.cos(down - heading));
+  return heading + Math.max(-step, Math.min(step, diff));
+}
+
+// Scale the turtle's drawing into the view box and work out when each part appears
+function fitPlant(species, stems, leaves, blooms) {
+  const reach = (p) => [
+    [p.x, p.y],
+    [p.x + Math.cos(p.heading) * p.size, p.y + Math.sin(p.heading) * p.size],
+  ];
+  const points = [
+    [0, 0],
+    ...stems.flatMap(s => [[s.x1, s.y1], [s.x2, s.y2]]),
+    ...leaves.flatMap(reach),
+    ...blooms.map(b => [b.x, b.y - b.size]),
+  ];
+  const up = Math.max(1, ...points.map(([, y]) => -y));
+  const half = Math.max(1, ...points.map(([x]) => Math.abs(x)));
+  const scale = Math.min(MAX_HEIGHT * species.height / up, MAX_HALF_WIDTH / half);
+  const total = Math.max(1, ...stems.map(s => s.to));
+  const at = (dist) => STEM_START + STEM_SPAN * dist / total;
+  const x = (v) => round(ROOT_X + v * scale);
+  const y = (v) => round(ROOT_Y + v * scale);
+  const degrees = (heading) => round(heading * 180 / Math.PI);
+  const bloomStart = species.bloom ? BLOOM_START[species.bloom.kind] : 1;
+
+  return {
+    species,
+    stems: stems.map(s => ({
+      x1: x(s.x1),
+      y1: y(s.y1),
+      x2: x(s.x2),
+      y2: y(s.y2),
+      width: round(Math.max(1, Math.min(12, s.width * scale))),
+      born: round(at(s.from), 1000),
+      span: round(Math.max(0.01, at(s.to) - at(s.from)), 1000),
+    })),
+    leaves: leaves.map(l => ({
+      x: x(l.x),
+      y: y(l.y),
+      rotate: degrees(l.heading),
+      size: round(l.size * scale),
+      born: round(Math.min(LEAF_LAST, at(l.dist) + LEAF_DELAY), 1000),
+      span: LEAF_SPAN,
+    })),
+    blooms: blooms.map(b => ({
+      x: x(b.x),
+      y: y(b.y),
+      rotate: degrees(b.heading),
+      size: round(b.size * scale),
+      born: round(bloomStart + BLOOM_SPREAD * b.dist / total, 1000),
+      span: BLOOM_SPAN,
+    })),
+  };
+}
+
+function round(value, precision = 10) {
+  return Math.round(value * precision) / precision;
+}
@@ -0,0 +1,62 @@
+import { SPECIES, createRng, growPlant, pickSpecies, plantSpecies, plantStage } from './plants';
+
+test('the same seed gives the same numbers, another seed others', () => {
+  const a = createRng(42);
+  const b = createRng(42);
+  const c = createRng('another');
+  const first = [a(), a(), a()];
+  expect([b(), b(), b()]).toEqual(first);
+  expect([c(), c(), c()]).not.toEqual(first);
+  expect(first.every(n => n >= 0 && n < 1)).toBe(true);
+});
+
+test('a plant is reproducible from its seed and unique to it', () => {
+  expect(growPlant('oak', 1700000000000)).toEqual(growPlant('oak', 1700000000000));
+  expect(growPlant('oak', 1700000000000).stems).not.toEqual(growPlant('oak', 1700000060000).stems);
+});
+
+test('every species grows stems and leaves inside the frame, and blooms if it should', () => {
+  SPECIES.forEach(({ id, bloom }) => {
+    [1, 2, 3].forEach(seed => {
+      const plant = growPlant(id, seed);
+      expect(plant.stems.length).toBeGreaterThan(0);
+      expect(plant.leaves.length).toBeGreaterThan(0);
+      expect(plant.blooms.length > 0).toBe(Boolean(bloom));
+      plant.stems.forEach(s => {
+        [s.x1, s.x2].forEach(x => expect(x).toBeGreaterThanOrEqual(0));
+        [s.x1, s.x2].forEach(x => expect(x).toBeLessThanOrEqual(200));
+        [s.y1, s.y2].forEach(y => expect(y).toBeGreaterThanOrEqual(0));
+        [s.y1, s.y2].forEach(y => expect(y).toBeLessThanOrEqual(200));
+      });
+    });
+  });
+});
+
+test('stems grow from the root out, then leaves, with flowers last', () => {
+  const plant = growPlant('cherry', 7);
+  const trunk = plant.stems[0];
+  expect(trunk.born).toBeLessThan(0.05);
+  plant.stems.forEach(s => expect(s.born + s.span).toBeLessThanOrEqual(0.71));
+  plant.leaves.forEach(l => expect(l.born + l.span).toBeLessThanOrEqual(0.95));
+  plant.blooms.forEach(b => {
+    expect(b.born).toBeGreaterThanOrEqual(0.75);
+    expect(b.born + b.span).toBeLessThanOrEqual(1);
+  });
+});
+
+test('growth stages follow the session, and only flowering species bloom', () => {
+  expect(plantStage('cherry', 0)).toBe('seed');
+  expect(plantStage('cherry', 0.1)).toBe('sprout');
+  expect(plantStage('cherry', 0.5)).toBe('growing');
+  expect(plantStage('cherry', 0.72)).toBe('mature');
+  expect(plantStage('cherry', 0.9)).toBe('blooming');
+  expect(plantStage('pine', 1)).toBe('mature');
+});
+
+test('a known species is kept, anything else picked at random', () => {
+  expect(pickSpecies('tulip')).toBe('tulip');
+  expect(pickSpecies('cactus', ['fern', 'pine'], () => 0.6)).toBe('pine');
+  // A species that is locked is never kept
+  expect(pickSpecies('tulip', ['fern', 'pine'], () => 0)).toBe('fern');
+  expect(plantSpecies('cactus').id).toBe('sapling');
+});
@@ -0,0 +1,201 @@
+import { DEFAULT_SETTINGS } from './timerMachine';
+import { STORAGE_KEYS, load, save } from './storage';
+
+// The user's presets live in the 'preferences' storage namespace, next to the key bindings
+export const PRESETS_KEY = STORAGE_KEYS.preferences;
+
+/**
+ * PUBLIC_INTERFACE
+ * LIMITS
+ * Bounds (in minutes, or sessions for longBreakEvery) for every timer setting. The single source
+ * for clamping in normalizeSettings and for the min/max of the settings inputs.
+ */
+export const LIMITS = {
+  focusMinutes: { min: 5, max: 120 },
+  breakMinutes: { min: 1, max: 60 },
+  longBreakMinutes: { min: 5, max: 60 },
+  longBreakEvery: { min: 2, max: 12 },
+  stepMinutes: { min: 1, max: 180 },
+  steps: { min: 1, max: 24 },
+  flowBreakRatio: { min: 1, max: 20 },
+  flowBreakMinMinutes: { min: 1, max: 30 },
+  flowBreakMaxMinutes: { min: 1, max: 60 },
+};
+
+const LABEL_MAX = 40;
+const DEFAULT_LABELS = { focus: 'Focus', break: 'Break', longBreak: 'Long break' };
+
+/**
+ * PUBLIC_INTERFACE
+ * BUILT_IN_PRESETS
+ * Presets that ship with the app. A preset either sets the focus/break cycle
+ * ({ focusMinutes, breakMinutes, longBreakMinutes, longBreakEvery }) or a `sequence` of
+ * { label, minutes, mode } intervals walked in order.
+ */
+export const BUILT_IN_PRESETS = [
+  { id: 'classic', name: 'Classic 25/5', builtIn: true, focusMinutes: 25, breakMinutes: 5, longBreakMinutes: 15, longBreakEvery: 4 },
+  { id: 'deep-work', name: 'Deep Work 50/10', builtIn: true, focusMinutes: 50, breakMinutes: 10, longBreakMinutes: 30, longBreakEvery: 3 },
+  { id: '52-17', name: '52/17', builtIn: true, focusMinutes: 52, breakMinutes: 17, longBreakMinutes: 17, longBreakEvery: 4 },
+  {
+    id: 'warm-up-flow',
+    name: 'Warm-up flow',
+    builtIn: true,
+    sequence: [
+      { label: 'Warm-up', minutes: 10, mode: 'focus' },
+      { label: 'Focus', minutes: 45, mode: 'focus' },
+      { label: 'Stretch', minutes: 5, mode: 'break' },
+      { label: 'Focus', minutes: 45, mode: 'focus' },
+      { label: 'Long rest', minutes: 20, mode: 'longBreak' },
+    ],
+  },
+];
+
+/**
+ * PUBLIC_INTERFACE
+ * normalizeSettings
+ * Timer settings from any source (persisted state, another tab, a preset), every value clamped
+ * to LIMITS. Also carries the active `sequence` (or null), `presetId` (null when customised) and
+ * whether breaks and focus sessions start by themselves (`autoStartBreaks`, `autoStartFocus`; on
+ * unless turned off), and the Flowtime settings (`flowtime`, off unless turned on, and the break
+ * ratio with its minimum and maximum, the maximum never below the minimum).
+ */
+export function normalizeSettings(source) {
+  const flowBreakMin = Math.round(clampSetting('flowBreakMinMinutes', source?.flowBreakMinMinutes));
+  return {
+    focusMinutes: clampSetting('focusMinutes', source?.focusMinutes),
+    breakMinutes: clampSetting('breakMinutes', source?.breakMinutes),
+    longBreakMinutes: clampSetting('longBreakMinutes', source?.longBreakMinutes),
+    longBreakEvery: Math.round(clampSetting('longBreakEvery', source?.longBreakEvery)),
+    sequence: normalizeSequence(source?.sequence),
+    presetId: typeof source?.presetId === 'string' ? source.presetId : null,
+    autoStartBreaks: source?.autoStartBreaks !== false,
+    autoStartFocus: source?.autoStartFocus !== false,
+    flowtime: source?.flowtime === true,
+    flowBreakRatio: Math.round(clampSetting('flowBreakRatio', source?.flowBreakRatio)),
+    flowBreakMinMinutes: flowBreakMin,
+    flowBreakMaxMinutes: Math.max(flowBreakMin, Math.round(clampSetting('flowBreakMaxMinutes', source?.flowBreakMaxMinutes))),
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * normalizeSequence
+ * Validates a list of { label, minutes, mode } intervals; returns null when there is nothing usable.
+ */
+export function normalizeSequence(steps) {
+  if (!Array.isArray(steps)) return null;
+  const valid = steps
+    .filter(step => step && typeof step === 'object' && Number.isFinite(Number(step.minutes)))
+    .slice(0, LIMITS.steps.max)
+    .map(step => {
+      const mode = ['focus', 'break', 'longBreak'].includes(step.mode) ? step.mode : 'focus';
+      const label = typeof step.label === 'string' && step.label.trim() ? step.label.trim().slice(0, LABEL_MAX) : DEFAULT_LABELS[mode];
+      return { label, minutes: clamp(Number(step.minutes), LIMITS.stepMinutes.min, LIMITS.stepMinutes.max), mode };
+    });
+  return valid.length >= LIMITS.steps.min ? valid : null;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * presetSettings
+ * The settings a preset applies: a sequence preset keeps the current cycle durations underneath.
+ * Either way the auto-start choices stay as they are, and Flowtime is turned off: a preset is a
+ * rhythm of fixed lengths.
+ */
+export function presetSettings(preset, current) {
+  if (preset.sequence) return normalizeSettings({ ...current, sequence: preset.sequence, presetId: preset.id, flowtime: false });
+  return normalizeSettings({ ...current, ...preset, sequence: null, presetId: preset.id, flowtime: false });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * describePreset
+ * A one-line summary, e.g. '25/5 • long 15 every 4' or '5 intervals • 125 min'.
+ */
+export function describePreset(preset) {
+  if (preset.sequence) {
+    const total = preset.sequence.reduce((sum, step) => sum + step.minutes, 0);
+    return `${preset.sequence.length} interval${preset.sequence.length === 1 ? '' : 's'} • ${total} min`;
+  }
+  return `${preset.focusMinutes}/${preset.breakMinutes} • long ${preset.longBreakMinutes} every ${preset.longBreakEvery}`;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * loadPresets
+ * Loads the user's own presets.
+ */
+export function loadPresets() {
+  return load('preferences').presets.map(normalizePreset).filter(Boolean);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * savePresets
+ * Saves the user's own presets.
+ */
+export function savePresets(presets) {
+  save('preferences', { ...load('preferences'), presets });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * createPreset
+ * Builds a user preset from a name and either cycle durations or a `sequence`.
+ */
+export function createPreset(name, fields) {
+  return normalizePreset({ ...fields, id: `preset-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`, name });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * presetToJson
+ * Serialises a preset for sharing (without its local id).
+ */
+export function presetToJson(preset) {
+  const shared = preset.sequence
+    ? { name: preset.name, sequence: preset.sequence }
+    : {
+      name: preset.name,
+      focusMinutes: preset.focusMinutes,
+      breakMinutes: preset.breakMinutes,
+      longBreakMinutes: preset.longBreakMinutes,
+      longBreakEvery: preset.longBreakEvery,
+    };
+  return JSON.stringify({ forestFocusPreset: 1, ...shared }, null, 2);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * presetFromJson
+ * Parses shared preset JSON into a new user preset; returns null if the text is not a valid preset.
+ */
+export function presetFromJson(text) {
+  try {
+    const parsed = JSON.parse(text);
+    if (!parsed || typeof parsed !== 'object' || parsed.forestFocusPreset !== 1) return null;
+    if (!parsed.sequence && !Number.isFinite(parsed.focusMinutes)) return null;
+    if (parsed.sequence && !normalizeSequence(parsed.sequence)) return null;
+    return createPreset(parsed.name, parsed);
+  } catch (e) {
+    return null;
+  }
+}
+
+function normalizePreset(preset) {
+  if (!preset || typeof preset !== 'object' || typeof preset.id !== 'string') return null;
+  const name = typeof preset.name === 'string' && preset.name.trim() ? preset.name.trim().slice(0, LABEL_MAX) : 'Untitled preset';
+  const sequence = normalizeSequence(preset.sequence);
+  if (sequence) return { id: preset.id, name, sequence };
+  const { focusMinutes, breakMinutes, longBreakMinutes, longBreakEvery } = normalizeSettings(preset);
+  return { id: preset.id, name, focusMinutes, breakMinutes, longBreakMinutes, longBreakEvery };
+}
+
+function clampSetting(name, value) {
+  const n = Number.isFinite(value) ? value : DEFAULT_SETTINGS[name];
+  return clamp(n, LIMITS[name].min, LIMITS[name].max);
+}
+
+function clamp(n, min, max) {
+  return Math.max(min, Math.min(max, Number.isFinite(n) ? n : min));
+}
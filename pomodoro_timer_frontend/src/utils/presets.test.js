@@ -0,0 +1,64 @@
+import { BUILT_IN_PRESETS, normalizeSettings, presetFromJson, presetSettings, presetToJson } from './presets';
+
+test('settings are clamped to the shared limits', () => {
+  expect(normalizeSettings({ focusMinutes: 500, breakMinutes: 0, longBreakMinutes: 'x', longBreakEvery: 3.6 })).toEqual({
+    focusMinutes: 120,
+    breakMinutes: 1,
+    longBreakMinutes: 15,
+    longBreakEvery: 4,
+    sequence: null,
+    presetId: null,
+    autoStartBreaks: true,
+    autoStartFocus: true,
+    flowtime: false,
+    flowBreakRatio: 5,
+    flowBreakMinMinutes: 2,
+    flowBreakMaxMinutes: 30,
+  });
+  expect(normalizeSettings({ autoStartBreaks: false })).toMatchObject({ autoStartBreaks: false, autoStartFocus: true });
+});
+
+test('the Flowtime break range never inverts', () => {
+  expect(normalizeSettings({ flowtime: true, flowBreakRatio: 0, flowBreakMinMinutes: 10, flowBreakMaxMinutes: 4 })).toMatchObject({
+    flowtime: true,
+    flowBreakRatio: 1,
+    flowBreakMinMinutes: 10,
+    flowBreakMaxMinutes: 10,
+  });
+  expect(normalizeSettings({ flowtime: 'yes' }).flowtime).toBe(false);
+  expect(presetSettings(BUILT_IN_PRESETS[0], normalizeSettings({ flowtime: true })).flowtime).toBe(false);
+});
+
+test('sequences are validated interval by interval', () => {
+  const { sequence } = normalizeSettings({
+    sequence: [{ label: '  Warm-up ', minutes: 0, mode: 'focus' }, { minutes: 999, mode: 'nap' }, 'junk', { label: 'x' }],
+  });
+  expect(sequence).toEqual([
+    { label: 'Warm-up', minutes: 1, mode: 'focus' },
+    { label: 'Focus', minutes: 180, mode: 'focus' },
+  ]);
+  expect(normalizeSettings({ sequence: [] }).sequence).toBeNull();
+});
+
+test('a sequence preset keeps the cycle durations underneath', () => {
+  const flow = BUILT_IN_PRESETS.find(p => p.sequence);
+  const settings = presetSettings(flow, normalizeSettings({ focusMinutes: 40 }));
+  expect(settings).toMatchObject({ focusMinutes: 40, presetId: flow.id });
+  expect(settings.sequence).toHaveLength(flow.sequence.length);
+  expect(presetSettings(BUILT_IN_PRESETS[1], settings)).toMatchObject({ focusMinutes: 50, breakMinutes: 10, sequence: null, presetId: 'deep-work' });
+});
+
+test('presets round-trip through shared JSON as new presets', () => {
+  BUILT_IN_PRESETS.forEach(preset => {
+    const imported = presetFromJson(presetToJson(preset));
+    expect(imported.id).not.toBe(preset.id);
+    const shared = preset.sequence
+      ? { name: preset.name, sequence: preset.sequence }
+      : { name: preset.name, focusMinutes: preset.focusMinutes, breakMinutes: preset.breakMinutes, longBreakMinutes: preset.longBreakMinutes, longBreakEvery: preset.longBreakEvery };
+    expect(imported).toEqual(expect.objectContaining(shared));
+    expect(imported.builtIn).toBeFalsy();
+  });
+  expect(presetFromJson('{"name":"no marker","focusMinutes":25}')).toBeNull();
+  expect(presetFromJson('{"forestFocusPreset":1,"sequence":[]}')).toBeNull();
+  expect(presetFromJson('not json')).toBeNull();
+});
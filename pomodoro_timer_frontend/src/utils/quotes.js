@@ -21,12 +21,21 @@ const breakQuotes = [
   "The pause nourishes the next step.",
 ];
 
+const longBreakQuotes = [
+  "Even old oaks rest through winter.",
+  "Step outside. Let the sky stretch your thoughts.",
+  "A full cycle grown. Let the roots settle.",
+  "Wander a little; the path will wait for you.",
+  "Seasons turn slowly. So can you.",
+  "Eat, walk, breathe. The canopy will still be here.",
+];
+
 /**
  * PUBLIC_INTERFACE
  * randomQuote
- * Returns a random quote string based on mode ('focus' or 'break').
+ * Returns a random quote string based on mode ('focus', 'break' or 'longBreak').
  */
 export function randomQuote(mode = 'focus') {
-  const list = mode === 'break' ? breakQuotes : focusQuotes;
+  const list = mode === 'longBreak' ? longBreakQuotes : mode === 'break' ? breakQuotes : focusQuotes;
   return list[Math.floor(Math.random() * list.length)];
 }
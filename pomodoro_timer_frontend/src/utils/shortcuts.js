@@ -0,0 +1,169 @@
+import { STORAGE_KEYS, load, save } from './storage';
+
+// Bindings live in the 'preferences' storage namespace, next to the user's presets
+export const SHORTCUTS_KEY = STORAGE_KEYS.preferences;
+
+/**
+ * PUBLIC_INTERFACE
+ * SHORTCUT_ACTIONS
+ * Every action reachable from the keyboard and the command palette, with its default key.
+ * Keys use the format produced by keyFromEvent ('Space', 'r', 'Shift+r', 'Mod+k', '?'); null is unbound.
+ */
+export const SHORTCUT_ACTIONS = [
+  { id: 'toggle', label: 'Start / pause timer', defaultKey: 'Space' },
+  { id: 'reset', label: 'Reset timer', defaultKey: 'r' },
+  { id: 'skip', label: 'Skip to next session', defaultKey: 's' },
+  { id: 'snooze', label: 'Snooze 5 minutes', defaultKey: 'z' },
+  { id: 'extend', label: 'Extend the finished session by 5 minutes', defaultKey: 'e' },
+  { id: 'skipBreak', label: 'Skip break', defaultKey: null },
+  { id: 'addMinute', label: 'Add a minute', defaultKey: '+' },
+  { id: 'subtractMinute', label: 'Remove a minute', defaultKey: '-' },
+  { id: 'finish', label: 'Finish the session early and count it', defaultKey: null },
+  { id: 'distracted', label: 'Log a distraction', defaultKey: 'd' },
+  { id: 'interrupted', label: 'Log an interruption', defaultKey: 'x' },
+  { id: 'mute', label: 'Mute / unmute sounds', defaultKey: 'm' },
+  { id: 'ambient', label: 'Toggle ambient forest sounds', defaultKey: 'a' },
+  { id: 'applyDurations', label: 'Apply durations', defaultKey: null },
+  { id: 'tasks', label: 'Show tasks', defaultKey: 't' },
+  { id: 'forest', label: 'Show forest', defaultKey: 'f' },
+  { id: 'stats', label: 'Show statistics', defaultKey: 'i' },
+  { id: 'goal', label: 'Show the daily goal', defaultKey: 'g' },
+  { id: 'collection', label: 'Show the collection', defaultKey: 'c' },
+  { id: 'presets', label: 'Show presets', defaultKey: 'p' },
+  { id: 'alerts', label: 'Show alert settings', defaultKey: null },
+  { id: 'theme', label: 'Show themes', defaultKey: null },
+  { id: 'backup', label: 'Back up, export or import data', defaultKey: null },
+  { id: 'accessibility', label: 'Show accessibility settings', defaultKey: null },
+  { id: 'palette', label: 'Open command palette', defaultKey: 'Mod+k' },
+  { id: 'help', label: 'Show keyboard shortcuts', defaultKey: '?' },
+];
+
+/**
+ * PUBLIC_INTERFACE
+ * loadBindings
+ * Returns { [actionId]: key | null }: the defaults with the user's remapped keys applied.
+ */
+export function loadBindings() {
+  const defaults = defaultBindings();
+  const saved = load('preferences').shortcuts;
+  if (!saved) return defaults;
+  Object.keys(defaults).forEach(id => {
+    if (typeof saved[id] === 'string' || saved[id] === null) defaults[id] = saved[id];
+  });
+  return defaults;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * saveBindings
+ * Persists the key bindings.
+ */
+export function saveBindings(bindings) {
+  save('preferences', { ...load('preferences'), shortcuts: bindings });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * defaultBindings
+ * A fresh { [actionId]: key } map with every action on its default key.
+ */
+export function defaultBindings() {
+  return Object.fromEntries(SHORTCUT_ACTIONS.map(a => [a.id, a.defaultKey]));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * rebind
+ * Returns new bindings with `key` assigned to `id`. An action that already used the key swaps
+ * over to the key `id` had before, so no binding is silently lost.
+ */
+export function rebind(bindings, id, key) {
+  const next = { ...bindings, [id]: key };
+  const clash = Object.keys(bindings).find(other => other !== id && key !== null && bindings[other] === key);
+  if (clash) next[clash] = bindings[id] ?? null;
+  return next;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * keyFromEvent
+ * Normalizes a keydown event into a binding key: 'Mod+' for Ctrl or Cmd, 'Alt+', and 'Shift+' for
+ * letters and named keys (symbols such as '?' or '+' already include Shift). Returns null for bare
+ * modifier presses.
+ */
+export function keyFromEvent(e) {
+  if (['Control', 'Meta', 'Shift', 'Alt', 'AltGraph', 'CapsLock'].includes(e.key)) return null;
+  let key = e.key === ' ' ? 'Space' : e.key;
+  const isLetter = /^[a-z]$/i.test(key);
+  if (key.length === 1) key = key.toLowerCase();
+  const parts = [];
+  if (e.ctrlKey || e.metaKey) parts.push('Mod');
+  if (e.altKey) parts.push('Alt');
+  if (e.shiftKey && (isLetter || key.length > 1)) parts.push('Shift');
+  return [...parts, key].join('+');
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * formatKey
+ * Human-readable label for a binding key, e.g. 'Mod+k' -> '⌘K' on Apple devices and 'Ctrl+K' elsewhere.
+ */
+export function formatKey(key, isMac = isApplePlatform()) {
+  if (!key) return '—';
+  return key.split('+').map((part, i, all) => {
+    // A trailing '+' key splits into an empty part
+    if (part === '' && i === all.length - 1) return '+';
+    if (part === 'Mod') return isMac ? '⌘' : 'Ctrl';
+    if (part === 'Alt') return isMac ? '⌥' : 'Alt';
+    if (part === 'Shift') return isMac ? '⇧' : 'Shift';
+    return part.length === 1 ? part.toUpperCase() : part;
+  }).filter(Boolean).join(isMac ? '' : '+');
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * fuzzyScore
+ * Scores how well `query` matches `text` as an in-order subsequence (case-insensitive); higher is
+ * better and null means no match. Consecutive characters, word starts and the query appearing
+ * verbatim score extra.
+ */
+export function fuzzyScore(query, text) {
+  const q = query.trim().toLowerCase();
+  if (!q) return 0;
+  const t = text.toLowerCase();
+  let score = 0;
+  let last = -1;
+  for (const ch of q) {
+    if (ch === ' ') continue;
+    const at = t.indexOf(ch, last + 1);
+    if (at < 0) return null;
+    score += 1;
+    if (at === last + 1) score += 2;
+    if (at === 0 || /[\s/-]/.test(t[at - 1])) score += 3;
+    last = at;
+  }
+  // The query typed as one piece of the label beats a scattered match
+  const exact = t.indexOf(q);
+  if (exact >= 0) score += q.length * 2 + (exact === 0 || /[\s/-]/.test(t[exact - 1]) ? 3 : 0);
+  // Prefer shorter labels when everything else is equal
+  return score - t.length / 100;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * rankCommands
+ * Filters commands ({ label, ... }) by a fuzzy query and sorts the best matches first.
+ */
+export function rankCommands(commands, query) {
+  if (!query.trim()) return commands;
+  return commands
+    .map((command, index) => ({ command, index, score: fuzzyScore(query, command.label) }))
+    .filter(r => r.score !== null)
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(r => r.command);
+}
+
+function isApplePlatform() {
+  if (typeof navigator === 'undefined') return false;
+  return /Mac|iPhone|iPad|iPod/.test(navigator.platform || navigator.userAgent || '');
+}
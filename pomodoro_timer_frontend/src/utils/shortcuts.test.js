@@ -0,0 +1,50 @@
+import { defaultBindings, formatKey, keyFromEvent, loadBindings, rankCommands, rebind, saveBindings } from './shortcuts';
+
+const key = (k, mods = {}) => keyFromEvent({ key: k, ctrlKey: false, metaKey: false, altKey: false, shiftKey: false, ...mods });
+
+test('keydown events normalize into binding keys', () => {
+  expect(key(' ')).toBe('Space');
+  expect(key('R')).toBe('r');
+  expect(key('R', { shiftKey: true })).toBe('Shift+r');
+  expect(key('k', { metaKey: true })).toBe('Mod+k');
+  expect(key('k', { ctrlKey: true })).toBe('Mod+k');
+  expect(key('?', { shiftKey: true })).toBe('?');
+  expect(key('+', { shiftKey: true })).toBe('+');
+  expect(key('Shift', { shiftKey: true })).toBeNull();
+});
+
+test('keys are labelled for the platform', () => {
+  expect(formatKey('Mod+k', true)).toBe('⌘K');
+  expect(formatKey('Mod+k', false)).toBe('Ctrl+K');
+  expect(formatKey('+', false)).toBe('+');
+  expect(formatKey(null)).toBe('—');
+});
+
+test('rebinding to a taken key swaps the two actions', () => {
+  const next = rebind(defaultBindings(), 'reset', 's');
+  expect(next.reset).toBe('s');
+  expect(next.skip).toBe('r');
+  expect(rebind(next, 'mute', null).mute).toBeNull();
+});
+
+test('remapped keys persist over the defaults', () => {
+  localStorage.clear();
+  saveBindings({ ...defaultBindings(), toggle: 'p', nonsense: 'x' });
+  expect(loadBindings()).toMatchObject({ toggle: 'p', reset: 'r' });
+  expect(loadBindings().nonsense).toBeUndefined();
+});
+
+test('fuzzy search ranks word starts and tight matches first', () => {
+  const commands = [
+    { id: 'stats', label: 'Show statistics' },
+    { id: 'skip', label: 'Skip to next session' },
+    { id: 'snooze', label: 'Snooze 5 minutes' },
+    { id: 'toggle', label: 'Start / pause timer' },
+  ];
+  expect(rankCommands(commands, 'skp').map(c => c.id)).toEqual(['skip']);
+  expect(rankCommands(commands, 'st')[0].id).toBe('toggle');
+  expect(rankCommands(commands, 'stat')[0].id).toBe('stats');
+  expect(rankCommands(commands, 'pause').map(c => c.id)).toEqual(['toggle']);
+  expect(rankCommands(commands, 'xyz')).toEqual([]);
+  expect(rankCommands(commands, '  ')).toBe(commands);
+});
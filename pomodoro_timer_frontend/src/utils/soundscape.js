@@ -0,0 +1,98 @@
+/**
+ * PUBLIC_INTERFACE
+ * AMBIENT_LAYERS
+ * The procedural layers of the soundscape mixer (see utils/ambientLayers for how each sounds).
+ */
+export const AMBIENT_LAYERS = [
+  { id: 'rain', label: 'Rain' },
+  { id: 'wind', label: 'Wind in the leaves' },
+  { id: 'stream', label: 'Stream' },
+  { id: 'crickets', label: 'Crickets at night' },
+  { id: 'birds', label: 'Birds' },
+  { id: 'whiteNoise', label: 'White noise' },
+  { id: 'pinkNoise', label: 'Pink noise' },
+  { id: 'brownNoise', label: 'Brown noise' },
+];
+
+/**
+ * PUBLIC_INTERFACE
+ * BUILT_IN_MIXES
+ * Mixes that ship with the app: { id, name, levels } where levels maps layer ids to 0..1.
+ * "Forest floor" is the original ambience (brown noise with birds) and the default.
+ */
+export const BUILT_IN_MIXES = [
+  { id: 'forest-floor', name: 'Forest floor', builtIn: true, levels: { brownNoise: 0.5, birds: 0.5, wind: 0.2 } },
+  { id: 'rainy-cabin', name: 'Rainy cabin', builtIn: true, levels: { rain: 0.7, brownNoise: 0.25 } },
+  { id: 'night-stream', name: 'Night by the stream', builtIn: true, levels: { stream: 0.6, crickets: 0.4, wind: 0.15 } },
+  { id: 'deep-noise', name: 'Deep noise', builtIn: true, levels: { pinkNoise: 0.5, brownNoise: 0.4 } },
+];
+
+/**
+ * PUBLIC_INTERFACE
+ * DEFAULT_MIX_ID
+ * The mix a fresh install starts with.
+ */
+export const DEFAULT_MIX_ID = 'forest-floor';
+
+const NAME_MAX = 40;
+
+/**
+ * PUBLIC_INTERFACE
+ * normalizeLevels
+ * A complete { [layerId]: 0..1 } map from any source; unknown layers are dropped, missing ones are 0.
+ */
+export function normalizeLevels(levels) {
+  return Object.fromEntries(AMBIENT_LAYERS.map(({ id }) => {
+    const value = Number(levels && levels[id]);
+    return [id, Number.isFinite(value) ? Math.max(0, Math.min(1, value)) : 0];
+  }));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * normalizeMixes
+ * The user's saved mixes, cleaned up; entries without an id are dropped.
+ */
+export function normalizeMixes(mixes) {
+  if (!Array.isArray(mixes)) return [];
+  return mixes
+    .filter(mix => mix && typeof mix === 'object' && typeof mix.id === 'string')
+    .map(mix => ({ id: mix.id, name: mixName(mix.name), levels: normalizeLevels(mix.levels) }));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * normalizeModeMixes
+ * Which mix to switch to when a focus or a break session starts: { focus, break } mix ids (null
+ * keeps whatever is playing). Long breaks use the break mix.
+ */
+export function normalizeModeMixes(modeMixes) {
+  const pick = value => (typeof value === 'string' ? value : null);
+  return { focus: pick(modeMixes && modeMixes.focus), break: pick(modeMixes && modeMixes.break) };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * createMix
+ * Builds a user mix from a name and the current layer levels.
+ */
+export function createMix(name, levels) {
+  return {
+    id: `mix-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    name: mixName(name),
+    levels: normalizeLevels(levels),
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * modeMixGroup
+ * The { focus, break } slot a session mode uses for automatic mix changes.
+ */
+export function modeMixGroup(mode) {
+  return mode === 'focus' ? 'focus' : 'break';
+}
+
+function mixName(name) {
+  return typeof name === 'string' && name.trim() ? name.trim().slice(0, NAME_MAX) : 'Untitled mix';
+}
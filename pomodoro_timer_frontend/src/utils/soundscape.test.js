@@ -0,0 +1,35 @@
+import {
+  AMBIENT_LAYERS,
+  BUILT_IN_MIXES,
+  createMix,
+  modeMixGroup,
+  normalizeLevels,
+  normalizeMixes,
+  normalizeModeMixes,
+} from './soundscape';
+
+test('levels cover every layer, clamped to 0..1', () => {
+  const levels = normalizeLevels({ rain: 2, wind: -1, stream: '0.5', thunder: 1 });
+  expect(Object.keys(levels)).toEqual(AMBIENT_LAYERS.map(l => l.id));
+  expect(levels).toMatchObject({ rain: 1, wind: 0, stream: 0.5, birds: 0 });
+  expect(levels).not.toHaveProperty('thunder');
+});
+
+test('built-in mixes only use known layers', () => {
+  const ids = AMBIENT_LAYERS.map(l => l.id);
+  BUILT_IN_MIXES.forEach(mix => Object.keys(mix.levels).forEach(id => expect(ids).toContain(id)));
+});
+
+test('saved mixes and mode mixes are cleaned up', () => {
+  const mix = createMix('  Library  ', { pinkNoise: 0.4 });
+  expect(mix).toMatchObject({ name: 'Library', levels: { pinkNoise: 0.4, rain: 0 } });
+  expect(normalizeMixes([mix, { name: 'no id' }, null])).toEqual([mix]);
+  expect(normalizeModeMixes({ focus: 'rainy-cabin', break: 3 })).toEqual({ focus: 'rainy-cabin', break: null });
+  expect(normalizeModeMixes(null)).toEqual({ focus: null, break: null });
+});
+
+test('long breaks use the break mix', () => {
+  expect(modeMixGroup('focus')).toBe('focus');
+  expect(modeMixGroup('break')).toBe('break');
+  expect(modeMixGroup('longBreak')).toBe('break');
+});
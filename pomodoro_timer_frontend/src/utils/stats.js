@@ -0,0 +1,117 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * PUBLIC_INTERFACE
+ * startOfDay
+ * Returns the timestamp of local midnight for the given time.
+ */
+export function startOfDay(ts) {
+  const d = new Date(ts);
+  d.setHours(0, 0, 0, 0);
+  return d.getTime();
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * startOfWeek
+ * Returns the timestamp of local midnight on the Monday of the given time's week.
+ */
+export function startOfWeek(ts) {
+  const d = new Date(startOfDay(ts));
+  const daysSinceMonday = (d.getDay() + 6) % 7;
+  d.setDate(d.getDate() - daysSinceMonday);
+  return d.getTime();
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * startOfMonth
+ * Returns the timestamp of local midnight on the first day of the given time's month.
+ */
+export function startOfMonth(ts) {
+  const d = new Date(startOfDay(ts));
+  d.setDate(1);
+  return d.getTime();
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * focusMinutesBetween
+ * Sums the actual focus time (completed or not) of sessions that ended in [from, to), in minutes.
+ */
+export function focusMinutesBetween(history, from, to = Infinity) {
+  const ms = history
+    .filter(s => s.mode === 'focus' && s.endedAt >= from && s.endedAt < to)
+    .reduce((sum, s) => sum + (s.actualMs || 0), 0);
+  return Math.round(ms / 60000);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * focusStreak
+ * Counts consecutive days with at least one completed focus session, ending today
+ * (or yesterday, so the streak survives until today's first session).
+ */
+export function focusStreak(history, now = Date.now()) {
+  const days = new Set(
+    history
+      .filter(s => s.mode === 'focus' && s.completed)
+      .map(s => startOfDay(s.endedAt))
+  );
+  let day = startOfDay(now);
+  if (!days.has(day)) day = previousDay(day);
+  let streak = 0;
+  while (days.has(day)) {
+    streak += 1;
+    day = previousDay(day);
+  }
+  return streak;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * hourlyHeatmap
+ * Builds a 7x24 grid (Monday-first weekdays by hour of day) of focus minutes.
+ * Sessions spanning several hours are split across the hours they actually covered.
+ */
+export function hourlyHeatmap(history) {
+  const grid = Array.from({ length: 7 }, () => Array(24).fill(0));
+  history
+    .filter(s => s.mode === 'focus' && s.actualMs > 0)
+    .forEach(s => {
+      let cursor = s.endedAt - s.actualMs;
+      while (cursor < s.endedAt) {
+        const d = new Date(cursor);
+        const hourEnd = new Date(d).setMinutes(60, 0, 0);
+        const sliceEnd = Math.min(hourEnd, s.endedAt);
+        grid[(d.getDay() + 6) % 7][d.getHours()] += (sliceEnd - cursor) / 60000;
+        cursor = sliceEnd;
+      }
+    });
+  return grid.map(row => row.map(m => Math.round(m)));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * summarizeHistory
+ * Computes the dashboard numbers: focus minutes today/this week/this month, completed
+ * focus sessions today (extensions of a session do not count again), minutes spent waiting to
+ * start the next session today, the current streak and the hour-of-day heatmap.
+ */
+export function summarizeHistory(history, now = Date.now()) {
+  const today = startOfDay(now);
+  return {
+    todayMinutes: focusMinutesBetween(history, today),
+    weekMinutes: focusMinutesBetween(history, startOfWeek(now)),
+    monthMinutes: focusMinutesBetween(history, startOfMonth(now)),
+    todaySessions: history.filter(s => s.mode === 'focus' && s.completed && !s.extension && s.endedAt >= today).length,
+    todayIdleMinutes: Math.round(history.filter(s => s.startedAt >= today).reduce((sum, s) => sum + (s.idleMs || 0), 0) / 60000),
+    streak: focusStreak(history, now),
+    heatmap: hourlyHeatmap(history),
+  };
+}
+
+function previousDay(dayStart) {
+  // Go through noon to stay on the right calendar day across DST changes
+  return startOfDay(dayStart - DAY_MS / 2);
+}
@@ -0,0 +1,55 @@
+import { focusMinutesBetween, focusStreak, hourlyHeatmap, startOfWeek, summarizeHistory } from './stats';
+
+import { MIN, at, breakSession, focusSession } from './testSessions';
+
+test('startOfWeek returns the Monday of the week', () => {
+  // Sunday 12 May 2024 belongs to the week starting Monday 6 May
+  expect(startOfWeek(at(12, 15))).toBe(at(6, 0));
+  expect(startOfWeek(at(13, 9))).toBe(at(13, 0));
+});
+
+test('focus minutes count focus time only, including abandoned sessions', () => {
+  const history = [
+    focusSession(at(10, 9, 25), 25),
+    focusSession(at(10, 10, 10), 10, { completed: false }),
+    breakSession(at(10, 9, 30)),
+  ];
+  expect(focusMinutesBetween(history, at(10, 0), at(11, 0))).toBe(35);
+  expect(focusMinutesBetween(history, at(11, 0))).toBe(0);
+});
+
+test('streak counts consecutive days with a completed focus session', () => {
+  const history = [focusSession(at(8, 9), 25), focusSession(at(9, 9), 25), focusSession(at(10, 9), 25), focusSession(at(6, 9), 25)];
+  expect(focusStreak(history, at(10, 20))).toBe(3);
+  // Today has nothing yet, but the streak up to yesterday still counts
+  expect(focusStreak(history, at(11, 8))).toBe(3);
+  expect(focusStreak(history, at(12, 8))).toBe(0);
+  // Abandoned sessions do not keep a streak alive
+  expect(focusStreak([focusSession(at(10, 9), 10, { completed: false })], at(10, 20))).toBe(0);
+});
+
+test('heatmap splits sessions across the hours they covered', () => {
+  // Friday 10 May, 09:45 - 10:15
+  const grid = hourlyHeatmap([focusSession(at(10, 10, 15), 30)]);
+  expect(grid[4][9]).toBe(15);
+  expect(grid[4][10]).toBe(15);
+  expect(grid.flat().reduce((a, b) => a + b, 0)).toBe(30);
+});
+
+test('summary aggregates today, week and month', () => {
+  const history = [focusSession(at(1, 9), 25), focusSession(at(7, 9), 25), focusSession(at(10, 9), 25), focusSession(at(10, 11), 50)];
+  const summary = summarizeHistory(history, at(10, 18));
+  expect(summary.todayMinutes).toBe(75);
+  expect(summary.todaySessions).toBe(2);
+  expect(summary.weekMinutes).toBe(100);
+  expect(summary.monthMinutes).toBe(125);
+});
+
+test('extensions add focus time but not sessions, and waits add up as idle time', () => {
+  const extension = focusSession(at(10, 11, 5), 5, { extension: true, idleMs: 3 * MIN });
+  const history = [focusSession(at(10, 9), 25), focusSession(at(10, 11), 25, { idleMs: 10 * MIN }), extension];
+  const summary = summarizeHistory(history, at(10, 18));
+  expect(summary.todayMinutes).toBe(55);
+  expect(summary.todaySessions).toBe(2);
+  expect(summary.todayIdleMinutes).toBe(13);
+});
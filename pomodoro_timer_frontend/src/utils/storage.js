@@ -1,15 +1,221 @@
-const KEY = 'forest_focus_state_v1';
+/**
+ * Versioned, namespaced persistence for everything the app keeps in localStorage (apart from the
+ * short-lived leader lease of utils/tabSync).
+ *
+ * Each namespace (timer, audio, alerts, preferences, history, tasks, achievements) lives under its
+ * own key with a declared schema: default value, validation and, for data that can grow, a way to
+ * shrink it when the storage quota is exceeded. The layout as a whole carries a schema version; older
+ * layouts are migrated step by step (v1 -> v2 -> …) the first time storage is touched.
+ *
+ * Writes are batched: `save` keeps the latest value per namespace in memory and writes them all
+ * together shortly after (and right away when the page is hidden). `load` sees pending values.
+ * Corrupted or invalid data falls back to the default; the original is kept under `<key>:corrupt`
+ * and a 'pomodoro-storage-issue' window event ({ namespace, kind: 'corrupt' | 'quota' }) is sent.
+ */
 
 /**
  * PUBLIC_INTERFACE
- * loadState
- * Loads persisted application state from localStorage.
+ * SCHEMA_VERSION
+ * Version of the storage layout written by this build.
  */
-export function loadState() {
+export const SCHEMA_VERSION = 2;
+
+const PREFIX = 'forest_focus';
+const VERSION_KEY = `${PREFIX}:schema`;
+// Batch writes that arrive within this window into one
+const WRITE_DELAY_MS = 300;
+const MODES = ['focus', 'break', 'longBreak'];
+
+// Whether this page already brought storage up to date, and the batched writes not yet flushed
+let migrated = false;
+const pending = new Map();
+let flushTimer = null;
+
+/**
+ * PUBLIC_INTERFACE
+ * STORAGE_KEYS
+ * The localStorage key of every namespace, for code that watches changes made by other tabs.
+ */
+export const STORAGE_KEYS = {
+  timer: `${PREFIX}:timer`,
+  audio: `${PREFIX}:audio`,
+  alerts: `${PREFIX}:alerts`,
+  preferences: `${PREFIX}:preferences`,
+  history: `${PREFIX}:history`,
+  tasks: `${PREFIX}:tasks`,
+  achievements: `${PREFIX}:achievements`,
+};
+
+const SCHEMA = {
+  // The timer snapshot (settings and machine state); utils/timerMachine validates it field by field
+  timer: {
+    defaults: () => null,
+    validate: data => (isObject(data) ? data : null),
+  },
+  // Mixer levels, saved mixes and per-mode mixes are cleaned up further by utils/soundscape
+  audio: {
+    defaults: () => ({ muted: false, volume: 0.6, ambientOn: false, levels: null, mixId: null, mixes: [], modeMixes: null }),
+    validate: data => (isObject(data)
+      ? {
+        muted: Boolean(data.muted),
+        volume: Number.isFinite(data.volume) ? Math.max(0, Math.min(1, data.volume)) : 0.6,
+        ambientOn: Boolean(data.ambientOn),
+        levels: isObject(data.levels) ? data.levels : null,
+        mixId: typeof data.mixId === 'string' ? data.mixId : null,
+        mixes: Array.isArray(data.mixes) ? data.mixes : [],
+        modeMixes: isObject(data.modeMixes) ? data.modeMixes : null,
+      }
+      : null),
+  },
+  // Chime styles, cues and alert volume; utils/alerts cleans them up field by field
+  alerts: {
+    defaults: () => null,
+    validate: data => (isObject(data) ? data : null),
+  },
+  preferences: {
+    defaults: () => ({ shortcuts: null, presets: [], theme: null, a11y: null, goal: null, breaks: null, plants: null }),
+    validate: data => (isObject(data)
+      ? {
+        shortcuts: isObject(data.shortcuts) ? data.shortcuts : null,
+        presets: Array.isArray(data.presets) ? data.presets : [],
+        theme: isObject(data.theme) ? data.theme : null,
+        a11y: isObject(data.a11y) ? data.a11y : null,
+        goal: isObject(data.goal) ? data.goal : null,
+        breaks: isObject(data.breaks) ? data.breaks : null,
+        plants: isObject(data.plants) ? data.plants : null,
+      }
+      : null),
+  },
+  history: {
+    defaults: () => [],
+    // Drop individual broken entries rather than the whole log
+    validate: data => (Array.isArray(data)
+      ? data.filter(e => isObject(e) && MODES.includes(e.mode) && Number.isFinite(e.startedAt) && Number.isFinite(e.endedAt))
+      : null),
+    // Out of space: keep the most recent half of the log
+    shrink: data => (data.length > 1 ? data.slice(Math.floor(data.length / 2)) : null),
+  },
+  tasks: {
+    defaults: () => ({ tasks: [], activeTaskId: null }),
+    validate: data => (isObject(data)
+      ? {
+        tasks: Array.isArray(data.tasks) ? data.tasks.filter(t => isObject(t) && typeof t.id === 'string' && typeof t.title === 'string') : [],
+        activeTaskId: typeof data.activeTaskId === 'string' ? data.activeTaskId : null,
+      }
+      : null),
+  },
+  // When each achievement was unlocked ({ [id]: timestamp }); utils/achievements drops unknown ids
+  achievements: {
+    defaults: () => ({}),
+    validate: data => (isObject(data) ? data : null),
+  },
+};
+
+// Keys of the first (v1) layout: one loose blob per feature, plus the shared state blob
+const V1_KEYS = {
+  state: 'forest_focus_state_v1',
+  history: 'forest_focus_history_v1',
+  tasks: 'forest_focus_tasks_v1',
+  shortcuts: 'forest_focus_shortcuts_v1',
+  presets: 'forest_focus_presets_v1',
+};
+
+/**
+ * PUBLIC_INTERFACE
+ * MIGRATIONS
+ * Layout migrations keyed by the version they produce; each receives a Storage-like object.
+ */
+export const MIGRATIONS = {
+  // v1 -> v2: split the shared state blob into timer and audio, and move every feature's own key
+  // into its namespace (shortcuts and presets become preferences).
+  2: (storage) => {
+    const state = readLegacy(storage, V1_KEYS.state, STORAGE_KEYS.timer);
+    if (isObject(state)) {
+      const { soundMuted, volume, ambientOn, ...timer } = state;
+      storage.setItem(STORAGE_KEYS.timer, JSON.stringify(timer));
+      storage.setItem(STORAGE_KEYS.audio, JSON.stringify({ muted: soundMuted ?? false, volume: volume ?? 0.6, ambientOn: ambientOn ?? false }));
+    }
+    ['history', 'tasks'].forEach(name => {
+      const raw = storage.getItem(V1_KEYS[name]);
+      if (raw !== null) storage.setItem(STORAGE_KEYS[name], raw);
+    });
+    const shortcuts = readLegacy(storage, V1_KEYS.shortcuts, STORAGE_KEYS.preferences);
+    const presets = readLegacy(storage, V1_KEYS.presets, STORAGE_KEYS.preferences);
+    if (shortcuts !== null || presets !== null) {
+      storage.setItem(STORAGE_KEYS.preferences, JSON.stringify({
+        shortcuts: isObject(shortcuts) ? shortcuts : null,
+        presets: Array.isArray(presets?.presets) ? presets.presets : [],
+      }));
+    }
+    // Only drop the old keys once everything was copied
+    Object.values(V1_KEYS).forEach(key => storage.removeItem(key));
+  },
+};
+
+/**
+ * PUBLIC_INTERFACE
+ * migrateStorage
+ * Brings a storage area up to SCHEMA_VERSION, running every pending migration in order. Data from
+ * a newer build is left untouched. A migration that fails (e.g. quota) is retried on next start.
+ * Returns the version the storage ends up at.
+ */
+export function migrateStorage(area) {
+  migrated = true;
   try {
-    const raw = localStorage.getItem(KEY);
-    if (!raw) return null;
-    return JSON.parse(raw);
+    // Reading window.localStorage itself throws when storage is disabled
+    const storage = area || window.localStorage;
+    const stored = Number(storage.getItem(VERSION_KEY));
+    let version = stored > 0 ? stored : detectVersion(storage);
+    while (version < SCHEMA_VERSION) {
+      const next = version + 1;
+      if (MIGRATIONS[next]) MIGRATIONS[next](storage);
+      version = next;
+      storage.setItem(VERSION_KEY, String(version));
+    }
+    if (!stored) storage.setItem(VERSION_KEY, String(version));
+    return version;
+  } catch (e) {
+    if (isQuotaError(e)) reportIssue('migration', 'quota');
+    return null;
+  }
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * load
+ * Reads a namespace: the pending (not yet written) value if any, else the stored one, validated
+ * against its schema. Missing or corrupted data yields the namespace default.
+ */
+export function load(namespace) {
+  const schema = SCHEMA[namespace];
+  if (pending.has(namespace)) return pending.get(namespace);
+  if (!migrated) migrateStorage();
+  let raw = null;
+  try {
+    raw = localStorage.getItem(STORAGE_KEYS[namespace]);
+  } catch (e) {
+    return schema.defaults();
+  }
+  if (raw === null) return schema.defaults();
+  try {
+    const valid = schema.validate(JSON.parse(raw));
+    if (valid !== null) return valid;
+  } catch (e) {
+    // fall through to recovery
+  }
+  quarantine(namespace, raw);
+  return schema.defaults();
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * validate
+ * Checks data from outside (e.g. an imported backup) against a namespace's schema; returns the
+ * cleaned value, or null when it is unusable.
+ */
+export function validate(namespace, data) {
+  try {
+    return SCHEMA[namespace].validate(data);
   } catch (e) {
     return null;
   }
@@ -17,15 +223,89 @@ export function loadState() {
 
 /**
  * PUBLIC_INTERFACE
- * saveState
- * Merges and saves state fragment to localStorage under a single key.
+ * save
+ * Queues a namespace's new value; queued values are written together after a short delay.
  */
-export function saveState(patch) {
+export function save(namespace, data) {
+  pending.set(namespace, data);
+  if (flushTimer === null) flushTimer = setTimeout(flush, WRITE_DELAY_MS);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * flush
+ * Writes every queued value now. On a quota error a namespace that can shrink (history) is
+ * trimmed and retried; otherwise the write is dropped and reported.
+ */
+export function flush() {
+  if (flushTimer !== null) clearTimeout(flushTimer);
+  flushTimer = null;
+  const queued = [...pending.entries()];
+  pending.clear();
+  queued.forEach(([namespace, data]) => write(namespace, data));
+}
+
+// Never lose queued writes when the tab goes away
+if (typeof window !== 'undefined') {
+  window.addEventListener('pagehide', flush);
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') flush();
+  });
+}
+
+function write(namespace, data) {
+  const schema = SCHEMA[namespace];
+  let value = data;
+  while (value !== null) {
+    try {
+      localStorage.setItem(STORAGE_KEYS[namespace], JSON.stringify(value));
+      return true;
+    } catch (e) {
+      if (!isQuotaError(e)) return false;
+      value = schema.shrink ? schema.shrink(value) : null;
+    }
+  }
+  reportIssue(namespace, 'quota');
+  return false;
+}
+
+// Keep the unreadable original for manual recovery and start the namespace afresh
+function quarantine(namespace, raw) {
   try {
-    const current = loadState() || {};
-    const next = { ...current, ...patch };
-    localStorage.setItem(KEY, JSON.stringify(next));
+    localStorage.setItem(`${STORAGE_KEYS[namespace]}:corrupt`, raw);
+    localStorage.removeItem(STORAGE_KEYS[namespace]);
   } catch (e) {
     // ignore
   }
+  reportIssue(namespace, 'corrupt');
+}
+
+// Reads a v1 key as JSON; unparseable data is kept next to its new home instead of lost
+function readLegacy(storage, key, target) {
+  const raw = storage.getItem(key);
+  if (raw === null) return null;
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    storage.setItem(`${target}:corrupt`, raw);
+    return null;
+  }
+}
+
+// Storage without a version key: v1 if any v1 key exists, otherwise a fresh install
+function detectVersion(storage) {
+  return Object.values(V1_KEYS).some(key => storage.getItem(key) !== null) ? 1 : SCHEMA_VERSION;
+}
+
+function isQuotaError(e) {
+  return Boolean(e) && (e.name === 'QuotaExceededError' || e.name === 'NS_ERROR_DOM_QUOTA_REACHED' || e.code === 22 || e.code === 1014);
+}
+
+function reportIssue(namespace, kind) {
+  if (typeof window === 'undefined') return;
+  window.dispatchEvent(new CustomEvent('pomodoro-storage-issue', { detail: { namespace, kind } }));
+}
+
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
 }
@@ -0,0 +1,151 @@
+import { SCHEMA_VERSION, STORAGE_KEYS, flush, load, migrateStorage, save } from './storage';
+
+const quotaError = () => new DOMException('The quota has been exceeded.', 'QuotaExceededError');
+
+const v1State = {
+  focusMinutes: 50,
+  breakMinutes: 10,
+  status: 'paused',
+  mode: 'focus',
+  remainingMs: 600000,
+  sessionCount: 3,
+  species: 'fern',
+  soundMuted: true,
+  volume: 0.3,
+  ambientOn: true,
+};
+
+beforeEach(() => {
+  flush();
+  localStorage.clear();
+  jest.restoreAllMocks();
+});
+
+describe('migrations', () => {
+  test('a fresh install starts at the current version', () => {
+    expect(migrateStorage(localStorage)).toBe(SCHEMA_VERSION);
+    expect(localStorage.getItem('forest_focus:schema')).toBe(String(SCHEMA_VERSION));
+    expect(localStorage.length).toBe(1);
+  });
+
+  test('v1 -> v2 splits the state blob and moves every feature into its namespace', () => {
+    const history = [{ id: 'a', mode: 'focus', startedAt: 1, endedAt: 2 }];
+    localStorage.setItem('forest_focus_state_v1', JSON.stringify(v1State));
+    localStorage.setItem('forest_focus_history_v1', JSON.stringify(history));
+    localStorage.setItem('forest_focus_tasks_v1', JSON.stringify({ tasks: [], activeTaskId: null }));
+    localStorage.setItem('forest_focus_shortcuts_v1', JSON.stringify({ toggle: 'p' }));
+    localStorage.setItem('forest_focus_presets_v1', JSON.stringify({ presets: [{ id: 'x', name: 'Mine' }] }));
+
+    expect(migrateStorage(localStorage)).toBe(2);
+
+    const timer = JSON.parse(localStorage.getItem(STORAGE_KEYS.timer));
+    expect(timer).toMatchObject({ focusMinutes: 50, status: 'paused', remainingMs: 600000, sessionCount: 3, species: 'fern' });
+    expect(timer).not.toHaveProperty('soundMuted');
+    expect(JSON.parse(localStorage.getItem(STORAGE_KEYS.audio))).toEqual({ muted: true, volume: 0.3, ambientOn: true });
+    expect(JSON.parse(localStorage.getItem(STORAGE_KEYS.history))).toEqual(history);
+    expect(JSON.parse(localStorage.getItem(STORAGE_KEYS.preferences))).toEqual({
+      shortcuts: { toggle: 'p' },
+      presets: [{ id: 'x', name: 'Mine' }],
+    });
+    ['forest_focus_state_v1', 'forest_focus_history_v1', 'forest_focus_tasks_v1', 'forest_focus_shortcuts_v1', 'forest_focus_presets_v1']
+      .forEach(key => expect(localStorage.getItem(key)).toBeNull());
+  });
+
+  test('v1 -> v2 keeps an unreadable blob aside and migrates the rest', () => {
+    localStorage.setItem('forest_focus_state_v1', '{"focusMinutes": 50,');
+    localStorage.setItem('forest_focus_tasks_v1', JSON.stringify({ tasks: [{ id: 't', title: 'Write' }], activeTaskId: 't' }));
+
+    expect(migrateStorage(localStorage)).toBe(2);
+    expect(localStorage.getItem(`${STORAGE_KEYS.timer}:corrupt`)).toBe('{"focusMinutes": 50,');
+    expect(localStorage.getItem(STORAGE_KEYS.timer)).toBeNull();
+    expect(load('tasks')).toEqual({ tasks: [{ id: 't', title: 'Write' }], activeTaskId: 't' });
+  });
+
+  test('a failed migration leaves v1 data in place to retry', () => {
+    localStorage.setItem('forest_focus_state_v1', JSON.stringify(v1State));
+    jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => { throw quotaError(); });
+
+    expect(migrateStorage(localStorage)).toBeNull();
+    jest.restoreAllMocks();
+    expect(localStorage.getItem('forest_focus_state_v1')).not.toBeNull();
+    expect(localStorage.getItem('forest_focus:schema')).toBeNull();
+    expect(migrateStorage(localStorage)).toBe(2);
+  });
+
+  test('current and newer layouts are left alone', () => {
+    localStorage.setItem('forest_focus:schema', '2');
+    localStorage.setItem(STORAGE_KEYS.timer, '{"mode":"break"}');
+    expect(migrateStorage(localStorage)).toBe(2);
+    expect(localStorage.getItem(STORAGE_KEYS.timer)).toBe('{"mode":"break"}');
+
+    localStorage.setItem('forest_focus:schema', '9');
+    localStorage.setItem('forest_focus_state_v1', '{}');
+    expect(migrateStorage(localStorage)).toBe(9);
+    expect(localStorage.getItem('forest_focus_state_v1')).toBe('{}');
+  });
+});
+
+describe('reading', () => {
+  test('corrupted data falls back to the default, keeps a copy and reports it', () => {
+    const issues = [];
+    const onIssue = (e) => issues.push(e.detail);
+    window.addEventListener('pomodoro-storage-issue', onIssue);
+    localStorage.setItem(STORAGE_KEYS.audio, 'not json');
+
+    expect(load('audio')).toEqual({ muted: false, volume: 0.6, ambientOn: false, levels: null, mixId: null, mixes: [], modeMixes: null });
+    expect(localStorage.getItem(`${STORAGE_KEYS.audio}:corrupt`)).toBe('not json');
+    expect(issues).toEqual([{ namespace: 'audio', kind: 'corrupt' }]);
+    window.removeEventListener('pomodoro-storage-issue', onIssue);
+  });
+
+  test('values are validated against the schema', () => {
+    localStorage.setItem(STORAGE_KEYS.audio, JSON.stringify({ muted: 1, volume: 7 }));
+    expect(load('audio')).toEqual({ muted: true, volume: 1, ambientOn: false, levels: null, mixId: null, mixes: [], modeMixes: null });
+
+    localStorage.setItem(STORAGE_KEYS.history, JSON.stringify([
+      { mode: 'focus', startedAt: 1, endedAt: 2 },
+      { mode: 'nap', startedAt: 1, endedAt: 2 },
+      null,
+    ]));
+    expect(load('history')).toEqual([{ mode: 'focus', startedAt: 1, endedAt: 2 }]);
+  });
+});
+
+describe('writing', () => {
+  test('writes are batched and visible before they land', () => {
+    jest.useFakeTimers();
+    const setItem = jest.spyOn(Storage.prototype, 'setItem');
+    save('audio', { muted: true, volume: 0.2, ambientOn: false });
+    save('audio', { muted: false, volume: 0.4, ambientOn: false });
+    expect(load('audio').volume).toBe(0.4);
+    expect(setItem).not.toHaveBeenCalledWith(STORAGE_KEYS.audio, expect.anything());
+
+    jest.runOnlyPendingTimers();
+    expect(setItem.mock.calls.filter(([key]) => key === STORAGE_KEYS.audio)).toHaveLength(1);
+    expect(JSON.parse(localStorage.getItem(STORAGE_KEYS.audio)).volume).toBe(0.4);
+    jest.useRealTimers();
+  });
+
+  test('a full quota trims the history and reports it', () => {
+    const issues = [];
+    const onIssue = (e) => issues.push(e.detail);
+    window.addEventListener('pomodoro-storage-issue', onIssue);
+    const entries = Array.from({ length: 8 }, (_, i) => ({ mode: 'focus', startedAt: i, endedAt: i + 1 }));
+    const realSetItem = Storage.prototype.setItem;
+    jest.spyOn(Storage.prototype, 'setItem').mockImplementation(function setItem(key, value) {
+      if (key === STORAGE_KEYS.history && JSON.parse(value).length > 2) throw quotaError();
+      return realSetItem.call(this, key, value);
+    });
+
+    save('history', entries);
+    flush();
+    expect(JSON.parse(localStorage.getItem(STORAGE_KEYS.history)).map(e => e.startedAt)).toEqual([6, 7]);
+    expect(issues).toEqual([]);
+
+    save('audio', { muted: false, volume: 0.5, ambientOn: false });
+    Storage.prototype.setItem.mockImplementation(() => { throw quotaError(); });
+    flush();
+    expect(issues).toEqual([{ namespace: 'audio', kind: 'quota' }]);
+    window.removeEventListener('pomodoro-storage-issue', onIssue);
+  });
+});
@@ -0,0 +1,149 @@
+import { createTicker } from './ticker';
+
+const CHANNEL_NAME = 'forest-focus';
+const LEADER_KEY = 'forest_focus_leader_v1';
+// A leader must renew its lease within this window or another tab takes over
+const LEASE_MS = 5000;
+const HEARTBEAT_MS = 1500;
+
+/**
+ * PUBLIC_INTERFACE
+ * createTabSync
+ * Coordinates every open tab of the app. One tab holds a short, renewable lease in localStorage
+ * and becomes the leader (it alone ticks the timer and plays chimes); the others follow. A tab
+ * opening with no live lease around leads right away. Any other tab taking a free lease only leads
+ * once it still holds it a heartbeat later: tabs claiming together (say when the leader closes) each
+ * read their own write back at first, and only the last write sticks. That re-read also hands the
+ * lead over should two tabs have opened at the same moment.
+ * State snapshots are broadcast over BroadcastChannel, and changes to `watchKey` in localStorage
+ * (the `storage` event) are treated the same way for browsers without BroadcastChannel.
+ *
+ * Options:
+ *   watchKey        localStorage key whose changes by other tabs should be delivered
+ *   onRemoteState   called with a snapshot published (or stored) by another tab
+ *   onLeaderChange  called with true/false once this tab knows whether it leads, and whenever
+ *                   that changes
+ *   storage         where the lease is kept (defaults to localStorage)
+ *
+ * Returns { tabId, isLeader, publish, close }; isLeader() is false until the tab leads.
+ */
+export function createTabSync({ watchKey, onRemoteState, onLeaderChange, storage }) {
+  const tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  // null while the tab does not know yet whether it leads
+  let leader = null;
+  let closed = false;
+  // Set while a lease this tab just took waits to be confirmed
+  let confirmTimer = null;
+  const store = () => storage || window.localStorage;
+
+  const channel = typeof window.BroadcastChannel === 'function' ? new window.BroadcastChannel(CHANNEL_NAME) : null;
+
+  const setLeader = (next) => {
+    if (next === leader) return;
+    leader = next;
+    onLeaderChange(leader);
+  };
+
+  const cancelConfirm = () => {
+    window.clearTimeout(confirmTimer);
+    confirmTimer = null;
+  };
+
+  // Renew the lease while ours; take it when free or expired, and lead if it is still ours a
+  // heartbeat later (or at once when `opening`)
+  const claim = (opening = false) => {
+    if (closed) return;
+    try {
+      const now = Date.now();
+      const lease = readLease(store());
+      const held = lease?.id === tabId && lease.expires >= now;
+      if (held || !lease || lease.expires < now) {
+        store().setItem(LEADER_KEY, JSON.stringify({ id: tabId, expires: now + LEASE_MS }));
+      }
+      if (readLease(store())?.id !== tabId) {
+        cancelConfirm();
+        setLeader(false);
+      } else if (!held) {
+        if (confirmTimer === null) {
+          confirmTimer = window.setTimeout(() => {
+            confirmTimer = null;
+            claim();
+          }, HEARTBEAT_MS);
+        }
+        // A tab that led until its lease lapsed steps down until it holds a fresh one
+        if (opening || leader) setLeader(opening);
+      } else if (confirmTimer === null) {
+        setLeader(true);
+      }
+    } catch (e) {
+      // Without storage there is nobody to coordinate with
+      setLeader(true);
+    }
+  };
+
+  const release = () => {
+    if (!leader && confirmTimer === null) return;
+    cancelConfirm();
+    try {
+      if (readLease(store())?.id === tabId) store().removeItem(LEADER_KEY);
+    } catch (e) {
+      // ignore
+    }
+    if (channel) channel.postMessage({ type: 'released', from: tabId });
+    setLeader(false);
+  };
+
+  const onChannelMessage = (e) => {
+    const msg = e.data || {};
+    if (msg.from === tabId) return;
+    if (msg.type === 'state') onRemoteState(msg.payload);
+    if (msg.type === 'released') claim();
+  };
+
+  const onStorage = (e) => {
+    if (e.key === LEADER_KEY && !e.newValue) claim();
+    if (e.key === watchKey && e.newValue && !channel) {
+      try { onRemoteState(JSON.parse(e.newValue)); } catch (err) { /* ignore */ }
+    }
+  };
+
+  if (channel) channel.addEventListener('message', onChannelMessage);
+  window.addEventListener('storage', onStorage);
+  window.addEventListener('pagehide', release);
+  // Worker-driven so a hidden leader keeps renewing its lease on time
+  const heartbeat = createTicker(HEARTBEAT_MS, () => claim());
+  claim(true);
+
+  return {
+    tabId,
+    isLeader: () => leader === true,
+    /**
+     * Share a snapshot of local state with the other tabs.
+     */
+    publish(payload) {
+      if (channel && !closed) channel.postMessage({ type: 'state', from: tabId, payload });
+    },
+    close() {
+      release();
+      closed = true;
+      heartbeat.stop();
+      window.removeEventListener('storage', onStorage);
+      window.removeEventListener('pagehide', release);
+      if (channel) {
+        channel.removeEventListener('message', onChannelMessage);
+        channel.close();
+      }
+    },
+  };
+}
+
+function readLease(storage) {
+  const raw = storage.getItem(LEADER_KEY);
+  if (!raw) return null;
+  try {
+    const lease = JSON.parse(raw);
+    return lease && typeof lease.id === 'string' && Number.isFinite(lease.expires) ? lease : null;
+  } catch (e) {
+    return null;
+  }
+}
@@ -0,0 +1,171 @@
+import { createTabSync } from './tabSync';
+
+const LEADER_KEY = 'forest_focus_leader_v1';
+const TIMER_KEY = 'timer-key';
+// How long a write takes to reach the other tabs
+const LAG_MS = 50;
+
+// localStorage as several tabs see it: one shared store, where a tab sees its own writes at once
+// and everybody else's only once they land, in the order they were made
+function createStore() {
+  const shared = new Map();
+  return {
+    shared,
+    view() {
+      const own = new Map();
+      const write = (key, value) => {
+        own.set(key, value);
+        setTimeout(() => {
+          if (value === null) shared.delete(key);
+          else shared.set(key, value);
+          if (own.get(key) === value) own.delete(key);
+        }, LAG_MS);
+      };
+      return {
+        getItem: key => (own.has(key) ? own.get(key) : shared.get(key) ?? null),
+        setItem: (key, value) => write(key, String(value)),
+        removeItem: key => write(key, null),
+      };
+    },
+  };
+}
+
+// BroadcastChannel delivering to every other open channel of the same name, as late as storage writes
+class FakeChannel {
+  static open = [];
+
+  constructor(name) {
+    this.name = name;
+    this.listeners = [];
+    FakeChannel.open.push(this);
+  }
+
+  addEventListener(type, fn) { this.listeners.push(fn); }
+
+  removeEventListener(type, fn) { this.listeners = this.listeners.filter(l => l !== fn); }
+
+  postMessage(data) {
+    const to = FakeChannel.open.filter(c => c !== this && c.name === this.name);
+    setTimeout(() => to.forEach(c => c.listeners.forEach(fn => fn({ data }))), LAG_MS);
+  }
+
+  close() { FakeChannel.open = FakeChannel.open.filter(c => c !== this); }
+}
+
+let store;
+let tabs;
+
+function openTab(extra = {}) {
+  const tab = { remote: [], changes: [] };
+  tab.sync = createTabSync({
+    watchKey: TIMER_KEY,
+    storage: store.view(),
+    onRemoteState: payload => tab.remote.push(payload),
+    onLeaderChange: leader => tab.changes.push(leader),
+    ...extra,
+  });
+  tabs.push(tab);
+  return tab;
+}
+
+const leaders = () => tabs.filter(t => t.sync.isLeader());
+
+// Advances time in small steps, checking that there is never more than one leader
+function advance(ms) {
+  for (let t = 0; t < ms; t += 100) {
+    jest.advanceTimersByTime(100);
+    expect(leaders().length).toBeLessThanOrEqual(1);
+  }
+}
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  store = createStore();
+  tabs = [];
+  window.BroadcastChannel = FakeChannel;
+});
+
+afterEach(() => {
+  tabs.forEach(t => t.sync.close());
+  FakeChannel.open = [];
+  delete window.BroadcastChannel;
+  jest.useRealTimers();
+});
+
+test('a tab opening alone leads at once, and later tabs follow', () => {
+  const first = openTab();
+  expect(first.sync.isLeader()).toBe(true);
+  advance(2000);
+  expect(first.changes).toEqual([true]);
+
+  const second = openTab();
+  expect(second.changes).toEqual([false]);
+  advance(10000);
+  expect(leaders()).toEqual([first]);
+  expect(first.changes).toEqual([true]);
+});
+
+test('tabs opening at the same moment settle on one leader a heartbeat later', () => {
+  const [a, b] = [openTab(), openTab()];
+  jest.advanceTimersByTime(2000);
+  expect(leaders()).toHaveLength(1);
+  advance(10000);
+  expect(leaders()).toHaveLength(1);
+  expect([a.changes, b.changes]).toContainEqual([true, false]);
+});
+
+test('a lease that is no longer renewed is taken over once it expires', () => {
+  store.shared.set(LEADER_KEY, JSON.stringify({ id: 'closed-tab', expires: Date.now() + 5000 }));
+  const tab = openTab();
+  advance(4000);
+  expect(tab.changes).toEqual([false]);
+  advance(4000);
+  expect(tab.changes).toEqual([false, true]);
+  expect(JSON.parse(store.shared.get(LEADER_KEY)).id).toBe(tab.sync.tabId);
+});
+
+test('when the leader closes, the followers claiming together end up with a single leader', () => {
+  const leader = openTab();
+  advance(2000);
+  const followers = [openTab(), openTab(), openTab()];
+  advance(2000);
+  expect(leaders()).toEqual([leader]);
+
+  leader.sync.close();
+  tabs = tabs.filter(t => t !== leader);
+  expect(leaders()).toEqual([]);
+  // Every follower hears 'released' at once, sees the lease gone and writes its own
+  advance(3000);
+  expect(leaders()).toHaveLength(1);
+  expect(followers).toContain(leaders()[0]);
+  // Nobody led in between, and nobody stepped down
+  followers.forEach(t => expect(t.changes).toEqual(t === leaders()[0] ? [false, true] : [false]));
+  advance(10000);
+  expect(leaders()).toHaveLength(1);
+});
+
+test('state snapshots reach the other tabs', () => {
+  const a = openTab();
+  const b = openTab();
+  a.sync.publish({ status: 'running' });
+  jest.advanceTimersByTime(LAG_MS);
+  expect(b.remote).toEqual([{ status: 'running' }]);
+  expect(a.remote).toEqual([]);
+});
+
+test('without BroadcastChannel, storage events carry the state and the lease hand-over', () => {
+  delete window.BroadcastChannel;
+  store.shared.set(LEADER_KEY, JSON.stringify({ id: 'other-tab', expires: Date.now() + 5000 }));
+  const tab = openTab();
+  advance(2000);
+  expect(tab.sync.isLeader()).toBe(false);
+
+  window.dispatchEvent(new StorageEvent('storage', { key: TIMER_KEY, newValue: JSON.stringify({ status: 'paused' }) }));
+  expect(tab.remote).toEqual([{ status: 'paused' }]);
+
+  // The other tab closes and removes its lease
+  store.shared.delete(LEADER_KEY);
+  window.dispatchEvent(new StorageEvent('storage', { key: LEADER_KEY, newValue: null }));
+  advance(1600);
+  expect(tab.sync.isLeader()).toBe(true);
+});
@@ -0,0 +1,118 @@
+import { STORAGE_KEYS, load, save } from './storage';
+
+export const TASKS_KEY = STORAGE_KEYS.tasks;
+
+/**
+ * PUBLIC_INTERFACE
+ * loadTasks
+ * Loads the task list and the active task id from the 'tasks' storage namespace.
+ * Each task: { id, title, estimate, completedPomodoros, done, archived, createdAt }.
+ */
+export function loadTasks() {
+  return load('tasks');
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * saveTasks
+ * Saves the task list and the active task id.
+ */
+export function saveTasks(state) {
+  save('tasks', { tasks: state.tasks, activeTaskId: state.activeTaskId });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * createTask
+ * Builds a new task with a pomodoro estimate (at least 1).
+ */
+export function createTask(title, estimate = 1) {
+  return {
+    id: `task-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    title: title.trim(),
+    estimate: Math.max(1, Math.round(Number(estimate) || 1)),
+    completedPomodoros: 0,
+    done: false,
+    archived: false,
+    createdAt: Date.now(),
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * moveTask
+ * Returns a copy of the list with the task moved `delta` places among the non-archived tasks.
+ */
+export function moveTask(tasks, id, delta) {
+  const visible = tasks.filter(t => !t.archived);
+  const from = visible.findIndex(t => t.id === id);
+  const to = from + delta;
+  if (from < 0 || to < 0 || to >= visible.length) return tasks;
+  const reordered = [...visible];
+  const [moved] = reordered.splice(from, 1);
+  reordered.splice(to, 0, moved);
+  return [...reordered, ...tasks.filter(t => t.archived)];
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * insertTask
+ * Returns a copy of the list with `task` added after the last non-archived task.
+ */
+export function insertTask(tasks, task) {
+  return [...tasks.filter(t => !t.archived), task, ...tasks.filter(t => t.archived)];
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * markTaskDone
+ * Returns the task state ({ tasks, activeTaskId }) with a task marked done (or not). A done task
+ * stops being the active one.
+ */
+export function markTaskDone(state, id, done = true) {
+  return {
+    tasks: state.tasks.map(t => (t.id === id ? { ...t, done } : t)),
+    activeTaskId: done && state.activeTaskId === id ? null : state.activeTaskId,
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * archiveTask
+ * Returns the task state with a task archived (moved to the end, and no longer active) or
+ * restored (put back after the last non-archived task).
+ */
+export function archiveTask(state, id, archived = true) {
+  const task = state.tasks.find(t => t.id === id);
+  if (!task) return state;
+  const rest = state.tasks.filter(t => t.id !== id);
+  const updated = { ...task, archived };
+  return {
+    tasks: archived ? [...rest, updated] : insertTask(rest, updated),
+    activeTaskId: archived && state.activeTaskId === id ? null : state.activeTaskId,
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * activateTask
+ * Returns the task state with `id` as the active task, or none if it is unknown, done or archived.
+ */
+export function activateTask(state, id) {
+  return { ...state, activeTaskId: state.tasks.some(t => t.id === id && !t.archived && !t.done) ? id : null };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * creditSession
+ * Returns the task state with one more completed pomodoro on the task a completed session was
+ * attributed to (`completion` is the 'pomodoro-session-complete' detail). Only focus sessions
+ * count, and not the extra minutes added to one that already did.
+ */
+export function creditSession(state, { justCompleted, taskId, extension } = {}) {
+  if (justCompleted !== 'focus' || extension || !taskId) return state;
+  return {
+    ...state,
+    tasks: state.tasks.map(t => (t.id === taskId ? { ...t, completedPomodoros: t.completedPomodoros + 1 } : t)),
+  };
+}
@@ -0,0 +1,91 @@
+import { DEFAULT_SETTINGS, createTimerMachine } from './timerMachine';
+import { MIN } from './testSessions';
+import { activateTask, archiveTask, createTask, creditSession, insertTask, markTaskDone, moveTask } from './tasks';
+
+const task = (id, extra = {}) => ({ id, title: id, estimate: 1, completedPomodoros: 0, done: false, archived: false, ...extra });
+const ids = tasks => tasks.map(t => t.id);
+
+test('new tasks are trimmed and estimate at least one pomodoro', () => {
+  expect(createTask('  Write the report ', 3)).toMatchObject({ title: 'Write the report', estimate: 3, completedPomodoros: 0, done: false, archived: false });
+  expect(createTask('x', 0).estimate).toBe(1);
+  expect(createTask('x', '2.6').estimate).toBe(3);
+  expect(createTask('x', 'lots').estimate).toBe(1);
+});
+
+test('new tasks go after the last visible task, before archived ones', () => {
+  const tasks = [task('a'), task('b', { archived: true })];
+  expect(ids(insertTask(tasks, task('c')))).toEqual(['a', 'c', 'b']);
+});
+
+test('reordering moves among visible tasks and stops at either end', () => {
+  const tasks = [task('a'), task('b'), task('old', { archived: true }), task('c')];
+  expect(ids(moveTask(tasks, 'a', 1))).toEqual(['b', 'a', 'c', 'old']);
+  expect(ids(moveTask(tasks, 'c', -2))).toEqual(['c', 'a', 'b', 'old']);
+  expect(moveTask(tasks, 'a', -1)).toBe(tasks);
+  expect(moveTask(tasks, 'c', 1)).toBe(tasks);
+  expect(moveTask(tasks, 'old', -1)).toBe(tasks);
+  expect(moveTask(tasks, 'missing', 1)).toBe(tasks);
+});
+
+test('finishing or archiving the active task clears it', () => {
+  const state = { tasks: [task('a'), task('b')], activeTaskId: 'a' };
+  expect(markTaskDone(state, 'a')).toMatchObject({ activeTaskId: null });
+  expect(markTaskDone(state, 'a').tasks[0].done).toBe(true);
+  expect(markTaskDone(state, 'b').activeTaskId).toBe('a');
+  expect(markTaskDone(markTaskDone(state, 'b'), 'b', false).tasks[1].done).toBe(false);
+
+  const archived = archiveTask(state, 'a');
+  expect(archived.activeTaskId).toBeNull();
+  expect(ids(archived.tasks)).toEqual(['b', 'a']);
+  expect(archiveTask(state, 'b').activeTaskId).toBe('a');
+  expect(archiveTask(state, 'missing')).toBe(state);
+});
+
+test('restored tasks come back after the visible ones', () => {
+  const state = { tasks: [task('a'), task('old', { archived: true }), task('older', { archived: true })], activeTaskId: null };
+  const restored = archiveTask(state, 'older', false);
+  expect(ids(restored.tasks)).toEqual(['a', 'older', 'old']);
+  expect(restored.tasks[1].archived).toBe(false);
+});
+
+test('only open tasks can be active, and pomodoros are credited to one task', () => {
+  const state = { tasks: [task('a'), task('done', { done: true }), task('old', { archived: true })], activeTaskId: 'a' };
+  expect(activateTask(state, 'done').activeTaskId).toBeNull();
+  expect(activateTask(state, 'old').activeTaskId).toBeNull();
+  expect(activateTask(state, null).activeTaskId).toBeNull();
+  expect(activateTask({ ...state, activeTaskId: null }, 'a').activeTaskId).toBe('a');
+
+  const focus = { justCompleted: 'focus', next: 'break', taskId: 'a', extension: false };
+  const credited = creditSession(creditSession(state, focus), focus);
+  expect(credited.tasks.map(t => t.completedPomodoros)).toEqual([2, 0, 0]);
+  expect(credited.activeTaskId).toBe('a');
+});
+
+test('breaks, unattributed sessions and extensions earn no pomodoro', () => {
+  const state = { tasks: [task('a', { completedPomodoros: 1 })], activeTaskId: 'a' };
+  expect(creditSession(state, { justCompleted: 'break', next: 'focus', taskId: null })).toBe(state);
+  expect(creditSession(state, { justCompleted: 'focus', next: 'break', taskId: null })).toBe(state);
+  expect(creditSession(state, { justCompleted: 'focus', next: 'break', taskId: 'a', extension: true })).toBe(state);
+  expect(creditSession(state, undefined)).toBe(state);
+});
+
+test('finishing an extended focus session leaves the task count alone', () => {
+  const clock = { now: 1_000_000 };
+  const machine = createTimerMachine({ settings: { ...DEFAULT_SETTINGS, autoStartBreaks: false }, clock: () => clock.now });
+  let state = { tasks: [task('a')], activeTaskId: 'a' };
+  // Credit every completion the way useTasks does, through the 'pomodoro-session-complete' detail
+  machine.subscribe((_, effects) => effects
+    .filter(e => e.type === 'sessionComplete')
+    .forEach(({ justCompleted, next, extension }) => { state = creditSession(state, { justCompleted, next, extension, taskId: 'a' }); }));
+
+  machine.send('START');
+  clock.now += 25 * MIN;
+  machine.send('TICK');
+  expect(state.tasks[0].completedPomodoros).toBe(1);
+
+  machine.send('EXTEND');
+  clock.now += 5 * MIN;
+  machine.send('TICK');
+  expect(machine.getState()).toMatchObject({ status: 'completed', mode: 'break' });
+  expect(state.tasks[0].completedPomodoros).toBe(1);
+});
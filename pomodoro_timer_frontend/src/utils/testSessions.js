@@ -0,0 +1,25 @@
+// Session log entries for the util tests, shaped like the ones utils/history records
+
+export const MIN = 60 * 1000;
+export const HOUR = 60 * MIN;
+
+// A local time in May 2024
+export const at = (day, hour, minute = 0) => new Date(2024, 4, day, hour, minute).getTime();
+
+// A completed, unpaused `mode` session of `minutes` that ended at `endedAt`; `extra` overrides any field
+export function session(mode, endedAt, minutes, extra = {}) {
+  return {
+    mode,
+    startedAt: endedAt - minutes * MIN,
+    endedAt,
+    plannedMs: minutes * MIN,
+    actualMs: minutes * MIN,
+    pauseCount: 0,
+    completed: true,
+    ...extra,
+  };
+}
+
+export const focusSession = (endedAt, minutes = 25, extra = {}) => session('focus', endedAt, minutes, extra);
+
+export const breakSession = (endedAt, minutes = 5, extra = {}) => session('break', endedAt, minutes, extra);
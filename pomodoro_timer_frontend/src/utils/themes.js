@@ -0,0 +1,89 @@
+/**
+ * PUBLIC_INTERFACE
+ * THEMES
+ * The forest themes. Colors live in App.css as CSS custom properties under
+ * `:root[data-theme="<id>"]`; `particles` is what drifts down the screen during breaks
+ * ('leaves', 'snow' or null for none). The blossom grove and the aurora night are earned with
+ * achievements (utils/achievements) and never picked by the automatic theme.
+ */
+export const THEMES = [
+  { id: 'spring', label: 'Spring forest', particles: 'leaves' },
+  { id: 'summer', label: 'Summer forest', particles: 'leaves' },
+  { id: 'autumn', label: 'Autumn forest', particles: 'leaves' },
+  { id: 'winter', label: 'Winter forest', particles: 'snow' },
+  { id: 'night', label: 'Night forest', particles: 'leaves' },
+  { id: 'blossom', label: 'Blossom grove', particles: 'leaves' },
+  { id: 'aurora', label: 'Aurora night', particles: 'snow' },
+  { id: 'high-contrast', label: 'High contrast', particles: null },
+];
+
+/**
+ * PUBLIC_INTERFACE
+ * NIGHT_MODES
+ * When the automatic theme switches to the night forest: following the system's dark mode
+ * (prefers-color-scheme), after dark by the local clock, or never.
+ */
+export const NIGHT_MODES = [
+  { id: 'system', label: 'With the system dark mode' },
+  { id: 'time', label: 'After dark (8 pm – 7 am)' },
+  { id: 'off', label: 'Never' },
+];
+
+// Local hours the night forest covers with the 'time' night mode
+const NIGHT_FROM_HOUR = 20;
+const NIGHT_UNTIL_HOUR = 7;
+
+/**
+ * PUBLIC_INTERFACE
+ * DEFAULT_THEME
+ * Theme preferences of a fresh install: follow the calendar ('auto'), at night too when the
+ * system is in dark mode.
+ */
+export const DEFAULT_THEME = { choice: 'auto', night: 'system' };
+
+/**
+ * PUBLIC_INTERFACE
+ * normalizeTheme
+ * Complete theme preferences { choice: 'auto' | theme id, night: night mode id } from any source.
+ */
+export function normalizeTheme(source) {
+  const choice = source && source.choice;
+  const night = source && source.night;
+  return {
+    choice: choice === 'auto' || THEMES.some(t => t.id === choice) ? choice : DEFAULT_THEME.choice,
+    night: NIGHT_MODES.some(m => m.id === night) ? night : DEFAULT_THEME.night,
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * seasonAt
+ * The forest season of a local date (northern hemisphere meteorological seasons: spring from
+ * March, summer from June, autumn from September, winter from December).
+ */
+export function seasonAt(ts) {
+  const month = new Date(ts).getMonth();
+  if (month >= 2 && month <= 4) return 'spring';
+  if (month >= 5 && month <= 7) return 'summer';
+  if (month >= 8 && month <= 10) return 'autumn';
+  return 'winter';
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * resolveTheme
+ * The theme to show: the one picked, or with 'auto' the night forest when the night mode says so
+ * (`prefersDark` is the system's prefers-color-scheme) and otherwise the season's forest.
+ * Returns a THEMES entry.
+ */
+export function resolveTheme(prefs, { now = Date.now(), prefersDark = false } = {}) {
+  const { choice, night } = normalizeTheme(prefs);
+  let id = choice;
+  if (choice === 'auto') {
+    const hour = new Date(now).getHours();
+    const isNight = (night === 'system' && prefersDark)
+      || (night === 'time' && (hour >= NIGHT_FROM_HOUR || hour < NIGHT_UNTIL_HOUR));
+    id = isNight ? 'night' : seasonAt(now);
+  }
+  return THEMES.find(t => t.id === id);
+}
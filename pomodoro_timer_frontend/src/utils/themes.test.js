@@ -0,0 +1,27 @@
+import { DEFAULT_THEME, normalizeTheme, resolveTheme, seasonAt } from './themes';
+
+const at = (month, day, hour) => new Date(2024, month, day, hour).getTime();
+
+test('the calendar picks the season', () => {
+  expect(seasonAt(at(2, 1, 12))).toBe('spring');
+  expect(seasonAt(at(7, 31, 12))).toBe('summer');
+  expect(seasonAt(at(10, 15, 12))).toBe('autumn');
+  expect(seasonAt(at(0, 15, 12))).toBe('winter');
+  expect(seasonAt(at(11, 1, 12))).toBe('winter');
+});
+
+test('the automatic theme follows the season and turns to night as configured', () => {
+  const noon = at(9, 10, 12);
+  const late = at(9, 10, 22);
+  expect(resolveTheme({ choice: 'auto', night: 'system' }, { now: noon }).id).toBe('autumn');
+  expect(resolveTheme({ choice: 'auto', night: 'system' }, { now: noon, prefersDark: true }).id).toBe('night');
+  expect(resolveTheme({ choice: 'auto', night: 'time' }, { now: late, prefersDark: false }).id).toBe('night');
+  expect(resolveTheme({ choice: 'auto', night: 'time' }, { now: noon, prefersDark: true }).id).toBe('autumn');
+  expect(resolveTheme({ choice: 'auto', night: 'off' }, { now: late, prefersDark: true }).id).toBe('autumn');
+});
+
+test('a picked theme stays put, and unknown preferences fall back to the defaults', () => {
+  expect(resolveTheme({ choice: 'winter' }, { now: at(6, 1, 23), prefersDark: true })).toMatchObject({ id: 'winter', particles: 'snow' });
+  expect(normalizeTheme({ choice: 'neon', night: 'always' })).toEqual(DEFAULT_THEME);
+  expect(normalizeTheme(null)).toEqual(DEFAULT_THEME);
+});
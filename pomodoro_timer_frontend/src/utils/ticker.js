@@ -0,0 +1,51 @@
+// Runs inside the worker: a plain interval that posts a heartbeat back to the page.
+const WORKER_SOURCE = `
+let id = null;
+self.onmessage = (e) => {
+  if (id) clearInterval(id);
+  id = e.data && e.data.interval ? setInterval(() => self.postMessage(Date.now()), e.data.interval) : null;
+};
+`;
+
+/**
+ * PUBLIC_INTERFACE
+ * createTicker
+ * Calls `onTick` every `intervalMs`, driven by a Web Worker when available. Browsers pause
+ * requestAnimationFrame and heavily throttle page timers in hidden tabs, but keep worker
+ * timers running, so deadlines still get noticed on time in the background.
+ * Falls back to window.setInterval where workers (or Blob URLs) are unavailable.
+ *
+ * Returns { stop } to end the ticker and release the worker.
+ */
+export function createTicker(intervalMs, onTick) {
+  const handle = createWorker();
+  if (handle) {
+    const { worker, url } = handle;
+    worker.onmessage = () => onTick();
+    worker.postMessage({ interval: intervalMs });
+    return {
+      stop() {
+        worker.terminate();
+        window.URL.revokeObjectURL(url);
+      },
+    };
+  }
+  const id = window.setInterval(onTick, intervalMs);
+  return {
+    stop() {
+      window.clearInterval(id);
+    },
+  };
+}
+
+function createWorker() {
+  if (typeof window.Worker === 'undefined' || typeof window.Blob === 'undefined' || !window.URL?.createObjectURL) {
+    return null;
+  }
+  try {
+    const url = window.URL.createObjectURL(new window.Blob([WORKER_SOURCE], { type: 'text/javascript' }));
+    return { worker: new window.Worker(url), url };
+  } catch (e) {
+    return null;
+  }
+}
@@ -0,0 +1,677 @@
+/**
+ * Pure, framework-agnostic Pomodoro timer state machine.
+ *
+ * States:      idle -> running <-> paused, running -> completed (or straight into the next session)
+ * Sessions follow the focus/break/long-break cycle, or a custom sequence of labelled intervals
+ * (settings.sequence) walked in order and repeated; `step` is the position in that sequence.
+ * Whether a finished session rolls into the next one depends on settings.autoStartBreaks and
+ * settings.autoStartFocus; otherwise the machine waits in 'completed' and remembers what finished
+ * and when (`finished`), so the wait is recorded as idle time and the session can be extended.
+ * With settings.flowtime (cycle only, not sequences) focus sessions count up with no fixed end:
+ * they run until FINISH (or the four-hour cap) and earn a break proportional to their length
+ * (`earnedMs`, see earnedBreakMs).
+ * Transitions: START, PAUSE, RESUME, RESET, SKIP, SNOOZE, ADJUST, EXTEND, FINISH, COMPLETE, TICK,
+ *              INTERRUPT, ANNOTATE, SET_SETTINGS, RESTORE
+ *
+ * `transition` never reads the clock itself: every event carries `now`, which makes it trivial to
+ * test with fake clocks. `createTimerMachine` wraps it with an injectable clock and subscribers.
+ */
+
+export const DEFAULT_SETTINGS = {
+  focusMinutes: 25,
+  breakMinutes: 5,
+  longBreakMinutes: 15,
+  longBreakEvery: 4,
+  // Roll straight into a break (or the next focus session) when one completes; otherwise stop in 'completed'
+  autoStartBreaks: true,
+  autoStartFocus: true,
+  // A list of { label, minutes, mode } intervals that replaces the cycle above (null for none)
+  sequence: null,
+  // Flowtime: focus counts up until you stop, and earns one minute of break per `flowBreakRatio`
+  // minutes of focus, kept between the minimum and maximum
+  flowtime: false,
+  flowBreakRatio: 5,
+  flowBreakMinMinutes: 2,
+  flowBreakMaxMinutes: 30,
+};
+
+// SNOOZE postpones the current session by this much unless the event says otherwise
+export const SNOOZE_MINUTES = 5;
+// EXTEND adds this much to a finished session unless the event says otherwise
+export const EXTEND_MINUTES = 5;
+
+const MODES = ['focus', 'break', 'longBreak'];
+// Distractions come from inside ('internal') or from someone or something else ('external')
+const INTERRUPTION_KINDS = ['internal', 'external'];
+const NOTE_MAX = 140;
+
+// ADJUST never leaves less than this on the clock, and no session grows longer than the maximum
+const MIN_ADJUSTED_MS = 60 * 1000;
+const MAX_SESSION_MS = 4 * 60 * 60 * 1000;
+// A counting-up session has fully grown its plant (and filled its ring) after this long
+const FLOW_GROWTH_MS = 60 * 60 * 1000;
+
+/**
+ * PUBLIC_INTERFACE
+ * durationFor
+ * Planned length in ms of a session of the given mode, or of interval `step` when following a sequence.
+ * A Flowtime focus session has no planned length: it gets the four-hour cap.
+ */
+export function durationFor(mode, settings, step = 0) {
+  const steps = sequenceOf(settings);
+  if (steps) return Math.round(steps[step % steps.length].minutes * 60 * 1000);
+  // A counting-up session only ends when stopped, or at the cap
+  if (mode === 'focus' && settings.flowtime) return MAX_SESSION_MS;
+  const minutes = mode === 'longBreak'
+    ? settings.longBreakMinutes
+    : mode === 'break' ? settings.breakMinutes : settings.focusMinutes;
+  return Math.round(minutes * 60 * 1000);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * createInitialState
+ * A fresh, idle focus session.
+ */
+export function createInitialState(settings = DEFAULT_SETTINGS) {
+  const steps = sequenceOf(settings);
+  const mode = steps ? steps[0].mode : 'focus';
+  const durationMs = durationFor(mode, settings, 0);
+  return {
+    status: 'idle',
+    mode,
+    step: 0,
+    durationMs,
+    remainingMs: durationMs,
+    endAt: null,
+    sessionCount: 0,
+    session: null,
+    // While idle: when a snoozed session starts by itself
+    snoozeUntil: null,
+    // While completed: { mode, step, at } of the session that finished
+    finished: null,
+    // While running an extension: the { mode, step } that was up next when it began
+    resumeTo: null,
+    // Length of the break earned by the Flowtime session before it, until the next focus session
+    earnedMs: null,
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * restoreState
+ * Rebuilds machine state from a persisted snapshot, validating every field. Accepts the current
+ * shape as well as the older { isRunning, mode, remainingMs, endAt, currentSession } blob.
+ * A run whose deadline passed while the app was closed is kept running so the next TICK completes it.
+ */
+export function restoreState(persisted, settings = DEFAULT_SETTINGS, now = Date.now()) {
+  const base = createInitialState(settings);
+  if (!persisted || typeof persisted !== 'object') return base;
+
+  const steps = sequenceOf(settings);
+  const step = steps && Number.isInteger(persisted.step) && persisted.step >= 0 && persisted.step < steps.length ? persisted.step : 0;
+  const persistedMode = MODES.includes(persisted.mode) ? persisted.mode : 'focus';
+  const mode = steps ? steps[step].mode : persistedMode;
+  const earnedMs = mode !== 'focus' && Number.isFinite(persisted.earnedMs) && persisted.earnedMs > 0 && persisted.earnedMs <= MAX_SESSION_MS
+    ? persisted.earnedMs
+    : null;
+  // A session lengthened or shortened with ADJUST keeps its own duration
+  const durationMs = mode === persistedMode && Number.isFinite(persisted.durationMs) && persisted.durationMs > 0 && persisted.durationMs <= MAX_SESSION_MS
+    ? persisted.durationMs
+    : earnedMs ?? durationFor(mode, settings, step);
+  const sessionCount = Number.isFinite(persisted.sessionCount) ? Math.max(0, persisted.sessionCount) : 0;
+  const session = cleanSession(persisted.session ?? persisted.currentSession);
+  const storedRemaining = Number.isFinite(persisted.remainingMs)
+    ? clampMs(persisted.remainingMs, durationMs)
+    : durationMs;
+  const status = persisted.status ?? (persisted.isRunning ? 'running' : null);
+
+  if (status === 'running' && Number.isFinite(persisted.endAt)) {
+    return {
+      ...base,
+      status: 'running',
+      mode,
+      step,
+      durationMs,
+      remainingMs: clampMs(persisted.endAt - now, durationMs),
+      endAt: Math.min(persisted.endAt, now + durationMs),
+      sessionCount,
+      session: session ?? { startedAt: Math.min(now, persisted.endAt - durationMs), pauseCount: 0 },
+      resumeTo: isResumeTo(persisted.resumeTo, steps) ? persisted.resumeTo : null,
+      earnedMs,
+    };
+  }
+  if (status === 'completed') {
+    const finished = isFinished(persisted.finished, steps) ? persisted.finished : null;
+    return { ...base, status, mode, step, durationMs, remainingMs: durationMs, sessionCount, finished, earnedMs };
+  }
+  const paused = status === 'paused' || (status === null && storedRemaining < durationMs);
+  const snoozed = status === 'idle' && Number.isFinite(persisted.snoozeUntil);
+  return {
+    ...base,
+    status: paused && storedRemaining > 0 ? 'paused' : 'idle',
+    mode,
+    step,
+    durationMs,
+    remainingMs: storedRemaining > 0 ? storedRemaining : durationMs,
+    sessionCount,
+    session: paused ? session ?? { startedAt: now, pauseCount: 0 } : null,
+    snoozeUntil: snoozed ? persisted.snoozeUntil : null,
+    resumeTo: paused && isResumeTo(persisted.resumeTo, steps) ? persisted.resumeTo : null,
+    earnedMs,
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * remainingAt
+ * Remaining time in ms at `now`: derived from the deadline while running.
+ */
+export function remainingAt(state, now) {
+  if (state.status === 'running' && state.endAt !== null) return Math.max(0, state.endAt - now);
+  return state.remainingMs;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * elapsedAt
+ * Time in ms spent in the current session at `now` (what a counting-up session shows).
+ */
+export function elapsedAt(state, now) {
+  return Math.max(0, state.durationMs - remainingAt(state, now));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * progressAt
+ * Fraction (0..1) of the current session elapsed at `now`. A counting-up session (pass the
+ * settings to tell) has no end to measure against and fills up over its first hour instead.
+ */
+export function progressAt(state, now, settings = null) {
+  if (!state.durationMs) return 0;
+  const p = settings && isFlowSession(state, settings)
+    ? elapsedAt(state, now) / FLOW_GROWTH_MS
+    : 1 - remainingAt(state, now) / state.durationMs;
+  return Math.max(0, Math.min(1, p));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * isFlowSession
+ * Whether the current session is a Flowtime focus session that counts up (an extension of one
+ * counts down its extra minutes like any other).
+ */
+export function isFlowSession(state, settings) {
+  return Boolean(settings.flowtime) && !sequenceOf(settings) && state.mode === 'focus' && !state.resumeTo;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * earnedBreakMs
+ * The break a Flowtime focus session of `focusMs` earns: one minute per `flowBreakRatio` minutes of
+ * focus, kept between flowBreakMinMinutes and flowBreakMaxMinutes, in whole minutes.
+ */
+export function earnedBreakMs(focusMs, settings) {
+  const ratio = settings.flowBreakRatio > 0 ? settings.flowBreakRatio : DEFAULT_SETTINGS.flowBreakRatio;
+  const minutes = Math.round(Math.max(0, focusMs) / 60000 / ratio);
+  const clamped = Math.max(settings.flowBreakMinMinutes, Math.min(settings.flowBreakMaxMinutes, minutes));
+  return clamped * 60 * 1000;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * nextModeAfter
+ * The mode that follows the current one: every Nth completed focus session earns a long break.
+ * In a sequence it is the mode of the next interval.
+ */
+export function nextModeAfter(state, settings, completed = true) {
+  const steps = sequenceOf(settings);
+  if (steps) return steps[nextStepAfter(state, settings)].mode;
+  if (state.mode !== 'focus') return 'focus';
+  if (!completed) return 'break';
+  return (state.sessionCount + 1) % settings.longBreakEvery === 0 ? 'longBreak' : 'break';
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * nextStepAfter
+ * Position of the interval after the current one; sequences start over after their last interval.
+ */
+export function nextStepAfter(state, settings) {
+  const steps = sequenceOf(settings);
+  return steps ? ((state.step ?? 0) + 1) % steps.length : 0;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * transition
+ * Pure reducer: (state, event, settings) -> { state, effects }.
+ * Events are { type, now, ...payload }. Effects describe what happened for the outside world:
+ *   { type: 'sessionEnded', session }           a session finished or was abandoned (for the history log)
+ *   { type: 'sessionComplete', justCompleted, next, extension }   a session ran to completion
+ *   { type: 'snoozeEnded', mode }               a snoozed session just started by itself
+ * Session records carry `idleMs`, how long the session waited in 'completed' before it started,
+ * `extension`, true for the extra minutes added to a finished session with EXTEND, `pauses`
+ * ([{ at, ms }]) and the `interruptions` logged during a focus session ([{ at, kind, note }]).
+ * A completed extension sets `extension` on its 'sessionComplete' too: it is not another session.
+ * Events that are not valid in the current state return the state unchanged.
+ */
+export function transition(state, event, settings = DEFAULT_SETTINGS) {
+  const { now } = event;
+  switch (event.type) {
+    case 'START': {
+      if (state.status === 'running') return unchanged(state);
+      if (state.status === 'paused') return transition(state, { ...event, type: 'RESUME' }, settings);
+      const remainingMs = state.remainingMs > 0 ? state.remainingMs : state.durationMs;
+      return {
+        state: {
+          ...state,
+          status: 'running',
+          remainingMs,
+          endAt: now + remainingMs,
+          session: { startedAt: now, pauseCount: 0, idleMs: idleSince(state, now) },
+          snoozeUntil: null,
+          finished: null,
+        },
+        effects: [],
+      };
+    }
+
+    case 'PAUSE': {
+      if (state.status !== 'running') return unchanged(state);
+      return {
+        state: {
+          ...state,
+          status: 'paused',
+          remainingMs: remainingAt(state, now),
+          endAt: null,
+          session: {
+            ...state.session,
+            pauseCount: state.session.pauseCount + 1,
+            pauses: [...(state.session.pauses || []), { at: now, ms: null }],
+          },
+        },
+        effects: [],
+      };
+    }
+
+    case 'RESUME': {
+      if (state.status !== 'paused') return unchanged(state);
+      return {
+        state: {
+          ...state,
+          status: 'running',
+          endAt: now + state.remainingMs,
+          session: state.session && { ...state.session, pauses: closePauses(state.session.pauses, now) },
+        },
+        effects: [],
+      };
+    }
+
+    case 'INTERRUPT': {
+      // Log a distraction ('internal') or an interruption ('external') during a focus session,
+      // with an optional note; the timer carries on (pause separately if needed)
+      if (state.mode !== 'focus' || !state.session || !INTERRUPTION_KINDS.includes(event.kind)) return unchanged(state);
+      const interruption = { at: now, kind: event.kind, note: cleanNote(event.note) };
+      return {
+        state: { ...state, session: { ...state.session, interruptions: [...(state.session.interruptions || []), interruption] } },
+        effects: [],
+      };
+    }
+
+    case 'ANNOTATE': {
+      // Add or change the note (and optionally the kind) of the latest interruption
+      const interruptions = state.session?.interruptions || [];
+      if (!interruptions.length) return unchanged(state);
+      const last = interruptions[interruptions.length - 1];
+      const kind = INTERRUPTION_KINDS.includes(event.kind) ? event.kind : last.kind;
+      return {
+        state: {
+          ...state,
+          session: { ...state.session, interruptions: [...interruptions.slice(0, -1), { ...last, kind, note: cleanNote(event.note) }] },
+        },
+        effects: [],
+      };
+    }
+
+    case 'RESET': {
+      const effects = endSessionEffects(state, now, false, settings);
+      // Back to the configured (or earned) length, dropping any ADJUST made to this session
+      const durationMs = plannedFor(state, state.mode, settings, state.step);
+      return {
+        state: {
+          ...state,
+          status: 'idle',
+          durationMs,
+          remainingMs: durationMs,
+          endAt: null,
+          session: null,
+          snoozeUntil: null,
+          finished: null,
+          resumeTo: null,
+        },
+        effects,
+      };
+    }
+
+    case 'SKIP': {
+      // `start` begins the next session right away (e.g. "Skip break" on a finished focus session)
+      const effects = endSessionEffects(state, now, false, settings);
+      const mode = state.resumeTo ? state.resumeTo.mode : nextModeAfter(state, settings, false);
+      const step = state.resumeTo ? state.resumeTo.step : nextStepAfter(state, settings);
+      const running = state.status === 'running' || Boolean(event.start);
+      const next = startMode(state, mode, settings, now, running, step);
+      return { state: running ? withIdle(next, state, now) : next, effects };
+    }
+
+    case 'SNOOZE': {
+      // Put the current session back to the start and begin it again a few minutes from now
+      // (e.g. "Snooze 5 min" on the notification that announced it)
+      if (state.status === 'paused') return unchanged(state);
+      const minutes = Number.isFinite(event.minutes) ? event.minutes : SNOOZE_MINUTES;
+      return {
+        state: { ...startMode(state, state.mode, settings, now, false, state.step), snoozeUntil: now + minutes * 60 * 1000 },
+        effects: endSessionEffects(state, now, false, settings),
+      };
+    }
+
+    case 'ADJUST': {
+      // Nudge the current session's length by `ms` (e.g. +/- one minute); elapsed time is kept
+      // A counting-up session has no length to nudge
+      if (!Number.isFinite(event.ms) || event.ms === 0 || isFlowSession(state, settings)) return unchanged(state);
+      const remaining = remainingAt(state, now);
+      const elapsed = state.durationMs - remaining;
+      const target = Math.min(remaining + event.ms, MAX_SESSION_MS - elapsed);
+      if (target < MIN_ADJUSTED_MS && event.ms < 0) return unchanged(state);
+      const remainingMs = Math.max(MIN_ADJUSTED_MS, target);
+      if (remainingMs === remaining) return unchanged(state);
+      return {
+        state: {
+          ...state,
+          durationMs: elapsed + remainingMs,
+          remainingMs,
+          endAt: state.status === 'running' ? now + remainingMs : null,
+        },
+        effects: [],
+      };
+    }
+
+    case 'EXTEND': {
+      // Keep going with the session that just finished for a few more minutes; the session that
+      // was up next follows once the extension completes
+      if (state.status !== 'completed' || !state.finished) return unchanged(state);
+      const minutes = Number.isFinite(event.minutes) && event.minutes > 0 ? event.minutes : EXTEND_MINUTES;
+      const durationMs = Math.min(Math.round(minutes * 60 * 1000), MAX_SESSION_MS);
+      return {
+        state: {
+          ...state,
+          status: 'running',
+          mode: state.finished.mode,
+          step: state.finished.step,
+          durationMs,
+          remainingMs: durationMs,
+          endAt: now + durationMs,
+          session: { startedAt: now, pauseCount: 0, idleMs: idleSince(state, now), extension: true },
+          finished: null,
+          resumeTo: { mode: state.mode, step: state.step },
+        },
+        effects: [],
+      };
+    }
+
+    case 'TICK': {
+      if (state.status === 'idle' && state.snoozeUntil !== null && now >= state.snoozeUntil) {
+        const started = transition(state, { ...event, type: 'START' }, settings);
+        return { state: started.state, effects: [{ type: 'snoozeEnded', mode: state.mode }] };
+      }
+      if (state.status !== 'running' || remainingAt(state, now) > 0) return unchanged(state);
+      return transition(state, { ...event, type: 'COMPLETE' }, settings);
+    }
+
+    case 'FINISH': {
+      // Finish early and count it: the session completes now, with the time actually spent
+      if (state.status !== 'running' && state.status !== 'paused') return unchanged(state);
+      const actualMs = state.durationMs - remainingAt(state, now);
+      if (actualMs <= 0) return unchanged(state);
+      return completeSession(state, settings, now, now, actualMs);
+    }
+
+    case 'COMPLETE': {
+      if (state.status !== 'running') return unchanged(state);
+      return completeSession(state, settings, now, Math.min(state.endAt, now), state.durationMs);
+    }
+
+    case 'SET_SETTINGS': {
+      const steps = sequenceOf(settings);
+      if (event.restart) {
+        // Switched to another preset: abandon the session and start over at its first interval
+        return {
+          state: startMode(state, steps ? steps[0].mode : 'focus', settings, now, false, 0),
+          effects: endSessionEffects(state, now, false, settings),
+        };
+      }
+      // Only other settings changed (e.g. auto-start): the session carries on as it is
+      if (event.keepDurations) return unchanged(state);
+      if (state.status === 'idle' || state.status === 'completed') {
+        const step = steps && state.step < steps.length ? state.step : 0;
+        const mode = steps ? steps[step].mode : state.mode;
+        const durationMs = plannedFor(state, mode, settings, step);
+        return { state: { ...state, mode, step, durationMs, remainingMs: durationMs }, effects: [] };
+      }
+      // An extension has its own length, whatever the durations
+      if (state.resumeTo) return unchanged(state);
+      // Turning Flowtime on or off mid-focus switches between counting up and down
+      const durationMs = plannedFor(state, state.mode, settings, state.step);
+      // Mid-run: keep the time already spent and stretch or shrink what is left
+      const elapsed = state.durationMs - remainingAt(state, now);
+      const remainingMs = Math.max(0, durationMs - elapsed);
+      return {
+        state: {
+          ...state,
+          durationMs,
+          remainingMs,
+          endAt: state.status === 'running' ? now + remainingMs : null,
+        },
+        effects: [],
+      };
+    }
+
+    case 'RESTORE': {
+      // Adopt a state produced elsewhere (e.g. another tab) as-is, without side effects
+      return { state: event.state, effects: [] };
+    }
+
+    default:
+      return unchanged(state);
+  }
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * createTimerMachine
+ * Stateful wrapper around `transition` with an injectable clock (defaults to Date.now).
+ * Returns { getState, getSettings, send, setSettings, restore, subscribe }; subscribers receive
+ * (state, effects) after every transition that changed something.
+ */
+export function createTimerMachine({ settings = DEFAULT_SETTINGS, state, clock = () => Date.now() } = {}) {
+  let currentSettings = { ...DEFAULT_SETTINGS, ...settings };
+  let current = state ?? createInitialState(currentSettings);
+  const listeners = new Set();
+
+  const dispatch = (event) => {
+    const result = transition(current, { ...event, now: clock() }, currentSettings);
+    if (result.state === current && !result.effects.length) return result;
+    current = result.state;
+    listeners.forEach(fn => fn(current, result.effects));
+    return result;
+  };
+
+  return {
+    getState: () => current,
+    getSettings: () => currentSettings,
+    send: (type, payload = {}) => dispatch({ ...payload, type }),
+    // `{ restart: true }` starts over at the first interval (used when switching presets);
+    // `{ keepDurations: true }` leaves the current session alone (no duration changed)
+    setSettings(next, options = {}) {
+      currentSettings = { ...currentSettings, ...next };
+      return dispatch({ ...options, type: 'SET_SETTINGS' });
+    },
+    restore(state, nextSettings = currentSettings) {
+      currentSettings = { ...currentSettings, ...nextSettings };
+      return dispatch({ type: 'RESTORE', state });
+    },
+    subscribe(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+  };
+}
+
+function sequenceOf(settings) {
+  return Array.isArray(settings.sequence) && settings.sequence.length ? settings.sequence : null;
+}
+
+function unchanged(state) {
+  return { state, effects: [] };
+}
+
+// Move to a fresh session of `mode` (interval `step` of a sequence), optionally already running
+function startMode(state, mode, settings, now, running, step = 0) {
+  // The earned break lasts until the next focus session
+  const earnedMs = mode === 'focus' ? null : state.earnedMs ?? null;
+  const durationMs = plannedFor({ earnedMs }, mode, settings, step);
+  return {
+    ...state,
+    status: running ? 'running' : 'idle',
+    mode,
+    step,
+    durationMs,
+    remainingMs: durationMs,
+    endAt: running ? now + durationMs : null,
+    session: running ? { startedAt: now, pauseCount: 0, idleMs: 0 } : null,
+    snoozeUntil: null,
+    finished: null,
+    resumeTo: null,
+    earnedMs,
+  };
+}
+
+// The length a session of `mode` gets: the break earned by a Flowtime session if there is one (a
+// long break never gets shorter than configured), otherwise the configured length
+function plannedFor(state, mode, settings, step) {
+  const configured = durationFor(mode, settings, step);
+  if (mode === 'focus' || !state.earnedMs || sequenceOf(settings)) return configured;
+  return mode === 'longBreak' ? Math.max(configured, state.earnedMs) : state.earnedMs;
+}
+
+// How long a finished session has been waiting for the next one to start
+function idleSince(state, now) {
+  return state.status === 'completed' && state.finished ? Math.max(0, now - state.finished.at) : 0;
+}
+
+// A session started straight from 'completed' records the wait before it
+function withIdle(next, previous, now) {
+  return { ...next, session: { ...next.session, idleMs: idleSince(previous, now) } };
+}
+
+// The session ran to its end (or was finished early at `endedAt` after `actualMs`): count it,
+// record it and move on to the next one, which starts by itself if auto-start says so
+function completeSession(state, settings, now, endedAt, actualMs) {
+  const justCompleted = state.mode;
+  // An extension goes on to what was next before it, and was already counted
+  const extension = Boolean(state.resumeTo);
+  const mode = extension ? state.resumeTo.mode : nextModeAfter(state, settings, true);
+  const step = extension ? state.resumeTo.step : nextStepAfter(state, settings);
+  const flow = isFlowSession(state, settings);
+  const counted = {
+    ...state,
+    sessionCount: state.mode === 'focus' && !extension ? state.sessionCount + 1 : state.sessionCount,
+    // A Flowtime session earns a break in proportion to its length
+    earnedMs: flow ? earnedBreakMs(actualMs, settings) : extension ? state.earnedMs : null,
+  };
+  const autoStart = mode === 'focus' ? settings.autoStartFocus : settings.autoStartBreaks;
+  const next = autoStart
+    ? startMode(counted, mode, settings, now, true, step)
+    : {
+      ...startMode(counted, mode, settings, now, false, step),
+      status: 'completed',
+      finished: { mode: state.mode, step: state.step ?? 0, at: endedAt },
+    };
+  return {
+    state: next,
+    effects: [
+      { type: 'sessionEnded', session: sessionRecord(state, endedAt, actualMs, true, flow) },
+      { type: 'sessionComplete', justCompleted, next: mode, extension },
+    ],
+  };
+}
+
+function endSessionEffects(state, now, completed, settings) {
+  if (!state.session) return [];
+  const actualMs = state.durationMs - remainingAt(state, now);
+  if (actualMs <= 0) return [];
+  return [{ type: 'sessionEnded', session: sessionRecord(state, now, actualMs, completed, isFlowSession(state, settings)) }];
+}
+
+// `flow` sessions had no plan: what was done is what was planned
+function sessionRecord(state, endedAt, actualMs, completed, flow = false) {
+  return {
+    mode: state.mode,
+    startedAt: state.session ? state.session.startedAt : endedAt - actualMs,
+    endedAt,
+    plannedMs: flow ? actualMs : state.durationMs,
+    actualMs,
+    pauseCount: state.session ? state.session.pauseCount : 0,
+    completed,
+    idleMs: state.session?.idleMs ?? 0,
+    extension: Boolean(state.session?.extension),
+    pauses: closePauses(state.session?.pauses, endedAt),
+    interruptions: state.session?.interruptions || [],
+    flow,
+  };
+}
+
+// Pauses still open (the session is paused) end at `now`
+function closePauses(pauses, now) {
+  return (pauses || []).map(p => (p.ms === null ? { ...p, ms: Math.max(0, now - p.at) } : p));
+}
+
+function cleanNote(note) {
+  return typeof note === 'string' ? note.trim().slice(0, NOTE_MAX) : '';
+}
+
+function isSession(s) {
+  return Boolean(s) && Number.isFinite(s.startedAt) && Number.isFinite(s.pauseCount);
+}
+
+// A persisted session, with its pause and interruption logs checked entry by entry
+function cleanSession(s) {
+  if (!isSession(s)) return null;
+  return {
+    ...s,
+    pauses: Array.isArray(s.pauses)
+      ? s.pauses.filter(p => p && Number.isFinite(p.at) && (p.ms === null || Number.isFinite(p.ms)))
+      : [],
+    interruptions: Array.isArray(s.interruptions)
+      ? s.interruptions
+        .filter(i => i && Number.isFinite(i.at) && INTERRUPTION_KINDS.includes(i.kind))
+        .map(i => ({ at: i.at, kind: i.kind, note: cleanNote(i.note) }))
+      : [],
+  };
+}
+
+function isFinished(f, steps) {
+  return Boolean(f) && MODES.includes(f.mode) && Number.isFinite(f.at) && isStep(f.step, steps);
+}
+
+function isResumeTo(r, steps) {
+  return Boolean(r) && MODES.includes(r.mode) && isStep(r.step, steps);
+}
+
+function isStep(step, steps) {
+  return Number.isInteger(step) && step >= 0 && step < (steps ? steps.length : 1);
+}
+
+function clampMs(ms, max) {
+  return Math.max(0, Math.min(max, ms));
+}
@@ -0,0 +1,630 @@
+import {
+  DEFAULT_SETTINGS,
+  createInitialState,
+  createTimerMachine,
+  earnedBreakMs,
+  elapsedAt,
+  isFlowSession,
+  progressAt,
+  remainingAt,
+  restoreState,
+  transition,
+} from './timerMachine';
+
+const MIN = 60 * 1000;
+
+// A fake clock the tests advance by hand
+function fakeClock(start = 1_000_000) {
+  let t = start;
+  const clock = () => t;
+  clock.advance = (ms) => { t += ms; };
+  return clock;
+}
+
+function setup(settings = {}, state) {
+  const clock = fakeClock();
+  const machine = createTimerMachine({ settings: { ...DEFAULT_SETTINGS, ...settings }, state, clock });
+  const effects = [];
+  machine.subscribe((_, e) => effects.push(...e));
+  return { clock, machine, effects };
+}
+
+describe('basic transitions', () => {
+  test('starts idle with a full focus session', () => {
+    const state = createInitialState(DEFAULT_SETTINGS);
+    expect(state).toMatchObject({ status: 'idle', mode: 'focus', remainingMs: 25 * MIN, endAt: null, sessionCount: 0 });
+  });
+
+  test('start, pause and resume keep exact remaining time', () => {
+    const { clock, machine } = setup();
+    machine.send('START');
+    expect(machine.getState()).toMatchObject({ status: 'running', endAt: clock() + 25 * MIN });
+
+    clock.advance(10 * MIN);
+    expect(remainingAt(machine.getState(), clock())).toBe(15 * MIN);
+    machine.send('PAUSE');
+    expect(machine.getState()).toMatchObject({ status: 'paused', remainingMs: 15 * MIN, endAt: null });
+
+    // Time spent paused does not count
+    clock.advance(60 * MIN);
+    expect(remainingAt(machine.getState(), clock())).toBe(15 * MIN);
+    machine.send('RESUME');
+    clock.advance(5 * MIN);
+    expect(remainingAt(machine.getState(), clock())).toBe(10 * MIN);
+    expect(progressAt(machine.getState(), clock())).toBeCloseTo(0.6);
+    expect(machine.getState().session.pauseCount).toBe(1);
+  });
+
+  test('invalid events leave the state untouched', () => {
+    const state = createInitialState(DEFAULT_SETTINGS);
+    expect(transition(state, { type: 'PAUSE', now: 0 }).state).toBe(state);
+    expect(transition(state, { type: 'RESUME', now: 0 }).state).toBe(state);
+    expect(transition(state, { type: 'COMPLETE', now: 0 }).state).toBe(state);
+    expect(transition(state, { type: 'NOPE', now: 0 }).state).toBe(state);
+  });
+
+  test('START while paused resumes instead of restarting', () => {
+    const { clock, machine } = setup();
+    machine.send('START');
+    clock.advance(5 * MIN);
+    machine.send('PAUSE');
+    machine.send('START');
+    expect(machine.getState()).toMatchObject({ status: 'running', endAt: clock() + 20 * MIN });
+  });
+
+  test('reset abandons the session and reports what was done', () => {
+    const { clock, machine, effects } = setup();
+    const startedAt = clock();
+    machine.send('START');
+    clock.advance(7 * MIN);
+    machine.send('PAUSE');
+    machine.send('RESET');
+    expect(machine.getState()).toMatchObject({ status: 'idle', mode: 'focus', remainingMs: 25 * MIN, session: null });
+    expect(effects).toEqual([{
+      type: 'sessionEnded',
+      session: { mode: 'focus', startedAt, endedAt: clock(), plannedMs: 25 * MIN, actualMs: 7 * MIN, pauseCount: 1, completed: false, idleMs: 0, extension: false,
+        pauses: [{ at: clock(), ms: 0 }], interruptions: [], flow: false },
+    }]);
+  });
+
+  test('resetting an untouched session reports nothing', () => {
+    const { machine, effects } = setup();
+    machine.send('RESET');
+    machine.send('START');
+    machine.send('RESET');
+    expect(effects).toEqual([]);
+  });
+
+  test('skip abandons the session and moves on without counting it', () => {
+    const { clock, machine, effects } = setup();
+    machine.send('START');
+    clock.advance(3 * MIN);
+    machine.send('SKIP');
+    expect(machine.getState()).toMatchObject({ status: 'running', mode: 'break', remainingMs: 5 * MIN, sessionCount: 0 });
+    expect(effects.map(e => e.type)).toEqual(['sessionEnded']);
+    expect(effects[0].session.completed).toBe(false);
+
+    // Skipping while idle stays idle
+    machine.send('RESET');
+    machine.send('SKIP');
+    expect(machine.getState()).toMatchObject({ status: 'idle', mode: 'focus' });
+  });
+});
+
+describe('finishing early', () => {
+  test('finishing early counts the session with the time actually spent', () => {
+    const { clock, machine, effects } = setup();
+    machine.send('START');
+    clock.advance(18 * MIN);
+    machine.send('PAUSE');
+    clock.advance(5 * MIN);
+    machine.send('FINISH');
+    expect(machine.getState()).toMatchObject({ status: 'running', mode: 'break', sessionCount: 1 });
+    expect(effects).toEqual([
+      expect.objectContaining({ type: 'sessionEnded', session: expect.objectContaining({ actualMs: 18 * MIN, plannedMs: 25 * MIN, endedAt: clock(), completed: true }) }),
+      { type: 'sessionComplete', justCompleted: 'focus', next: 'break', extension: false },
+    ]);
+  });
+
+  test('there is nothing to finish before a session started', () => {
+    const { machine, effects } = setup();
+    machine.send('FINISH');
+    expect(machine.getState().status).toBe('idle');
+    machine.send('START');
+    machine.send('FINISH');
+    expect(machine.getState()).toMatchObject({ status: 'running', mode: 'focus' });
+    expect(effects).toEqual([]);
+  });
+});
+
+describe('session rollover', () => {
+  test('a tick past the deadline completes the session and rolls into the break', () => {
+    const { clock, machine, effects } = setup();
+    const startedAt = clock();
+    machine.send('START');
+    clock.advance(25 * MIN - 1);
+    machine.send('TICK');
+    expect(machine.getState().mode).toBe('focus');
+
+    clock.advance(200); // the heartbeat notices a little late
+    machine.send('TICK');
+    expect(machine.getState()).toMatchObject({
+      status: 'running',
+      mode: 'break',
+      sessionCount: 1,
+      endAt: clock() + 5 * MIN,
+      session: { startedAt: clock(), pauseCount: 0 },
+    });
+    expect(effects).toEqual([
+      {
+        type: 'sessionEnded',
+        session: { mode: 'focus', startedAt, endedAt: startedAt + 25 * MIN, plannedMs: 25 * MIN, actualMs: 25 * MIN, pauseCount: 0, completed: true, idleMs: 0, extension: false,
+          pauses: [], interruptions: [], flow: false },
+      },
+      { type: 'sessionComplete', justCompleted: 'focus', next: 'break', extension: false },
+    ]);
+  });
+
+  test('every Nth focus session earns a long break', () => {
+    const { clock, machine, effects } = setup({ focusMinutes: 10, breakMinutes: 2, longBreakMinutes: 20, longBreakEvery: 3 });
+    machine.send('START');
+    const modes = [];
+    for (let i = 0; i < 6; i++) {
+      clock.advance(machine.getState().durationMs);
+      machine.send('TICK');
+      modes.push(machine.getState().mode);
+    }
+    expect(modes).toEqual(['break', 'focus', 'break', 'focus', 'longBreak', 'focus']);
+    expect(machine.getState().sessionCount).toBe(3);
+    expect(effects.filter(e => e.type === 'sessionComplete').map(e => e.justCompleted))
+      .toEqual(['focus', 'break', 'focus', 'break', 'focus', 'longBreak']);
+  });
+
+  test('without auto-start a finished session waits in the completed state', () => {
+    const { clock, machine, effects } = setup({ autoStartBreaks: false, autoStartFocus: false });
+    machine.send('START');
+    clock.advance(25 * MIN);
+    machine.send('TICK');
+    expect(machine.getState()).toMatchObject({
+      status: 'completed',
+      mode: 'break',
+      remainingMs: 5 * MIN,
+      endAt: null,
+      sessionCount: 1,
+      finished: { mode: 'focus', step: 0, at: clock() },
+    });
+
+    // The wait before the break is recorded with it
+    clock.advance(4 * MIN);
+    machine.send('START');
+    expect(machine.getState()).toMatchObject({ status: 'running', mode: 'break', endAt: clock() + 5 * MIN, finished: null });
+    clock.advance(MIN);
+    machine.send('RESET');
+    expect(effects[effects.length - 1].session).toMatchObject({ mode: 'break', idleMs: 4 * MIN });
+  });
+
+  test('breaks and focus sessions auto-start separately', () => {
+    const { clock, machine } = setup({ autoStartBreaks: true, autoStartFocus: false });
+    machine.send('START');
+    clock.advance(25 * MIN);
+    machine.send('TICK');
+    expect(machine.getState()).toMatchObject({ status: 'running', mode: 'break' });
+    clock.advance(5 * MIN);
+    machine.send('TICK');
+    expect(machine.getState()).toMatchObject({ status: 'completed', mode: 'focus' });
+  });
+
+  test('a finished session can be extended, then carries on to what was next', () => {
+    const { clock, machine, effects } = setup({ autoStartBreaks: false });
+    machine.send('START');
+    clock.advance(25 * MIN);
+    machine.send('TICK');
+    clock.advance(MIN);
+    machine.send('EXTEND');
+    expect(machine.getState()).toMatchObject({ status: 'running', mode: 'focus', durationMs: 5 * MIN, sessionCount: 1 });
+
+    clock.advance(5 * MIN);
+    machine.send('TICK');
+    expect(machine.getState()).toMatchObject({ status: 'completed', mode: 'break', sessionCount: 1 });
+    expect(effects.filter(e => e.type === 'sessionEnded').map(e => e.session)).toMatchObject([
+      { mode: 'focus', actualMs: 25 * MIN, extension: false },
+      { mode: 'focus', actualMs: 5 * MIN, idleMs: MIN, extension: true },
+    ]);
+    expect(effects.filter(e => e.type === 'sessionComplete')).toMatchObject([
+      { justCompleted: 'focus', next: 'break', extension: false },
+      { justCompleted: 'focus', next: 'break', extension: true },
+    ]);
+
+    // Only a finished session can be extended
+    machine.send('START');
+    const running = machine.getState();
+    machine.send('EXTEND');
+    expect(machine.getState()).toBe(running);
+  });
+
+  test('skipping a finished focus session\'s break starts the next focus session', () => {
+    const { clock, machine } = setup({ autoStartBreaks: false });
+    machine.send('START');
+    clock.advance(25 * MIN);
+    machine.send('TICK');
+    clock.advance(2 * MIN);
+    machine.send('SKIP', { start: true });
+    expect(machine.getState()).toMatchObject({ status: 'running', mode: 'focus', sessionCount: 1, session: { idleMs: 2 * MIN } });
+  });
+
+  test('ticks while paused or idle never complete anything', () => {
+    const { clock, machine, effects } = setup();
+    clock.advance(60 * MIN);
+    machine.send('TICK');
+    machine.send('START');
+    clock.advance(10 * MIN);
+    machine.send('PAUSE');
+    clock.advance(60 * MIN);
+    machine.send('TICK');
+    expect(machine.getState().status).toBe('paused');
+    expect(effects).toEqual([]);
+  });
+});
+
+describe('interval sequences', () => {
+  const sequence = [
+    { label: 'Warm-up', minutes: 10, mode: 'focus' },
+    { label: 'Stretch', minutes: 5, mode: 'break' },
+    { label: 'Deep', minutes: 45, mode: 'focus' },
+  ];
+
+  test('walks the intervals in order and starts over after the last', () => {
+    const { clock, machine, effects } = setup({ sequence });
+    expect(machine.getState()).toMatchObject({ mode: 'focus', step: 0, durationMs: 10 * MIN });
+    machine.send('START');
+    const seen = [];
+    for (let i = 0; i < 3; i++) {
+      clock.advance(machine.getState().durationMs);
+      machine.send('TICK');
+      seen.push([machine.getState().step, machine.getState().mode, machine.getState().durationMs / MIN]);
+    }
+    expect(seen).toEqual([[1, 'break', 5], [2, 'focus', 45], [0, 'focus', 10]]);
+    expect(machine.getState().sessionCount).toBe(2);
+    expect(effects.filter(e => e.type === 'sessionComplete').map(e => e.next)).toEqual(['break', 'focus', 'focus']);
+  });
+
+  test('skip moves to the next interval', () => {
+    const { machine } = setup({ sequence });
+    machine.send('SKIP');
+    expect(machine.getState()).toMatchObject({ status: 'idle', step: 1, mode: 'break', durationMs: 5 * MIN });
+  });
+
+  test('switching presets with restart starts over at the first interval', () => {
+    const { clock, machine, effects } = setup();
+    machine.send('START');
+    clock.advance(3 * MIN);
+    machine.setSettings({ sequence }, { restart: true });
+    expect(machine.getState()).toMatchObject({ status: 'idle', step: 0, mode: 'focus', durationMs: 10 * MIN });
+    expect(effects.map(e => e.type)).toEqual(['sessionEnded']);
+
+    machine.setSettings({ sequence: null }, { restart: true });
+    expect(machine.getState()).toMatchObject({ step: 0, mode: 'focus', durationMs: 25 * MIN });
+  });
+
+  test('the position in the sequence survives a reload', () => {
+    const settings = { ...DEFAULT_SETTINGS, sequence };
+    const restored = restoreState({ status: 'idle', mode: 'break', step: 1 }, settings);
+    expect(restored).toMatchObject({ step: 1, mode: 'break', durationMs: 5 * MIN });
+    // A position past the end of an edited sequence falls back to its start
+    expect(restoreState({ status: 'idle', mode: 'focus', step: 7 }, settings)).toMatchObject({ step: 0, durationMs: 10 * MIN });
+  });
+});
+
+describe('adjusting the current session', () => {
+  test('adding a minute while running moves the deadline and keeps progress honest', () => {
+    const { clock, machine } = setup();
+    machine.send('START');
+    clock.advance(5 * MIN);
+    machine.send('ADJUST', { ms: MIN });
+    expect(machine.getState()).toMatchObject({ durationMs: 26 * MIN, endAt: clock() + 21 * MIN });
+    expect(progressAt(machine.getState(), clock())).toBeCloseTo(5 / 26);
+  });
+
+  test('never leaves less than a minute and resets to the configured length', () => {
+    const { clock, machine } = setup({ focusMinutes: 10 });
+    machine.send('START');
+    clock.advance(8 * MIN);
+    machine.send('ADJUST', { ms: -MIN });
+    expect(remainingAt(machine.getState(), clock())).toBe(MIN);
+    const before = machine.getState();
+    machine.send('ADJUST', { ms: -MIN });
+    expect(machine.getState()).toBe(before);
+
+    machine.send('RESET');
+    expect(machine.getState()).toMatchObject({ durationMs: 10 * MIN, remainingMs: 10 * MIN });
+  });
+
+  test('an adjusted session survives a reload', () => {
+    const { machine } = setup();
+    machine.send('ADJUST', { ms: 5 * MIN });
+    const restored = restoreState({ ...machine.getState() }, DEFAULT_SETTINGS);
+    expect(restored).toMatchObject({ status: 'idle', durationMs: 30 * MIN, remainingMs: 30 * MIN });
+  });
+});
+
+describe('snooze', () => {
+  test('snoozing a break that just started pushes it back five minutes', () => {
+    const { clock, machine, effects } = setup();
+    machine.send('START');
+    clock.advance(25 * MIN);
+    machine.send('TICK');
+    clock.advance(MIN / 2);
+    machine.send('SNOOZE');
+    expect(machine.getState()).toMatchObject({ status: 'idle', mode: 'break', remainingMs: 5 * MIN, snoozeUntil: clock() + 5 * MIN });
+    expect(effects.filter(e => e.type === 'sessionEnded').map(e => e.session.completed)).toEqual([true, false]);
+
+    clock.advance(5 * MIN - 1);
+    machine.send('TICK');
+    expect(machine.getState().status).toBe('idle');
+    clock.advance(1);
+    machine.send('TICK');
+    expect(machine.getState()).toMatchObject({ status: 'running', mode: 'break', endAt: clock() + 5 * MIN, snoozeUntil: null });
+    expect(effects[effects.length - 1]).toEqual({ type: 'snoozeEnded', mode: 'break' });
+  });
+
+  test('starting or resetting cancels the snooze', () => {
+    const { machine } = setup({ autoStartBreaks: false, autoStartFocus: false });
+    machine.send('SNOOZE', { minutes: 1 });
+    machine.send('START');
+    expect(machine.getState()).toMatchObject({ status: 'running', snoozeUntil: null });
+    machine.send('SNOOZE');
+    machine.send('RESET');
+    expect(machine.getState()).toMatchObject({ status: 'idle', snoozeUntil: null });
+  });
+});
+
+test('restore adopts a state from elsewhere without side effects', () => {
+  const { clock, machine, effects } = setup();
+  const remote = { ...createInitialState(DEFAULT_SETTINGS), status: 'running', endAt: clock() + 3 * MIN, session: { startedAt: clock(), pauseCount: 0 } };
+  machine.restore(remote, { breakMinutes: 7 });
+  expect(machine.getState()).toBe(remote);
+  expect(machine.getSettings().breakMinutes).toBe(7);
+  expect(effects).toEqual([]);
+});
+
+describe('logging interruptions', () => {
+  test('pauses are recorded with when they started and how long they lasted', () => {
+    const { clock, machine, effects } = setup();
+    machine.send('START');
+    clock.advance(5 * MIN);
+    const pausedAt = clock();
+    machine.send('PAUSE');
+    clock.advance(2 * MIN);
+    machine.send('RESUME');
+    clock.advance(MIN);
+    machine.send('PAUSE');
+    clock.advance(3 * MIN);
+    machine.send('RESET');
+    expect(effects[0].session.pauses).toEqual([
+      { at: pausedAt, ms: 2 * MIN },
+      { at: pausedAt + 3 * MIN, ms: 3 * MIN },
+    ]);
+  });
+
+  test('distractions are logged during focus without stopping the timer', () => {
+    const { clock, machine, effects } = setup();
+    machine.send('START');
+    clock.advance(4 * MIN);
+    machine.send('INTERRUPT', { kind: 'internal' });
+    machine.send('ANNOTATE', { note: '  checked email  ' });
+    clock.advance(MIN);
+    machine.send('INTERRUPT', { kind: 'external', note: 'Phone call' });
+    machine.send('INTERRUPT', { kind: 'boredom' });
+    expect(machine.getState().status).toBe('running');
+    machine.send('FINISH');
+    expect(effects[0].session.interruptions).toEqual([
+      { at: clock() - MIN, kind: 'internal', note: 'checked email' },
+      { at: clock(), kind: 'external', note: 'Phone call' },
+    ]);
+  });
+
+  test('breaks and idle timers have nothing to interrupt', () => {
+    const { machine } = setup();
+    expect(machine.send('INTERRUPT', { kind: 'internal' }).state.session).toBeNull();
+    machine.send('SKIP', { start: true });
+    machine.send('INTERRUPT', { kind: 'external' });
+    expect(machine.getState().session.interruptions).toBeUndefined();
+  });
+});
+
+describe('restoring a persisted run', () => {
+  const now = 5_000_000;
+
+  test('a running session continues against its deadline', () => {
+    const persisted = { status: 'running', mode: 'focus', remainingMs: 25 * MIN, endAt: now + 12 * MIN, sessionCount: 3, session: { startedAt: now - 13 * MIN, pauseCount: 2 } };
+    const state = restoreState(persisted, DEFAULT_SETTINGS, now);
+    expect(state).toMatchObject({ status: 'running', mode: 'focus', endAt: now + 12 * MIN, sessionCount: 3, session: { pauseCount: 2 } });
+    expect(remainingAt(state, now)).toBe(12 * MIN);
+  });
+
+  test('a deadline that passed while closed completes on the first tick', () => {
+    const persisted = { status: 'running', mode: 'focus', endAt: now - 2 * MIN, sessionCount: 0, session: { startedAt: now - 27 * MIN, pauseCount: 0 } };
+    const clock = fakeClock(now);
+    const machine = createTimerMachine({ state: restoreState(persisted, DEFAULT_SETTINGS, now), clock });
+    const effects = [];
+    machine.subscribe((_, e) => effects.push(...e));
+    machine.send('TICK');
+    expect(machine.getState()).toMatchObject({ status: 'running', mode: 'break', sessionCount: 1 });
+    expect(effects[0].session).toMatchObject({ endedAt: now - 2 * MIN, completed: true });
+  });
+
+  test('a finished session is still waiting, with what finished and when', () => {
+    const finished = { mode: 'focus', step: 0, at: now - 3 * MIN };
+    expect(restoreState({ status: 'completed', mode: 'break', sessionCount: 1, finished }, DEFAULT_SETTINGS, now))
+      .toMatchObject({ status: 'completed', mode: 'break', remainingMs: 5 * MIN, finished });
+    expect(restoreState({ status: 'completed', mode: 'break', finished: { mode: 'nap' } }, DEFAULT_SETTINGS, now).finished).toBeNull();
+  });
+
+  test('the pause and interruption logs survive a reload, minus anything malformed', () => {
+    const session = {
+      startedAt: now - 10 * MIN,
+      pauseCount: 2,
+      pauses: [{ at: now - 5 * MIN, ms: MIN }, { at: now - MIN, ms: null }, { at: 'later' }],
+      interruptions: [{ at: now - 4 * MIN, kind: 'external', note: 'Door' }, { at: now, kind: 'nap' }],
+    };
+    const state = restoreState({ status: 'paused', mode: 'focus', remainingMs: 16 * MIN, session }, DEFAULT_SETTINGS, now);
+    expect(state.session.pauses).toEqual([{ at: now - 5 * MIN, ms: MIN }, { at: now - MIN, ms: null }]);
+    expect(state.session.interruptions).toEqual([{ at: now - 4 * MIN, kind: 'external', note: 'Door' }]);
+  });
+
+  test('the legacy v1 blob is understood', () => {
+    const running = restoreState({ isRunning: true, mode: 'break', remainingMs: 4 * MIN, endAt: now + 3 * MIN, sessionCount: 2 }, DEFAULT_SETTINGS, now);
+    expect(running).toMatchObject({ status: 'running', mode: 'break', endAt: now + 3 * MIN, sessionCount: 2 });
+
+    const paused = restoreState({ isRunning: false, mode: 'focus', remainingMs: 10 * MIN, endAt: null }, DEFAULT_SETTINGS, now);
+    expect(paused).toMatchObject({ status: 'paused', remainingMs: 10 * MIN });
+
+    const idle = restoreState({ isRunning: false, mode: 'focus', remainingMs: 25 * MIN }, DEFAULT_SETTINGS, now);
+    expect(idle).toMatchObject({ status: 'idle', remainingMs: 25 * MIN, session: null });
+  });
+
+  test('garbage falls back to a fresh idle state', () => {
+    expect(restoreState(null, DEFAULT_SETTINGS, now)).toEqual(createInitialState(DEFAULT_SETTINGS));
+    expect(restoreState({ mode: 'nap', remainingMs: 'soon', sessionCount: -4 }, DEFAULT_SETTINGS, now))
+      .toMatchObject({ status: 'idle', mode: 'focus', remainingMs: 25 * MIN, sessionCount: 0 });
+    // Remaining time can never exceed the planned duration
+    expect(restoreState({ mode: 'focus', remainingMs: 999 * MIN }, DEFAULT_SETTINGS, now).remainingMs).toBe(25 * MIN);
+  });
+});
+
+describe('changing durations mid-run', () => {
+  test('idle sessions take the new length immediately', () => {
+    const { machine } = setup();
+    machine.setSettings({ focusMinutes: 50 });
+    expect(machine.getState()).toMatchObject({ durationMs: 50 * MIN, remainingMs: 50 * MIN });
+  });
+
+  test('a running session keeps its elapsed time', () => {
+    const { clock, machine } = setup();
+    machine.send('START');
+    clock.advance(10 * MIN);
+    machine.setSettings({ focusMinutes: 45 });
+    expect(machine.getState()).toMatchObject({ status: 'running', durationMs: 45 * MIN, endAt: clock() + 35 * MIN });
+    expect(progressAt(machine.getState(), clock())).toBeCloseTo(10 / 45);
+  });
+
+  test('changing other settings leaves the session alone', () => {
+    const { clock, machine } = setup();
+    machine.send('START');
+    machine.send('ADJUST', { ms: 2 * MIN });
+    machine.setSettings({ autoStartBreaks: false }, { keepDurations: true });
+    expect(machine.getState()).toMatchObject({ durationMs: 27 * MIN, endAt: clock() + 27 * MIN });
+  });
+
+  test('a paused session keeps its elapsed time too', () => {
+    const { clock, machine } = setup();
+    machine.send('START');
+    clock.advance(10 * MIN);
+    machine.send('PAUSE');
+    machine.setSettings({ focusMinutes: 15 });
+    expect(machine.getState()).toMatchObject({ status: 'paused', durationMs: 15 * MIN, remainingMs: 5 * MIN });
+  });
+
+  test('shrinking below the elapsed time completes on the next tick', () => {
+    const { clock, machine, effects } = setup();
+    machine.send('START');
+    clock.advance(20 * MIN);
+    machine.setSettings({ focusMinutes: 15 });
+    machine.send('TICK');
+    expect(machine.getState()).toMatchObject({ mode: 'break', sessionCount: 1 });
+    expect(effects.find(e => e.type === 'sessionComplete')).toEqual({ type: 'sessionComplete', justCompleted: 'focus', next: 'break', extension: false });
+  });
+
+  test('the new break length applies to the next break', () => {
+    const { clock, machine } = setup();
+    machine.send('START');
+    machine.setSettings({ breakMinutes: 8 });
+    clock.advance(25 * MIN);
+    machine.send('TICK');
+    expect(machine.getState()).toMatchObject({ mode: 'break', durationMs: 8 * MIN });
+  });
+});
+
+describe('Flowtime', () => {
+  const FLOW = { flowtime: true, flowBreakRatio: 5, flowBreakMinMinutes: 2, flowBreakMaxMinutes: 30 };
+
+  test('focus counts up and growth fills over the first hour', () => {
+    const { clock, machine } = setup(FLOW);
+    machine.send('START');
+    clock.advance(30 * MIN);
+    const state = machine.getState();
+    expect(isFlowSession(state, machine.getSettings())).toBe(true);
+    expect(elapsedAt(state, clock())).toBe(30 * MIN);
+    expect(progressAt(state, clock(), machine.getSettings())).toBeCloseTo(0.5);
+    clock.advance(60 * MIN);
+    machine.send('TICK');
+    expect(machine.getState()).toMatchObject({ status: 'running', mode: 'focus' });
+    expect(progressAt(machine.getState(), clock(), machine.getSettings())).toBe(1);
+  });
+
+  test('stopping earns a break in proportion to the focus, within the limits', () => {
+    expect(earnedBreakMs(50 * MIN, FLOW)).toBe(10 * MIN);
+    expect(earnedBreakMs(4 * MIN, FLOW)).toBe(2 * MIN);
+    expect(earnedBreakMs(4 * 60 * MIN, FLOW)).toBe(30 * MIN);
+
+    const { clock, machine, effects } = setup(FLOW);
+    machine.send('START');
+    clock.advance(50 * MIN);
+    machine.send('FINISH');
+    expect(machine.getState()).toMatchObject({ mode: 'break', status: 'running', durationMs: 10 * MIN, earnedMs: 10 * MIN, sessionCount: 1 });
+    const ended = effects.find(e => e.type === 'sessionEnded').session;
+    expect(ended).toMatchObject({ mode: 'focus', completed: true, flow: true, plannedMs: 50 * MIN, actualMs: 50 * MIN });
+
+    // The next focus session counts up again and forgets the earned break
+    clock.advance(10 * MIN);
+    machine.send('TICK');
+    expect(machine.getState()).toMatchObject({ mode: 'focus', earnedMs: null });
+  });
+
+  test('a long break is never shorter than configured', () => {
+    const { clock, machine } = setup({ ...FLOW, longBreakEvery: 2 });
+    machine.send('START');
+    clock.advance(20 * MIN);
+    machine.send('FINISH');
+    clock.advance(4 * MIN);
+    machine.send('TICK');
+    clock.advance(20 * MIN);
+    machine.send('FINISH');
+    expect(machine.getState()).toMatchObject({ mode: 'longBreak', durationMs: 15 * MIN });
+  });
+
+  test('a counting-up session cannot be adjusted and is capped at four hours', () => {
+    const { clock, machine } = setup(FLOW);
+    machine.send('START');
+    const before = machine.getState();
+    expect(machine.send('ADJUST', { ms: MIN }).state).toBe(before);
+    clock.advance(4 * 60 * MIN);
+    machine.send('TICK');
+    expect(machine.getState()).toMatchObject({ mode: 'break', durationMs: 30 * MIN });
+  });
+
+  test('turning Flowtime off mid-focus counts down again from the time spent', () => {
+    const { clock, machine } = setup(FLOW);
+    machine.send('START');
+    clock.advance(10 * MIN);
+    machine.setSettings({ flowtime: false });
+    expect(machine.getState()).toMatchObject({ durationMs: 25 * MIN, endAt: clock() + 15 * MIN });
+  });
+
+  test('sequences ignore Flowtime', () => {
+    const sequence = [{ label: 'Write', minutes: 30, mode: 'focus' }, { label: 'Rest', minutes: 5, mode: 'break' }];
+    const state = createInitialState({ ...DEFAULT_SETTINGS, ...FLOW, sequence });
+    expect(state.durationMs).toBe(30 * MIN);
+    expect(isFlowSession(state, { ...FLOW, sequence })).toBe(false);
+  });
+
+  test('the earned break survives a reload', () => {
+    const { clock, machine } = setup({ ...FLOW, autoStartBreaks: false });
+    machine.send('START');
+    clock.advance(40 * MIN);
+    machine.send('FINISH');
+    const saved = { ...machine.getState(), status: 'completed' };
+    const restored = restoreState(saved, { ...DEFAULT_SETTINGS, ...FLOW }, clock());
+    expect(restored).toMatchObject({ mode: 'break', durationMs: 8 * MIN, earnedMs: 8 * MIN });
+  });
+});